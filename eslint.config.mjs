@@ -0,0 +1,36 @@
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+    {
+        ignores: ['node_modules/', 'songs/', 'sounds/']
+    },
+    js.configs.recommended,
+    {
+        // Game client: ES modules loaded by the browser
+        files: ['js/**/*.js'],
+        languageOptions: {
+            sourceType: 'module',
+            globals: globals.browser
+        }
+    },
+    {
+        files: ['server.js', 'server/**/*.js', 'test/**/*.js'],
+        languageOptions: {
+            sourceType: 'commonjs',
+            globals: globals.node
+        }
+    },
+    {
+        files: ['**/*.mjs'],
+        languageOptions: {
+            sourceType: 'module',
+            globals: globals.node
+        }
+    },
+    {
+        rules: {
+            'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none' }]
+        }
+    }
+];
@@ -0,0 +1,23 @@
+/**
+ * analysisWorker.js — Runs the offline spectral analysis off the main thread
+ *
+ * In:  { samples: Float32Array, sampleRate }
+ * Out: { type: 'progress', value } ... then { type: 'done', result } or { type: 'error', message }
+ */
+import { analyzeSpectrum } from './spectralAnalysis.js';
+
+self.onmessage = (e) => {
+    const { samples, sampleRate } = e.data;
+    try {
+        const result = analyzeSpectrum(samples, sampleRate, (value) => {
+            self.postMessage({ type: 'progress', value });
+        });
+        const f = result.features;
+        self.postMessage({ type: 'done', result }, [
+            f.flux.buffer, f.melodyFlux.buffer, f.bassFlux.buffer, f.centroid.buffer, f.rms.buffer,
+            f.chroma.buffer, f.mfcc.buffer
+        ]);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -1,9 +1,27 @@
 /**
- * audio.js — Web Audio API: file upload, decode, BPM detection, real-time FFT
+ * audio.js — Web Audio API: file upload, decode, offline analysis (spectrum, tempo, structure), real-time FFT
  */
+import { computeFingerprint } from './fingerprint.js';
+import { analyzeSpectrum, mixToMono } from './spectralAnalysis.js';
+import { SongAnalysis } from './songAnalysis.js';
 
-export class AudioManager {
+/**
+ * SHA-256 of the file's bytes in hex, as the server stamps its sidecars, or
+ * null where the browser has no WebCrypto (pages not served over https or localhost)
+ */
+async function contentHash(arrayBuffer) {
+    if (!globalThis.crypto?.subtle) return null;
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', arrayBuffer));
+    return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Playback, real-time FFT and, through SongAnalysis, the offline analysis of
+ * the loaded song (bpm, beatTimes, sections, getEnergyAt()...)
+ */
+export class AudioManager extends SongAnalysis {
     constructor() {
+        super();
         this.ctx = null;
         this.analyser = null;
         this.source = null;
@@ -13,13 +31,6 @@ export class AudioManager {
         // SFX
         this.explosionBuffer = null;
 
-        // Analysis data
-        this.bpm = 120;
-        this.energyMap = []; // [{time, bass, mid, treble, total}]
-        this.beatTimes = []; // seconds where beats occur
-        this.melodyOnsets = []; // [{time, intensity}] — melodic note onsets
-        this.duration = 0;
-
         // Real-time melody flux detection
         this._prevMidTreble = 0;
         this._melodyFluxHistory = new Float32Array(8); // rolling buffer
@@ -34,6 +45,14 @@ export class AudioManager {
         this.isPlaying = false;
         this.startTime = 0;
         this.pauseOffset = 0;
+        this.playbackRate = 1;
+
+        // Calibrated delays in seconds, see calibration.js; audio null = the context's own estimate
+        this.latency = { audio: null, visual: null };
+
+        // Volumes 0-1, see setVolumes()
+        this.musicVolume = 1;
+        this.sfxVolume = 1;
     }
 
     async init() {
@@ -43,6 +62,7 @@ export class AudioManager {
         this.analyser.smoothingTimeConstant = 0.8;
 
         this.gainNode = this.ctx.createGain();
+        this.gainNode.gain.value = this.musicVolume;
         this.gainNode.connect(this.ctx.destination);
         this.analyser.connect(this.gainNode);
 
@@ -64,171 +84,102 @@ export class AudioManager {
         }
     }
 
-    async loadFile(file, onProgress) {
+    /**
+     * Decode and analyse a song
+     * @param {Blob} file
+     * @param {(message: string, percent: number) => void} [onProgress]
+     * @param {object} [sidecar] - analysis cached by the server (see
+     *   SongAnalysis.toSidecar()); used instead of analysing when it was made
+     *   from these exact bytes and the server's decode gave the same
+     *   fingerprint. The song id is always the one computed here, so it is
+     *   the same before and after the server has analysed the song.
+     * @returns {Promise<boolean>} whether the sidecar was used
+     */
+    async loadFile(file, onProgress, sidecar = null) {
         if (!this.ctx) await this.init();
 
         onProgress?.('Decodificando audio...', 10);
         const arrayBuffer = await file.arrayBuffer();
+        // Before decoding, which may detach the buffer
+        const hash = sidecar ? await contentHash(arrayBuffer) : null;
 
         onProgress?.('Procesando audio...', 30);
         this.buffer = await this.ctx.decodeAudioData(arrayBuffer);
         this.duration = this.buffer.duration;
-
-        onProgress?.('Analizando energía...', 50);
-        this._analyzeEnergy();
-
-        onProgress?.('Detectando BPM...', 70);
-        this._detectBPM();
-
-        onProgress?.('Detectando melodía...', 85);
-        this._detectMelodyOnsets();
-
-        onProgress?.('Generando nivel...', 90);
-        this._detectBeats();
-
-        onProgress?.('¡Listo!', 100);
-    }
-
-    _analyzeEnergy() {
-        const buffer = this.buffer;
-        const sampleRate = buffer.sampleRate;
-        const channelData = buffer.getChannelData(0);
-        const windowSize = Math.floor(sampleRate * 0.05); // 50ms windows
-        const hopSize = Math.floor(sampleRate * 0.025);   // 25ms hops
-
-        this.energyMap = [];
-
-        for (let i = 0; i < channelData.length - windowSize; i += hopSize) {
-            const window = channelData.slice(i, i + windowSize);
-            const time = i / sampleRate;
-
-            // Simple energy calculation per band using the time-domain signal
-            let bass = 0, mid = 0, treble = 0, total = 0;
-            const fftSize = 512;
-            const realPart = new Float32Array(fftSize);
-            const len = Math.min(window.length, fftSize);
-
-            for (let j = 0; j < len; j++) {
-                realPart[j] = window[j];
+        this.fingerprint = computeFingerprint(this.buffer);
+
+        if (sidecar) {
+            try {
+                if (!hash || sidecar.source?.sha256 !== hash) throw new Error('different audio');
+                // Its levels are seeded from the server's id, which must be this one
+                if (sidecar.fingerprint !== this.fingerprint) throw new Error('different fingerprint');
+                this.loadSidecar(sidecar);
+                onProgress?.('¡Listo!', 100);
+                return true;
+            } catch (e) {
+                console.warn('Cached analysis not usable, analysing here:', e.message);
             }
+        }
 
-            // Use simple energy approximation instead of full FFT for pre-analysis
-            for (let j = 0; j < len; j++) {
-                const val = realPart[j] * realPart[j];
-                total += val;
-
-                // Approximate frequency band by position in window
-                const normalizedPos = j / len;
-                if (normalizedPos < 0.15) bass += val;
-                else if (normalizedPos < 0.5) mid += val;
-                else treble += val;
-            }
+        onProgress?.('Analizando espectro...', 40);
+        const spectrum = await this._analyzeSpectrum((fraction) => {
+            onProgress?.('Analizando espectro...', Math.round(40 + fraction * 30));
+        });
 
-            const norm = 1 / len;
-            this.energyMap.push({
-                time,
-                bass: Math.sqrt(bass * norm) * 4,
-                mid: Math.sqrt(mid * norm) * 4,
-                treble: Math.sqrt(treble * norm) * 4,
-                total: Math.sqrt(total * norm) * 4
-            });
-        }
+        this.analyze(spectrum, (message, fraction) => onProgress?.(message, Math.round(75 + fraction * 10)));
 
-        // Normalize energy values to 0-1 range
-        const maxTotal = Math.max(...this.energyMap.map(e => e.total), 0.001);
-        const maxBass = Math.max(...this.energyMap.map(e => e.bass), 0.001);
-        const maxMid = Math.max(...this.energyMap.map(e => e.mid), 0.001);
-        const maxTreble = Math.max(...this.energyMap.map(e => e.treble), 0.001);
-
-        for (const e of this.energyMap) {
-            e.total /= maxTotal;
-            e.bass /= maxBass;
-            e.mid /= maxMid;
-            e.treble /= maxTreble;
-        }
+        onProgress?.('¡Listo!', 100);
+        return false;
     }
 
-    _detectBPM() {
-        const channelData = this.buffer.getChannelData(0);
+    /**
+     * Offline STFT analysis (see spectralAnalysis.js). Runs in a worker so the
+     * loading screen keeps animating; falls back to the main thread when
+     * module workers are unavailable.
+     * @returns {Promise<{energyMap, features}>}
+     */
+    async _analyzeSpectrum(onProgress) {
+        const samples = mixToMono(this.buffer);
         const sampleRate = this.buffer.sampleRate;
 
-        // Use onset detection for BPM: find energy peaks
-        const windowSize = Math.floor(sampleRate * 0.01); // 10ms
-        const energies = [];
-
-        for (let i = 0; i < channelData.length - windowSize; i += windowSize) {
-            let sum = 0;
-            for (let j = i; j < i + windowSize; j++) {
-                sum += channelData[j] * channelData[j];
-            }
-            energies.push(sum / windowSize);
-        }
-
-        // Find peaks in energy
-        const peaks = [];
-        const threshold = 1.5;
-        const avgWindow = 40;
-
-        for (let i = avgWindow; i < energies.length - avgWindow; i++) {
-            let localAvg = 0;
-            for (let j = i - avgWindow; j < i + avgWindow; j++) {
-                localAvg += energies[j];
-            }
-            localAvg /= (avgWindow * 2);
-
-            if (energies[i] > localAvg * threshold && energies[i] > energies[i - 1] && energies[i] > energies[i + 1]) {
-                peaks.push(i);
-            }
-        }
-
-        // Calculate intervals between peaks
-        if (peaks.length < 2) {
-            this.bpm = 120;
-            return;
-        }
-
-        const intervals = [];
-        for (let i = 1; i < peaks.length; i++) {
-            const interval = (peaks[i] - peaks[i - 1]) * windowSize / sampleRate;
-            if (interval > 0.25 && interval < 2.0) { // 30-240 BPM range
-                intervals.push(interval);
-            }
-        }
-
-        if (intervals.length === 0) {
-            this.bpm = 120;
-            return;
+        let result;
+        try {
+            result = await this._analyzeInWorker(samples, sampleRate, onProgress);
+        } catch (e) {
+            console.warn('Analysis worker unavailable, analyzing on main thread:', e);
+            result = analyzeSpectrum(samples, sampleRate);
         }
-
-        // Use median interval for robustness
-        intervals.sort((a, b) => a - b);
-        const medianInterval = intervals[Math.floor(intervals.length / 2)];
-        let bpm = 60 / medianInterval;
-
-        // Normalize to common BPM range (80-180)
-        while (bpm < 80) bpm *= 2;
-        while (bpm > 180) bpm /= 2;
-
-        this.bpm = Math.round(bpm);
+        return result;
     }
 
-    _detectBeats() {
-        const beatInterval = 60 / this.bpm;
-        this.beatTimes = [];
-
-        // Find the first strong beat to align beat grid
-        let firstBeatTime = 0;
-        for (const e of this.energyMap) {
-            if (e.total > 0.5) {
-                firstBeatTime = e.time;
-                break;
+    _analyzeInWorker(samples, sampleRate, onProgress) {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(new URL('./analysisWorker.js', import.meta.url), { type: 'module' });
+            } catch (e) {
+                reject(e);
+                return;
             }
-        }
 
-        // Generate beat grid
-        for (let t = firstBeatTime; t < this.duration; t += beatInterval) {
-            this.beatTimes.push(t);
-        }
+            worker.onmessage = (e) => {
+                const msg = e.data;
+                if (msg.type === 'progress') {
+                    onProgress?.(msg.value);
+                    return;
+                }
+                worker.terminate();
+                if (msg.type === 'done') resolve(msg.result);
+                else reject(new Error(msg.message));
+            };
+            worker.onerror = (e) => {
+                worker.terminate();
+                reject(new Error(e.message || 'analysis worker failed'));
+            };
+
+            // Send a copy: the decoded buffer stays usable for playback
+            worker.postMessage({ samples: samples.slice(), sampleRate });
+        });
     }
 
     play() {
@@ -237,29 +188,87 @@ export class AudioManager {
 
         this.source = this.ctx.createBufferSource();
         this.source.buffer = this.buffer;
+        this.source.playbackRate.value = this.playbackRate;
         this.source.connect(this.analyser);
 
         this.source.start(0, this.pauseOffset);
-        this.startTime = this.ctx.currentTime - this.pauseOffset;
+        this.startTime = this.ctx.currentTime;
         this.isPlaying = true;
 
+        const source = this.source;
         this.source.onended = () => {
-            this.isPlaying = false;
+            // Ignore sources replaced by seek() / setPlaybackRate()
+            if (this.source === source) this.isPlaying = false;
         };
     }
 
-    stop() {
+    /**
+     * Stop playback and keep the position; play() resumes from it
+     */
+    pause() {
+        if (!this.isPlaying) return;
+        const position = this.position;
+        this._stopSource();
+        this.pauseOffset = Math.min(position, this.duration);
+    }
+
+    /**
+     * Count-in to resume at song time `time`: `beats` counts on the local
+     * tempo, with the music restarting early enough that its next beat falls
+     * where the count would go on. Real seconds, so it holds at any playback rate.
+     * @returns {{interval: number, duration: number}} seconds per count, and until play()
+     */
+    countInAt(time, beats) {
+        const interval = this.getBeatIntervalAt(time);
+        const nextBeat = this.beatTimes.find(b => b > time) ?? time + interval;
+        const toBeat = Math.min(nextBeat - time, interval);
+        return {
+            interval: interval / this.playbackRate,
+            duration: (beats * interval - toBeat) / this.playbackRate
+        };
+    }
+
+    /**
+     * Jump to a song position, keeping the play/pause state
+     */
+    seek(time) {
+        const wasPlaying = this.isPlaying;
+        this._stopSource();
+        this.pauseOffset = Math.max(0, Math.min(time, this.duration));
+        if (wasPlaying) this.play();
+    }
+
+    /**
+     * Change playback speed (replays); song position is preserved
+     */
+    setPlaybackRate(rate) {
+        const wasPlaying = this.isPlaying;
+        const position = this.position;
+        this._stopSource();
+        this.pauseOffset = position;
+        this.playbackRate = rate;
+        if (wasPlaying) this.play();
+    }
+
+    _stopSource() {
         if (this.source) {
-            try { this.source.stop(); } catch (e) { /* already stopped */ }
+            const source = this.source;
             this.source = null;
+            try { source.stop(); } catch (e) { /* already stopped */ }
         }
+        this.isPlaying = false;
+    }
+
+    stop() {
+        this._stopSource();
         if (this.gainNode && this.ctx) {
             this.gainNode.gain.cancelScheduledValues(this.ctx.currentTime);
-            this.gainNode.gain.setValueAtTime(1, this.ctx.currentTime); // Reset volume for next play
+            this.gainNode.gain.setValueAtTime(this.musicVolume, this.ctx.currentTime); // Reset volume for next play
         }
         this.isPlaying = false;
         this.pauseOffset = 0;
         this.startTime = 0;
+        this.playbackRate = 1;
     }
 
     fadeOut(duration = 0.8) {
@@ -281,24 +290,92 @@ export class AudioManager {
         const source = this.ctx.createBufferSource();
         source.buffer = this.explosionBuffer;
 
-        // Optional: route through a separate gain node if we want to control SFX volume
         const sfxGain = this.ctx.createGain();
-        sfxGain.gain.value = 1.0;
+        sfxGain.gain.value = this.sfxVolume;
 
         source.connect(sfxGain);
         sfxGain.connect(this.ctx.destination);
         source.start(0);
     }
 
+    /**
+     * Music and sound effect volumes, 0-1. Music changes straight away,
+     * effects from the next one played.
+     */
+    setVolumes(music, sfx) {
+        this.musicVolume = music;
+        this.sfxVolume = sfx;
+        if (this.gainNode && this.ctx) {
+            this.gainNode.gain.cancelScheduledValues(this.ctx.currentTime);
+            this.gainNode.gain.setValueAtTime(music, this.ctx.currentTime);
+        }
+    }
+
+    /**
+     * Metronome click at an AudioContext time (latency calibration)
+     * @param {number} when - ctx.currentTime seconds
+     * @param {boolean} accent - higher pitch, for the first beat of a bar
+     */
+    scheduleClick(when, accent = false) {
+        const osc = this.ctx.createOscillator();
+        const gain = this.ctx.createGain();
+        osc.frequency.value = accent ? 1600 : 1000;
+        gain.gain.setValueAtTime(0.6, when);
+        gain.gain.exponentialRampToValueAtTime(0.001, when + 0.05);
+        osc.connect(gain);
+        gain.connect(this.ctx.destination);
+        osc.start(when);
+        osc.stop(when + 0.06);
+    }
+
+    /**
+     * @param {{audio: number|null, visual: number|null}} latency - seconds, see loadLatency()
+     */
+    setLatency(latency) {
+        this.latency = { ...latency };
+    }
+
+    /**
+     * Output delay the browser reports (buffering plus the audio device).
+     * Doesn't know about Bluetooth headphones; the audio test does.
+     */
+    get reportedLatency() {
+        if (!this.ctx) return 0;
+        return (this.ctx.baseLatency || 0) + (this.ctx.outputLatency || 0);
+    }
+
+    /**
+     * How far what the player hears trails what the screen shows, in real seconds.
+     * Both tap tests include the player's input lag, so only their difference
+     * means anything: until both are done the browser's figure is used.
+     */
+    get outputOffset() {
+        const { audio, visual } = this.latency;
+        if (audio === null || visual === null) return this.reportedLatency;
+        return audio - visual;
+    }
+
     restart() {
         this.stop();
         this.pauseOffset = 0;
         this.play();
     }
 
+    /**
+     * Song position being sent to the output right now
+     */
+    get position() {
+        if (!this.isPlaying) return this.pauseOffset;
+        return this.pauseOffset + (this.ctx.currentTime - this.startTime) * this.playbackRate;
+    }
+
+    /**
+     * Song time the game runs at: the position the player is hearing when the
+     * frame being drawn reaches the screen (see outputOffset)
+     */
     get currentTime() {
         if (!this.isPlaying) return this.pauseOffset;
-        return this.ctx.currentTime - this.startTime;
+        return Math.max(0, this.position - this.outputOffset * this.playbackRate);
     }
 
     // Real-time audio data getters (returns 0-1)
@@ -352,70 +429,6 @@ export class AudioManager {
         return sum / (this.freqData.length * 255);
     }
 
-    getEnergyAt(time) {
-        if (this.energyMap.length === 0) return { bass: 0, mid: 0, treble: 0, total: 0 };
-        const idx = Math.floor(time / 0.025); // Match hop size
-        if (idx >= 0 && idx < this.energyMap.length) {
-            return this.energyMap[idx];
-        }
-        return this.energyMap[this.energyMap.length - 1];
-    }
-
-    /**
-     * Pre-analysis: detect melodic note onsets via spectral flux in mid+treble bands.
-     * Produces this.melodyOnsets = [{time, intensity}]
-     */
-    _detectMelodyOnsets() {
-        this.melodyOnsets = [];
-        if (this.energyMap.length < 3) return;
-
-        // Compute spectral flux of mid+treble energy (positive differences only)
-        const flux = [];
-        for (let i = 1; i < this.energyMap.length; i++) {
-            const prev = this.energyMap[i - 1];
-            const curr = this.energyMap[i];
-            // Only positive flux (new energy appearing, not decaying)
-            const df = Math.max(0, (curr.mid + curr.treble) - (prev.mid + prev.treble));
-            flux.push({ time: curr.time, value: df });
-        }
-
-        // Adaptive threshold: local mean over ~200ms window (8 frames at 25ms hop)
-        const halfWin = 4;
-        const thresholdFactor = 1.8; // onset must be this many times the local average
-        const minCooldown = 0.08;    // minimum 80ms between onsets
-        let lastOnsetTime = -1;
-
-        for (let i = halfWin; i < flux.length - halfWin; i++) {
-            let localSum = 0;
-            for (let j = i - halfWin; j <= i + halfWin; j++) {
-                localSum += flux[j].value;
-            }
-            const localMean = localSum / (halfWin * 2 + 1);
-
-            // Must be a local peak and above adaptive threshold
-            if (flux[i].value > localMean * thresholdFactor &&
-                flux[i].value > flux[i - 1].value &&
-                flux[i].value > flux[i + 1].value &&
-                flux[i].value > 0.02 && // absolute minimum to reject silence
-                flux[i].time - lastOnsetTime > minCooldown) {
-
-                lastOnsetTime = flux[i].time;
-                this.melodyOnsets.push({
-                    time: flux[i].time,
-                    intensity: flux[i].value // will be normalized below
-                });
-            }
-        }
-
-        // Normalize intensities to 0-1
-        if (this.melodyOnsets.length > 0) {
-            const maxIntensity = Math.max(...this.melodyOnsets.map(o => o.intensity), 0.001);
-            for (const o of this.melodyOnsets) {
-                o.intensity /= maxIntensity;
-            }
-        }
-    }
-
     /**
      * Real-time melody flux: returns 0-1 representing how much mid+treble energy
      * is currently rising compared to the recent average. Useful for frame-by-frame
@@ -0,0 +1,176 @@
+/**
+ * calibration.js — Audio and visual latency: stored offsets and the tap tests
+ * that measure them
+ *
+ * The audio test plays a metronome click and times taps against when each
+ * click was scheduled on the AudioContext clock; the result is everything
+ * between scheduling a sound and the player reacting to it (output buffer,
+ * Bluetooth delay, input lag). The visual test flashes the screen and times
+ * taps against the frame the flash was drawn in (display lag plus the same
+ * input lag). Their difference is how far the game clock must trail the
+ * AudioContext clock for walls to land on the beat the player hears; neither
+ * is used on its own, see AudioManager.outputOffset.
+ */
+
+const STORAGE_KEY = 'hexbeat_latency';
+
+const TEST_BEATS = 20;
+const LEAD_IN_BEATS = 4;  // taps on the first beats are ignored while the player locks on
+const TEST_INTERVAL = 0.5; // seconds between clicks / flashes (120 BPM)
+const MIN_TAPS = 8;
+const MAX_SPREAD = 0.06; // median absolute deviation above this is too erratic to trust
+const FLASH_DURATION = 0.08;
+
+export const MAX_LATENCY = 0.5;
+
+/**
+ * Measured latencies in seconds; null where the test hasn't been done
+ * @returns {{audio: number|null, visual: number|null}}
+ */
+export function loadLatency() {
+    const latency = { audio: null, visual: null };
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        for (const kind of ['audio', 'visual']) {
+            const value = saved?.[kind];
+            if (Number.isFinite(value) && Math.abs(value) <= MAX_LATENCY) latency[kind] = value;
+        }
+    } catch (e) {
+        // Corrupt entry: uncalibrated
+    }
+    return latency;
+}
+
+export function saveLatency(latency) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(latency));
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+export class CalibrationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CalibrationError';
+    }
+}
+
+/**
+ * One run of the audio or visual tap test
+ */
+export class CalibrationTest {
+    /**
+     * @param {'audio'|'visual'} kind
+     * @param {import('./audio.js').AudioManager} audio - initialized, for the clock and clicks
+     * @param {object} callbacks
+     * @param {(on: boolean) => void} [callbacks.onFlash] - visual test: show / hide the flash
+     * @param {(beat: number, total: number) => void} [callbacks.onProgress]
+     * @param {(latency: number) => void} callbacks.onDone - measured latency in seconds
+     * @param {(error: CalibrationError) => void} callbacks.onError
+     */
+    constructor(kind, audio, callbacks) {
+        this.kind = kind;
+        this.audio = audio;
+        this.callbacks = callbacks;
+        this.beats = []; // beat times: AudioContext seconds (audio) or performance seconds (visual)
+        this.taps = [];
+        this.running = false;
+        this._frame = null;
+        this._flashOffAt = null;
+    }
+
+    start() {
+        this.running = true;
+        if (this.kind === 'audio') {
+            const first = this.audio.ctx.currentTime + 1;
+            for (let i = 0; i < TEST_BEATS; i++) {
+                const time = first + i * TEST_INTERVAL;
+                this.beats.push(time);
+                this.audio.scheduleClick(time, i % 4 === 0);
+            }
+        }
+        this._startTime = performance.now() / 1000;
+        this._frame = requestAnimationFrame((t) => this._tick(t));
+    }
+
+    /**
+     * Flashes (visual test), progress and the end of the test, once per frame
+     */
+    _tick(timestamp) {
+        if (!this.running) return;
+        const now = timestamp / 1000;
+
+        if (this.kind === 'visual') {
+            // The frame a flash is drawn in is the time it counts from
+            const next = this._startTime + 1 + this.beats.length * TEST_INTERVAL;
+            if (this.beats.length < TEST_BEATS && now >= next) {
+                this.beats.push(now);
+                this._flashOffAt = now + FLASH_DURATION;
+                this.callbacks.onFlash?.(true);
+            } else if (this._flashOffAt !== null && now >= this._flashOffAt) {
+                this._flashOffAt = null;
+                this.callbacks.onFlash?.(false);
+            }
+        }
+
+        const clock = this.kind === 'audio' ? this.audio.ctx.currentTime : now;
+        const started = this.beats.filter(b => b <= clock).length;
+        this.callbacks.onProgress?.(started, TEST_BEATS);
+
+        const last = this.beats[TEST_BEATS - 1];
+        if (last !== undefined && clock > last + TEST_INTERVAL) {
+            this._finish();
+            return;
+        }
+        this._frame = requestAnimationFrame((t) => this._tick(t));
+    }
+
+    /**
+     * Register a tap
+     * @param {number} timeStamp - performance.now() time of the input event
+     */
+    tap(timeStamp) {
+        if (!this.running) return;
+        const age = (performance.now() - timeStamp) / 1000;
+        const time = this.kind === 'audio'
+            ? this.audio.ctx.currentTime - age
+            : timeStamp / 1000;
+        this.taps.push(time);
+    }
+
+    cancel() {
+        this.running = false;
+        cancelAnimationFrame(this._frame);
+        this.callbacks.onFlash?.(false);
+    }
+
+    _finish() {
+        this.cancel();
+
+        // Each tap against its nearest beat, skipping the lead-in
+        const offsets = [];
+        for (const tap of this.taps) {
+            let nearest = 0;
+            for (let i = 1; i < this.beats.length; i++) {
+                if (Math.abs(this.beats[i] - tap) < Math.abs(this.beats[nearest] - tap)) nearest = i;
+            }
+            const offset = tap - this.beats[nearest];
+            if (nearest >= LEAD_IN_BEATS && Math.abs(offset) < TEST_INTERVAL / 2) offsets.push(offset);
+        }
+
+        if (offsets.length < MIN_TAPS) {
+            this.callbacks.onError(new CalibrationError('No se han registrado suficientes pulsaciones. Prueba otra vez.'));
+            return;
+        }
+        const latency = median(offsets);
+        const spread = median(offsets.map(o => Math.abs(o - latency)));
+        if (spread > MAX_SPREAD || latency < -0.05 || latency > MAX_LATENCY) {
+            this.callbacks.onError(new CalibrationError('Las pulsaciones son muy irregulares. Prueba otra vez siguiendo el ritmo.'));
+            return;
+        }
+        this.callbacks.onDone(Math.max(0, latency));
+    }
+}
@@ -0,0 +1,231 @@
+/**
+ * chart.js — .hexchart level files: build, validate, serialize
+ *
+ * A chart is a complete level: the wall events plus the tempo map, rotation
+ * changes and visual cues, tied to a song by its audio fingerprint. Charts
+ * can be exported from the game over screen, edited by hand and loaded back
+ * instead of the generated level. Format reference: docs/hexchart.md
+ */
+import { GENERATOR_VERSION } from './levelGenerator.js';
+import { DIFFICULTIES } from './difficulty.js';
+import { DEFAULT_SIDES, MIN_SIDES, MAX_SIDES } from './collision.js';
+
+export const CHART_FORMAT = 'hexbeat-chart';
+export const CHART_VERSION = 1;
+export const CHART_EXTENSION = '.hexchart';
+
+const CUE_TYPES = ['palette', 'sides', 'camera', 'pulse'];
+
+export class ChartError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ChartError';
+    }
+}
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Snapshot the level currently loaded in the generator as a chart object
+ * @param {object} params
+ * @param {string} params.songId - audio fingerprint
+ * @param {string} [params.title]
+ * @param {AudioManager} params.audio
+ * @param {LevelGenerator} params.levelGen
+ */
+export function buildChart({ songId, title, audio, levelGen }) {
+    return {
+        format: CHART_FORMAT,
+        version: CHART_VERSION,
+        generatorVersion: GENERATOR_VERSION,
+        seed: levelGen.seed,
+        difficulty: levelGen.difficulty.id,
+        songId,
+        title: title || '',
+        duration: round(audio.duration),
+        sides: levelGen.sides,
+        tempo: {
+            bpm: audio.bpm,
+            beatsPerBar: audio.beatsPerBar,
+            map: audio.tempoCurve.map(p => ({ time: round(p.time), bpm: round(p.bpm, 2) })),
+            downbeats: audio.downbeats.map(t => round(t))
+        },
+        rotation: levelGen.rotationEvents.map(r => ({ time: round(r.time), speed: round(r.speed) })),
+        cues: levelGen.cues.map(c => ({ ...c, time: round(c.time) })),
+        events: levelGen.events
+            .map(e => ({
+                time: round(e.time),
+                gaps: [...e.gaps].sort((a, b) => a - b),
+                speed: round(e.speed),
+                thickness: round(e.thickness)
+            }))
+            .sort((a, b) => a.time - b.time),
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * JSON with one array item per line, so hand edits and diffs stay readable
+ */
+export function serializeChart(chart) {
+    return formatValue(chart, '') + '\n';
+}
+
+function formatValue(value, indent) {
+    const inner = indent + '  ';
+    if (Array.isArray(value)) {
+        // Short lists of plain values stay on one line
+        if (value.length === 0 || value.every(v => typeof v !== 'object')) return JSON.stringify(value);
+        return `[\n${value.map(v => inner + JSON.stringify(v)).join(',\n')}\n${indent}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        const entries = Object.entries(value).map(([k, v]) => `${inner}${JSON.stringify(k)}: ${formatValue(v, inner)}`);
+        return `{\n${entries.join(',\n')}\n${indent}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Parse and validate a chart file's text.
+ * @throws {ChartError}
+ */
+export function parseChart(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new ChartError(`El archivo no es un chart válido (JSON incorrecto: ${e.message}).`);
+    }
+    return validateChart(data);
+}
+
+/**
+ * Check a chart object against the v1 schema. Returns a normalized copy
+ * (optional fields filled in, events sorted by time and tagged with the
+ * side count of the arena they arrive in).
+ * @throws {ChartError} naming the offending field, e.g. `events[12].gaps`
+ */
+export function validateChart(data) {
+    if (!isObject(data) || data.format !== CHART_FORMAT) {
+        throw new ChartError(`El archivo no es un chart de HexBeat (falta "format": "${CHART_FORMAT}").`);
+    }
+    if (data.version !== CHART_VERSION) {
+        throw new ChartError(`Versión de chart no soportada (${data.version}); esta versión del juego lee la ${CHART_VERSION}.`);
+    }
+
+    expect(typeof data.songId === 'string' && data.songId.length > 0, 'songId', 'debe ser la huella de la canción (texto)');
+    expectNumber(data.duration, 'duration', { min: 0, exclusive: true });
+    if (data.title !== undefined) expect(typeof data.title === 'string', 'title', 'debe ser texto');
+    if (data.seed !== undefined) expectInteger(data.seed, 'seed', 0, 0xffffffff);
+    if (data.difficulty !== undefined) {
+        expect(Object.hasOwn(DIFFICULTIES, data.difficulty), 'difficulty', `debe ser uno de: ${Object.keys(DIFFICULTIES).join(', ')}`);
+    }
+
+    const sides = data.sides ?? DEFAULT_SIDES;
+    expectInteger(sides, 'sides', MIN_SIDES, MAX_SIDES);
+
+    // Tempo map
+    const tempo = data.tempo ?? {};
+    expect(isObject(tempo), 'tempo', 'debe ser un objeto');
+    expectNumber(tempo.bpm, 'tempo.bpm', { min: 1, max: 1000 });
+    const beatsPerBar = tempo.beatsPerBar ?? 4;
+    expectInteger(beatsPerBar, 'tempo.beatsPerBar', 1, 16);
+    const tempoMap = expectArray(tempo.map ?? [], 'tempo.map').map((point, i) => {
+        const path = `tempo.map[${i}]`;
+        expect(isObject(point), path, 'debe ser un objeto {time, bpm}');
+        expectNumber(point.time, `${path}.time`, { min: 0 });
+        expectNumber(point.bpm, `${path}.bpm`, { min: 1, max: 1000 });
+        return { time: point.time, bpm: point.bpm };
+    });
+    const downbeats = expectArray(tempo.downbeats ?? [], 'tempo.downbeats');
+    downbeats.forEach((t, i) => expectNumber(t, `tempo.downbeats[${i}]`, { min: 0 }));
+
+    const rotation = expectArray(data.rotation ?? [], 'rotation').map((r, i) => {
+        const path = `rotation[${i}]`;
+        expect(isObject(r), path, 'debe ser un objeto {time, speed}');
+        expectNumber(r.time, `${path}.time`, { min: 0 });
+        expectNumber(r.speed, `${path}.speed`, { min: -10, max: 10 });
+        return { time: r.time, speed: r.speed };
+    });
+
+    const cues = expectArray(data.cues ?? [], 'cues').map((cue, i) => {
+        const path = `cues[${i}]`;
+        expect(isObject(cue), path, 'debe ser un objeto {time, type, ...}');
+        expectNumber(cue.time, `${path}.time`, { min: 0 });
+        expect(CUE_TYPES.includes(cue.type), `${path}.type`, `debe ser uno de: ${CUE_TYPES.join(', ')}`);
+        if (cue.type === 'palette') expectInteger(cue.palette, `${path}.palette`, 0, 1000);
+        if (cue.type === 'sides') expectInteger(cue.sides, `${path}.sides`, MIN_SIDES, MAX_SIDES);
+        if (cue.type === 'camera') {
+            expectNumber(cue.zoom ?? 0, `${path}.zoom`, { min: -0.5, max: 0.5 });
+            expectNumber(cue.tilt ?? 0, `${path}.tilt`, { min: -0.5, max: 0.5 });
+            return { ...cue, zoom: cue.zoom ?? 0, tilt: cue.tilt ?? 0 };
+        }
+        if (cue.type === 'pulse') expectNumber(cue.scale, `${path}.scale`, { min: 0, max: 1 });
+        return { ...cue };
+    });
+    cues.sort((a, b) => a.time - b.time);
+
+    // Side count in effect at a time: the chart's, then the latest 'sides' cue
+    const sidesAt = (time) => {
+        let current = sides;
+        for (const cue of cues) {
+            if (cue.time > time) break;
+            if (cue.type === 'sides') current = cue.sides;
+        }
+        return current;
+    };
+
+    const events = expectArray(data.events, 'events').map((event, i) => {
+        const path = `events[${i}]`;
+        expect(isObject(event), path, 'debe ser un objeto {time, gaps, speed, thickness}');
+        expectNumber(event.time, `${path}.time`, { min: 0, max: data.duration });
+        expectNumber(event.speed, `${path}.speed`, { min: 0.5, max: 50 });
+        expectNumber(event.thickness, `${path}.thickness`, { min: 0.05, max: 3 });
+
+        // Gaps are checked against the arena shape the wall arrives in
+        const eventSides = sidesAt(event.time);
+        const gaps = expectArray(event.gaps, `${path}.gaps`);
+        expect(gaps.length > 0, `${path}.gaps`, 'necesita al menos un hueco (un anillo cerrado es imposible)');
+        expect(gaps.length < eventSides, `${path}.gaps`, 'no puede abrir todos los lados (no sería un muro)');
+        gaps.forEach((g, j) => expectInteger(g, `${path}.gaps[${j}]`, 0, eventSides - 1));
+        expect(new Set(gaps).size === gaps.length, `${path}.gaps`, 'tiene lados repetidos');
+
+        return { time: event.time, gaps: [...gaps], speed: event.speed, thickness: event.thickness, sides: eventSides };
+    });
+    events.sort((a, b) => a.time - b.time);
+
+    return {
+        ...data,
+        sides,
+        tempo: { bpm: tempo.bpm, beatsPerBar, map: tempoMap, downbeats: [...downbeats] },
+        rotation: rotation.sort((a, b) => a.time - b.time),
+        cues,
+        events
+    };
+}
+
+// ---- Validation helpers ----
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function expect(condition, path, message) {
+    if (!condition) throw new ChartError(`Chart inválido: "${path}" ${message}.`);
+}
+
+function expectNumber(value, path, { min = -Infinity, max = Infinity, exclusive = false } = {}) {
+    expect(Number.isFinite(value), path, 'debe ser un número');
+    expect(exclusive ? value > min : value >= min, path, `debe ser ${exclusive ? 'mayor que' : 'como mínimo'} ${min}`);
+    expect(value <= max, path, `debe ser como máximo ${max}`);
+}
+
+function expectInteger(value, path, min, max) {
+    expect(Number.isInteger(value), path, 'debe ser un número entero');
+    expect(value >= min && value <= max, path, `debe estar entre ${min} y ${max}`);
+}
+
+function expectArray(value, path) {
+    expect(Array.isArray(value), path, 'debe ser una lista');
+    return value;
+}
@@ -0,0 +1,126 @@
+/**
+ * collision.js — Player/wall geometry and simulation constants shared by the
+ * game and the level validator
+ *
+ * No three.js here: the validator runs the same math headless in Node.
+ */
+
+export const TWO_PI = Math.PI * 2;
+
+// Arena polygon: side count can change per level and mid-song
+export const DEFAULT_SIDES = 6;
+export const MIN_SIDES = 4;
+export const MAX_SIDES = 8;
+
+export const PLAYER_START_ANGLE = Math.PI / 2; // top
+export const PLAYER_ORBIT_RADIUS = 2.2;
+export const PLAYER_MOVE_SPEED = 6.5; // radians per second
+export const PLAYER_SIZE = 0.15; // slightly reduced collision radius for fairness
+
+// Fixed simulation steps per second (see Game._simulateUntil)
+export const SIM_RATE = 240;
+
+export const WALL_SPAWN_RADIUS = 20;
+export const WALL_DESPAWN_RADIUS = 1.2;
+
+// Only the front face of a wall is lethal (forgiving edges)
+const HIT_DEPTH = 0.05;
+const PLAYER_ANGULAR_SIZE = (PLAYER_SIZE * 0.7) / PLAYER_ORBIT_RADIUS;
+
+export function normalizeAngle(angle) {
+    return ((angle % TWO_PI) + TWO_PI) % TWO_PI;
+}
+
+export function sideAngle(sides = DEFAULT_SIDES) {
+    return TWO_PI / sides;
+}
+
+/**
+ * Angular extent of one side of the arena polygon. Side 0 is centered on angle 0.
+ * @returns {{angleStart: number, angleEnd: number}}
+ */
+export function sideAngles(side, sides = DEFAULT_SIDES) {
+    const angle = sideAngle(sides);
+    return {
+        angleStart: (side - 0.5) * angle,
+        angleEnd: (side + 0.5) * angle
+    };
+}
+
+/**
+ * Polygon corners (closed: the first corner is repeated at the end), matching sideAngles()
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function polygonCorners(sides, radius) {
+    const corners = [];
+    for (let i = 0; i <= sides; i++) {
+        const angle = (i - 0.5) * sideAngle(sides);
+        corners.push({ x: Math.cos(angle) * radius, y: Math.sin(angle) * radius });
+    }
+    return corners;
+}
+
+/**
+ * Radius of a wall's center line at `time`: a pure function of time
+ */
+export function wallRadiusAt(speed, spawnTime, time) {
+    return WALL_SPAWN_RADIUS - speed * (time - spawnTime);
+}
+
+/**
+ * Whether a player at `playerAngle` touches a straight wall spanning an angle
+ * range and a radius range. The wall is one side of a regular polygon, so its
+ * span also fixes the polygon's apothem.
+ */
+export function hitsWall(playerAngle, wallAngleStart, wallAngleEnd, wallInnerRadius, wallOuterRadius) {
+    const playerR = PLAYER_ORBIT_RADIUS;
+    const angle = normalizeAngle(playerAngle);
+
+    // Normalize wall angles
+    const aStart = normalizeAngle(wallAngleStart);
+    const aEnd = normalizeAngle(wallAngleEnd);
+
+    // Angular collision check with player size
+    const angularSize = PLAYER_ANGULAR_SIZE;
+
+    // Check if player is angularly within the wall segment (with wrapping)
+    let isAngularHit = false;
+    if (aStart <= aEnd) {
+        if (angle + angularSize > aStart && angle - angularSize < aEnd) isAngularHit = true;
+    } else {
+        // Wraps around 0
+        if (angle + angularSize > aStart || angle - angularSize < aEnd) isAngularHit = true;
+    }
+
+    if (!isAngularHit) return false;
+
+    // Find mid angle directly from raw angles to avoid wrap math issues
+    const midAngle = normalizeAngle((wallAngleStart + wallAngleEnd) / 2);
+
+    let angleDiff = Math.abs(angle - midAngle);
+    if (angleDiff > Math.PI) angleDiff = TWO_PI - angleDiff;
+
+    // Distance from center to the flat line segment at player's exact angular offset
+    const apothem = Math.cos((wallAngleEnd - wallAngleStart) / 2);
+    const distInner = (wallInnerRadius * apothem) / Math.cos(angleDiff);
+    const distOuter = (wallOuterRadius * apothem) / Math.cos(angleDiff);
+
+    // Check radial overlap against the flat wall
+    const lethalOuterBound = Math.min(distOuter, distInner + HIT_DEPTH);
+
+    return playerR + PLAYER_SIZE >= distInner && playerR - PLAYER_SIZE <= lethalOuterBound;
+}
+
+/**
+ * Inner radius range outside of which no wall of a `sides`-gon can touch the
+ * player, whatever its angle. Lets callers skip walls that are still far out
+ * or already past.
+ * @returns {{min: number, max: number}}
+ */
+export function lethalInnerRadius(sides = DEFAULT_SIDES) {
+    const half = sideAngle(sides) / 2;
+    return {
+        min: (PLAYER_ORBIT_RADIUS - PLAYER_SIZE - HIT_DEPTH) * Math.cos(half + PLAYER_ANGULAR_SIZE) / Math.cos(half),
+        max: (PLAYER_ORBIT_RADIUS + PLAYER_SIZE) / Math.cos(half)
+    };
+}
@@ -0,0 +1,105 @@
+/**
+ * difficulty.js — Difficulty tiers as named parameter sets for the level generator
+ *
+ * `normal` reproduces the original hand-tuned curve; the other tiers scale
+ * it. Every knob the generator and the world rotation read lives here.
+ */
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+const STORAGE_KEY = 'hexbeat_difficulty';
+
+/**
+ * @typedef {object} Difficulty
+ * @property {string} id
+ * @property {string} label      - shown on the HUD and game over screen
+ * @property {number} baseSpeed  - wall speed before multipliers
+ * @property {number} speedRamp  - scales how much speed grows with section intensity
+ * @property {number} density    - scales the share of beats that get a wall (0-1)
+ * @property {number} minGaps    - fewest open sides a wall may have
+ * @property {number} maxRating  - hardest pattern rating (see patterns.js) at full intensity
+ * @property {{high: number, medium: number, low: number}} energy - beat energy thresholds for pattern tiers
+ * @property {number|null} subBeatEnergy - energy needed for extra walls between beats (null: never)
+ * @property {{base: number, ramp: number}} thickness
+ * @property {{speed: number, minInterval: number, maxInterval: number, burst: number}} rotation
+ *   world rotation speed (rad/s), seconds between direction changes and the
+ *   speed multiplier for a bar when the energy jumps
+ * @property {number} sideMorph  - chance that a new section group changes the arena's side count
+ */
+
+/** @type {Object<string, Difficulty>} */
+export const DIFFICULTIES = {
+    easy: {
+        id: 'easy',
+        label: 'FÁCIL',
+        baseSpeed: 4.5,
+        speedRamp: 0.5,
+        density: 0.65,
+        minGaps: 2,
+        maxRating: 2,
+        energy: { high: 0.9, medium: 0.6, low: 0.25 },
+        subBeatEnergy: null,
+        thickness: { base: 0.25, ramp: 0.15 },
+        rotation: { speed: 0.2, minInterval: 8, maxInterval: 16, burst: 1.3 },
+        sideMorph: 0
+    },
+    normal: {
+        id: 'normal',
+        label: 'NORMAL',
+        baseSpeed: 6,
+        speedRamp: 1,
+        density: 1,
+        minGaps: 1,
+        maxRating: 3,
+        energy: { high: 0.8, medium: 0.5, low: 0.2 },
+        subBeatEnergy: 0.6,
+        thickness: { base: 0.3, ramp: 0.3 },
+        rotation: { speed: 0.3, minInterval: 5, maxInterval: 15, burst: 1.8 },
+        sideMorph: 0.25
+    },
+    hard: {
+        id: 'hard',
+        label: 'DIFÍCIL',
+        baseSpeed: 7,
+        speedRamp: 1.25,
+        density: 1,
+        minGaps: 1,
+        maxRating: 4,
+        energy: { high: 0.7, medium: 0.4, low: 0.15 },
+        subBeatEnergy: 0.5,
+        thickness: { base: 0.35, ramp: 0.35 },
+        rotation: { speed: 0.45, minInterval: 4, maxInterval: 10, burst: 2.2 },
+        sideMorph: 0.4
+    },
+    hyper: {
+        id: 'hyper',
+        label: 'HYPER',
+        baseSpeed: 8.5,
+        speedRamp: 1.5,
+        density: 1,
+        minGaps: 1,
+        maxRating: 5,
+        energy: { high: 0.6, medium: 0.35, low: 0.1 },
+        subBeatEnergy: 0.35,
+        thickness: { base: 0.4, ramp: 0.4 },
+        rotation: { speed: 0.7, minInterval: 2.5, maxInterval: 6, burst: 2.8 },
+        sideMorph: 0.6
+    }
+};
+
+/**
+ * Look up a tier, falling back to the default for unknown ids
+ * @returns {Difficulty}
+ */
+export function getDifficulty(id) {
+    return Object.hasOwn(DIFFICULTIES, id) ? DIFFICULTIES[id] : DIFFICULTIES[DEFAULT_DIFFICULTY];
+}
+
+export function loadDifficultyChoice() {
+    const id = localStorage.getItem(STORAGE_KEY);
+    return Object.hasOwn(DIFFICULTIES, id) ? id : DEFAULT_DIFFICULTY;
+}
+
+export function saveDifficultyChoice(id) {
+    localStorage.setItem(STORAGE_KEY, id);
+}
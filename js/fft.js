@@ -0,0 +1,85 @@
+/**
+ * fft.js — Radix-2 FFT for offline analysis (no DOM, runs in workers and Node)
+ */
+
+export class FFT {
+    /**
+     * @param {number} size - power of two
+     */
+    constructor(size) {
+        if (size < 2 || (size & (size - 1)) !== 0) {
+            throw new Error(`FFT size must be a power of two, got ${size}`);
+        }
+        this.size = size;
+
+        // Bit-reversal permutation
+        this.reverse = new Uint32Array(size);
+        const bits = Math.log2(size);
+        for (let i = 0; i < size; i++) {
+            let r = 0;
+            for (let b = 0; b < bits; b++) {
+                r = (r << 1) | ((i >> b) & 1);
+            }
+            this.reverse[i] = r;
+        }
+
+        // Twiddle factors for the largest stage; smaller stages stride through them
+        this.cos = new Float64Array(size / 2);
+        this.sin = new Float64Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            this.cos[i] = Math.cos(-2 * Math.PI * i / size);
+            this.sin[i] = Math.sin(-2 * Math.PI * i / size);
+        }
+    }
+
+    /**
+     * In-place forward transform
+     * @param {Float32Array|Float64Array} re
+     * @param {Float32Array|Float64Array} im
+     */
+    forward(re, im) {
+        const n = this.size;
+
+        for (let i = 0; i < n; i++) {
+            const j = this.reverse[i];
+            if (j > i) {
+                let t = re[i]; re[i] = re[j]; re[j] = t;
+                t = im[i]; im[i] = im[j]; im[j] = t;
+            }
+        }
+
+        for (let len = 2; len <= n; len <<= 1) {
+            const half = len >> 1;
+            const step = n / len;
+            for (let start = 0; start < n; start += len) {
+                for (let k = 0; k < half; k++) {
+                    const wr = this.cos[k * step];
+                    const wi = this.sin[k * step];
+                    const a = start + k;
+                    const b = a + half;
+                    const xr = re[b] * wr - im[b] * wi;
+                    const xi = re[b] * wi + im[b] * wr;
+                    re[b] = re[a] - xr;
+                    im[b] = im[a] - xi;
+                    re[a] += xr;
+                    im[a] += xi;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Periodic Hann window
+ */
+export function hannWindow(size) {
+    const w = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        w[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size);
+    }
+    return w;
+}
+
+export function nextPowerOfTwo(n) {
+    return 2 ** Math.ceil(Math.log2(Math.max(2, n)));
+}
@@ -0,0 +1,190 @@
+/**
+ * fingerprint.js — Stable song identity from decoded audio
+ *
+ * The id only depends on the sound itself, not on the file name or how the
+ * song was loaded (upload, library, YouTube), and it has to come out the same
+ * wherever the song is decoded: browsers decode at the AudioContext rate
+ * (often 48 kHz), the server through ffmpeg at 44.1 kHz, and decoders add or
+ * trim a few milliseconds of padding. So the song is aligned on its first
+ * strong onset, resampled from there to a fixed rate through the same
+ * continuous low-pass filter whatever the source rate, and only coarse,
+ * gain-independent features of its first minute are hashed: per block, the
+ * loudness relative to the loudest block and the share of low and high
+ * frequencies, in STEP_DB steps.
+ *
+ * A value that sits right on a step can still fall on either side of it on two
+ * machines; the differences left are thousands of times smaller than a step,
+ * so that is rare, not impossible.
+ */
+import { hashString } from './random.js';
+
+export const FINGERPRINT_VERSION = 2;
+
+const RATE = 8000;              // Hz — the aligned song is resampled to this
+const CUTOFF = 3000;            // Hz — resampling low-pass
+const KERNEL_SECONDS = 0.001;   // half-width of the resampling kernel
+const KERNEL_TABLE = 4096;      // kernel samples per half-width
+const ONSET_SMOOTHING = 0.005;  // seconds each way of the onset envelope's window
+const ONSET_STEP = 0.001;       // seconds between looks before narrowing down the onset
+const ONSET_LEVEL = 0.1;        // the song starts at this share of its mean power
+const BLOCK_SECONDS = 2.5;      // hop between blocks; each block is a Hann window twice as long
+const BLOCKS = 24;
+const STEP_DB = 2;
+const FLOOR_DB = -40;           // quieter than this (or silent) is all the same
+const LOW_CUTOFF = 250;         // Hz
+const HIGH_CUTOFF = 1500;       // Hz
+
+// Hann-windowed sinc low-pass, h(t) for t = i / KERNEL_TABLE * KERNEL_SECONDS
+const kernel = new Float64Array(KERNEL_TABLE + 2);
+for (let i = 0; i <= KERNEL_TABLE; i++) {
+    const t = i / KERNEL_TABLE * KERNEL_SECONDS;
+    const x = 2 * CUTOFF * t;
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+    kernel[i] = 2 * CUTOFF * sinc * Math.cos(Math.PI * i / (2 * KERNEL_TABLE)) ** 2;
+}
+
+/**
+ * @param {AudioBuffer} buffer
+ * @returns {Float32Array}
+ */
+function mixToMono(buffer) {
+    const mono = new Float32Array(buffer.length);
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const data = buffer.getChannelData(c);
+        for (let i = 0; i < mono.length; i++) mono[i] += data[i];
+    }
+    return mono;
+}
+
+/**
+ * Power around `t` (seconds) under a Hann window of ONSET_SMOOTHING each way.
+ * Continuous in t and zero outside the buffer, so a decoder that adds silence
+ * in front only shifts it.
+ */
+function smoothedPower(mono, sampleRate, t) {
+    const center = t * sampleRate;
+    const reach = ONSET_SMOOTHING * sampleRate;
+    const first = Math.max(0, Math.ceil(center - reach));
+    const last = Math.min(mono.length - 1, Math.floor(center + reach));
+    let sum = 0;
+    for (let i = first; i <= last; i++) {
+        sum += Math.cos(Math.PI * (i - center) / (2 * reach)) ** 2 * mono[i] * mono[i];
+    }
+    return sum / reach;
+}
+
+/**
+ * Time (seconds) where the smoothed power first reaches ONSET_LEVEL of the
+ * song's mean power: found on a coarse grid, then narrowed down by bisection
+ */
+function onsetTime(mono, sampleRate) {
+    let energy = 0;
+    for (let i = 0; i < mono.length; i++) energy += mono[i] * mono[i];
+    if (energy === 0) return 0;
+    const threshold = ONSET_LEVEL * energy / mono.length;
+
+    const end = mono.length / sampleRate;
+    let t = -ONSET_SMOOTHING;
+    while (t < end && smoothedPower(mono, sampleRate, t) < threshold) t += ONSET_STEP;
+
+    let lo = t - ONSET_STEP, hi = t;
+    for (let i = 0; i < 24; i++) {
+        const mid = (lo + hi) / 2;
+        if (smoothedPower(mono, sampleRate, mid) < threshold) lo = mid;
+        else hi = mid;
+    }
+    return hi;
+}
+
+/**
+ * The low-passed song at RATE from `start` (seconds) on, `count` samples
+ */
+function resampleFrom(mono, sampleRate, start, count) {
+    const out = new Float32Array(count);
+    const reach = KERNEL_SECONDS * sampleRate;
+    const scale = KERNEL_TABLE / reach; // source samples -> kernel table index
+    for (let n = 0; n < count; n++) {
+        const center = (start + n / RATE) * sampleRate; // in source samples
+        const first = Math.max(0, Math.ceil(center - reach));
+        const last = Math.min(mono.length - 1, Math.floor(center + reach));
+        let sum = 0;
+        for (let i = first; i <= last; i++) {
+            const pos = Math.abs(i - center) * scale;
+            const k = pos | 0;
+            if (k < KERNEL_TABLE) sum += mono[i] * (kernel[k] + (kernel[k + 1] - kernel[k]) * (pos - k));
+        }
+        out[n] = sum / sampleRate;
+    }
+    return out;
+}
+
+/**
+ * One-pole low-pass at RATE
+ */
+function lowPass(samples, cutoff) {
+    const a = Math.exp(-2 * Math.PI * cutoff / RATE);
+    const out = new Float32Array(samples.length);
+    let y = 0;
+    for (let i = 0; i < samples.length; i++) {
+        y = (1 - a) * samples[i] + a * y;
+        out[i] = y;
+    }
+    return out;
+}
+
+/**
+ * Hann-weighted energy of each band over each block
+ * @returns {Array<{total: number, low: number, high: number}>}
+ */
+function blockEnergies(samples) {
+    const low = lowPass(lowPass(samples, LOW_CUTOFF), LOW_CUTOFF);
+    const belowHigh = lowPass(samples, HIGH_CUTOFF);
+    const hop = BLOCK_SECONDS * RATE;
+    const blocks = [];
+
+    for (let b = 0; b < BLOCKS; b++) {
+        const energy = { total: 0, low: 0, high: 0 };
+        for (let j = 0; j < 2 * hop; j++) {
+            const i = b * hop + j;
+            const w = Math.sin(Math.PI * j / (2 * hop)) ** 2;
+            const high = samples[i] - belowHigh[i];
+            energy.total += w * samples[i] * samples[i];
+            energy.low += w * low[i] * low[i];
+            energy.high += w * high * high;
+        }
+        blocks.push(energy);
+    }
+    return blocks;
+}
+
+/**
+ * `ratio` (at most 1) in STEP_DB steps, as one character
+ */
+function step(ratio) {
+    const db = ratio > 0 ? Math.min(0, 10 * Math.log10(ratio)) : -Infinity;
+    return String.fromCharCode(97 + Math.floor(-Math.max(db, FLOOR_DB) / STEP_DB));
+}
+
+/**
+ * Compute the song fingerprint.
+ * @param {AudioBuffer} buffer
+ * @returns {string} e.g. "fp2-9c2e07d41a5b33f0"
+ */
+export function computeFingerprint(buffer) {
+    const mono = mixToMono(buffer);
+    const onset = onsetTime(mono, buffer.sampleRate);
+    const samples = resampleFrom(mono, buffer.sampleRate, onset, (BLOCKS + 1) * BLOCK_SECONDS * RATE);
+    const blocks = blockEnergies(samples);
+    const loudest = Math.max(...blocks.map(b => b.total));
+
+    let payload = '';
+    for (const block of blocks) {
+        payload += step(loudest > 0 ? block.total / loudest : 0);
+        payload += step(block.total > 0 ? block.low / block.total : 0);
+        payload += step(block.total > 0 ? block.high / block.total : 0);
+    }
+
+    const high = hashString(payload).toString(16).padStart(8, '0');
+    const low = hashString(payload, 0x01234567).toString(16).padStart(8, '0');
+    return `fp${FINGERPRINT_VERSION}-${high}${low}`;
+}
@@ -0,0 +1,173 @@
+/**
+ * flashLimiter.js — Photosensitivity guard: measures flashes in the rendered
+ * frames and damps the audio-reactive effects before they get dangerous
+ *
+ * Each frame is shrunk to a small grid of regions. Per region it follows the
+ * mean relative luminance and the amount of saturated red, and counts
+ * transitions the way WCAG 2.3.1 defines a flash: an opposing pair of changes
+ * of at least 10% luminance (the darker state below 0.8), or of at least 20 in
+ * (R - G - B) × 320 for saturated reds. WCAG allows at most three flashes in
+ * any second; the limiter starts damping well before that and recovers slowly.
+ */
+
+export const SAMPLE_WIDTH = 32;
+export const SAMPLE_HEIGHT = 18;
+// 4 × 3 regions: each about the area WCAG counts as one flash on a typical screen
+const REGION_COLS = 4;
+const REGION_ROWS = 3;
+
+const LUMINANCE_CHANGE = 0.1;
+const DARK_LIMIT = 0.8;
+const RED_CHANGE = 20;
+const RED_RATIO = 0.8;
+const WINDOW = 1; // seconds
+
+const MIN_SCALE = 0.1;
+const ATTACK = 4;   // scale units per second while flashing
+const RELEASE = 0.4;
+
+function toLinear(c) {
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+}
+
+// sRGB byte → linear, WCAG relative luminance weights applied later
+const LINEAR = Array.from({ length: 256 }, (_, i) => toLinear(i / 255));
+
+/**
+ * Follows one signal and records the time of every transition: a move of at
+ * least `threshold` against the last extreme
+ */
+class TransitionTracker {
+    constructor(threshold, darkLimit = Infinity) {
+        this.threshold = threshold;
+        this.darkLimit = darkLimit;
+        this.extreme = null;
+        this.direction = 0;
+        this.times = [];
+    }
+
+    push(value, time) {
+        if (this.extreme === null) {
+            this.extreme = value;
+            return;
+        }
+        // Still moving the same way: the extreme goes along
+        if ((this.direction > 0 && value > this.extreme) || (this.direction < 0 && value < this.extreme)) {
+            this.extreme = value;
+            return;
+        }
+        const change = value - this.extreme;
+        if (Math.abs(change) >= this.threshold && Math.min(value, this.extreme) < this.darkLimit) {
+            this.direction = Math.sign(change);
+            this.extreme = value;
+            this.times.push(time);
+        }
+    }
+
+    /**
+     * Transitions in the last WINDOW seconds
+     */
+    count(time) {
+        while (this.times.length > 0 && this.times[0] <= time - WINDOW) this.times.shift();
+        return this.times.length;
+    }
+
+    reset() {
+        this.extreme = null;
+        this.direction = 0;
+        this.times = [];
+    }
+}
+
+/**
+ * Default pixel source: draws the frame into a small 2D canvas and reads it back
+ */
+function canvasReader() {
+    const canvas = document.createElement('canvas');
+    canvas.width = SAMPLE_WIDTH;
+    canvas.height = SAMPLE_HEIGHT;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    return (source) => {
+        ctx.drawImage(source, 0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+        return ctx.getImageData(0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT).data;
+    };
+}
+
+export class FlashLimiter {
+    /**
+     * @param {(source: any) => ArrayLike<number>} [readPixels] - the frame shrunk
+     *   to SAMPLE_WIDTH × SAMPLE_HEIGHT as RGBA bytes, row by row
+     */
+    constructor(readPixels = canvasReader()) {
+        this.readPixels = readPixels;
+
+        const regions = REGION_COLS * REGION_ROWS;
+        this.luminance = Array.from({ length: regions }, () => new TransitionTracker(LUMINANCE_CHANGE, DARK_LIMIT));
+        this.red = Array.from({ length: regions }, () => new TransitionTracker(RED_CHANGE));
+
+        this.enabled = true;
+        // Transitions per second at which damping starts; strict (safe mode)
+        // reacts to a single flash, normal to the second one
+        this.trigger = 4;
+        this.scale = 1; // share of the reactive effects allowed, see Renderer3D.setFlashScale()
+        this.flashRate = 0; // flashes in the last second, worst region
+        this.time = 0;
+    }
+
+    setEnabled(enabled, strict = false) {
+        this.enabled = enabled;
+        this.trigger = strict ? 2 : 4;
+        if (!enabled) {
+            this.scale = 1;
+            this.reset();
+        }
+    }
+
+    reset() {
+        for (const tracker of [...this.luminance, ...this.red]) tracker.reset();
+        this.flashRate = 0;
+    }
+
+    /**
+     * Measure the frame just drawn and update `scale`. Must run right after
+     * rendering, while the WebGL drawing buffer still holds the frame.
+     * @param {HTMLCanvasElement} source - the game canvas, handed to the pixel source
+     * @param {number} dt - real seconds since the last frame
+     * @returns {number} scale
+     */
+    measure(source, dt) {
+        if (!this.enabled) return this.scale;
+        this.time += dt;
+
+        const pixels = this.readPixels(source);
+
+        const regions = REGION_COLS * REGION_ROWS;
+        const luminance = new Float32Array(regions);
+        const red = new Float32Array(regions);
+        const perRegion = (SAMPLE_WIDTH / REGION_COLS) * (SAMPLE_HEIGHT / REGION_ROWS);
+        for (let y = 0; y < SAMPLE_HEIGHT; y++) {
+            const row = Math.floor(y * REGION_ROWS / SAMPLE_HEIGHT) * REGION_COLS;
+            for (let x = 0; x < SAMPLE_WIDTH; x++) {
+                const region = row + Math.floor(x * REGION_COLS / SAMPLE_WIDTH);
+                const i = (y * SAMPLE_WIDTH + x) * 4;
+                const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
+                luminance[region] += 0.2126 * LINEAR[r] + 0.7152 * LINEAR[g] + 0.0722 * LINEAR[b];
+                if (r + g + b > 0 && r / (r + g + b) >= RED_RATIO) {
+                    red[region] += Math.max(0, (r - g - b) / 255) * 320;
+                }
+            }
+        }
+
+        let worst = 0;
+        for (let k = 0; k < regions; k++) {
+            this.luminance[k].push(luminance[k] / perRegion, this.time);
+            this.red[k].push(red[k] / perRegion, this.time);
+            worst = Math.max(worst, this.luminance[k].count(this.time), this.red[k].count(this.time));
+        }
+        this.flashRate = Math.floor(worst / 2);
+
+        if (worst >= this.trigger) this.scale = Math.max(MIN_SCALE, this.scale - ATTACK * dt);
+        else this.scale = Math.min(1, this.scale + RELEASE * dt);
+        return this.scale;
+    }
+}
@@ -7,16 +7,48 @@ import { AudioManager } from './audio.js';
 import { Player } from './player.js';
 import { WallSystem } from './walls.js';
 import { ParticleSystem } from './particles.js';
-import { LevelGenerator } from './levelGenerator.js';
+import { LevelGenerator, deriveLevelSeed, GENERATOR_VERSION } from './levelGenerator.js';
 import { UI } from './ui.js';
+import { InputManager } from './input.js';
+import { CalibrationTest, loadLatency, saveLatency } from './calibration.js';
+import { loadSettings, saveSettings, updateSetting, effectiveSettings, QUALITY_PRESETS } from './settings.js';
+import { FlashLimiter } from './flashLimiter.js';
 import { firebaseManager } from './firebase.js';
+import { LeaderboardClient } from './leaderboard.js';
+import { fileRecordId, loadBestTime, saveBestTime, songRecordId } from './records.js';
+import { canContinue, keepsRecord, rankedSongId, unrankedReason } from './runRules.js';
+import { getDifficulty, loadDifficultyChoice, saveDifficultyChoice, DEFAULT_DIFFICULTY } from './difficulty.js';
+import { ReplayRecorder, ReplayPlayback, ReplayError, parseReplay, serializeReplay, REPLAY_EXTENSION } from './replay.js';
+import { buildChart, parseChart, validateChart, serializeChart, ChartError, CHART_EXTENSION } from './chart.js';
+import { formatSeed } from './random.js';
+import { SIM_RATE } from './collision.js';
+import { solveLevel } from './levelValidator.js';
 
 const YOUTUBE_PROXY_URL = window.location.origin;
 
+// Fixed-step simulation: player movement, wall positions and collisions advance
+// in steps of audio time, independent of the display frame rate.
+const SIM_STEP = 1 / SIM_RATE;
+
+// Beats counted down before the music comes back after a pause
+const RESUME_BEATS = 3;
+
+// Continue rewinds the song this many beats before the death; after a continue
+// or a practice start the player can't be hit for INVULNERABLE_BEATS
+const CONTINUE_REWIND_BEATS = 4;
+const INVULNERABLE_BEATS = 2;
+
+// World rotation speed kept in reduced-motion mode (visual only: walls and player turn together)
+const REDUCED_MOTION_ROTATION = 0.5;
+
 const GameState = {
     MENU: 'menu',
     ANALYZING: 'analyzing',
     PLAYING: 'playing',
+    REPLAY: 'replay',
+    PAUSED: 'paused',
+    PRACTICE_SETUP: 'practice',
+    SETTINGS: 'settings',
     GAME_OVER: 'gameover'
 };
 
@@ -31,6 +63,14 @@ export class Game {
         this.melodyParticles = new ParticleSystem(this.renderer.scene, 1200);
         this.levelGen = new LevelGenerator();
         this.ui = new UI();
+        this.input = new InputManager();
+        this.audio.setLatency(loadLatency());
+        this.calibration = null; // CalibrationTest while one runs in the settings
+        this.flashLimiter = new FlashLimiter();
+        this.settings = loadSettings();
+        this.activeSettings = effectiveSettings(this.settings); // with safe mode applied
+        this._applySettings();
+        this.leaderboard = new LeaderboardClient();
 
         // State
         this.state = GameState.MENU;
@@ -39,9 +79,13 @@ export class Game {
         this.lastTimestamp = 0;
         this.isRunning = false;
         this.isTransitioning = false;
+        this.resumeCountdown = null; // {elapsed, interval, duration} while counting back in from a pause
 
-        // High Score Tracking
+        // High Score Tracking — song id is the audio fingerprint, not the file name
         this.currentSongId = null;
+        this.currentSongTitle = '';
+        this.recordId = null; // key for local records: song id + difficulty, or the chart hash for imported charts
+        this.difficultyId = loadDifficultyChoice(); // tier picked in the menu for the next song
         this.bestTime = 0;
         this.isNewBest = false;
 
@@ -77,17 +121,54 @@ export class Game {
         this.lastMelodyIndex = -1;
         this.melodyCooldown = 0;
 
-        // Direction change timer
-        this.dirChangeTimer = 0;
-        this.dirChangeInterval = 8; // seconds
+        // Replays
+        this.replayRecorder = new ReplayRecorder();
+        this.lastReplay = null;       // replay of the most recent run
+        this.pendingReplay = null;    // loaded from file, waiting for its song
+        this.replayPlayback = null;   // ReplayPlayback while watching
+        this.replayReturnScreen = 'gameover';
+
+        // Charts (.hexchart) — loaded from file or songs.json, waiting for their song
+        this.pendingChart = null;
+
+        // Practice mode: picked in the menu; `practice` holds the running session
+        this.practiceMode = false;
+        this.practice = null; // {start, end, rate, attempts, best}
+
+        // Continue: where the last run died (null if it didn't end in a death)
+        // and whether the current run was resumed after one
+        this._deathAudioTime = null;
+        this.continued = false;
+
+        // Fixed-step simulation clock
+        this.simOrigin = 0; // audio time the current run (or replay) started at
+        this.simStep = 0;   // steps simulated since simOrigin
+        this.invulnerableUntil = -Infinity; // audio time; walls can't hit the player before it
 
         // Setup UI callbacks
         this.ui.onFileSelected = (file) => this._onFileSelected(file);
-        this.ui.onSongSelected = (url, title) => this._onSongFromLibrary(url, title);
+        this.ui.onSongSelected = (song) => this._onSongFromLibrary(song);
         this.ui.onYoutubeSelected = (url) => this._onSongFromYoutube(url);
         this.ui.onRetry = () => this._onRetry();
         this.ui.onNewSong = () => this._onNewSong();
         this.ui.onContinue = () => this._onContinue();
+        this.ui.onPause = () => this._pause();
+        this.ui.onResume = () => this._resume();
+        this.ui.onPracticeModeChanged = (enabled) => { this.practiceMode = enabled; };
+        this.ui.onPracticeStart = (options) => this._startPractice(options);
+        this.ui.onReplayFileSelected = (file) => this._onReplayFileSelected(file);
+        this.ui.onWatchReplay = () => this.lastReplay && this._startReplay(this.lastReplay, 'gameover');
+        this.ui.onSaveReplay = () => this._saveLastReplay();
+        this.ui.onReplaySeek = (time) => this._seekReplay(time);
+        this.ui.onReplaySpeed = (rate) => this.state === GameState.REPLAY && this.audio.setPlaybackRate(rate);
+        this.ui.onReplayExit = () => this._endReplay(false);
+        this.ui.onChartFileSelected = (file) => this._onChartFileSelected(file);
+        this.ui.onExportChart = () => this._exportChart();
+        this.ui.onDifficultySelected = (id) => {
+            this.difficultyId = id;
+            saveDifficultyChoice(id);
+        };
+        this.ui.setDifficulty(this.difficultyId);
 
         // Auth & Community UI Callbacks
         firebaseManager.onUserChanged((user) => {
@@ -112,12 +193,59 @@ export class Game {
 
         this.ui.onCommunityUpload = (file, title) => this._uploadCommunitySong(file, title);
 
-        // W key to continue
-        window.addEventListener('keydown', (e) => {
-            if ((e.key === 'w' || e.key === 'W') && this.state === GameState.GAME_OVER) {
-                this._onContinue();
-            }
+        // Settings: options, remappable controls and latency
+        this.ui.onSettingChanged = (key, value) => {
+            this.settings = updateSetting(this.settings, key, value);
+            saveSettings(this.settings);
+            this._applySettings();
+            this.ui.showSettings(this.settings, this.activeSettings);
+        };
+        this.ui.showSettings(this.settings, this.activeSettings);
+        this.ui.onOpenSettings = () => this._showSettings();
+        this.ui.onCloseSettings = () => this._closeSettings();
+        this.ui.onRebind = (action, device, slot) => this._rebind(action, device, slot);
+        this.ui.onResetBindings = () => {
+            this.input.resetBindings();
+            this.ui.showBindings(this.input.bindings);
+        };
+        this.ui.showBindings(this.input.bindings);
+        this.ui.onCalibrate = (kind) => this._startCalibration(kind);
+        this.ui.onCalibrationTap = (timeStamp) => this.calibration?.tap(timeStamp);
+        this.ui.onResetLatency = () => {
+            this._cancelCalibration();
+            this.audio.setLatency({ audio: null, visual: null });
+            saveLatency(this.audio.latency);
+            this.ui.showLatency(this.audio.latency, this.audio.reportedLatency);
+            this.ui.endCalibrationView('Latencia restablecida');
+        };
+
+        // Gameplay actions: continue after dying, pause and resume
+        this.input.on('continue', () => this._onContinue());
+        this.input.on('pause', () => {
+            if (this.state === GameState.PAUSED && !this.resumeCountdown) this._resume();
+            else this._pause();
+        });
+
+        // Menu actions: arrows / d-pad / stick move focus, gamepad A clicks, Esc / B goes back
+        const navigate = (direction) => (source) => {
+            if (this.state === GameState.PLAYING || this.state === GameState.REPLAY) return;
+            if (this.ui.navigate(direction)) source.preventDefault?.();
+        };
+        this.input.on('up', navigate('up'));
+        this.input.on('down', navigate('down'));
+        this.input.on('menuLeft', navigate('left'));
+        this.input.on('menuRight', navigate('right'));
+        this.input.on('confirm', () => {
+            if (this.calibration) this.calibration.tap(performance.now());
+            else if (this.state !== GameState.PLAYING && this.state !== GameState.REPLAY) this.ui.activate();
+        });
+        this.input.on('back', (source) => this._onBack(source));
+
+        // Leaving the tab or window pauses: the song would keep playing while frames stall
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this._pause();
         });
+        window.addEventListener('blur', () => this._pause());
 
         // Initial state
         this.ui.showScreen('menu');
@@ -126,6 +254,112 @@ export class Game {
         this._startRenderLoop();
     }
 
+    /**
+     * Esc / gamepad B outside of play
+     */
+    _onBack(source) {
+        if (this.ui.communityModal?.classList.contains('active')) {
+            this.ui.closeCommunityModal();
+        } else if (this.state === GameState.PAUSED) {
+            // A press that is also the pause binding has already toggled the pause
+            if (!this.resumeCountdown && !this.input.matches('pause', source)) this._resume();
+        } else if (this.state === GameState.REPLAY) {
+            this._endReplay(false);
+        } else if (this.state === GameState.SETTINGS) {
+            this._closeSettings();
+        } else if (this.state === GameState.PRACTICE_SETUP) {
+            this._onNewSong();
+        }
+    }
+
+    _showSettings() {
+        if (this.state !== GameState.MENU) return;
+        this.state = GameState.SETTINGS;
+        this.ui.showBindings(this.input.bindings);
+        this.ui.showLatency(this.audio.latency, this.audio.reportedLatency);
+        this.ui.showScreen('settings');
+    }
+
+    /**
+     * Push the current options to the systems they affect; safe to call any time
+     */
+    _applySettings() {
+        const settings = effectiveSettings(this.settings);
+        this.activeSettings = settings;
+        const quality = QUALITY_PRESETS[settings.quality];
+        this.audio.setVolumes(settings.musicVolume, settings.sfxVolume);
+        this.renderer.setQuality(quality);
+        this.renderer.setChromaticAberration(settings.chromaticAberration);
+        this.renderer.setReducedMotion(settings.reducedMotion);
+        this.renderer.setSteadyWallColor(settings.safeMode);
+        this.renderer.setColorScheme(settings.colorScheme);
+        this.renderer.setHighContrast(settings.highContrast);
+        this.walls.setStyle(this.renderer.getWallStyle());
+        this.flashLimiter.setEnabled(settings.flashLimiter, settings.safeMode);
+        this.renderer.setFlashScale(this.flashLimiter.scale);
+        this.particles.setBudget(quality.particles);
+        this.melodyParticles.setBudget(quality.particles);
+    }
+
+    _closeSettings() {
+        if (this.state !== GameState.SETTINGS) return;
+        this.input.cancelCapture();
+        this._cancelCalibration();
+        this.state = GameState.MENU;
+        this.ui.showScreen('menu');
+    }
+
+    /**
+     * Wait for the next key or gamepad button and bind it to a slot
+     */
+    async _rebind(action, device, slot) {
+        this.ui.showBindings(this.input.bindings);
+        this.ui.showBindingCapture(action, device, slot);
+        const value = await this.input.captureNext(device);
+        if (value !== undefined) this.input.setBinding(action, device, slot, value);
+        // Picking another slot cancels this capture; leave its marker alone
+        if (!this.input.capture) this.ui.showBindings(this.input.bindings);
+    }
+
+    /**
+     * Run the audio (metronome) or visual (flash) tap test and store the result
+     * @param {'audio'|'visual'} kind
+     */
+    async _startCalibration(kind) {
+        if (this.state !== GameState.SETTINGS) return;
+        this._cancelCalibration();
+        if (!this.audio.ctx) await this.audio.init();
+        await this.audio.ctx.resume();
+
+        const test = new CalibrationTest(kind, this.audio, {
+            onFlash: (on) => this.ui.setCalibrationFlash(on),
+            onProgress: (beat, total) => this.ui.showCalibrationProgress(beat, total),
+            onDone: (latency) => {
+                this.calibration = null;
+                this.audio.setLatency({ ...this.audio.latency, [kind]: latency });
+                saveLatency(this.audio.latency);
+                this.ui.showLatency(this.audio.latency, this.audio.reportedLatency);
+                const missing = this.audio.latency.audio === null ? 'de audio' : this.audio.latency.visual === null ? 'visual' : null;
+                this.ui.endCalibrationView(`${kind === 'audio' ? 'Audio' : 'Imagen'}: ${Math.round(latency * 1000)} ms guardado` +
+                    (missing ? `. Haz la prueba ${missing} para aplicarlo.` : ''));
+            },
+            onError: (error) => {
+                this.calibration = null;
+                this.ui.endCalibrationView(error.message, true);
+            }
+        });
+        this.calibration = test;
+        this.ui.startCalibrationView(kind);
+        test.start();
+    }
+
+    _cancelCalibration() {
+        if (!this.calibration) return;
+        this.calibration.cancel();
+        this.calibration = null;
+        this.ui.endCalibrationView('Elige una prueba');
+    }
+
     _startRenderLoop() {
         this.isRunning = true;
         this.lastTimestamp = performance.now();
@@ -138,16 +372,18 @@ export class Game {
         const dt = Math.min((timestamp - this.lastTimestamp) / 1000, 0.05); // cap dt
         this.lastTimestamp = timestamp;
 
+        this.input.poll();
         this._update(dt);
-        this._render();
+        this._render(dt);
 
         requestAnimationFrame((t) => this._loop(t));
     }
 
     _update(dt) {
-        if (this.state === GameState.PLAYING) {
+        if (this.state === GameState.PLAYING || this.state === GameState.REPLAY) {
+            const isReplay = this.state === GameState.REPLAY;
+            const currentAudioTime = this.audio.currentTime;
             this.gameTime += dt;
-            this.survivalTime += dt;
 
             // Update audio data
             this.audio.updateFrequencyData();
@@ -158,43 +394,47 @@ export class Game {
                 energy: this.audio.getOverallEnergy()
             };
 
-            // World rotation
-            this.dirChangeTimer += dt;
-            if (this.dirChangeTimer > this.dirChangeInterval) {
-                this.dirChangeTimer = 0;
-                this.worldRotationTarget = -this.worldRotationTarget;
-                this.dirChangeInterval = 5 + Math.random() * 10;
-            }
+            // World rotation follows the level's rotation events (flips and bursts on
+            // downbeats); a chart without any spins steadily at the tier's speed
+            this.worldRotationTarget = this.levelGen.getRotationAt(currentAudioTime)
+                ?? this.levelGen.difficulty.rotation.speed;
 
-            // Smooth rotation speed change
+            // Smooth rotation speed change, swelling with the analyzed bass
+            // (reduced motion: slower and steady)
+            const analyzedBass = this.audio.getEnergyAt(currentAudioTime).bass;
+            const swell = this.activeSettings.reducedMotion ? REDUCED_MOTION_ROTATION : 1 + analyzedBass * 0.5;
             this.worldRotationSpeed += (this.worldRotationTarget - this.worldRotationSpeed) * dt * 2;
-            this.worldRotation += this.worldRotationSpeed * dt * (1 + audioData.bass * 0.5);
+            this.worldRotation += this.worldRotationSpeed * dt * swell;
             this.worldRotationGroup.rotation.z = this.worldRotation;
 
-            // Level generation — spawn walls
-            const currentAudioTime = this.audio.currentTime;
-            const events = this.levelGen.getEventsForTime(currentAudioTime);
-
-            for (const event of events) {
-                const color = this.renderer.getWallColor();
-                this.walls.spawnPattern(event.gaps, {
-                    speed: event.speed,
-                    color,
-                    thickness: event.thickness
-                });
-            }
-
-            // Update systems
-            this.player.update(dt);
-            this.walls.update(dt, audioData);
+            // Simulation — catch up with the audio clock in fixed steps
+            const died = this._simulateUntil(currentAudioTime, isReplay);
+            this.survivalTime = this.simStep * SIM_STEP;
+
+            // Render between the last two steps
+            const simTime = this._simTime();
+            const alpha = Math.min(Math.max((currentAudioTime - simTime) / SIM_STEP, 0), 1);
+            this.player.render(alpha, dt);
+            // Blink while invulnerable
+            this.player.mesh.visible = simTime >= this.invulnerableUntil || Math.floor(this.gameTime * 12) % 2 === 0;
+            this.walls.render(simTime - SIM_STEP + alpha * SIM_STEP);
             this.particles.update(dt);
             this.melodyParticles.update(dt);
 
+            // Palette follows the level's cues (song sections; repeated sections share colors)
+            const paletteCue = this.levelGen.getCueAt('palette', currentAudioTime);
+            if (paletteCue) this.renderer.setPalette(paletteCue.palette);
+            this.renderer.setSides(this.levelGen.getSidesAt(currentAudioTime));
+            for (const cue of this.levelGen.getCuesForTime(currentAudioTime)) {
+                if (cue.type === 'camera') this.renderer.pulseCamera(cue.zoom, cue.tilt);
+                else if (cue.type === 'pulse') this.renderer.pulseArena(cue.scale);
+            }
+
             // Update wall colors — continuous RGB cycling
             this.walls.setColor(this.renderer.getWallColor());
 
             // Beat detection for particles
-            this._handleBeats(currentAudioTime, audioData);
+            this._handleBeats(currentAudioTime);
 
             // Melody detection for constellation particles
             this._handleMelody(currentAudioTime, audioData);
@@ -206,7 +446,7 @@ export class Game {
             }
 
             // Camera shake
-            if (this.shakeIntensity > 0) {
+            if (this.shakeIntensity > 0 && this.activeSettings.screenShake) {
                 this.renderer.camera.position.x = (Math.random() - 0.5) * this.shakeIntensity;
                 this.renderer.camera.position.y = (Math.random() - 0.5) * this.shakeIntensity;
             } else {
@@ -214,23 +454,42 @@ export class Game {
                 this.renderer.camera.position.y = 0;
             }
 
-            // Collision
-            if (this.walls.checkCollisions(this.player)) {
-                this._onGameOver();
-            }
-
             // Update HUD
-            this.ui.updateHUD(this.survivalTime, this.audio.bpm, this.bestTime);
+            const best = this.practice ? this.practice.best : this.bestTime;
+            this.ui.updateHUD(this.survivalTime, Math.round(this.audio.getBpmAt(currentAudioTime)), best);
 
             // Update renderer visual effects
             this.renderer.update(dt, this.gameTime, audioData, this.audio.freqData, this.audio.timeData);
 
-            // Check if song ended
-            if (currentAudioTime >= this.audio.duration - 0.5) {
+            if (isReplay) {
+                this.ui.updateReplayControls(simTime, this.replayPlayback.startTime);
+                if (this.simStep >= this.replayPlayback.totalSteps) {
+                    this._endReplay(true);
+                }
+            } else if (died) {
+                if (this.practice) this._onPracticeDeath();
+                else this._onGameOver();
+            } else if (this.practice && currentAudioTime >= this._practiceEnd()) {
+                // End of the loop (or of the song): straight back to the start
+                this._startPracticeRun();
+            } else if (currentAudioTime >= this.audio.duration - 0.5) {
+                // Check if song ended
                 this._onSongComplete();
             }
 
-        } else if (this.state === GameState.MENU) {
+        } else if (this.state === GameState.PAUSED) {
+            // Everything stays frozen; only the resume countdown runs
+            const countdown = this.resumeCountdown;
+            if (countdown) {
+                countdown.elapsed += dt;
+                if (countdown.elapsed >= countdown.duration) {
+                    this._finishResume();
+                } else {
+                    this.ui.showResumeCountdown(RESUME_BEATS - Math.floor(countdown.elapsed / countdown.interval));
+                }
+            }
+        } else if (this.state === GameState.MENU || this.state === GameState.PRACTICE_SETUP
+            || this.state === GameState.SETTINGS) {
             // Idle animation
             this.gameTime += dt;
             const idleAudio = { bass: 0, mid: 0, treble: 0, energy: 0 };
@@ -246,7 +505,82 @@ export class Game {
         }
     }
 
-    _handleBeats(currentAudioTime, audioData) {
+    _simTime() {
+        return this.simOrigin + this.simStep * SIM_STEP;
+    }
+
+    /**
+     * Run fixed simulation steps until the simulation reaches `targetTime`.
+     * A long frame just runs more steps, so thin walls can't tunnel past the player.
+     * @returns {boolean} true if the player hit a wall (simulation stops there)
+     */
+    _simulateUntil(targetTime, isReplay) {
+        while (this.simOrigin + (this.simStep + 1) * SIM_STEP <= targetTime) {
+            if (isReplay) {
+                if (this.simStep >= this.replayPlayback.totalSteps) break;
+                const input = this.replayPlayback.inputAtStep(this.simStep);
+                this.player.setInput(input.left, input.right);
+            } else {
+                this.player.setInput(this.input.isHeld('left'), this.input.isHeld('right'));
+                this.replayRecorder.sample(this.simStep, this.player.movingLeft, this.player.movingRight);
+            }
+
+            this.player.step(SIM_STEP);
+            this.simStep++;
+
+            const time = this._simTime();
+            this._spawnDueWalls(time);
+            this.walls.setTime(time);
+
+            if (!isReplay && time >= this.invulnerableUntil && this.walls.checkCollisions(this.player)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Put the level at an audio time: spawn and cue cursors, the exact walls
+     * in flight and beat tracking. Used by continue, practice and replays.
+     */
+    _seekLevel(time) {
+        this.walls.seek(time, this.levelGen.seek(time), this.renderer.getWallColor());
+        const nextBeat = this.audio.beatTimes.findIndex(b => b >= time);
+        this.lastBeatIndex = (nextBeat === -1 ? this.audio.beatTimes.length : nextBeat) - 1;
+    }
+
+    /**
+     * Time of the beat `beats` beats before the last one at or before `time`
+     */
+    _beatsBefore(time, beats) {
+        const beatTimes = this.audio.beatTimes;
+        let index = beatTimes.length - 1;
+        while (index >= 0 && beatTimes[index] > time) index--;
+        if (index < 0) return Math.max(0, time - beats * this.audio.getBeatIntervalAt(time));
+        return beatTimes[Math.max(0, index - beats)];
+    }
+
+    /**
+     * Level generation — spawn the walls whose spawnTime has been reached
+     */
+    _spawnDueWalls(time) {
+        for (const event of this.levelGen.getEventsForTime(time)) {
+            this.walls.spawnPattern(event.gaps, {
+                speed: event.speed,
+                color: this.renderer.getWallColor(),
+                thickness: event.thickness,
+                spawnTime: event.spawnTime,
+                sides: event.sides
+            });
+        }
+    }
+
+    /**
+     * Beat pulses. `currentAudioTime` is the calibrated game clock, so pulses
+     * land on the beat the player hears; the strength comes from the analysis
+     * at that beat, as the live analyser runs ahead of the speakers.
+     */
+    _handleBeats(currentAudioTime) {
         this.beatCooldown -= 1 / 60;
 
         // Find current beat
@@ -255,9 +589,9 @@ export class Game {
             if (Math.abs(currentAudioTime - beatTimes[i]) < 0.05) {
                 if (this.beatCooldown <= 0) {
                     // Beat hit!
-                    const intensity = audioData.bass;
+                    const intensity = this.audio.getEnergyAt(beatTimes[i]).bass;
                     this.particles.emitBeatPulse(intensity, this.renderer.getPrimaryColor());
-                    this.shakeIntensity = Math.max(this.shakeIntensity, intensity * 0.3);
+                    this.shakeIntensity = Math.max(this.shakeIntensity, intensity * 0.3 * this.flashLimiter.scale);
                     this.lastBeatIndex = i;
                     this.beatCooldown = 0.1;
                 }
@@ -291,18 +625,19 @@ export class Game {
         this.isTransitioning = true;
         this.state = GameState.GAME_OVER;
 
-        // Save audio position for continue
-        this._deathAudioTime = this.audio.currentTime;
+        // Save the simulation time of death for continue
+        this._deathAudioTime = this._simTime();
+        this._storeReplay(this.simStep, false);
 
         this.audio.fadeOut(0.8);
         this.audio.playExplosion();
 
         // High score check
-        if (this.survivalTime > this.bestTime) {
+        if (keepsRecord(this._runInfo()) && this.survivalTime > this.bestTime) {
             this.bestTime = this.survivalTime;
             this.isNewBest = true;
-            if (this.currentSongId) {
-                localStorage.setItem(`hexbeat_best_${this.currentSongId}`, this.bestTime.toString());
+            if (this.recordId) {
+                saveBestTime(this.recordId, this.bestTime);
             }
         }
 
@@ -317,11 +652,13 @@ export class Game {
         // Hide player
         this.player.mesh.visible = false;
 
+        this._submitRun(false);
+
         // Show game over after brief delay
         setTimeout(() => {
             // isVictory = false
             this.isTransitioning = false;
-            this.ui.showGameOver(this.survivalTime, this.bestTime, this.isNewBest, false);
+            this.ui.showGameOver(this.survivalTime, this.bestTime, this.isNewBest, false, this.levelGen.seed, this.levelGen.difficulty.label);
         }, 800);
     }
 
@@ -330,17 +667,21 @@ export class Game {
         this.isTransitioning = true;
         // Player survived the whole song!
         this.state = GameState.GAME_OVER;
+        this._deathAudioTime = null;
+        this._storeReplay(this.simStep, true);
         this.audio.stop();
 
         // High score check
-        if (this.survivalTime > this.bestTime) {
+        if (keepsRecord(this._runInfo()) && this.survivalTime > this.bestTime) {
             this.bestTime = this.survivalTime;
             this.isNewBest = true;
-            if (this.currentSongId) {
-                localStorage.setItem(`hexbeat_best_${this.currentSongId}`, this.bestTime.toString());
+            if (this.recordId) {
+                saveBestTime(this.recordId, this.bestTime);
             }
         }
 
+        this._submitRun(true);
+
         // Celebratory particles
         for (let i = 0; i < 5; i++) {
             setTimeout(() => {
@@ -351,29 +692,135 @@ export class Game {
         setTimeout(() => {
             // isVictory = true
             this.isTransitioning = false;
-            this.ui.showGameOver(this.survivalTime, this.bestTime, this.isNewBest, true);
+            this.ui.showGameOver(this.survivalTime, this.bestTime, this.isNewBest, true, this.levelGen.seed, this.levelGen.difficulty.label);
         }, 1200);
     }
 
-    async _onFileSelected(file) {
+    /**
+     * Start the world spinning the way the level begins, with no camera move pending
+     */
+    _resetWorldRotation() {
+        const speed = this.levelGen.getRotationAt(0) ?? this.levelGen.difficulty.rotation.speed;
+        this.worldRotation = 0;
+        this.worldRotationSpeed = speed;
+        this.worldRotationTarget = speed;
+        this.renderer.resetPulses();
+    }
+
+    /**
+     * The current run as runRules.js sees it
+     * @returns {import('./runRules.js').RunInfo}
+     */
+    _runInfo() {
+        return {
+            songId: this.currentSongId,
+            chart: !!this.levelGen.chart,
+            practice: !!this.practice,
+            continued: this.continued
+        };
+    }
+
+    /**
+     * Song id the current run is ranked under, or null when it's unranked
+     * (imported charts can be edited, continued runs didn't start from zero)
+     */
+    _rankedSongId() {
+        return rankedSongId(this._runInfo());
+    }
+
+    /**
+     * Send the finished run to the global leaderboard and show the song's top table
+     */
+    async _submitRun(isVictory) {
+        const songId = this.currentSongId;
+        const reason = unrankedReason(this._runInfo());
+        if (reason) {
+            this.ui.showLeaderboardMessage(reason);
+            return;
+        }
+        this.ui.showLeaderboardLoading();
+
+        await this.leaderboard.submitRun(this.survivalTime, isVictory);
+        const board = await this.leaderboard.fetchTop(songId, this.levelGen.difficulty.id);
+
+        // Ignore late answers if the player already moved on to another song
+        if (songId !== this.currentSongId) return;
+        this.ui.showLeaderboard(board, !!firebaseManager.currentUser);
+    }
+
+    /**
+     * @param {Blob} file
+     * @param {object} [sidecar] - the server's analysis of this song, see _fetchAnalysis()
+     */
+    async _onFileSelected(file, sidecar = null) {
         this.state = GameState.ANALYZING;
         this.ui.showScreen('loading');
 
-        // Setup high score tracking for this song
-        this.currentSongId = file.name;
-        this.bestTime = parseFloat(localStorage.getItem(`hexbeat_best_${this.currentSongId}`)) || 0;
+        this.currentSongId = null;
+        this.recordId = null;
         this.isNewBest = false;
 
         try {
-            await this.audio.loadFile(file, (msg, pct) => {
+            const cached = await this.audio.loadFile(file, (msg, pct) => {
                 this.ui.updateLoading(msg, pct);
-            });
+            }, sidecar);
+
+            this.currentSongId = this.audio.fingerprint;
+            this.currentSongTitle = file.name.replace(/\.[^.]+$/, '');
+
+            const chart = this.pendingChart;
+            this.pendingChart = null;
+            if (chart) {
+                if (chart.songId !== this.currentSongId) {
+                    this.ui.showChartStatus('Este chart es de otra canción.', true);
+                    this.state = GameState.MENU;
+                    this.ui.showScreen('menu');
+                    return;
+                }
+                this.ui.showChartStatus('');
+                this.levelGen.loadChart(chart);
+                this.audio.applyTempoMap(chart.tempo);
+                this.recordId = `${this.currentSongId}:chart-${formatSeed(this.levelGen.seed)}`;
+                this.bestTime = loadBestTime(this.recordId);
+            } else {
+                // Generate level — seeded from the audio so every load builds the same walls.
+                // A replay waiting for this song brings its own difficulty.
+                const difficulty = this.pendingReplay?.difficulty ?? this.difficultyId;
+                const seed = deriveLevelSeed(this.currentSongId, difficulty);
+                if (!cached || !this._loadCachedLevel(sidecar, seed, difficulty)) {
+                    this.ui.updateLoading('Generando nivel...', 95);
+                    this.levelGen.generate(this.audio, seed, difficulty);
+                }
 
-            // Generate level
-            this.levelGen.generate(this.audio);
+                // High score tracking per song and difficulty. Normal inherits the
+                // records from before tiers (bare fingerprint) and before
+                // fingerprints (file name).
+                this.recordId = songRecordId(this.currentSongId, difficulty);
+                this.bestTime = difficulty === DEFAULT_DIFFICULTY
+                    ? loadBestTime(this.recordId, this.currentSongId, fileRecordId(file.name))
+                    : loadBestTime(this.recordId);
+            }
+            this.lastReplay = null;
+            this.ui.setReplayAvailable(false);
+
+            // A replay loaded from the menu was waiting for this song
+            if (this.pendingReplay) {
+                const replay = this.pendingReplay;
+                this.pendingReplay = null;
+                const problem = this._replayMismatch(replay);
+                if (problem) {
+                    this.ui.showReplayStatus(problem, true);
+                    this.state = GameState.MENU;
+                    this.ui.showScreen('menu');
+                    return;
+                }
+                this.ui.showReplayStatus('');
+                setTimeout(() => this._startReplay(replay, 'menu'), 500);
+                return;
+            }
 
-            // Start game after short delay
-            setTimeout(() => this._startGame(), 500);
+            // Start game (or practice setup) after short delay
+            setTimeout(() => this.practiceMode ? this._showPracticeSetup() : this._startGame(), 500);
         } catch (error) {
             console.error('Error loading audio:', error);
             this.ui.updateLoading('Error al cargar el audio. Intenta con otro archivo.', 0);
@@ -384,17 +831,70 @@ export class Game {
         }
     }
 
-    async _onSongFromLibrary(url, title) {
+    /**
+     * Level the server generated with its analysis of this song, if it is the
+     * one generate() would build here (same seed and generator version)
+     * @returns {boolean} whether it was loaded
+     */
+    _loadCachedLevel(sidecar, seed, difficulty) {
+        const chart = sidecar.charts?.[difficulty];
+        if (sidecar.generatorVersion !== GENERATOR_VERSION || chart?.seed !== seed) return false;
+        try {
+            this.levelGen.loadGenerated(validateChart(chart));
+            return true;
+        } catch (error) {
+            console.warn('Cached level not usable, generating it here:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * The server's analysis of a library song (see server/songAnalysis.js), or
+     * null when it isn't ready or there is no server: the song is then analysed here
+     */
+    async _fetchAnalysis(url) {
+        try {
+            const response = await fetch(url);
+            if (response.status !== 200) return null; // 202 while the server builds it
+            return await response.json();
+        } catch (error) {
+            console.warn('Could not load the song analysis, analysing here:', error);
+            return null;
+        }
+    }
+
+    /**
+     * @param {object} song - entry of GET /api/songs
+     */
+    async _onSongFromLibrary(song) {
+        const { title, audioUrl, chartUrl, analysisUrl } = song;
         this.state = GameState.ANALYZING;
         this.ui.showScreen('loading');
         this.ui.updateLoading(`Cargando ${title}...`, 5);
 
+        // Downloads alongside the audio
+        const analysis = analysisUrl ? this._fetchAnalysis(analysisUrl) : Promise.resolve(null);
+
+        // A chart picked from the menu wins over the one listed in songs.json
+        if (chartUrl && !this.pendingChart) {
+            try {
+                const response = await fetch(chartUrl);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                this.pendingChart = parseChart(await response.text());
+            } catch (error) {
+                console.warn('Could not load song chart, using the generated level:', error);
+                this.ui.showChartStatus(`Chart de la biblioteca no válido; se usa el nivel generado. ${error.message}`, true);
+            }
+        }
+
         try {
-            const response = await fetch(url);
+            const response = await fetch(audioUrl);
             if (!response.ok) throw new Error(`HTTP ${response.status}`);
             const blob = await response.blob();
             const file = new File([blob], title, { type: blob.type });
-            await this._onFileSelected(file);
+            // The play counter is only for the song list's ranking; losing one doesn't matter
+            fetch(`/api/songs/${encodeURIComponent(song.id)}/plays`, { method: 'POST' }).catch(() => {});
+            await this._onFileSelected(file, await analysis);
         } catch (error) {
             console.error('Error loading song:', error);
             this.ui.updateLoading('Error al cargar la canción.', 0);
@@ -450,15 +950,19 @@ export class Game {
 
     _startGame() {
         this.state = GameState.PLAYING;
+        this.resumeCountdown = null;
+        this.practice = null;
+        this.continued = false;
+        this._deathAudioTime = null;
         this.gameTime = 0;
         this.survivalTime = 0;
         this.isNewBest = false;
 
         // Recalculate best time just in case it was updated in a previous run
-        if (this.currentSongId) {
+        if (this.recordId) {
             this.bestTime = Math.max(
                 this.bestTime,
-                parseFloat(localStorage.getItem(`hexbeat_best_${this.currentSongId}`)) || 0
+                loadBestTime(this.recordId)
             );
         }
 
@@ -466,10 +970,7 @@ export class Game {
         this.beatCooldown = 0;
         this.lastMelodyIndex = -1;
         this.melodyCooldown = 0;
-        this.worldRotation = 0;
-        this.worldRotationSpeed = 0.3;
-        this.worldRotationTarget = 0.3;
-        this.dirChangeTimer = 0;
+        this._resetWorldRotation();
         this.shakeIntensity = 0;
 
         this.player.reset();
@@ -478,30 +979,174 @@ export class Game {
         this.particles.clear();
         this.melodyParticles.clear();
         this.levelGen.reset();
+        this.invulnerableUntil = -Infinity;
 
         this.renderer.camera.position.x = 0;
         this.renderer.camera.position.y = 0;
         this.worldRotationGroup.rotation.z = 0;
 
         this.audio.restart();
+        this.leaderboard.startRun(this._rankedSongId(), this.levelGen.difficulty.id);
+        this._startRecording(0);
+        this.ui.setHudDifficulty(this.levelGen.difficulty.label);
         this.ui.showScreen('hud');
     }
 
     _onRetry() {
-        this._startGame();
+        if (this.practice) this._startPracticeRun();
+        else this._startGame();
+    }
+
+    // --- Practice ---
+
+    _showPracticeSetup() {
+        this.state = GameState.PRACTICE_SETUP;
+        this.ui.showPracticeSetup(this.currentSongTitle, {
+            duration: this.audio.duration,
+            energyMap: this.audio.energyMap,
+            frameHop: this.audio.frameHop,
+            sections: this.audio.sections,
+            downbeats: this.audio.downbeats
+        });
+    }
+
+    /**
+     * @param {{start: number, end: number|null, rate: number}} options
+     *   end null: play on to the song's end; rate: song speed (walls and turning follow it)
+     */
+    _startPractice({ start, end, rate }) {
+        this.practice = { start, end, rate, attempts: 0, best: 0 };
+        this._startPracticeRun();
+    }
+
+    _practiceEnd() {
+        return Math.min(this.practice.end ?? Infinity, this.audio.duration - 0.5);
+    }
+
+    /**
+     * One attempt from the practice start. Unranked and unrecorded: no
+     * leaderboard run, no replay, no local record.
+     */
+    _startPracticeRun() {
+        const practice = this.practice;
+        const start = practice.start;
+        practice.attempts++;
+
+        this.state = GameState.PLAYING;
+        this.continued = false;
+        this._deathAudioTime = null;
+        this.isTransitioning = false;
+        this.resumeCountdown = null;
+        this.survivalTime = 0;
+        this.isNewBest = false;
+        this.lastMelodyIndex = -1;
+        this.melodyCooldown = 0;
+        this.beatCooldown = 0;
+        this._resetWorldRotation();
+        this.shakeIntensity = 0;
+
+        this.player.reset();
+        this.player.mesh.visible = true;
+        this.walls.clear();
+        this.particles.clear();
+        this.melodyParticles.clear();
+        this.renderer.camera.position.x = 0;
+        this.renderer.camera.position.y = 0;
+
+        // Walls already on their way keep coming; a moment of invulnerability to find the way
+        this._seekLevel(start);
+        this.invulnerableUntil = start + INVULNERABLE_BEATS * this.audio.getBeatIntervalAt(start);
+
+        // Everything runs on audio time, so a slower song slows walls and turning alike
+        this.audio.stop();
+        this.audio.seek(start);
+        this.audio.setPlaybackRate(practice.rate);
+        this.audio.play();
+
+        this.leaderboard.cancelRun();
+        this.replayRecorder.cancel();
+        this.simOrigin = start;
+        this.simStep = 0;
+
+        const speed = practice.rate === 1 ? '' : ` ${Math.round(practice.rate * 100)}%`;
+        this.ui.setHudDifficulty(`${this.levelGen.difficulty.label} · PRÁCTICA${speed} · INTENTO ${practice.attempts}`);
+        this.ui.showScreen('hud');
+    }
+
+    _onPracticeDeath() {
+        this.isTransitioning = true;
+        this.state = GameState.GAME_OVER;
+        this.practice.best = Math.max(this.practice.best, this.survivalTime);
+
+        this.audio.fadeOut(0.4);
+        this.audio.playExplosion();
+        const playerWorldPos = new THREE.Vector3();
+        this.player.mesh.getWorldPosition(playerWorldPos);
+        this.particles.emitExplosion(playerWorldPos.x, playerWorldPos.y);
+        this.shakeIntensity = 2;
+        this.player.mesh.visible = false;
+
+        // Straight into the next attempt, unless the player left practice meanwhile
+        const practice = this.practice;
+        setTimeout(() => {
+            if (this.practice === practice && this.state === GameState.GAME_OVER) this._startPracticeRun();
+        }, 800);
+    }
+
+    // --- Pause ---
+
+    /**
+     * Freeze the run: the song stops where it is and walls, rotation and the
+     * simulation clock stop with it. Also cancels a resume countdown.
+     */
+    _pause() {
+        if (this.state === GameState.PAUSED) {
+            if (this.resumeCountdown) {
+                this.resumeCountdown = null;
+                this.ui.showPause();
+            }
+            return;
+        }
+        if (this.state !== GameState.PLAYING || this.isTransitioning) return;
+
+        this.state = GameState.PAUSED;
+        this.resumeCountdown = null;
+        this.audio.pause();
+        // Nothing stays held over the pause; input is read again from the next step
+        this.player.setInput(false, false);
+        this.ui.showPause();
+    }
+
+    /**
+     * Count back in on the song's local beat. The music restarts early enough
+     * that its next beat falls where the count would go on, so play resumes
+     * in time with it.
+     */
+    _resume() {
+        if (this.state !== GameState.PAUSED || this.resumeCountdown) return;
+
+        this.resumeCountdown = { elapsed: 0, ...this.audio.countInAt(this.audio.currentTime, RESUME_BEATS) };
+        this.ui.showResumeCountdown(RESUME_BEATS);
+    }
+
+    _finishResume() {
+        this.resumeCountdown = null;
+        this.state = GameState.PLAYING;
+        this.ui.hidePause();
+        this.audio.play();
     }
 
     _onContinue() {
         if (this.state !== GameState.GAME_OVER || this.isTransitioning) return;
+        if (!canContinue(this._runInfo(), this._deathAudioTime)) return;
 
         this.state = GameState.PLAYING;
+        this.continued = true;
 
         // Reset the score counter to 0, but leave gameTime and song alone
         this.survivalTime = 0;
         this.isNewBest = false;
 
-        // Clear all current walls so player doesn't instantly die again
-        this.walls.clear();
         this.particles.clear();
         this.melodyParticles.clear();
         this.shakeIntensity = 0;
@@ -510,9 +1155,18 @@ export class Game {
         this.player.mesh.visible = true;
         this.player.reset();
 
-        // Resume audio from where we died
-        this.audio.pauseOffset = this._deathAudioTime || 0;
+        // Rewind a few beats before the death with the walls that were in flight
+        // then, and a short invulnerability window to get back into it
+        const resumeTime = this._beatsBefore(this._deathAudioTime, CONTINUE_REWIND_BEATS);
+        this._deathAudioTime = null;
+        this._seekLevel(resumeTime);
+        this.invulnerableUntil = resumeTime + INVULNERABLE_BEATS * this.audio.getBeatIntervalAt(resumeTime);
+
+        this.audio.pauseOffset = resumeTime;
         this.audio.play();
+        // Unranked from here on: no leaderboard ticket, no local record
+        this.leaderboard.startRun(null, this.levelGen.difficulty.id);
+        this._startRecording(this.audio.pauseOffset);
 
         this.renderer.camera.position.x = 0;
         this.renderer.camera.position.y = 0;
@@ -522,20 +1176,213 @@ export class Game {
 
     _onNewSong() {
         this.state = GameState.MENU;
+        this.resumeCountdown = null;
+        this.practice = null;
+        this._deathAudioTime = null;
+        this.isTransitioning = false;
         this.audio.stop();
+        this.leaderboard.cancelRun();
         this.player.reset();
         this.player.mesh.visible = true;
         this.walls.clear();
         this.particles.clear();
         this.melodyParticles.clear();
         this.worldRotationGroup.rotation.z = 0;
+        this.renderer.resetPulses();
         this.audioInput?.value && (this.audioInput.value = '');
         this.ui.showScreen('menu');
     }
 
-    _render() {
+    // --- Replays ---
+    _startRecording(startTime) {
+        this.simOrigin = startTime;
+        this.simStep = 0;
+        this.replayRecorder.start({
+            songId: this.currentSongId,
+            seed: this.levelGen.seed,
+            difficulty: this.levelGen.difficulty.id,
+            startTime,
+            stepRate: SIM_RATE,
+            startAngle: this.player.angle,
+            moveSpeed: this.player.moveSpeed
+        });
+    }
+
+    _storeReplay(steps, victory) {
+        const replay = this.replayRecorder.finish(steps, victory);
+        if (replay) {
+            this.lastReplay = replay;
+            this.ui.setReplayAvailable(true);
+        }
+    }
+
+    _saveLastReplay() {
+        if (!this.lastReplay) return;
+        const duration = (this.lastReplay.endTime - this.lastReplay.startTime).toFixed(2);
+        const name = `hexbeat-${this.lastReplay.songId.slice(-8)}-${duration}s${REPLAY_EXTENSION}`;
+        this.ui.downloadFile(name, serializeReplay(this.lastReplay));
+    }
+
+    /**
+     * @returns {string|null} why the replay can't be played on the loaded level
+     */
+    _replayMismatch(replay) {
+        if (replay.songId !== this.currentSongId) {
+            return 'Este replay es de otra canción.';
+        }
+        if (replay.difficulty !== this.levelGen.difficulty.id) {
+            return `Este replay se jugó en ${getDifficulty(replay.difficulty).label}: elige esa dificultad y vuelve a cargar la canción.`;
+        }
+        if (replay.seed !== this.levelGen.seed) {
+            return 'Este replay se grabó con otra versión del generador de niveles.';
+        }
+        return null;
+    }
+
+    async _onChartFileSelected(file) {
+        try {
+            const chart = parseChart(await file.text());
+            this.pendingChart = chart;
+            const name = chart.title ? ` «${chart.title}»` : '';
+            const { passable, failTime } = solveLevel(chart.events);
+            const warning = passable ? '' : ` Aviso: a los ${failTime.toFixed(2)}s no hay forma de pasar.`;
+            this.ui.showChartStatus(`Chart${name} cargado.${warning} Ahora elige su canción.`);
+        } catch (error) {
+            console.error('Error loading chart:', error);
+            this.pendingChart = null;
+            this.ui.showChartStatus(error instanceof ChartError ? error.message : 'No se pudo leer el chart.', true);
+        }
+    }
+
+    _exportChart() {
+        if (!this.currentSongId) return;
+        const chart = buildChart({
+            songId: this.currentSongId,
+            title: this.levelGen.chart?.title || this.currentSongTitle,
+            audio: this.audio,
+            levelGen: this.levelGen
+        });
+        const slug = (chart.title || 'hexbeat').replace(/[^\w-]+/g, '_').slice(0, 40);
+        this.ui.downloadFile(`${slug}-${formatSeed(this.levelGen.seed)}${CHART_EXTENSION}`, serializeChart(chart));
+    }
+
+    async _onReplayFileSelected(file) {
+        try {
+            const replay = parseReplay(await file.text());
+
+            // Song already loaded (e.g. back from a game over) — play right away
+            if (this.audio.buffer && replay.songId === this.currentSongId) {
+                const problem = this._replayMismatch(replay);
+                if (problem) throw new ReplayError(problem);
+                this.ui.showReplayStatus('');
+                this._startReplay(replay, 'menu');
+                return;
+            }
+
+            this.pendingReplay = replay;
+            this.ui.showReplayStatus('Replay cargado. Ahora elige su canción.');
+        } catch (error) {
+            console.error('Error loading replay:', error);
+            this.pendingReplay = null;
+            this.ui.showReplayStatus(error instanceof ReplayError ? error.message : 'No se pudo leer el replay.', true);
+        }
+    }
+
+    _startReplay(replay, returnScreen) {
+        if (this.isTransitioning) return;
+
+        this.state = GameState.REPLAY;
+        this.replayPlayback = new ReplayPlayback(replay);
+        this.replayReturnScreen = returnScreen;
+
+        this.gameTime = 0;
+        this.beatCooldown = 0;
+        this.melodyCooldown = 0;
+        this._resetWorldRotation();
+        this.shakeIntensity = 0;
+
+        this.player.reset();
+        this.player.mesh.visible = true;
+        this.particles.clear();
+        this.melodyParticles.clear();
+
+        this.audio.stop();
+        this.invulnerableUntil = -Infinity;
+        this._seekReplay(replay.startTime);
+        this.audio.play();
+
+        this.ui.showReplayControls(this.replayPlayback.startTime, this.replayPlayback.endTime);
+        this.ui.setHudDifficulty(this.levelGen.difficulty.label);
+        this.ui.showScreen('hud');
+    }
+
+    /**
+     * Jump the replay to an audio time: walls in flight, player angle and
+     * input are all rebuilt for that instant.
+     */
+    _seekReplay(time) {
+        const playback = this.replayPlayback;
+        if (this.state !== GameState.REPLAY || !playback) return;
+
+        const step = Math.round((time - playback.startTime) / SIM_STEP);
+        this.simOrigin = playback.startTime;
+        this.simStep = Math.max(0, Math.min(step, playback.totalSteps));
+        const simTime = this._simTime();
+
+        this.audio.seek(simTime);
+        this._seekLevel(simTime);
+
+        const input = playback.inputAtStep(this.simStep);
+        this.player.angle = playback.angleAtStep(this.simStep);
+        this.player.prevAngle = this.player.angle;
+        this.player.setInput(input.left, input.right);
+    }
+
+    /**
+     * @param {boolean} reachedEnd - true when playback reached the end of the run
+     */
+    _endReplay(reachedEnd) {
+        if (this.state !== GameState.REPLAY || this.isTransitioning) return;
+        const replay = this.replayPlayback.replay;
+
+        this.state = GameState.GAME_OVER;
+        this.ui.hideReplayControls();
+        this.player.setInput(false, false);
+
+        const finish = () => {
+            this.isTransitioning = false;
+            this.audio.stop();
+            this.walls.clear();
+            this.replayPlayback = null;
+            if (this.replayReturnScreen === 'menu') {
+                this.state = GameState.MENU;
+                this.ui.showScreen('menu');
+            } else {
+                this.ui.showScreen('gameover');
+            }
+        };
+
+        if (reachedEnd && !replay.victory) {
+            // Replay the death
+            this.isTransitioning = true;
+            this.audio.fadeOut(0.8);
+            this.audio.playExplosion();
+            const playerWorldPos = new THREE.Vector3();
+            this.player.mesh.getWorldPosition(playerWorldPos);
+            this.particles.emitExplosion(playerWorldPos.x, playerWorldPos.y);
+            this.shakeIntensity = 2;
+            this.player.mesh.visible = false;
+            setTimeout(finish, 800);
+        } else {
+            finish();
+        }
+    }
+
+    _render(dt) {
         this.renderer.render();
-    } // end of class
+        // Photosensitivity: measure the frame just drawn, damp the next ones if it flashes
+        this.renderer.setFlashScale(this.flashLimiter.measure(this.renderer.renderer.domElement, dt));
+    }
 
     // --- Community Upload ---
     async _uploadCommunitySong(file, title) {
@@ -555,10 +1402,7 @@ export class Game {
             const formData = new FormData();
             formData.append('audioFile', file);
             formData.append('title', title);
-
-            // Añadir el nombre del usuario logeado como artista
-            const uploaderName = firebaseManager.currentUser.displayName || "Usuario Anónimo";
-            formData.append('artist', uploaderName);
+            // The artist name is taken server-side from the verified ID token
 
             const response = await fetch('/upload-community', {
                 method: 'POST',
@@ -576,7 +1420,7 @@ export class Game {
             // Success
             this.ui.closeCommunityModal();
             // Refresh community song list
-            await this.ui._loadSongLibrary();
+            await this.ui._loadCommunitySongs();
             alert("¡Canción publicada en la Comunidad con éxito!");
 
         } catch (error) {
@@ -0,0 +1,275 @@
+/**
+ * input.js — Keyboard, touch and gamepad input mapped to game actions
+ *
+ * Gameplay actions (left, right, continue, pause) have user bindings saved in
+ * localStorage: up to two keys and two gamepad buttons each. Menu actions
+ * (navigation, confirm, back) are fixed so the menus always stay reachable.
+ * The left stick steers and navigates alongside the bindings.
+ *
+ * Keys are stored as KeyboardEvent.code (layout independent), gamepad
+ * buttons as indices of the standard mapping.
+ */
+
+const STORAGE_KEY = 'hexbeat_bindings';
+const STICK_DEADZONE = 0.35;
+const MAX_SLOTS = 2;
+
+export const GAME_ACTIONS = ['left', 'right', 'continue', 'pause'];
+
+export const ACTION_LABELS = {
+    left: 'Girar a la izquierda',
+    right: 'Girar a la derecha',
+    continue: 'Continuar tras morir',
+    pause: 'Pausa'
+};
+
+export const DEFAULT_BINDINGS = {
+    left: { keys: ['ArrowLeft', 'KeyA'], buttons: [14, 4] },    // d-pad left, LB
+    right: { keys: ['ArrowRight', 'KeyD'], buttons: [15, 5] },  // d-pad right, RB
+    continue: { keys: ['KeyW'], buttons: [3] },                 // Y
+    pause: { keys: ['Escape', 'KeyP'], buttons: [9] }           // Start
+};
+
+// Menu actions: keyboard arrows navigate (Enter/Space already click the
+// focused button natively); on a gamepad the d-pad or stick navigates, A confirms, B goes back
+const MENU_KEYS = { ArrowUp: 'up', ArrowDown: 'down', ArrowLeft: 'menuLeft', ArrowRight: 'menuRight', Escape: 'back' };
+const MENU_BUTTONS = { 12: 'up', 13: 'down', 14: 'menuLeft', 15: 'menuRight', 0: 'confirm', 1: 'back' };
+
+const KEY_NAMES = {
+    ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓',
+    Space: 'Espacio', Escape: 'Esc', Enter: 'Intro', Backspace: 'Retroceso', Tab: 'Tab',
+    ShiftLeft: 'Mayús izq.', ShiftRight: 'Mayús der.', ControlLeft: 'Ctrl izq.', ControlRight: 'Ctrl der.',
+    AltLeft: 'Alt', AltRight: 'Alt Gr'
+};
+
+const BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Select', 'Start', 'L3', 'R3', '↑', '↓', '←', '→'];
+
+export function keyName(code) {
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    return code;
+}
+
+export function buttonName(index) {
+    return BUTTON_NAMES[index] ?? `Botón ${index}`;
+}
+
+function copyBindings(bindings) {
+    const copy = {};
+    for (const action of GAME_ACTIONS) {
+        copy[action] = { keys: [...bindings[action].keys], buttons: [...bindings[action].buttons] };
+    }
+    return copy;
+}
+
+/**
+ * Saved bindings, falling back to the defaults per action for anything
+ * missing or malformed
+ */
+export function loadBindings() {
+    const bindings = copyBindings(DEFAULT_BINDINGS);
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        for (const action of GAME_ACTIONS) {
+            const b = saved?.[action];
+            if (!b || !Array.isArray(b.keys) || !Array.isArray(b.buttons)) continue;
+            bindings[action] = {
+                keys: b.keys.filter(k => typeof k === 'string').slice(0, MAX_SLOTS),
+                buttons: b.buttons.filter(Number.isInteger).slice(0, MAX_SLOTS)
+            };
+        }
+    } catch (e) {
+        // Corrupt entry: keep the defaults
+    }
+    return bindings;
+}
+
+export function saveBindings(bindings) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+}
+
+export class InputManager {
+    constructor() {
+        this.bindings = loadBindings();
+        this.listeners = new Map(); // action -> [callback]
+
+        this.keysDown = new Set(); // KeyboardEvent.code
+        this.touchLeft = false;
+        this.touchRight = false;
+        this.padButtons = []; // pressed state per button, last poll
+        this.padStick = { x: 0, y: 0 };
+        this.capture = null; // {device: 'key'|'button', resolve} while rebinding
+
+        window.addEventListener('keydown', (e) => this._onKeyDown(e));
+        window.addEventListener('keyup', (e) => this.keysDown.delete(e.code));
+        // Keys released while the window is away never send keyup
+        window.addEventListener('blur', () => this.keysDown.clear());
+
+        // Touch: left or right half of the screen, except on buttons and fields
+        window.addEventListener('touchstart', (e) => {
+            if (e.target.closest?.('button, input, a, select, label, canvas:not(#game-canvas)')) return;
+            for (const touch of e.changedTouches) {
+                if (touch.clientX < window.innerWidth / 2) this.touchLeft = true;
+                else this.touchRight = true;
+            }
+        });
+        window.addEventListener('touchend', (e) => {
+            if (e.touches.length === 0) {
+                this.touchLeft = false;
+                this.touchRight = false;
+            }
+        });
+    }
+
+    /**
+     * Call `callback(source)` each time `action` is pressed (gameplay or menu
+     * action). `source` is the KeyboardEvent, `{button}` for a gamepad button
+     * or `{stick: true}` for the stick.
+     */
+    on(action, callback) {
+        if (!this.listeners.has(action)) this.listeners.set(action, []);
+        this.listeners.get(action).push(callback);
+    }
+
+    _emit(action, source) {
+        for (const callback of this.listeners.get(action) || []) callback(source);
+    }
+
+    /**
+     * Whether the press `source` is bound to a gameplay action
+     */
+    matches(action, source) {
+        if (source.code !== undefined) return this.bindings[action].keys.includes(source.code);
+        if (source.button !== undefined) return this.bindings[action].buttons.includes(source.button);
+        return false;
+    }
+
+    /**
+     * Whether a steering action is held on any device
+     */
+    isHeld(action) {
+        const binding = this.bindings[action];
+        if (binding.keys.some(code => this.keysDown.has(code))) return true;
+        if (binding.buttons.some(index => this.padButtons[index])) return true;
+        if (action === 'left') return this.touchLeft || this.padStick.x < -STICK_DEADZONE;
+        if (action === 'right') return this.touchRight || this.padStick.x > STICK_DEADZONE;
+        return false;
+    }
+
+    _onKeyDown(e) {
+        if (this.capture) {
+            // Esc cancels and Backspace / Delete clears the slot, for either device
+            e.preventDefault();
+            let value;
+            if (e.code === 'Escape') value = undefined;
+            else if (e.code === 'Backspace' || e.code === 'Delete') value = null;
+            else if (this.capture.device === 'key') value = e.code;
+            else return; // waiting for a gamepad button
+            const { resolve } = this.capture;
+            this.capture = null;
+            resolve(value);
+            return;
+        }
+
+        const repeat = e.repeat || this.keysDown.has(e.code);
+        this.keysDown.add(e.code);
+        if (repeat) return;
+
+        // Typing in a field never triggers actions
+        if (e.target.closest?.('input, textarea')) return;
+
+        for (const action of GAME_ACTIONS) {
+            if (this.bindings[action].keys.includes(e.code)) this._emit(action, e);
+        }
+        const menuAction = MENU_KEYS[e.code];
+        if (menuAction) this._emit(menuAction, e);
+    }
+
+    /**
+     * Read the gamepads; call once per frame. Emits presses for buttons that
+     * went down since the last poll, and for the stick leaving its deadzone.
+     */
+    poll() {
+        const pads = navigator.getGamepads ? [...navigator.getGamepads()].filter(Boolean) : [];
+        const buttons = [];
+        let x = 0, y = 0;
+        for (const pad of pads) {
+            pad.buttons.forEach((button, i) => { buttons[i] = buttons[i] || button.pressed; });
+            if (Math.abs(pad.axes[0] ?? 0) > Math.abs(x)) x = pad.axes[0];
+            if (Math.abs(pad.axes[1] ?? 0) > Math.abs(y)) y = pad.axes[1];
+        }
+
+        const pressed = [];
+        buttons.forEach((down, i) => { if (down && !this.padButtons[i]) pressed.push(i); });
+        const stick = { x: Math.abs(x) > STICK_DEADZONE ? x : 0, y: Math.abs(y) > STICK_DEADZONE ? y : 0 };
+        const stickMoved = {
+            menuLeft: stick.x < 0 && this.padStick.x >= 0,
+            menuRight: stick.x > 0 && this.padStick.x <= 0,
+            up: stick.y < 0 && this.padStick.y >= 0,
+            down: stick.y > 0 && this.padStick.y <= 0
+        };
+        this.padButtons = buttons;
+        this.padStick = stick;
+
+        if (this.capture?.device === 'button') {
+            if (pressed.length > 0) {
+                const { resolve } = this.capture;
+                this.capture = null;
+                resolve(pressed[0]);
+            }
+            return;
+        }
+
+        for (const index of pressed) {
+            const source = { button: index };
+            for (const action of GAME_ACTIONS) {
+                if (this.bindings[action].buttons.includes(index)) this._emit(action, source);
+            }
+            if (MENU_BUTTONS[index]) this._emit(MENU_BUTTONS[index], source);
+        }
+        for (const [action, moved] of Object.entries(stickMoved)) {
+            if (moved) this._emit(action, { stick: true });
+        }
+    }
+
+    /**
+     * Wait for the next key or gamepad button to bind.
+     * @param {'key'|'button'} device
+     * @returns {Promise<string|number|null|undefined>} the key code or button
+     *   index, null to clear the slot, undefined when cancelled
+     */
+    captureNext(device) {
+        this.capture?.resolve(undefined);
+        return new Promise(resolve => { this.capture = { device, resolve }; });
+    }
+
+    cancelCapture() {
+        this.capture?.resolve(undefined);
+        this.capture = null;
+    }
+
+    /**
+     * Bind slot `slot` of an action's keys or buttons (null clears it). A key
+     * or button taken by another action is moved here.
+     */
+    setBinding(action, device, slot, value) {
+        const field = device === 'key' ? 'keys' : 'buttons';
+        if (value !== null) {
+            for (const other of GAME_ACTIONS) {
+                this.bindings[other][field] = this.bindings[other][field].filter(v => v !== value);
+            }
+        }
+        const list = this.bindings[action][field];
+        if (value === null) list.splice(slot, 1);
+        else if (slot < list.length) list[slot] = value;
+        else list.push(value);
+        this.bindings[action][field] = list.slice(0, MAX_SLOTS);
+        saveBindings(this.bindings);
+    }
+
+    resetBindings() {
+        this.bindings = copyBindings(DEFAULT_BINDINGS);
+        saveBindings(this.bindings);
+    }
+}
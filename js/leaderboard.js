@@ -0,0 +1,98 @@
+/**
+ * leaderboard.js — Client for the global leaderboard (runs go through server
+ * tickets, see server/leaderboard.js)
+ */
+import { firebaseManager } from './firebase.js';
+
+export const LEADERBOARD_SIZE = 10;
+
+export class LeaderboardClient {
+    constructor() {
+        this.runPromise = null; // resolves to runId (or null) for the run in progress
+    }
+
+    async _authHeaders() {
+        if (!firebaseManager.currentUser) return {};
+        const token = await firebaseManager.getAuthToken();
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+
+    /**
+     * Open a run ticket on the server. Call when the timer starts;
+     * does nothing for signed-out players.
+     * @param {string|null} songId - null for unranked runs
+     * @param {string} difficulty - tier id; every tier has its own board
+     */
+    startRun(songId, difficulty) {
+        this.runPromise = null;
+        if (!songId || !firebaseManager.currentUser) return;
+
+        this.runPromise = (async () => {
+            try {
+                const response = await fetch('/api/leaderboard/runs', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...(await this._authHeaders()) },
+                    body: JSON.stringify({ songId, difficulty })
+                });
+                if (!response.ok) return null;
+                return (await response.json()).runId;
+            } catch (e) {
+                console.warn('Could not start leaderboard run:', e);
+                return null;
+            }
+        })();
+    }
+
+    /** Drop the current ticket without submitting (e.g. back to menu) */
+    cancelRun() {
+        this.runPromise = null;
+    }
+
+    /**
+     * Close the current run with its survival time.
+     * @returns {Promise<{improved: boolean, rank: number}|null>}
+     */
+    async submitRun(time, victory) {
+        const runPromise = this.runPromise;
+        this.runPromise = null;
+        if (!runPromise) return null;
+
+        const runId = await runPromise;
+        if (!runId) return null;
+
+        try {
+            const response = await fetch(`/api/leaderboard/runs/${runId}/finish`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(await this._authHeaders()) },
+                body: JSON.stringify({ time, victory })
+            });
+            if (!response.ok) {
+                const errData = await response.json().catch(() => ({}));
+                console.warn('Leaderboard rejected run:', errData.error || response.status);
+                return null;
+            }
+            return await response.json();
+        } catch (e) {
+            console.warn('Could not submit leaderboard run:', e);
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Promise<{entries: Array<{name, time, victory, isMe}>, me: {rank, time}|null}|null>}
+     */
+    async fetchTop(songId, difficulty, limit = LEADERBOARD_SIZE) {
+        if (!songId) return null;
+        try {
+            const query = `difficulty=${encodeURIComponent(difficulty)}&limit=${limit}`;
+            const response = await fetch(`/api/leaderboard/${encodeURIComponent(songId)}?${query}`, {
+                headers: await this._authHeaders()
+            });
+            if (!response.ok) return null;
+            return await response.json();
+        } catch (e) {
+            console.warn('Could not load leaderboard:', e);
+            return null;
+        }
+    }
+}
@@ -1,185 +1,364 @@
 /**
  * levelGenerator.js — Procedural wall pattern generation from audio analysis
  */
+import { SeededRandom, hashString } from './random.js';
+import { getDifficulty, DEFAULT_DIFFICULTY } from './difficulty.js';
+import { patternRings, patternCandidates } from './patterns.js';
+import { repairLevel, solveLevel } from './levelValidator.js';
+import { DEFAULT_SIDES, WALL_SPAWN_RADIUS } from './collision.js';
 
-const TWO_PI = Math.PI * 2;
-const HEX_SIDES = 6;
+// Bump whenever generate() changes its output for the same input, so old seeds
+// (and the records tied to them) don't silently map to a different level.
+export const GENERATOR_VERSION = 7;
 
-// Pattern templates: arrays of gap indices (which sides are open)
-const PATTERNS = {
-    // Single gap
-    single: (side) => [side % HEX_SIDES],
+/**
+ * How each song section (see segmentStructure()) shapes the level:
+ *   family   — calm: wide openings; energy: patterns chosen by beat energy; spiral: spirals and tunnels
+ *   density  — fraction of beats that get a wall
+ *   speed    — wall speed multiplier
+ *   motif    — a later section of the same group repeats this one's pattern choices
+ *   subBeats — allow extra walls between beats
+ */
+const SECTION_STYLES = {
+    intro:     { family: 'calm',   density: 0.6, speed: 0.9, motif: false, subBeats: false },
+    verse:     { family: 'energy', density: 0.9, speed: 1.0, motif: true,  subBeats: false },
+    chorus:    { family: 'energy', density: 1.0, speed: 1.1, motif: true,  subBeats: true },
+    drop:      { family: 'spiral', density: 1.0, speed: 1.2, motif: true,  subBeats: true },
+    breakdown: { family: 'calm',   density: 0.5, speed: 0.85, motif: false, subBeats: false },
+    outro:     { family: 'calm',   density: 0.6, speed: 0.9, motif: false, subBeats: false },
+};
 
-    // Opposite gap (two gaps across from each other)
-    opposite: (side) => [side % HEX_SIDES, (side + 3) % HEX_SIDES],
+const round2 = (value) => Math.round(value * 100) / 100;
 
-    // Adjacent double gap
-    adjacent: (side) => [side % HEX_SIDES, (side + 1) % HEX_SIDES],
+/**
+ * Mean energy over [start, end), sampled across the bar
+ */
+function barEnergy(audioManager, start, end) {
+    const SAMPLES = 8;
+    const sum = { bass: 0, total: 0 };
+    for (let i = 0; i < SAMPLES; i++) {
+        const energy = audioManager.getEnergyAt(start + (end - start) * (i / SAMPLES));
+        sum.bass += energy.bass;
+        sum.total += energy.total;
+    }
+    return { bass: sum.bass / SAMPLES, total: sum.total / SAMPLES };
+}
 
-    // Triple gap (half open)
-    halfOpen: (side) => [side % HEX_SIDES, (side + 1) % HEX_SIDES, (side + 2) % HEX_SIDES],
+// Used when the song has no structure analysis
+const DEFAULT_SECTION = { label: 'verse', group: -1, intensity: 0.5 };
 
-    // Narrow: only one side open
-    narrow: (side) => [side % HEX_SIDES],
+// Shapes a section group can morph the arena into
+const MORPH_SIDES = [4, 5, 7, 8];
 
-    // Wide: three consecutive open
-    wide: (side) => [side % HEX_SIDES, (side + 1) % HEX_SIDES, (side + 2) % HEX_SIDES],
+// Rise in a bar's mean energy over the previous bar that counts as a lift
+// (rotation burst and camera zoom)
+const ENERGY_JUMP = 0.12;
+// Bars whose bass is in the song's loudest third (and at least this) pulse the arena
+const PULSE_MIN_BASS = 0.15;
 
-    // Alternating: every other side open
-    alternating: (side) => [side % HEX_SIDES, (side + 2) % HEX_SIDES, (side + 4) % HEX_SIDES],
-};
+/**
+ * Derive the level seed from the song fingerprint, the generator version and
+ * the difficulty tier (normal keeps the seeds it had before tiers existed)
+ * @param {string} fingerprint - see computeFingerprint()
+ * @param {string} [difficulty] - id from DIFFICULTIES
+ * @returns {number} unsigned 32-bit seed
+ */
+export function deriveLevelSeed(fingerprint, difficulty = DEFAULT_DIFFICULTY) {
+    const tier = difficulty === DEFAULT_DIFFICULTY ? '' : `:${difficulty}`;
+    return hashString(`${fingerprint}:v${GENERATOR_VERSION}${tier}`);
+}
+
+/**
+ * Time of a beat offset from beat `index`, following the tracked grid (fractional
+ * offsets split the local beat). Past the last beat the grid is extended at
+ * `interval` seconds per beat.
+ */
+function beatGridTime(beatTimes, index, offset, interval) {
+    const whole = Math.floor(offset);
+    const frac = offset - whole;
+    const i = index + whole;
+    if (i + 1 < beatTimes.length) return beatTimes[i] + (beatTimes[i + 1] - beatTimes[i]) * frac;
+    const last = beatTimes.length - 1;
+    return beatTimes[last] + (i - last + frac) * interval;
+}
+
+/**
+ * Open extra sides next to the existing gaps until there are `minGaps`
+ * (always leaving at least one side closed)
+ */
+function widenGaps(gaps, minGaps, sides) {
+    let side = gaps[gaps.length - 1];
+    while (gaps.length < Math.min(minGaps, sides - 1)) {
+        side = (side + 1) % sides;
+        if (!gaps.includes(side)) gaps.push(side);
+    }
+    return gaps;
+}
 
 export class LevelGenerator {
     constructor() {
         this.events = []; // [{time, gaps, speed, color, spawnTime}]
         this.currentEventIndex = 0;
 
-        // Difficulty params
-        this.baseSpeed = 6;
-        this.spawnRadius = 20; // must match WallSystem.spawnRadius
-        this.difficultyRamp = 0;
+        // Seeded PRNG — every random decision in generate() goes through this
+        this.seed = 0;
+        this.rng = new SeededRandom(0);
+
+        // Non-wall timeline, sorted by time (see chart.js for the format)
+        this.rotationEvents = []; // [{time, speed}] — world rotation speed from `time` on
+        // [{time, type, ...}]: palette and sides set state from `time` on (getCueAt),
+        // camera and pulse are one-shot effects handed out by getCuesForTime()
+        this.cues = [];
+        this.currentCueIndex = 0;
+
+        // Arena side count at the start of the level; 'sides' cues change it mid-song
+        this.sides = DEFAULT_SIDES;
+
+        // The chart this level was loaded from, null when generated
+        this.chart = null;
+
+        // Difficulty tier (see difficulty.js)
+        this.difficulty = getDifficulty(DEFAULT_DIFFICULTY);
+        this.spawnRadius = WALL_SPAWN_RADIUS;
+
+        // Passability check of the current events (see levelValidator.js)
+        this.validation = null;
     }
 
     /**
-     * Generate level events from audio analysis data
+     * Generate level events from audio analysis data.
+     * The same audio and seed always produce the same event list.
+     * @param {AudioManager} audioManager
+     * @param {number} [seed] - see deriveLevelSeed()
+     * @param {string} [difficulty] - tier id, see DIFFICULTIES
      */
-    generate(audioManager) {
+    generate(audioManager, seed = 0, difficulty = DEFAULT_DIFFICULTY) {
         this.events = [];
         this.currentEventIndex = 0;
+        this.currentCueIndex = 0;
+        this.chart = null;
+        this.rotationEvents = [];
+
+        this.seed = seed >>> 0;
+        this.rng = new SeededRandom(this.seed);
+        const rng = this.rng;
+        const tier = this.difficulty = getDifficulty(difficulty);
+
+        // Palette changes on section boundaries; repeated sections share colors
+        // and arena shape. The song opens on a hexagon, later groups may morph it.
+        this.sides = DEFAULT_SIDES;
+        this.cues = [];
+        const groupSides = new Map();
+        let arenaSides = DEFAULT_SIDES;
+        audioManager.sections.forEach((section, i) => {
+            this.cues.push({ time: section.start, type: 'palette', palette: section.group });
+            if (!groupSides.has(section.group)) {
+                const morph = i > 0 && rng.next() < tier.sideMorph;
+                groupSides.set(section.group, morph ? rng.pick(MORPH_SIDES) : DEFAULT_SIDES);
+            }
+            const sides = groupSides.get(section.group);
+            if (sides !== arenaSides) {
+                this.cues.push({ time: section.start, type: 'sides', sides });
+                arenaSides = sides;
+            }
+        });
+        const baseSpeed = tier.baseSpeed;
 
-        const bpm = audioManager.bpm;
-        const beatInterval = 60 / bpm;
         const duration = audioManager.duration;
 
         // Grace period: must be longer than max travel time so first wall doesn't appear instantly
-        const maxTravelTime = this.spawnRadius / (this.baseSpeed * 0.7);
+        const maxTravelTime = this.spawnRadius / (baseSpeed * 0.7);
         const gracePeriod = maxTravelTime + 2.0; // ~5.7 seconds grace
 
-        // Use a half-beat as minimum interval for walls
-        const minInterval = beatInterval * 0.5;
-        let lastEventTime = -minInterval;
+        let lastEventTime = -Infinity;
+        let restUntil = -Infinity; // breathing room after a multi-ring sequence
 
         let spiralDirection = 0;
         let patternPhase = 0;
         let lastGaps = null; // Track last pattern's gaps to ensure passability
-
-        // Walk through beats
-        for (const beatTime of audioManager.beatTimes) {
+        let lastSides = DEFAULT_SIDES;
+        let currentSection = -1;
+        let sectionPatternCount = 0;
+        const motifs = new Map(); // section group → {section, choices} of its first occurrence
+
+        // Walk through beats; each chosen pattern starts on a beat
+        const beatTimes = audioManager.beatTimes;
+        for (let beatIndex = 0; beatIndex < beatTimes.length; beatIndex++) {
+            const beatTime = beatTimes[beatIndex];
             if (beatTime < gracePeriod) continue; // Skip grace period
+            if (beatTime < restUntil) continue;
+
+            // Use a half-beat of the local tempo as minimum interval for walls
+            const beatInterval = audioManager.getBeatIntervalAt(beatTime);
+            const minInterval = beatInterval * 0.5;
             if (beatTime - lastEventTime < minInterval * 0.8) continue;
 
             // Get energy at this beat
             const energy = audioManager.getEnergyAt(beatTime);
 
-            // Calculate difficulty based on time
+            // Section drives the pattern family, density and speed
+            const sectionIndex = audioManager.getSectionIndexAt(beatTime);
+            const section = audioManager.sections[sectionIndex] || DEFAULT_SECTION;
+            const style = SECTION_STYLES[section.label];
+            if (sectionIndex !== currentSection) {
+                currentSection = sectionIndex;
+                sectionPatternCount = 0;
+            }
+
+            // Rings of another shape can't share gaps with this one's
+            const sides = this.getSidesAt(beatTime);
+            if (sides !== lastSides) {
+                lastSides = sides;
+                lastGaps = null;
+                patternPhase %= sides;
+                spiralDirection %= sides;
+            }
+
+            // Sparse sections skip some beats
+            if (this.events.length >= 5 && rng.next() > style.density * tier.density) continue;
+
+            // Difficulty follows the song's structure, with a mild ramp over time
             const timeFactor = Math.min(beatTime / duration, 1);
-            const difficulty = timeFactor;
+            const difficulty = Math.min(1, section.intensity * 0.7 + timeFactor * 0.3);
+            const ramp = (amount) => 1.0 + difficulty * amount * tier.speedRamp;
 
-            // Determine pattern based on energy and difficulty
-            let pattern;
-            let speed = this.baseSpeed;
+            // A section that sounds like an earlier one replays that section's motif
+            const motif = style.motif ? motifs.get(section.group) : null;
+            const isRepeat = motif && motif.section !== sectionIndex;
+
+            // Pick a pattern ({id, side, dir}) and its speed from section, energy and difficulty
+            let choice;
+            let speed = baseSpeed;
 
-            // First 5 events are always easy (wide gaps)
             if (this.events.length < 5) {
-                pattern = PATTERNS.halfOpen(patternPhase);
-                patternPhase = (patternPhase + 1) % HEX_SIDES;
-                speed = this.baseSpeed * 0.8;
-            } else if (energy.total > 0.8 && difficulty > 0.3) {
-                // High energy = harder patterns
-                const roll = Math.random();
-                if (roll < 0.3) {
-                    pattern = PATTERNS.narrow(spiralDirection);
-                    spiralDirection = (spiralDirection + 1) % HEX_SIDES;
-                } else if (roll < 0.6) {
-                    pattern = PATTERNS.single(Math.floor(Math.random() * HEX_SIDES));
-                } else {
-                    pattern = PATTERNS.opposite(Math.floor(Math.random() * HEX_SIDES));
-                }
-                speed = this.baseSpeed * (1.0 + difficulty * 0.8);
-            } else if (energy.total > 0.5) {
-                // Medium energy
-                const roll = Math.random();
-                if (roll < 0.4) {
-                    pattern = PATTERNS.opposite(patternPhase);
-                } else if (roll < 0.7) {
-                    pattern = PATTERNS.adjacent(patternPhase);
-                } else {
-                    pattern = PATTERNS.single(patternPhase);
-                }
-                patternPhase = (patternPhase + 1) % HEX_SIDES;
-                speed = this.baseSpeed * (1.0 + difficulty * 0.5);
-            } else if (energy.total > 0.2) {
-                // Low energy = easier
-                const roll = Math.random();
-                if (roll < 0.5) {
-                    pattern = PATTERNS.halfOpen(Math.floor(Math.random() * HEX_SIDES));
+                // First 5 walls are always easy (wide gaps)
+                choice = { id: 'halfOpen', side: patternPhase, dir: 1 };
+                patternPhase = (patternPhase + 1) % sides;
+                speed = baseSpeed * 0.8;
+            } else if (isRepeat) {
+                choice = motif.choices[sectionPatternCount % motif.choices.length];
+                speed = baseSpeed * ramp(0.5);
+            } else {
+                let mood;
+                if (style.family === 'calm') {
+                    // Breakdowns, intros and outros: wide openings only
+                    mood = 'calm';
+                    speed = baseSpeed * 0.8;
+                } else if (style.family === 'spiral') {
+                    // Drops: gaps walking around the hexagon
+                    mood = 'spiral';
+                    speed = baseSpeed * ramp(0.8);
+                } else if (energy.total > tier.energy.high && difficulty > 0.3) {
+                    mood = 'high';
+                    speed = baseSpeed * ramp(0.8);
+                } else if (energy.total > tier.energy.medium) {
+                    mood = 'medium';
+                    speed = baseSpeed * ramp(0.5);
+                } else if (energy.total > tier.energy.low) {
+                    mood = 'low';
+                    speed = baseSpeed * (0.8 + difficulty * 0.3 * tier.speedRamp);
                 } else {
-                    pattern = PATTERNS.wide(Math.floor(Math.random() * HEX_SIDES));
+                    // Very low energy — skip or very easy
+                    if (rng.next() < 0.5) continue;
+                    mood = 'calm';
+                    speed = baseSpeed * 0.7;
                 }
-                speed = this.baseSpeed * (0.8 + difficulty * 0.3);
-            } else {
-                // Very low energy — skip or very easy
-                if (Math.random() < 0.5) continue;
-                pattern = PATTERNS.alternating(Math.floor(Math.random() * HEX_SIDES));
-                speed = this.baseSpeed * 0.7;
+
+                // Harder sections unlock higher-rated patterns, up to the tier's limit
+                const maxRating = Math.max(1, Math.round(tier.maxRating * (0.5 + difficulty * 0.5)));
+                const pattern = rng.weighted(patternCandidates(mood, maxRating, beatInterval, sides), p => p.weight);
+                const side = mood === 'spiral' ? spiralDirection : rng.int(sides);
+                choice = { id: pattern.id, side, dir: rng.next() < 0.5 ? -1 : 1 };
             }
 
-            // CRITICAL: ensure consecutive patterns share at least one gap
-            // so overlapping walls are always passable
-            if (lastGaps !== null) {
-                const commonGaps = pattern.filter(g => lastGaps.includes(g));
-                if (commonGaps.length === 0) {
-                    // Force at least one shared gap with previous pattern
-                    const sharedGap = lastGaps[Math.floor(Math.random() * lastGaps.length)];
-                    if (!pattern.includes(sharedGap)) {
-                        pattern.push(sharedGap);
-                    }
-                }
+            if (style.motif && !isRepeat && this.events.length >= 5) {
+                if (!motifs.has(section.group)) motifs.set(section.group, { section: sectionIndex, choices: [] });
+                motifs.get(section.group).choices.push(choice);
             }
-            lastGaps = pattern;
+            sectionPatternCount++;
+            speed *= style.speed;
 
             // Add some speed variety on strong beats
             if (energy.bass > 0.7) {
                 speed *= 1.2;
             }
 
-            // Calculate when this wall should spawn so it arrives at beatTime
-            const travelTime = this.spawnRadius / speed;
-            const spawnTime = beatTime - travelTime;
-
-            this.events.push({
-                time: beatTime,
-                spawnTime: spawnTime,
-                gaps: pattern,
-                speed,
-                thickness: 0.3 + difficulty * 0.3
-            });
+            const thickness = tier.thickness.base + difficulty * tier.thickness.ramp;
+            const rings = patternRings(choice.id, choice.side, choice.dir, sides);
+            const shapeEnd = this._nextSidesChange(beatTime);
+
+            for (const ring of rings) {
+                const time = beatGridTime(beatTimes, beatIndex, ring.beat, beatInterval);
+                if (time > duration || time >= shapeEnd) break;
+                const gaps = ring.gaps;
+
+                // CRITICAL: ensure consecutive rings share at least one gap
+                // so overlapping walls are always passable
+                if (lastGaps !== null) {
+                    const commonGaps = gaps.filter(g => lastGaps.includes(g));
+                    if (commonGaps.length === 0) {
+                        // Force at least one shared gap with previous ring
+                        gaps.push(rng.pick(lastGaps));
+                    }
+                }
+                widenGaps(gaps, tier.minGaps, sides);
+                lastGaps = gaps;
+
+                // Calculate when this wall should spawn so it arrives on its beat
+                this.events.push({
+                    time,
+                    spawnTime: time - this.spawnRadius / speed,
+                    gaps,
+                    speed,
+                    thickness,
+                    sides
+                });
+                lastEventTime = time;
+            }
 
-            lastEventTime = beatTime;
+            // Keep the spiral walking on from where the last one ended
+            if (style.family === 'spiral') {
+                spiralDirection = (lastGaps[0] + 1) % sides;
+            }
+            if (rings.length > 1) restUntil = lastEventTime + beatInterval * 0.99;
         }
 
         // Add extra patterns between beats during high-energy sections
-        this._addSubBeatPatterns(audioManager, beatInterval);
+        this._addSubBeatPatterns(audioManager);
 
         // Recalculate spawn times after adding sub-beat patterns and re-sort
         this.events.sort((a, b) => a.spawnTime - b.spawnTime);
+
+        this._addStaging(audioManager);
+
+        // Last pass over the final list: open or drop walls no player could get past
+        this.validation = repairLevel(this.events);
+        this.events = this.validation.events;
     }
 
-    _addSubBeatPatterns(audioManager, beatInterval) {
+    _addSubBeatPatterns(audioManager) {
         const subEvents = [];
+        const tier = this.difficulty;
+        if (tier.subBeatEnergy === null) return;
 
         for (let i = 0; i < this.events.length - 1; i++) {
             const event = this.events[i];
             const nextEvent = this.events[i + 1];
             const gap = nextEvent.time - event.time;
+            if (nextEvent.sides !== event.sides) continue; // arena morphs in between
+
+            // Only busy sections get extra walls between beats
+            const section = audioManager.getSectionAt(event.time) || DEFAULT_SECTION;
+            if (!SECTION_STYLES[section.label].subBeats) continue;
 
             // If gap is larger than 1.5 beats and energy is high, add sub-beat
-            if (gap > beatInterval * 1.5) {
+            if (gap > audioManager.getBeatIntervalAt(event.time) * 1.5) {
                 const energy = audioManager.getEnergyAt(event.time + gap / 2);
-                if (energy.total > 0.6) {
+                if (energy.total > tier.subBeatEnergy) {
                     // Ensure sub-beat shares a gap with surrounding events
                     const sharedGap = event.gaps[0];
-                    const subGaps = PATTERNS.opposite(sharedGap);
+                    const subGaps = widenGaps(
+                        patternRings('opposite', sharedGap, 1, event.sides)[0].gaps, tier.minGaps, event.sides);
                     const speed = event.speed * 0.9;
                     const travelTime = this.spawnRadius / speed;
 
@@ -188,7 +367,8 @@ export class LevelGenerator {
                         spawnTime: event.time + gap / 2 - travelTime,
                         gaps: subGaps,
                         speed,
-                        thickness: 0.3
+                        thickness: tier.thickness.base,
+                        sides: event.sides
                     });
                 }
             }
@@ -198,6 +378,160 @@ export class LevelGenerator {
         this.events.sort((a, b) => a.spawnTime - b.spawnTime);
     }
 
+    /**
+     * Rotation changes, camera moves and arena pulses, all on downbeats:
+     * the direction flips every few bars and on new sections, energy lifts
+     * speed the spin up for a bar and zoom the camera, bass-heavy bars pulse
+     * the arena. Written into rotationEvents and cues like a chart's.
+     */
+    _addStaging(audioManager) {
+        const rng = this.rng;
+        const { speed, minInterval, maxInterval, burst } = this.difficulty.rotation;
+        const downbeats = audioManager.downbeats;
+        const bars = downbeats.map((time, i) => {
+            const end = downbeats[i + 1] ?? Math.min(time + 4 * audioManager.getBeatIntervalAt(time), audioManager.duration);
+            return { time, end, energy: barEnergy(audioManager, time, end) };
+        });
+        const bassLevels = bars.map(bar => bar.energy.bass).sort((a, b) => a - b);
+        const pulseBass = Math.max(PULSE_MIN_BASS, bassLevels[Math.floor(bassLevels.length * 2 / 3)] ?? Infinity);
+        const sectionStarts = new Set(audioManager.sections.slice(1).map(s => s.start));
+
+        let direction = 1;
+        let lastFlip = 0;
+        let burstUntil = -Infinity;
+        let tilt = 1; // camera tilt alternates sides on each new section
+        let prevEnergy = null;
+        let currentSpeed = speed;
+        this.rotationEvents = [{ time: 0, speed }];
+
+        for (const { time, end: barEnd, energy } of bars) {
+            const lift = prevEnergy !== null && energy.total - prevEnergy.total > ENERGY_JUMP;
+            prevEnergy = energy;
+
+            // A downbeat close after a section boundary stands in for it
+            const section = audioManager.sections[audioManager.getSectionIndexAt(time)];
+            const newSection = section && sectionStarts.has(section.start) && time - section.start < barEnd - time;
+            if (newSection) sectionStarts.delete(section.start);
+
+            const sinceFlip = time - lastFlip;
+            if ((newSection && sinceFlip >= minInterval / 2) ||
+                (sinceFlip >= minInterval && (sinceFlip >= maxInterval || rng.next() < 0.3))) {
+                direction = -direction;
+                lastFlip = time;
+            }
+            if (lift) burstUntil = barEnd;
+
+            const target = direction * speed * (time < burstUntil ? burst : 1);
+            if (target !== currentSpeed) {
+                this.rotationEvents.push({ time, speed: target });
+                currentSpeed = target;
+            }
+
+            if (newSection) {
+                const intensity = section.intensity ?? 0.5;
+                tilt = -tilt;
+                this.cues.push({ time, type: 'camera', zoom: round2(0.1 + intensity * 0.1), tilt: round2(tilt * (0.04 + intensity * 0.08)) });
+            } else if (lift) {
+                this.cues.push({ time, type: 'camera', zoom: round2(0.05 + (energy.total - ENERGY_JUMP) * 0.1), tilt: 0 });
+            }
+            if (energy.bass >= pulseBass) {
+                this.cues.push({ time, type: 'pulse', scale: round2(Math.min(0.4, 0.1 + energy.bass * 0.3)) });
+            }
+        }
+
+        this.cues.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Replace the level with a validated chart (see parseChart()).
+     * The seed becomes a hash of the chart's events so replays and records of
+     * a hand-edited chart never mix with the generated level's.
+     */
+    loadChart(chart) {
+        this._loadTimeline(chart);
+        this.chart = chart;
+        this.seed = hashString(JSON.stringify(chart.events));
+        this.rng = new SeededRandom(this.seed);
+
+        // Charts are played as written, even when the solver finds them impossible
+        this.validation = solveLevel(this.events);
+    }
+
+    /**
+     * Load a level generate() built elsewhere and exported as a chart (the
+     * server's analysis cache, see server/songAnalysis.js). Unlike loadChart()
+     * it counts as the generated level: it keeps its seed, records and ranking.
+     * The caller checks it matches this song, difficulty and GENERATOR_VERSION.
+     */
+    loadGenerated(chart) {
+        this._loadTimeline(chart);
+        this.chart = null;
+        this.seed = chart.seed >>> 0;
+        this.rng = new SeededRandom(this.seed);
+        this.validation = null; // repaired before it was exported
+    }
+
+    /**
+     * Events, rotation and cues of a validated chart
+     */
+    _loadTimeline(chart) {
+        this.difficulty = getDifficulty(chart.difficulty);
+        this.sides = chart.sides;
+        this.events = chart.events.map(e => ({
+            time: e.time,
+            spawnTime: e.time - this.spawnRadius / e.speed,
+            gaps: [...e.gaps],
+            speed: e.speed,
+            thickness: e.thickness,
+            sides: e.sides
+        }));
+        this.events.sort((a, b) => a.spawnTime - b.spawnTime);
+        this.rotationEvents = chart.rotation.map(r => ({ ...r }));
+        this.cues = chart.cues.map(c => ({ ...c }));
+        this.currentEventIndex = 0;
+        this.currentCueIndex = 0;
+    }
+
+    /**
+     * Latest cue of `type` at or before `time`, or null
+     */
+    getCueAt(type, time) {
+        let found = null;
+        for (const cue of this.cues) {
+            if (cue.time > time) break;
+            if (cue.type === type) found = cue;
+        }
+        return found;
+    }
+
+    /**
+     * Arena side count at `time`
+     */
+    getSidesAt(time) {
+        return this.getCueAt('sides', time)?.sides ?? this.sides;
+    }
+
+    /**
+     * Time of the first arena shape change after `time`, or Infinity
+     */
+    _nextSidesChange(time) {
+        const cue = this.cues.find(c => c.type === 'sides' && c.time > time);
+        return cue ? cue.time : Infinity;
+    }
+
+    /**
+     * Scripted world rotation speed at `time`, or null when the level has none
+     */
+    getRotationAt(time) {
+        let speed = null;
+        for (const r of this.rotationEvents) {
+            if (r.time > time) break;
+            speed = r.speed;
+        }
+        if (speed === null && this.rotationEvents.length > 0) speed = this.rotationEvents[0].speed;
+        return speed;
+    }
+
     /**
      * Get events that should spawn at the current audio time.
      * Each event has a pre-calculated spawnTime based on its travel time.
@@ -218,9 +552,37 @@ export class LevelGenerator {
         return toSpawn;
     }
 
+    /**
+     * Cues whose time has come since the last call, in order
+     */
+    getCuesForTime(audioTime) {
+        const due = [];
+        while (this.currentCueIndex < this.cues.length && this.cues[this.currentCueIndex].time <= audioTime) {
+            due.push(this.cues[this.currentCueIndex++]);
+        }
+        return due;
+    }
+
+    /**
+     * Move the spawn and cue cursors to `time`: the next getEventsForTime()
+     * and getCuesForTime() calls only return what comes after it. Pass the
+     * returned events to WallSystem.seek() to rebuild the walls in flight.
+     * @returns {object[]} events that had already spawned by `time`
+     */
+    seek(time) {
+        let index = 0;
+        while (index < this.events.length && this.events[index].spawnTime <= time) {
+            index++;
+        }
+        this.currentEventIndex = index;
+        this.currentCueIndex = this.cues.findIndex(cue => cue.time > time);
+        if (this.currentCueIndex === -1) this.currentCueIndex = this.cues.length;
+        return this.events.slice(0, index);
+    }
+
     reset() {
         this.currentEventIndex = 0;
-        this.difficultyRamp = 0;
+        this.currentCueIndex = 0;
     }
 
     get totalEvents() {
@@ -0,0 +1,270 @@
+/**
+ * levelValidator.js — Passability solver for a level's wall events
+ *
+ * Tracks every angle the player could be at, one simulation step at a time,
+ * against the same collision geometry the game uses (collision.js). Each step
+ * the player can move one step's worth of angle either way or stay, so the
+ * reachable set grows by one bin per side and loses every bin a wall touches.
+ * The level is passable as long as that set never empties. Pure: runs in the
+ * browser and headless in Node.
+ */
+import {
+    TWO_PI, DEFAULT_SIDES, SIM_RATE, PLAYER_START_ANGLE, PLAYER_MOVE_SPEED,
+    WALL_SPAWN_RADIUS, WALL_DESPAWN_RADIUS,
+    hitsWall, sideAngle, sideAngles, wallRadiusAt, normalizeAngle, lethalInnerRadius
+} from './collision.js';
+
+// One bin is the distance the player turns in one simulation step
+const BINS = Math.round(TWO_PI / (PLAYER_MOVE_SPEED / SIM_RATE));
+const BIN_ANGLE = TWO_PI / BINS;
+const SNAPSHOT_STEPS = SIM_RATE; // reachable set saved every second, so repairs resume nearby
+const MAX_REPAIRS = 200;
+
+// Per side count: for each side, the bins angularly close enough for its wall to reach
+const sideBinsCache = new Map();
+
+function sideBins(sides) {
+    if (!sideBinsCache.has(sides)) {
+        sideBinsCache.set(sides, Array.from({ length: sides }, (_, side) => {
+            const { angleStart, angleEnd } = sideAngles(side, sides);
+            const mid = (angleStart + angleEnd) / 2;
+            const bins = [];
+            for (let bin = 0; bin < BINS; bin++) {
+                if (angleBetween(binAngle(bin), mid) < sideAngle(sides)) bins.push(bin);
+            }
+            return bins;
+        }));
+    }
+    return sideBinsCache.get(sides);
+}
+
+function angleBetween(a, b) {
+    const diff = Math.abs(normalizeAngle(a) - normalizeAngle(b));
+    return diff > Math.PI ? TWO_PI - diff : diff;
+}
+
+function binAngle(bin) {
+    return PLAYER_START_ANGLE + bin * BIN_ANGLE;
+}
+
+/**
+ * Check a level without changing it.
+ * @param {Array<{time, gaps, speed, thickness, spawnTime?, sides?}>} events
+ * @returns {{passable: boolean, failTime: number|null, minReaction: {seconds, time}|null}}
+ *   failTime: first moment no angle is safe
+ */
+export function solveLevel(events) {
+    const result = simulate(buildWalls(events), null);
+    return {
+        passable: result.passable,
+        failTime: result.passable ? null : result.step / SIM_RATE,
+        minReaction: minimumReaction(events)
+    };
+}
+
+/**
+ * Make a level passable: each time the solver gets stuck, open the side whose
+ * wall closed the last way through; a wall that would end up fully open is
+ * dropped instead. Returns a repaired copy, the input is not modified.
+ * @returns {{events: object[], passable: boolean, repaired: number, dropped: number,
+ *            fixes: Array<{time, action: 'opened'|'dropped', side}>, minReaction: {seconds, time}|null}}
+ */
+export function repairLevel(events) {
+    const level = events.map(e => ({ ...e, gaps: [...e.gaps] }));
+    const report = { repaired: 0, dropped: 0, fixes: [] };
+    const snapshots = [];
+    let result;
+
+    for (let attempt = 0; attempt <= MAX_REPAIRS; attempt++) {
+        result = simulate(buildWalls(level), snapshots);
+        if (result.passable || attempt === MAX_REPAIRS) break;
+
+        const { event: index, side } = result.blocker;
+        const event = level[index];
+        if (event.gaps.length + 1 >= (event.sides || DEFAULT_SIDES)) {
+            level.splice(index, 1);
+            report.dropped++;
+            report.fixes.push({ time: event.time, action: 'dropped', side });
+        } else {
+            event.gaps.push(side);
+            report.repaired++;
+            report.fixes.push({ time: event.time, action: 'opened', side });
+        }
+
+        // Everything before the changed wall could first touch the player still holds
+        const resumeStep = Math.floor(lethalWindow(event).start * SIM_RATE);
+        while (snapshots.length > 0 && snapshots[snapshots.length - 1].step > resumeStep) snapshots.pop();
+    }
+
+    return {
+        events: level,
+        passable: result.passable,
+        ...report,
+        minReaction: minimumReaction(level)
+    };
+}
+
+/**
+ * Least time the player gets between one wall reaching them and the next,
+ * after the turn from a gap of the first to the nearest gap of the second
+ * (no turn when they share a gap). Lower is harder; negative means that
+ * turn cannot be made in time.
+ * @returns {{seconds: number, time: number}|null} time: when the tight wall arrives
+ */
+export function minimumReaction(events) {
+    const rings = events.map(event => ({ event, ...lethalWindow(event) })).sort((a, b) => a.start - b.start);
+    let min = null;
+    for (let i = 1; i < rings.length; i++) {
+        const prev = rings[i - 1].event, next = rings[i].event;
+        if (rings[i].start - rings[i - 1].start < 1e-6) continue; // walls arriving together form one ring
+
+        // Angle from the edge of one gap to the nearest edge of the other's
+        // (gaps that touch need no turn at all)
+        let distance = Infinity;
+        for (const a of prev.gaps) {
+            for (const b of next.gaps) {
+                const from = gapSpan(a, prev.sides), to = gapSpan(b, next.sides);
+                distance = Math.min(distance, Math.max(0, angleBetween(from.mid, to.mid) - from.half - to.half));
+            }
+        }
+        const turn = distance / PLAYER_MOVE_SPEED;
+        const seconds = rings[i].start - rings[i - 1].start - turn;
+        if (min === null || seconds < min.seconds) min = { seconds, time: next.time };
+    }
+    return min;
+}
+
+function gapSpan(side, sides = DEFAULT_SIDES) {
+    const { angleStart, angleEnd } = sideAngles(side, sides);
+    return { mid: (angleStart + angleEnd) / 2, half: (angleEnd - angleStart) / 2 };
+}
+
+// ---- Simulation ----
+
+/**
+ * One entry per blocked side, sorted by when it can first touch the player
+ */
+function buildWalls(events) {
+    const walls = [];
+    events.forEach((event, index) => {
+        const spawnTime = event.spawnTime ?? event.time - WALL_SPAWN_RADIUS / event.speed;
+        const window = lethalWindow(event);
+        const sides = event.sides || DEFAULT_SIDES;
+        for (let side = 0; side < sides; side++) {
+            if (event.gaps.includes(side)) continue;
+            walls.push({
+                event: index,
+                side,
+                bins: sideBins(sides)[side],
+                ...sideAngles(side, sides),
+                speed: event.speed,
+                spawnTime,
+                thickness: event.thickness,
+                start: window.start,
+                end: window.end
+            });
+        }
+    });
+    return walls.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Time span in which a wall's inner edge is within reach of the player
+ */
+function lethalWindow(event) {
+    const spawnTime = event.spawnTime ?? event.time - WALL_SPAWN_RADIUS / event.speed;
+    const half = event.thickness / 2;
+    const lethal = lethalInnerRadius(event.sides || DEFAULT_SIDES);
+    return {
+        start: spawnTime + (WALL_SPAWN_RADIUS - (lethal.max + half)) / event.speed,
+        end: spawnTime + (WALL_SPAWN_RADIUS - (lethal.min + half)) / event.speed
+    };
+}
+
+/**
+ * Step the reachable set through the level, optionally resuming from (and
+ * recording into) `snapshots`.
+ * @returns {{passable: boolean, step?: number, blocker?: {event, side}}}
+ */
+function simulate(walls, snapshots) {
+    let reach = new Uint8Array(BINS);
+    let step = 0;
+    const resume = snapshots?.[snapshots.length - 1];
+    if (resume) {
+        reach.set(resume.reach);
+        step = resume.step;
+    } else {
+        reach[0] = 1;
+        snapshots?.push({ step, reach: reach.slice() });
+    }
+
+    const lastEnd = walls.reduce((max, w) => Math.max(max, w.end), 0);
+    const active = [];
+    let next = 0; // first wall not yet in `active`
+    let grown = new Uint8Array(BINS);
+
+    while (step / SIM_RATE <= lastEnd) {
+        // With nothing in reach for a while, grow the set several steps at once
+        const time = step / SIM_RATE;
+        while (next < walls.length && walls[next].end < time) next++;
+        if (active.length === 0 && next < walls.length && walls[next].start > time + 1 / SIM_RATE) {
+            // Stop at the next snapshot so it records the set at exactly that step
+            const snapshotStep = (Math.floor(step / SNAPSHOT_STEPS) + 1) * SNAPSHOT_STEPS;
+            const target = Math.min(Math.floor(walls[next].start * SIM_RATE), snapshotStep);
+            if (target - step > 1) {
+                reach = dilate(reach, target - step, grown);
+                grown = new Uint8Array(BINS);
+                step = target;
+                if (snapshots && step % SNAPSHOT_STEPS === 0) snapshots.push({ step, reach: reach.slice() });
+                continue;
+            }
+        }
+
+        step++;
+        const t = step / SIM_RATE;
+        reach = dilate(reach, 1, grown);
+        grown = new Uint8Array(BINS);
+
+        while (next < walls.length && walls[next].start <= t) active.push(walls[next++]);
+        for (let i = active.length - 1; i >= 0; i--) {
+            if (active[i].end < t) active.splice(i, 1);
+        }
+
+        let blocker = null;
+        for (const wall of active) {
+            const radius = wallRadiusAt(wall.speed, wall.spawnTime, t);
+            if (radius < WALL_DESPAWN_RADIUS) continue;
+            const inner = radius - wall.thickness / 2;
+            const outer = radius + wall.thickness / 2;
+            for (const bin of wall.bins) {
+                if (!reach[bin]) continue;
+                if (hitsWall(binAngle(bin), wall.angleStart, wall.angleEnd, inner, outer)) {
+                    reach[bin] = 0;
+                    // Blame the wall that arrived last: it is the one a repair should open
+                    if (!blocker || wall.start > blocker.start) blocker = wall;
+                }
+            }
+        }
+
+        if (blocker && !reach.includes(1)) {
+            return { passable: false, step, blocker: { event: blocker.event, side: blocker.side } };
+        }
+        if (snapshots && step % SNAPSHOT_STEPS === 0) snapshots.push({ step, reach: reach.slice() });
+    }
+    return { passable: true };
+}
+
+/**
+ * Every bin within `steps` bins of a reachable one (wrapping around)
+ */
+function dilate(reach, steps, out) {
+    if (steps >= BINS / 2) {
+        if (reach.includes(1)) out.fill(1);
+        return out;
+    }
+    for (let bin = 0; bin < BINS; bin++) {
+        if (!reach[bin]) continue;
+        for (let d = -steps; d <= steps; d++) out[(bin + d + BINS) % BINS] = 1;
+    }
+    return out;
+}
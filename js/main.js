@@ -17,7 +17,7 @@ window.addEventListener('DOMContentLoaded', () => {
         }
 
         // Create game instance
-        const game = new Game(canvas);
+        new Game(canvas);
 
         console.log('🎮 HexBeat initialized!');
     } catch (e) {
@@ -26,6 +26,7 @@ export class ParticleSystem {
     constructor(scene, maxParticles = 500) {
         this.scene = scene;
         this.maxParticles = maxParticles;
+        this.limit = maxParticles; // particles in use, see setBudget()
         this.particles = [];
 
         for (let i = 0; i < maxParticles; i++) {
@@ -57,9 +58,23 @@ export class ParticleSystem {
         this.scene.add(this.points);
     }
 
+    /**
+     * Use only a share of the pool (graphics quality); particles beyond it go out
+     * @param {number} fraction - 0-1
+     */
+    setBudget(fraction) {
+        this.limit = Math.round(this.maxParticles * Math.min(Math.max(fraction, 0), 1));
+        const positions = this.geometry.attributes.position.array;
+        for (let i = this.limit; i < this.maxParticles; i++) {
+            this.particles[i].active = false;
+            positions[i * 3 + 2] = -100; // Hide off-screen
+        }
+        this.geometry.attributes.position.needsUpdate = true;
+    }
+
     _getInactiveParticle() {
-        for (const p of this.particles) {
-            if (!p.active) return p;
+        for (let i = 0; i < this.limit; i++) {
+            if (!this.particles[i].active) return this.particles[i];
         }
         return null;
     }
@@ -0,0 +1,223 @@
+/**
+ * patterns.js — Wall pattern library: single rings and multi-ring sequences
+ *
+ * A pattern emits one or more rings at beat offsets from the beat it starts
+ * on; the level generator snaps those offsets to the tracked beat grid. Gaps
+ * are side offsets relative to the pattern's starting side, so one definition
+ * works at any rotation (and mirrored, with `dir` = -1) and for any side count.
+ *
+ * Consecutive rings of a sequence always share at least one open side: with
+ * walls this close together there must be a way through both.
+ */
+import { DEFAULT_SIDES } from './collision.js';
+
+/**
+ * @typedef {object} Pattern
+ * @property {string} id
+ * @property {string} name     - shown in tooling and debug output
+ * @property {number} rating   - 1 (trivial) to 5 (expert)
+ * @property {number} reaction - seconds the player needs between consecutive rings;
+ *   the pattern is only used when the local tempo leaves at least that much
+ * @property {string[]} moods  - generator moods it fits: calm, low, medium, high, spiral
+ * @property {number} weight   - relative pick chance among the candidates
+ * @property {(sides: number, dir: number) => Array<{beat: number, gaps: number[]}>} rings
+ */
+
+/** @type {Object<string, Pattern>} */
+export const PATTERNS = {
+    // ---- Single rings ----
+    single: {
+        name: 'Hueco único',
+        rating: 2,
+        reaction: 0,
+        moods: ['medium', 'high'],
+        weight: 3,
+        rings: () => [{ beat: 0, gaps: [0] }]
+    },
+    opposite: {
+        name: 'Opuestos',
+        rating: 1,
+        reaction: 0,
+        moods: ['medium', 'high'],
+        weight: 4,
+        rings: (sides) => [{ beat: 0, gaps: [0, Math.floor(sides / 2)] }]
+    },
+    adjacent: {
+        name: 'Adyacentes',
+        rating: 1,
+        reaction: 0,
+        moods: ['medium', 'spiral'],
+        weight: 3,
+        rings: () => [{ beat: 0, gaps: [0, 1] }]
+    },
+    halfOpen: {
+        name: 'Medio abierto',
+        rating: 1,
+        reaction: 0,
+        moods: ['calm', 'low'],
+        weight: 5,
+        rings: () => [{ beat: 0, gaps: [0, 1, 2] }]
+    },
+    alternating: {
+        name: 'Alternos',
+        rating: 1,
+        reaction: 0,
+        moods: ['calm', 'low'],
+        weight: 2,
+        rings: (sides) => [{ beat: 0, gaps: everyOther(sides) }]
+    },
+
+    // ---- Sequences ----
+    spiral: {
+        name: 'Espiral',
+        rating: 3,
+        reaction: 0.18,
+        moods: ['spiral', 'high'],
+        weight: 4,
+        // A pair of open sides walking around the hexagon every half beat
+        rings: (sides, dir) => Array.from({ length: sides }, (_, i) => ({
+            beat: i * 0.5,
+            gaps: [i * dir, (i + 1) * dir]
+        }))
+    },
+    tunnel: {
+        name: 'Túnel',
+        rating: 2,
+        reaction: 0.12,
+        moods: ['medium', 'high', 'spiral'],
+        weight: 2,
+        // Hold one side for two beats, then a wider exit
+        rings: () => [
+            { beat: 0, gaps: [0] },
+            { beat: 0.5, gaps: [0] },
+            { beat: 1, gaps: [0] },
+            { beat: 1.5, gaps: [0] },
+            { beat: 2, gaps: [-1, 0, 1] }
+        ]
+    },
+    rain: {
+        name: 'Lluvia',
+        rating: 2,
+        reaction: 0.12,
+        moods: ['low', 'medium'],
+        weight: 2,
+        // Single blocked sides dropping in a scattered order, every half beat
+        rings: (sides) => [0, 3, 1, 4, 2, 5].map((blocked, i) => ({
+            beat: i * 0.5,
+            gaps: allSidesBut(sides, blocked % sides)
+        }))
+    },
+    mirror: {
+        name: 'Espejo',
+        rating: 3,
+        reaction: 0.2,
+        moods: ['medium', 'high'],
+        weight: 2,
+        // Two opposite gaps stepping around together, symmetric on both halves
+        rings: (sides, dir) => {
+            const half = Math.floor(sides / 2);
+            const rings = [];
+            for (let i = 0; i < 3; i++) {
+                const s = i * dir;
+                rings.push({ beat: i, gaps: [s, s + half] });
+                if (i < 2) rings.push({ beat: i + 0.5, gaps: [s, s + dir, s + half, s + half + dir] });
+            }
+            return rings;
+        }
+    },
+    barrage: {
+        name: 'Barrera alterna',
+        rating: 2,
+        reaction: 0.3,
+        moods: ['medium', 'high'],
+        weight: 2,
+        // Three-side openings swinging back and forth around a shared pivot
+        rings: (sides, dir) => Array.from({ length: 4 }, (_, i) => {
+            const s = (i % 2) * 2 * dir;
+            return { beat: i, gaps: [s, s + dir, s + 2 * dir] };
+        })
+    },
+    zigzag: {
+        name: 'Zigzag',
+        rating: 4,
+        reaction: 0.22,
+        moods: ['high'],
+        weight: 2,
+        // Adjacent pairs jumping one side left and right, every half beat
+        rings: (sides, dir) => Array.from({ length: 6 }, (_, i) => {
+            const s = (i % 2) * dir;
+            return { beat: i * 0.5, gaps: [s, s + dir] };
+        })
+    },
+    doubleSpiral: {
+        name: 'Espiral doble',
+        rating: 5,
+        reaction: 0.2,
+        moods: ['spiral'],
+        weight: 1,
+        // Two spirals half a hexagon apart, turning a side every half beat
+        rings: (sides, dir) => {
+            const half = Math.floor(sides / 2);
+            return Array.from({ length: sides }, (_, i) => {
+                const s = i * dir;
+                return { beat: i * 0.5, gaps: [s, s + dir, s + half, s + half + dir] };
+            });
+        }
+    }
+};
+
+for (const [id, pattern] of Object.entries(PATTERNS)) pattern.id = id;
+
+/**
+ * Concrete rings for a pattern: gaps rotated to `side` and wrapped to the side count
+ * @param {string} id - key of PATTERNS
+ * @param {number} side - starting side
+ * @param {number} [dir] - 1 clockwise, -1 mirrored
+ * @param {number} [sides]
+ */
+export function patternRings(id, side, dir = 1, sides = DEFAULT_SIDES) {
+    return PATTERNS[id].rings(sides, dir).map(ring => ({
+        beat: ring.beat,
+        gaps: [...new Set(ring.gaps.map(g => wrap(side + g, sides)))]
+    }));
+}
+
+/**
+ * Shortest time between consecutive rings of a pattern, in beats
+ */
+export function patternSpacing(id, sides = DEFAULT_SIDES) {
+    const rings = PATTERNS[id].rings(sides, 1);
+    let spacing = Infinity;
+    for (let i = 1; i < rings.length; i++) spacing = Math.min(spacing, rings[i].beat - rings[i - 1].beat);
+    return spacing;
+}
+
+/**
+ * Patterns for a mood within a rating limit, whose rings are no closer than
+ * their required reaction time at `beatInterval` seconds per beat. Patterns
+ * that would open every side of a small arena are left out.
+ */
+export function patternCandidates(mood, maxRating, beatInterval, sides = DEFAULT_SIDES) {
+    return Object.values(PATTERNS).filter(p =>
+        p.moods.includes(mood) &&
+        p.rating <= maxRating &&
+        patternSpacing(p.id, sides) * beatInterval >= p.reaction &&
+        patternRings(p.id, 0, 1, sides).every(ring => ring.gaps.length < sides)
+    );
+}
+
+function wrap(side, sides) {
+    return ((side % sides) + sides) % sides;
+}
+
+function everyOther(sides) {
+    const gaps = [];
+    for (let s = 0; s < sides - 1; s += 2) gaps.push(s);
+    return gaps;
+}
+
+function allSidesBut(sides, blocked) {
+    const gaps = [];
+    for (let s = 0; s < sides; s++) if (s !== blocked) gaps.push(s);
+    return gaps;
+}
@@ -2,17 +2,19 @@
  * player.js — Player triangle orbiting the hexagon
  */
 import * as THREE from 'three';
+import { hitsWall, PLAYER_START_ANGLE, PLAYER_ORBIT_RADIUS, PLAYER_MOVE_SPEED } from './collision.js';
 
 export class Player {
     constructor(scene) {
         this.scene = scene;
 
         // Position (angle around the center)
-        this.angle = Math.PI / 2; // Start at top
-        this.orbitRadius = 2.2;
+        this.angle = PLAYER_START_ANGLE; // Start at top
+        this.prevAngle = this.angle; // angle before the last simulation step, for interpolation
+        this.orbitRadius = PLAYER_ORBIT_RADIUS;
 
         // Movement — instant, no acceleration
-        this.moveSpeed = 6.5; // radians per second
+        this.moveSpeed = PLAYER_MOVE_SPEED; // radians per second
 
         // Input
         this.movingLeft = false;
@@ -25,7 +27,6 @@ export class Player {
         this.scene.add(this.trailGroup);
 
         this._createMesh();
-        this._setupInput();
     }
 
     _createMesh() {
@@ -48,60 +49,49 @@ export class Player {
         this.scene.add(this.mesh);
     }
 
-    _setupInput() {
-        this._onKeyDown = (e) => {
-            if (e.key === 'ArrowLeft' || e.key === 'a' || e.key === 'A') this.movingLeft = true;
-            if (e.key === 'ArrowRight' || e.key === 'd' || e.key === 'D') this.movingRight = true;
-        };
-
-        this._onKeyUp = (e) => {
-            if (e.key === 'ArrowLeft' || e.key === 'a' || e.key === 'A') this.movingLeft = false;
-            if (e.key === 'ArrowRight' || e.key === 'd' || e.key === 'D') this.movingRight = false;
-        };
-
-        // Touch support
-        this._onTouchStart = (e) => {
-            for (const touch of e.changedTouches) {
-                if (touch.clientX < window.innerWidth / 2) this.movingLeft = true;
-                else this.movingRight = true;
-            }
-        };
-
-        this._onTouchEnd = (e) => {
-            if (e.touches.length === 0) {
-                this.movingLeft = false;
-                this.movingRight = false;
-            }
-        };
-
-        window.addEventListener('keydown', this._onKeyDown);
-        window.addEventListener('keyup', this._onKeyUp);
-        window.addEventListener('touchstart', this._onTouchStart);
-        window.addEventListener('touchend', this._onTouchEnd);
+    /**
+     * Set the input state for the next steps (live input or replay playback)
+     */
+    setInput(left, right) {
+        this.movingLeft = left;
+        this.movingRight = right;
     }
 
-    update(dt) {
+    /**
+     * Advance the simulation by one fixed step. No rendering happens here.
+     */
+    step(dt) {
         // Instant movement — no acceleration, immediate response
         let dir = 0;
         if (this.movingLeft) dir += 1;
         if (this.movingRight) dir -= 1;
 
         // Update angle directly
+        this.prevAngle = this.angle;
         this.angle += dir * this.moveSpeed * dt;
+    }
+
+    /**
+     * Place the mesh between the last two simulation steps
+     * @param {number} alpha - 0 = previous step, 1 = current step
+     * @param {number} frameDt - real frame time, for the trail fade
+     */
+    render(alpha, frameDt) {
+        const angle = this.prevAngle + (this.angle - this.prevAngle) * alpha;
 
         // Update mesh position
-        const x = Math.cos(this.angle) * this.orbitRadius;
-        const y = Math.sin(this.angle) * this.orbitRadius;
+        const x = Math.cos(angle) * this.orbitRadius;
+        const y = Math.sin(angle) * this.orbitRadius;
         this.mesh.position.set(x, y, 0.1);
 
         // Rotate mesh to face outward (tangent to orbit)
-        this.mesh.rotation.z = this.angle - Math.PI / 2;
+        this.mesh.rotation.z = angle - Math.PI / 2;
 
         // Update trail
-        this._updateTrail(x, y);
+        this._updateTrail(x, y, frameDt);
     }
 
-    _updateTrail(x, y) {
+    _updateTrail(x, y, frameDt) {
         // Add trail point
         if (this.movingLeft || this.movingRight) {
             const geo = new THREE.CircleGeometry(0.06, 6);
@@ -119,7 +109,7 @@ export class Player {
 
         // Update existing trail
         for (let i = this.trail.length - 1; i >= 0; i--) {
-            this.trail[i].life -= 0.016; // approximate
+            this.trail[i].life -= frameDt;
             this.trail[i].mesh.material.opacity = Math.max(0, this.trail[i].life);
             this.trail[i].mesh.scale.setScalar(this.trail[i].life * 2);
 
@@ -142,53 +132,12 @@ export class Player {
 
     // Check collision with a straight wall defined by angle range and radius range
     checkCollision(wallAngleStart, wallAngleEnd, wallInnerRadius, wallOuterRadius) {
-        const playerR = this.orbitRadius;
-        const playerAngle = ((this.angle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
-        const playerSize = 0.15; // slightly reduced collision radius for fairness
-
-        // Normalize wall angles
-        let aStart = ((wallAngleStart % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
-        let aEnd = ((wallAngleEnd % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
-
-        // Angular collision check with player size
-        const angularSize = (playerSize * 0.7) / playerR;
-
-        // Check if player is angularly within the wall segment (with wrapping)
-        let isAngularHit = false;
-        if (aStart <= aEnd) {
-            if (playerAngle + angularSize > aStart && playerAngle - angularSize < aEnd) isAngularHit = true;
-        } else {
-            // Wraps around 0
-            if (playerAngle + angularSize > aStart || playerAngle - angularSize < aEnd) isAngularHit = true;
-        }
-
-        if (!isAngularHit) return false;
-
-        // Find mid angle directly from raw angles to avoid wrap math issues
-        const rawMidAngle = (wallAngleStart + wallAngleEnd) / 2;
-        const midAngle = ((rawMidAngle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
-
-        let angleDiff = Math.abs(playerAngle - midAngle);
-        if (angleDiff > Math.PI) angleDiff = Math.PI * 2 - angleDiff;
-
-        // Distance from center to the flat line segment at player's exact angular offset
-        const cos30 = Math.cos(Math.PI / 6);
-        const distInner = (wallInnerRadius * cos30) / Math.cos(angleDiff);
-        const distOuter = (wallOuterRadius * cos30) / Math.cos(angleDiff);
-
-        // Check radial overlap against the flat wall
-        const hitDepth = 0.05;
-        const lethalOuterBound = Math.min(distOuter, distInner + hitDepth);
-
-        if (playerR + playerSize >= distInner && playerR - playerSize <= lethalOuterBound) {
-            return true;
-        }
-
-        return false;
+        return hitsWall(this.angle, wallAngleStart, wallAngleEnd, wallInnerRadius, wallOuterRadius);
     }
 
     reset() {
-        this.angle = Math.PI / 2;
+        this.angle = PLAYER_START_ANGLE;
+        this.prevAngle = this.angle;
         this.movingLeft = false;
         this.movingRight = false;
 
@@ -202,11 +151,6 @@ export class Player {
     }
 
     dispose() {
-        window.removeEventListener('keydown', this._onKeyDown);
-        window.removeEventListener('keyup', this._onKeyUp);
-        window.removeEventListener('touchstart', this._onTouchStart);
-        window.removeEventListener('touchend', this._onTouchEnd);
-
         this.scene.remove(this.mesh);
         this.scene.remove(this.trailGroup);
     }
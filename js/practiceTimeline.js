@@ -0,0 +1,151 @@
+/**
+ * practiceTimeline.js — Song timeline for practice mode: energy, sections and
+ * the chosen start point or A–B loop
+ *
+ * Click (or tap) to pick where practice starts; drag to pick a range that
+ * loops. Both snap to the nearest bar line.
+ */
+
+const SECTION_NAMES = {
+    intro: 'Intro',
+    verse: 'Estrofa',
+    chorus: 'Estribillo',
+    drop: 'Drop',
+    breakdown: 'Puente',
+    outro: 'Final'
+};
+
+const SECTION_COLORS = ['#00f0ff', '#ff00aa', '#ffe600', '#7dff6a', '#a970ff', '#ff8a3d'];
+
+// Drags shorter than this (in seconds) count as a click
+const MIN_LOOP = 1;
+
+export class PracticeTimeline {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.song = null; // {duration, energyMap, frameHop, sections, downbeats}
+        this.peak = 1; // loudest energy frame, scales the energy graph
+        this.selection = { start: 0, end: null }; // end null: play on to the song's end
+        this.onChange = null;
+
+        this._dragFrom = null;
+        canvas.addEventListener('pointerdown', (e) => {
+            if (!this.song) return;
+            canvas.setPointerCapture(e.pointerId);
+            this._dragFrom = this._timeAt(e);
+            this._select(this._dragFrom, this._dragFrom);
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (this._dragFrom === null) return;
+            this._select(this._dragFrom, this._timeAt(e));
+        });
+        const endDrag = (e) => {
+            if (this._dragFrom === null) return;
+            this._select(this._dragFrom, this._timeAt(e));
+            this._dragFrom = null;
+        };
+        canvas.addEventListener('pointerup', endDrag);
+        canvas.addEventListener('pointercancel', endDrag);
+    }
+
+    /**
+     * @param {{duration: number, energyMap: Array<{total: number}>, frameHop: number, sections: object[], downbeats: number[]}} song
+     */
+    setSong(song) {
+        this.song = song;
+        this.peak = song.energyMap.reduce((max, e) => Math.max(max, e.total), 1e-6);
+        this.selection = { start: 0, end: null };
+        this.draw();
+    }
+
+    _timeAt(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+        return x * this.song.duration;
+    }
+
+    _snap(time) {
+        let best = time;
+        let bestDistance = Infinity;
+        for (const t of this.song.downbeats) {
+            const distance = Math.abs(t - time);
+            if (distance < bestDistance) {
+                best = t;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    _select(from, to) {
+        const a = this._snap(Math.min(from, to));
+        const b = this._snap(Math.max(from, to));
+        this.selection = b - a >= MIN_LOOP ? { start: a, end: b } : { start: a, end: null };
+        this.draw();
+        this.onChange?.(this.selection);
+    }
+
+    draw() {
+        const { canvas, ctx, song } = this;
+        const width = canvas.width;
+        const height = canvas.height;
+        ctx.clearRect(0, 0, width, height);
+        if (!song) return;
+
+        const x = (time) => (time / song.duration) * width;
+        const labelHeight = 18;
+        const barTop = labelHeight;
+        const barHeight = height - labelHeight;
+
+        // Sections: tinted bands by group, named along the top
+        ctx.font = '11px sans-serif';
+        ctx.textBaseline = 'top';
+        for (const section of song.sections) {
+            const color = SECTION_COLORS[section.group % SECTION_COLORS.length];
+            ctx.fillStyle = color + '22';
+            ctx.fillRect(x(section.start), barTop, x(section.end) - x(section.start), barHeight);
+            ctx.fillStyle = color;
+            ctx.fillRect(x(section.start), barTop, 1, barHeight);
+            ctx.fillText(SECTION_NAMES[section.label] || section.label, x(section.start) + 3, 2);
+        }
+
+        // Energy (relative to the song's loudest moment), one column per pixel
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.55)';
+        const frames = song.energyMap.length;
+        for (let px = 0; px < width; px++) {
+            const from = Math.floor((px / width) * song.duration / song.frameHop);
+            const to = Math.max(from + 1, Math.floor(((px + 1) / width) * song.duration / song.frameHop));
+            let peak = 0;
+            for (let i = from; i < to && i < frames; i++) peak = Math.max(peak, song.energyMap[i].total);
+            const h = (peak / this.peak) * (barHeight - 4);
+            ctx.fillRect(px, height - h, 1, h);
+        }
+
+        // Selection: shaded loop, or a start marker with the rest of the song dimmed before it
+        const { start, end } = this.selection;
+        ctx.fillStyle = 'rgba(5, 5, 16, 0.6)';
+        ctx.fillRect(0, barTop, x(start), barHeight);
+        if (end !== null) {
+            ctx.fillRect(x(end), barTop, width - x(end), barHeight);
+            ctx.fillStyle = '#ff00aa';
+            ctx.fillRect(x(end) - 1, barTop, 2, barHeight);
+        }
+        ctx.fillStyle = '#00f0ff';
+        ctx.fillRect(x(start) - 1, barTop, 2, barHeight);
+    }
+}
+
+/**
+ * m:ss.s for timeline labels
+ */
+export function formatSongTime(seconds) {
+    // Round first so 59.96 s reads 1:00.0, not 0:60.0
+    const tenths = Math.round(seconds * 10);
+    const minutes = Math.floor(tenths / 600);
+    const rest = (tenths - minutes * 600) / 10;
+    return `${minutes}:${rest.toFixed(1).padStart(4, '0')}`;
+}
@@ -0,0 +1,65 @@
+/**
+ * random.js — Deterministic PRNG and hashing helpers for reproducible levels
+ */
+
+/**
+ * 32-bit FNV-1a hash of a string. Used to turn identifiers into seeds.
+ * @param {string} str
+ * @param {number} [seed] - Optional starting basis to derive independent hashes
+ * @returns {number} unsigned 32-bit integer
+ */
+export function hashString(str, seed = 0x811c9dc5) {
+    let h = seed >>> 0;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) with the helpers the level generator needs.
+ * Same seed → same sequence, on every browser.
+ */
+export class SeededRandom {
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /** Float in [0, 1) — drop-in replacement for Math.random() */
+    next() {
+        let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /** Integer in [0, max) */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /** Random element of a non-empty array */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /** Random element of a non-empty array, chosen in proportion to weightOf(item) */
+    weighted(array, weightOf) {
+        const total = array.reduce((sum, item) => sum + weightOf(item), 0);
+        let roll = this.next() * total;
+        for (const item of array) {
+            roll -= weightOf(item);
+            if (roll < 0) return item;
+        }
+        return array[array.length - 1];
+    }
+}
+
+/**
+ * Format a seed for display/sharing (8 hex digits, uppercase)
+ */
+export function formatSeed(seed) {
+    return (seed >>> 0).toString(16).toUpperCase().padStart(8, '0');
+}
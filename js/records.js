@@ -0,0 +1,65 @@
+/**
+ * records.js — Local best times (localStorage), keyed by song fingerprint and difficulty
+ */
+
+const KEY_PREFIX = 'hexbeat_best_';
+
+// Names the game gave to every song it had no name for: a YouTube video
+// without a title, a community upload without one
+const GENERIC_FILE_NAMES = ['YouTube Audio.mp3', 'Canción sin título'];
+
+function readTime(key) {
+    return parseFloat(localStorage.getItem(key)) || 0;
+}
+
+/**
+ * Record id for a song played on a difficulty tier
+ * @param {string} songId - fingerprint from computeFingerprint()
+ * @param {string} difficulty - id from DIFFICULTIES
+ */
+export function songRecordId(songId, difficulty) {
+    return `${songId}:${difficulty}`;
+}
+
+/**
+ * Id records were saved under before fingerprints: the file name. Null for
+ * the generic names many different songs were loaded under, whose records
+ * can't be given to any one of them.
+ * @param {string} fileName - File.name as the game loaded it
+ */
+export function fileRecordId(fileName) {
+    if (!fileName || GENERIC_FILE_NAMES.includes(fileName)) return null;
+    return fileName;
+}
+
+/**
+ * Load the best time for a record id.
+ * Records used to be keyed by file name (see fileRecordId()), then by bare
+ * fingerprint (before difficulty tiers). If the id has no record yet, the
+ * first legacy id that has one is moved over to the new key, so a legacy
+ * record only ever goes to one song.
+ * @param {string} recordId - see songRecordId()
+ * @param {...string} legacyIds - older ids the record may have been saved under, most recent first
+ */
+export function loadBestTime(recordId, ...legacyIds) {
+    const key = KEY_PREFIX + recordId;
+
+    if (localStorage.getItem(key) === null) {
+        for (const legacyId of legacyIds) {
+            if (!legacyId) continue;
+            const legacyKey = KEY_PREFIX + legacyId;
+            const legacy = localStorage.getItem(legacyKey);
+            if (legacy !== null) {
+                localStorage.setItem(key, legacy);
+                localStorage.removeItem(legacyKey);
+                break;
+            }
+        }
+    }
+
+    return readTime(key);
+}
+
+export function saveBestTime(recordId, time) {
+    localStorage.setItem(KEY_PREFIX + recordId, time.toString());
+}
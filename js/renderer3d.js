@@ -6,6 +6,74 @@ import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
 import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { DEFAULT_SIDES, polygonCorners } from './collision.js';
+
+const CAMERA_DISTANCE = 18;
+const MAX_PIXEL_RATIO = 2;
+
+// Share of the audio-reactive pulses, flashes and camera moves kept in reduced motion
+const REDUCED_MOTION_SCALE = 0.35;
+
+/**
+ * Color schemes. The palettes take turns per song section (primary: arena
+ * outline, grid and spectrum ring; secondary: waveform ring). `wall` fixes the
+ * wall color, null cycles it through the rainbow; `outline` edges the walls so
+ * they never blend into the rings.
+ *
+ * The color-blind schemes keep rings and walls on the axes each condition
+ * still separates, with walls much lighter than the rings: blue / orange for
+ * deuteranopia and protanopia (protanopia without reds, which look dark), red
+ * / teal for tritanopia.
+ */
+export const COLOR_SCHEMES = {
+    default: {
+        palettes: [
+            { primary: 0x00f0ff, secondary: 0xff00aa },  // cyan/magenta
+            { primary: 0xff6600, secondary: 0x0066ff },  // orange/blue
+            { primary: 0x00ff88, secondary: 0xff0044 },  // green/red
+            { primary: 0xffee00, secondary: 0x8800ff },  // yellow/purple
+            { primary: 0xff0088, secondary: 0x00ffcc },  // pink/teal
+        ],
+        wall: null,
+        outline: 0xffffff
+    },
+    deuteranopia: {
+        palettes: [
+            { primary: 0x0072b2, secondary: 0xe69f00 },  // blue/orange
+            { primary: 0x56b4e9, secondary: 0xd55e00 },  // sky blue/vermillion
+            { primary: 0x3b4cc0, secondary: 0xe69f00 },  // indigo/orange
+            { primary: 0x009ee0, secondary: 0xcc79a7 },  // azure/reddish purple
+        ],
+        wall: 0xf0e442, // yellow
+        outline: 0xffffff
+    },
+    protanopia: {
+        palettes: [
+            { primary: 0x0072b2, secondary: 0xe69f00 },  // blue/orange
+            { primary: 0x56b4e9, secondary: 0xcc79a7 },  // sky blue/reddish purple
+            { primary: 0x3b4cc0, secondary: 0xffb000 },  // indigo/amber
+            { primary: 0x009ee0, secondary: 0x9e8cff },  // azure/lavender
+        ],
+        wall: 0xf0e442, // yellow
+        outline: 0xffffff
+    },
+    tritanopia: {
+        palettes: [
+            { primary: 0x009e73, secondary: 0xd55e00 },  // teal/vermillion
+            { primary: 0x00c2c7, secondary: 0xe0245e },  // cyan/crimson
+            { primary: 0x1b9e77, secondary: 0xff6f61 },  // green/coral
+            { primary: 0x66c2a5, secondary: 0xc2185b },  // mint/raspberry
+        ],
+        wall: 0xffffff,
+        outline: 0xff3c3c
+    }
+};
+
+// High contrast: solid white walls with black edges on a black background,
+// the decorative rings dimmed behind them
+const HIGH_CONTRAST_WALL = 0xffffff;
+const HIGH_CONTRAST_OUTLINE = 0x000000;
+const HIGH_CONTRAST_DIM = 0.35;
 
 // Chromatic Aberration shader
 const ChromaticAberrationShader = {
@@ -79,7 +147,7 @@ export class Renderer3D {
             alpha: false
         });
         this.renderer.setSize(this.width, this.height);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, MAX_PIXEL_RATIO));
         this.renderer.setClearColor(0x050510);
 
         // Scene
@@ -87,7 +155,7 @@ export class Renderer3D {
 
         // Camera — top-down with slight perspective
         this.camera = new THREE.PerspectiveCamera(60, this.width / this.height, 0.1, 1000);
-        this.camera.position.set(0, 0, 18);
+        this.camera.position.set(0, 0, CAMERA_DISTANCE);
         this.camera.lookAt(0, 0, 0);
 
         // Post-processing
@@ -121,22 +189,29 @@ export class Renderer3D {
         this.bgRotationGroup = new THREE.Group();
         this.scene.add(this.bgRotationGroup);
 
+        this.sides = DEFAULT_SIDES; // arena polygon, see setSides()
+        this.morph = 0; // 1 right after a side count change, fades to 0
+
+        // Scripted one-shot effects (camera and pulse cues), each fading from 1 to 0
+        this.cameraPulse = { zoom: 0, tilt: 0, amount: 0 };
+        this.arenaPulse = { scale: 0, amount: 0 };
+
+        // User options, see setQuality(), setReducedMotion() and setSteadyWallColor()
+        this.bloomScale = 1;
+        this.motionScale = 1;
+        this.wallCycle = 1;
+        this.flashScale = 1; // from the flash limiter, see setFlashScale()
         this._createHexagon();
-        this._createBackground();
         this._createWaveform();
 
         // Color system
         this.hue = 0;
         this.targetHue = 0;
-        this.colorPalettes = [
-            { primary: 0x00f0ff, secondary: 0xff00aa },  // cyan/magenta
-            { primary: 0xff6600, secondary: 0x0066ff },  // orange/blue
-            { primary: 0x00ff88, secondary: 0xff0044 },  // green/red
-            { primary: 0xffee00, secondary: 0x8800ff },  // yellow/purple
-            { primary: 0xff0088, secondary: 0x00ffcc },  // pink/teal
-        ];
-        this.currentPalette = 0;
-        this.paletteChangeTimer = 0;
+        this.colorScheme = COLOR_SCHEMES.default; // see setColorScheme()
+        this.colorPalettes = this.colorScheme.palettes;
+        this.currentPalette = 0; // chosen per song section, see setPalette()
+        this.paletteIndex = 0; // as requested, before wrapping around the scheme's palettes
+        this.highContrast = false;
 
         // RGB wall cycling
         this.wallHue = 0; // 0-1 continuous cycle
@@ -146,66 +221,97 @@ export class Renderer3D {
     }
 
     _createHexagon() {
-        const radius = 1.8;
-        const sides = 6;
-        const shape = new THREE.Shape();
-
-        for (let i = 0; i <= sides; i++) {
-            const angle = (i / sides) * Math.PI * 2 - Math.PI / 6;
-            const x = Math.cos(angle) * radius;
-            const y = Math.sin(angle) * radius;
-            if (i === 0) shape.moveTo(x, y);
-            else shape.lineTo(x, y);
-        }
-
         // Filled hexagon
-        const hexGeo = new THREE.ShapeGeometry(shape);
         const hexMat = new THREE.MeshBasicMaterial({
             color: 0x0a0a18,
             transparent: true,
             opacity: 0.9,
             side: THREE.DoubleSide
         });
-        this.hexagon = new THREE.Mesh(hexGeo, hexMat);
+        this.hexagon = new THREE.Mesh(new THREE.BufferGeometry(), hexMat);
         this.hexagon.position.z = 0.01;
         this.scene.add(this.hexagon);
 
         // Outline
-        const points = [];
-        for (let i = 0; i <= sides; i++) {
-            const angle = (i / sides) * Math.PI * 2 - Math.PI / 6;
-            points.push(new THREE.Vector3(
-                Math.cos(angle) * radius,
-                Math.sin(angle) * radius,
-                0.02
-            ));
-        }
-        const outlineGeo = new THREE.BufferGeometry().setFromPoints(points);
         const outlineMat = new THREE.LineBasicMaterial({
             color: 0x00f0ff,
             linewidth: 2,
             transparent: true,
             opacity: 0.8
         });
-        this.hexagonOutline = new THREE.LineLoop(outlineGeo, outlineMat);
+        this.hexagonOutline = new THREE.LineLoop(new THREE.BufferGeometry(), outlineMat);
         this.scene.add(this.hexagonOutline);
+
+        this._buildArena();
+    }
+
+    /**
+     * (Re)build the center polygon and background grid for the current side count
+     */
+    _buildArena() {
+        const radius = 1.8;
+        const corners = polygonCorners(this.sides, radius);
+
+        const shape = new THREE.Shape();
+        corners.forEach(({ x, y }, i) => {
+            if (i === 0) shape.moveTo(x, y);
+            else shape.lineTo(x, y);
+        });
+        this.hexagon.geometry.dispose();
+        this.hexagon.geometry = new THREE.ShapeGeometry(shape);
+
+        this.hexagonOutline.geometry.dispose();
+        this.hexagonOutline.geometry = new THREE.BufferGeometry().setFromPoints(
+            corners.map(({ x, y }) => new THREE.Vector3(x, y, 0.02))
+        );
+
+        for (const child of [...this.bgRotationGroup.children]) {
+            this.bgRotationGroup.remove(child);
+            child.geometry.dispose();
+            child.material.dispose();
+        }
+        this._createBackground();
+    }
+
+    /**
+     * Morph the arena to another polygon (4-8 sides, see collision.js)
+     */
+    setSides(sides) {
+        if (sides === this.sides) return;
+        this.sides = sides;
+        this.morph = 1;
+        this._buildArena();
+    }
+
+    /**
+     * Zoom the camera in by a fraction of its distance and tilt the playfield
+     * (radians), easing back over about a bar
+     */
+    pulseCamera(zoom, tilt) {
+        this.cameraPulse = { zoom, tilt, amount: 1 };
+    }
+
+    /**
+     * Punch the arena polygon out by `scale` (fraction of its size)
+     */
+    pulseArena(scale) {
+        this.arenaPulse = { scale, amount: 1 };
+    }
+
+    resetPulses() {
+        this.cameraPulse.amount = 0;
+        this.arenaPulse.amount = 0;
+        this.camera.position.z = CAMERA_DISTANCE;
+        this.scene.rotation.x = 0;
     }
 
     _createBackground() {
-        // Create background hex grid
-        const sides = 6;
+        // Create background polygon grid
+        const sides = this.sides;
 
         for (let ring = 1; ring <= 6; ring++) {
             const radius = 3 + ring * 3.5;
-            const points = [];
-            for (let i = 0; i <= sides; i++) {
-                const angle = (i / sides) * Math.PI * 2 - Math.PI / 6;
-                points.push(new THREE.Vector3(
-                    Math.cos(angle) * radius,
-                    Math.sin(angle) * radius,
-                    -0.5
-                ));
-            }
+            const points = polygonCorners(sides, radius).map(({ x, y }) => new THREE.Vector3(x, y, -0.5));
             const geo = new THREE.BufferGeometry().setFromPoints(points);
             const mat = new THREE.LineBasicMaterial({
                 color: 0x00f0ff,
@@ -216,16 +322,11 @@ export class Renderer3D {
             this.bgRotationGroup.add(line);
         }
 
-        // Radial lines from center
-        for (let i = 0; i < 6; i++) {
-            const angle = (i / 6) * Math.PI * 2 - Math.PI / 6;
+        // Radial lines from center, one per corner
+        for (const { x, y } of polygonCorners(sides, 30).slice(0, sides)) {
             const points = [
                 new THREE.Vector3(0, 0, -0.5),
-                new THREE.Vector3(
-                    Math.cos(angle) * 30,
-                    Math.sin(angle) * 30,
-                    -0.5
-                )
+                new THREE.Vector3(x, y, -0.5)
             ];
             const geo = new THREE.BufferGeometry().setFromPoints(points);
             const mat = new THREE.LineBasicMaterial({
@@ -315,6 +416,67 @@ export class Renderer3D {
         this.scene.add(this.wfMirrorLine);
     }
 
+    /**
+     * Graphics preset: bloom strength and the pixel ratio cap
+     * @param {{bloom: number, pixelRatio: number}} preset - see QUALITY_PRESETS
+     */
+    setQuality(preset) {
+        this.bloomScale = preset.bloom;
+        const ratio = Math.min(window.devicePixelRatio, preset.pixelRatio);
+        this.renderer.setPixelRatio(ratio);
+        this.composer.setPixelRatio(ratio);
+        this._onResize();
+    }
+
+    setChromaticAberration(enabled) {
+        this.chromaPass.enabled = enabled;
+    }
+
+    /**
+     * Tone down everything that throbs with the music: arena and bloom pulses,
+     * background flashes, waveform glow and the scripted camera moves
+     */
+    setReducedMotion(enabled) {
+        this.motionScale = enabled ? REDUCED_MOTION_SCALE : 1;
+    }
+
+    /**
+     * Share of the reactive effects the flash limiter allows this frame
+     * @param {number} scale - 0-1, see FlashLimiter
+     */
+    setFlashScale(scale) {
+        this.flashScale = scale;
+    }
+
+    /**
+     * Stop the rainbow cycling of the walls (safe mode)
+     */
+    setSteadyWallColor(steady) {
+        this.wallCycle = steady ? 0 : 1;
+    }
+
+    /**
+     * @param {string} id - key of COLOR_SCHEMES
+     */
+    setColorScheme(id) {
+        this.colorScheme = COLOR_SCHEMES[id] ?? COLOR_SCHEMES.default;
+        this.colorPalettes = this.colorScheme.palettes;
+        this.setPalette(this.paletteIndex);
+    }
+
+    setHighContrast(enabled) {
+        this.highContrast = enabled;
+    }
+
+    /**
+     * How walls are drawn: fill brightness (times the wall color) and edge
+     */
+    getWallStyle() {
+        return this.highContrast
+            ? { fill: 1, outline: HIGH_CONTRAST_OUTLINE, outlineOpacity: 1 }
+            : { fill: 0.6, outline: this.colorScheme.outline, outlineOpacity: 0.8 };
+    }
+
     _onResize() {
         this.width = window.innerWidth;
         this.height = window.innerHeight;
@@ -325,34 +487,41 @@ export class Renderer3D {
     }
 
     update(dt, gameTime, audioData, freqData, timeData) {
-        const { bass, mid, treble, energy } = audioData;
-
-        // Color cycling based on time
-        this.paletteChangeTimer += dt;
-        if (this.paletteChangeTimer > 15) {
-            this.paletteChangeTimer = 0;
-            this.currentPalette = (this.currentPalette + 1) % this.colorPalettes.length;
-        }
+        const { mid, treble } = audioData;
+        const m = this.motionScale * this.flashScale;
+        const bass = audioData.bass * m;
+        const energy = audioData.energy * m;
 
         const palette = this.colorPalettes[this.currentPalette];
         const primaryColor = new THREE.Color(palette.primary);
         const secondaryColor = new THREE.Color(palette.secondary);
 
         // RGB wall hue cycling — continuous rainbow
-        this.wallHue = (this.wallHue + dt * 0.08) % 1;
-
-        // Update hexagon outline color and pulse
-        const pulseScale = 1.0 + bass * 0.35;
+        this.wallHue = (this.wallHue + dt * 0.08 * this.wallCycle * this.flashScale) % 1;
+
+        // Scripted camera move and arena punch, eased out
+        const cam = this.cameraPulse;
+        cam.amount = Math.max(0, cam.amount - dt * 1.5);
+        const ease = cam.amount * cam.amount;
+        this.camera.position.z = CAMERA_DISTANCE * (1 - cam.zoom * ease * m);
+        this.scene.rotation.x = cam.tilt * ease * m;
+        this.arenaPulse.amount = Math.max(0, this.arenaPulse.amount - dt * 4);
+
+        // Update hexagon outline color and pulse; a new shape grows in from the center
+        this.morph = Math.max(0, this.morph - dt * 3);
+        const pulseScale = (1.0 + bass * 0.35 + this.arenaPulse.scale * this.arenaPulse.amount * m) * (1 - this.morph * 0.6);
         this.hexagonOutline.scale.set(pulseScale, pulseScale, 1);
         this.hexagon.scale.set(pulseScale, pulseScale, 1);
 
         this.hexagonOutline.material.color = primaryColor;
         this.hexagonOutline.material.opacity = 0.5 + bass * 0.5;
 
-        // Hexagon fill pulses with bass
+        // Hexagon fill pulses with bass, tinted like the walls (kept dark in high contrast)
         this.hexagon.material.opacity = 0.7 + bass * 0.3;
-        const hexBrightness = 0.02 + bass * 0.06;
-        this.hexagon.material.color.setHSL(this.wallHue, 0.3, hexBrightness);
+        const hexBrightness = this.highContrast ? 0.02 : 0.02 + bass * 0.06;
+        const fill = {};
+        this.getWallColor().getHSL(fill);
+        this.hexagon.material.color.setHSL(fill.h, 0.3, hexBrightness);
 
         // Background rotation
         this.bgRotationGroup.rotation.z += dt * 0.1 * (1 + bass * 0.5);
@@ -363,20 +532,22 @@ export class Renderer3D {
         });
 
         // === WAVEFORM VISUALIZER UPDATE ===
-        this._updateWaveform(gameTime, audioData, freqData, timeData, primaryColor, secondaryColor);
+        this._updateWaveform(gameTime, { ...audioData, bass, energy }, freqData, timeData, primaryColor, secondaryColor);
 
         // Bloom intensity reacts to bass + melody mid/treble — high base for neon glow
-        const melodyBoost = Math.max(0, mid + treble - 0.5) * 0.8;
-        this.bloomPass.strength = 1.0 + bass * 2.0 + melodyBoost;
+        const melodyBoost = Math.max(0, mid + treble - 0.5) * 0.8 * m;
+        // High contrast keeps the glow from bleeding the white walls into the dark
+        const contrastBloom = this.highContrast ? 0.4 : 1;
+        this.bloomPass.strength = (1.0 + bass * 2.0 + melodyBoost) * this.bloomScale * contrastBloom;
 
         // Chromatic aberration reacts to bass
         this.chromaPass.uniforms.uIntensity.value = 0.001 + bass * 0.008;
         this.chromaPass.uniforms.uTime.value = gameTime;
 
-        // Background color shifts
+        // Background color shifts (plain black in high contrast)
         const bgHue = (gameTime * 0.02) % 1;
         const bgColor = new THREE.Color().setHSL(bgHue, 0.3, 0.02 + energy * 0.03);
-        this.renderer.setClearColor(bgColor);
+        this.renderer.setClearColor(this.highContrast ? 0x000000 : bgColor);
     }
 
     _updateWaveform(gameTime, audioData, freqData, timeData, primaryColor, secondaryColor) {
@@ -413,7 +584,8 @@ export class Renderer3D {
             this.wfFreqGeo.attributes.position.needsUpdate = true;
             this.wfFreqGeo.attributes.color.needsUpdate = true;
         }
-        this.wfFreqMat.opacity = 0.5 + energy * 0.5;
+        const dim = this.highContrast ? HIGH_CONTRAST_DIM : 1;
+        this.wfFreqMat.opacity = (0.5 + energy * 0.5) * dim;
 
         // --- Time-domain ring (inner waveform) ---
         if (timeData && timeData.length > 0) {
@@ -442,7 +614,7 @@ export class Renderer3D {
             this.wfTimeGeo.attributes.position.needsUpdate = true;
             this.wfTimeGeo.attributes.color.needsUpdate = true;
         }
-        this.wfTimeMat.opacity = 0.4 + bass * 0.6;
+        this.wfTimeMat.opacity = (0.4 + bass * 0.6) * dim;
 
         // --- Mirror ring (outermost, subtle) ---
         if (freqData && freqData.length > 0) {
@@ -463,7 +635,16 @@ export class Renderer3D {
             this.wfMirrorGeo.attributes.position.needsUpdate = true;
         }
         this.wfMirrorMat.color = primaryColor;
-        this.wfMirrorMat.opacity = 0.15 + energy * 0.3;
+        this.wfMirrorMat.opacity = (0.15 + energy * 0.3) * dim;
+    }
+
+    /**
+     * Switch palette (called on song section boundaries)
+     * @param {number} index - any non-negative integer, wraps around the palette list
+     */
+    setPalette(index) {
+        this.paletteIndex = index;
+        this.currentPalette = index % this.colorPalettes.length;
     }
 
     getPrimaryColor() {
@@ -475,9 +656,11 @@ export class Renderer3D {
     }
 
     /**
-     * Get the current RGB cycling color for walls
+     * Current wall color: the rainbow cycle, or fixed by the color scheme or high contrast
      */
     getWallColor() {
+        if (this.highContrast) return new THREE.Color(HIGH_CONTRAST_WALL);
+        if (this.colorScheme.wall !== null) return new THREE.Color(this.colorScheme.wall);
         return new THREE.Color().setHSL(this.wallHue, 1.0, 0.5);
     }
 
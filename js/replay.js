@@ -0,0 +1,217 @@
+/**
+ * replay.js — Recording, serialization and playback of runs
+ *
+ * A replay only stores what the player did: the left/right input edges, as
+ * fixed simulation step indices, plus the song fingerprint and level seed
+ * needed to regenerate the exact same walls. Because the game simulates in
+ * fixed steps, feeding the same inputs back reproduces the run exactly.
+ */
+import { GENERATOR_VERSION } from './levelGenerator.js';
+import { DIFFICULTIES } from './difficulty.js';
+
+export const REPLAY_FORMAT = 'hexbeat-replay';
+export const REPLAY_VERSION = 1;
+export const REPLAY_EXTENSION = '.hexreplay';
+
+const INPUT_LEFT = 1;
+const INPUT_RIGHT = 2;
+
+export class ReplayError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReplayError';
+    }
+}
+
+function inputBits(left, right) {
+    return (left ? INPUT_LEFT : 0) | (right ? INPUT_RIGHT : 0);
+}
+
+export class ReplayRecorder {
+    constructor() {
+        this.recording = false;
+        this.meta = null;
+        this.transitions = []; // [{step, bits}]
+        this.lastBits = 0;
+    }
+
+    /**
+     * @param {object} meta - { songId, seed, difficulty, startTime, stepRate, startAngle, moveSpeed }
+     */
+    start(meta) {
+        this.recording = true;
+        this.meta = { ...meta };
+        this.transitions = [];
+        this.lastBits = 0;
+    }
+
+    /**
+     * Record the input used for a simulation step; only changes are stored.
+     * @param {number} step - step index since the run started
+     */
+    sample(step, left, right) {
+        if (!this.recording) return;
+        const bits = inputBits(left, right);
+        if (bits === this.lastBits) return;
+        this.lastBits = bits;
+        this.transitions.push({ step, bits });
+    }
+
+    /**
+     * Stop recording and drop what was recorded
+     */
+    cancel() {
+        this.recording = false;
+        this.transitions = [];
+    }
+
+    /**
+     * Stop recording and build the serializable replay.
+     * @param {number} steps - number of simulation steps the run lasted
+     * @returns {object|null}
+     */
+    finish(steps, victory) {
+        if (!this.recording) return null;
+        this.recording = false;
+
+        const { songId, seed, difficulty, startTime, stepRate, startAngle, moveSpeed } = this.meta;
+
+        // Delta-encoded step indices, flattened as [dSteps, bits, dSteps, bits, ...]
+        const inputs = [];
+        let previousStep = 0;
+        for (const t of this.transitions) {
+            inputs.push(t.step - previousStep, t.bits);
+            previousStep = t.step;
+        }
+
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            generatorVersion: GENERATOR_VERSION,
+            songId,
+            seed,
+            difficulty,
+            startTime,
+            endTime: startTime + steps / stepRate,
+            stepRate,
+            steps,
+            startAngle,
+            moveSpeed,
+            victory: !!victory,
+            recordedAt: new Date().toISOString(),
+            inputs
+        };
+    }
+}
+
+/**
+ * Parse and validate a replay file's text.
+ * @throws {ReplayError}
+ */
+export function parseReplay(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new ReplayError('El archivo no es un replay válido (JSON incorrecto).');
+    }
+
+    if (!data || data.format !== REPLAY_FORMAT) {
+        throw new ReplayError('El archivo no es un replay de HexBeat.');
+    }
+    if (data.version !== REPLAY_VERSION) {
+        throw new ReplayError(`Versión de replay no soportada (${data.version}).`);
+    }
+    for (const field of ['startTime', 'endTime', 'startAngle', 'moveSpeed', 'seed']) {
+        if (!Number.isFinite(data[field])) {
+            throw new ReplayError(`Replay dañado: falta el campo "${field}".`);
+        }
+    }
+    if (typeof data.songId !== 'string' || !data.songId) {
+        throw new ReplayError('Replay dañado: falta la huella de la canción.');
+    }
+    if (!Array.isArray(data.inputs) || data.inputs.length % 2 !== 0 || !data.inputs.every(Number.isInteger)) {
+        throw new ReplayError('Replay dañado: la lista de entradas no es válida.');
+    }
+
+    if (!Object.hasOwn(DIFFICULTIES, data.difficulty)) {
+        throw new ReplayError(`Replay dañado: dificultad desconocida ("${data.difficulty}").`);
+    }
+
+    if (!Number.isInteger(data.steps) || data.steps < 0 || !(data.stepRate > 0)) {
+        throw new ReplayError('Replay dañado: duración no válida.');
+    }
+
+    return data;
+}
+
+export function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+/**
+ * Read-only view of a replay used to drive the player during playback
+ */
+export class ReplayPlayback {
+    constructor(replay) {
+        this.replay = replay;
+        this.stepDt = 1 / replay.stepRate;
+        this.transitions = []; // [{step, left, right}] in step order
+
+        let step = 0;
+        for (let i = 0; i < replay.inputs.length; i += 2) {
+            step += replay.inputs[i];
+            const bits = replay.inputs[i + 1];
+            this.transitions.push({
+                step,
+                left: (bits & INPUT_LEFT) !== 0,
+                right: (bits & INPUT_RIGHT) !== 0
+            });
+        }
+    }
+
+    get startTime() { return this.replay.startTime; }
+    get endTime() { return this.replay.endTime; }
+    get totalSteps() { return this.replay.steps; }
+
+    /** Input in effect during step `step` */
+    inputAtStep(step) {
+        // Last transition at or before `step` (binary search)
+        let lo = 0;
+        let hi = this.transitions.length - 1;
+        let found = -1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.transitions[mid].step <= step) {
+                found = mid;
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        if (found === -1) return { left: false, right: false };
+        const t = this.transitions[found];
+        return { left: t.left, right: t.right };
+    }
+
+    /**
+     * Player angle after `step` simulation steps. Uses the exact arithmetic of
+     * Player.step so the result is bit-identical to the original run.
+     */
+    angleAtStep(step) {
+        const { startAngle, moveSpeed } = this.replay;
+        const dt = this.stepDt;
+        let angle = startAngle;
+        let next = 0;
+        let dir = 0;
+
+        for (let k = 0; k < step; k++) {
+            while (next < this.transitions.length && this.transitions[next].step <= k) {
+                const t = this.transitions[next++];
+                dir = (t.left ? 1 : 0) - (t.right ? 1 : 0);
+            }
+            angle += dir * moveSpeed * dt;
+        }
+        return angle;
+    }
+}
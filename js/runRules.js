@@ -0,0 +1,50 @@
+/**
+ * runRules.js — What a run counts for: the global leaderboard, the local best
+ * time, and whether it can be continued once it ends
+ */
+
+/**
+ * @typedef {object} RunInfo
+ * @property {string|null} songId - fingerprint of the song being played
+ * @property {boolean} chart      - the level comes from an imported chart
+ * @property {boolean} practice   - a practice attempt
+ * @property {boolean} continued  - resumed with Continue after a death
+ */
+
+/**
+ * Why the run stays off the global leaderboard, or null when it's ranked
+ * @param {RunInfo} run
+ */
+export function unrankedReason(run) {
+    if (run.practice) return 'Práctica: sin ranking global.';
+    if (run.chart) return 'Chart personalizado: sin ranking global.';
+    if (run.continued) return 'Partida continuada: sin ranking global.';
+    return null;
+}
+
+/**
+ * Song id the run is ranked under, or null for unranked runs
+ * @param {RunInfo} run
+ */
+export function rankedSongId(run) {
+    return unrankedReason(run) ? null : run.songId;
+}
+
+/**
+ * Whether the run may set the local best time. A continued run doesn't
+ * start from zero, so its time isn't comparable with one in a single go.
+ * @param {RunInfo} run
+ */
+export function keepsRecord(run) {
+    return !run.practice && !run.continued;
+}
+
+/**
+ * Whether the run that just ended can be continued: only a death can, never
+ * a cleared song or a practice attempt
+ * @param {RunInfo} run
+ * @param {number|null} deathTime - audio time of the death that ended it, null if it didn't end in one
+ */
+export function canContinue(run, deathTime) {
+    return !run.practice && deathTime !== null && deathTime !== undefined;
+}
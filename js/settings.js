@@ -0,0 +1,115 @@
+/**
+ * settings.js — User options (audio, graphics, accessibility), persisted in localStorage
+ *
+ * Controls and latency keep their own storage, see input.js and calibration.js.
+ */
+
+const STORAGE_KEY = 'hexbeat_settings';
+
+/**
+ * Graphics presets. `bloom` scales the bloom strength, `pixelRatio` caps the
+ * device pixel ratio and `particles` is the share of each particle pool in use.
+ */
+export const QUALITY_PRESETS = {
+    low: { label: 'BAJA', bloom: 0.5, pixelRatio: 1, particles: 0.3 },
+    medium: { label: 'MEDIA', bloom: 0.8, pixelRatio: 1.5, particles: 0.6 },
+    high: { label: 'ALTA', bloom: 1, pixelRatio: 2, particles: 1 }
+};
+
+/**
+ * Color schemes, see COLOR_SCHEMES in renderer3d.js
+ */
+export const COLOR_SCHEME_LABELS = {
+    default: 'NORMAL',
+    deuteranopia: 'DEUTERANOPÍA',
+    protanopia: 'PROTANOPÍA',
+    tritanopia: 'TRITANOPÍA'
+};
+
+export const DEFAULT_SETTINGS = {
+    musicVolume: 1,   // 0-1
+    sfxVolume: 1,     // 0-1
+    quality: 'high',  // key of QUALITY_PRESETS
+    screenShake: true,
+    chromaticAberration: true,
+    reducedMotion: false, // slower world rotation, softer pulses and flashes
+    flashLimiter: true,   // damp effects when the frames start flashing, see flashLimiter.js
+    colorScheme: 'default', // key of COLOR_SCHEME_LABELS
+    highContrast: false,  // white walls with dark edges on a black background
+    safeMode: false       // photosensitivity preset, see SAFE_MODE
+};
+
+/**
+ * Options forced by safe mode, whatever their own value
+ */
+export const SAFE_MODE = {
+    screenShake: false,
+    chromaticAberration: false,
+    reducedMotion: true,
+    flashLimiter: true
+};
+
+function prefersReducedMotion() {
+    return typeof matchMedia === 'function' && matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Check one option; returns the value to store or undefined if it isn't valid
+ */
+function validate(key, value) {
+    switch (key) {
+        case 'musicVolume':
+        case 'sfxVolume':
+            return Number.isFinite(value) ? Math.min(Math.max(value, 0), 1) : undefined;
+        case 'quality':
+            return Object.hasOwn(QUALITY_PRESETS, value) ? value : undefined;
+        case 'colorScheme':
+            return Object.hasOwn(COLOR_SCHEME_LABELS, value) ? value : undefined;
+        case 'screenShake':
+        case 'chromaticAberration':
+        case 'reducedMotion':
+        case 'flashLimiter':
+        case 'highContrast':
+        case 'safeMode':
+            return typeof value === 'boolean' ? value : undefined;
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Saved settings over the defaults; without saved settings, reduced motion
+ * follows the system preference
+ */
+export function loadSettings() {
+    const settings = { ...DEFAULT_SETTINGS, reducedMotion: prefersReducedMotion() };
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        for (const key of Object.keys(DEFAULT_SETTINGS)) {
+            const value = validate(key, saved?.[key]);
+            if (value !== undefined) settings[key] = value;
+        }
+    } catch (e) {
+        // Corrupt entry: defaults
+    }
+    return settings;
+}
+
+export function saveSettings(settings) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * The options in effect: safe mode overrides the ones it covers
+ */
+export function effectiveSettings(settings) {
+    return settings.safeMode ? { ...settings, ...SAFE_MODE } : settings;
+}
+
+/**
+ * Copy of `settings` with one option changed; invalid values are ignored
+ */
+export function updateSetting(settings, key, value) {
+    const checked = validate(key, value);
+    return checked === undefined ? settings : { ...settings, [key]: checked };
+}
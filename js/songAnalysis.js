@@ -0,0 +1,265 @@
+/**
+ * songAnalysis.js — Everything the game knows about a song after the offline
+ * analysis: energy map, beats and tempo, sections and melody onsets
+ *
+ * Pure: the browser (AudioManager) and the server (server/songAnalysis.js)
+ * run the same steps on the spectral features, and the server caches the
+ * result as a sidecar JSON the browser loads instead of analysing again.
+ */
+import { ANALYSIS_HOP } from './spectralAnalysis.js';
+import { trackTempo } from './tempoTracker.js';
+import { segmentStructure } from './structureAnalysis.js';
+
+export const ANALYSIS_FORMAT = 'hexbeat-analysis';
+// Bump whenever the analysis changes its output for the same audio, so cached
+// sidecars are rebuilt
+export const ANALYSIS_VERSION = 3;
+
+export class AnalysisError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AnalysisError';
+    }
+}
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+export class SongAnalysis {
+    constructor() {
+        this.bpm = 120;
+        this.energyMap = []; // [{time, bass, mid, treble, total}]
+        this.frameHop = ANALYSIS_HOP; // seconds between energyMap frames, see analyzeSpectrum()
+        this.spectralFeatures = null; // per-frame typed arrays, see analyzeSpectrum(); not in sidecars
+        this.beatTimes = []; // seconds where beats occur (follows tempo changes)
+        this.tempoCurve = []; // [{time, bpm}] local tempo at each beat
+        this.downbeats = []; // seconds where bars start
+        this.beatsPerBar = 4;
+        this.tempoConfidence = 0; // 0-1, how clearly the beats stand out
+        this.sections = []; // [{start, end, label, group, energy, intensity}], see segmentStructure()
+        this.melodyOnsets = []; // [{time, intensity}] — melodic note onsets
+        this.duration = 0;
+        this.fingerprint = null; // stable song id, see computeFingerprint()
+    }
+
+    /**
+     * Tempo, structure and melody from the spectral analysis of the song
+     * @param {{energyMap, features}} spectrum - see analyzeSpectrum()
+     * @param {(message: string, fraction: number) => void} [onStep] - called
+     *   before each step, with the share of the steps done
+     */
+    analyze(spectrum, onStep) {
+        this.energyMap = spectrum.energyMap;
+        this.spectralFeatures = spectrum.features;
+        this.frameHop = spectrum.features.hop;
+
+        onStep?.('Detectando tempo...', 0);
+        this._trackTempo();
+
+        onStep?.('Analizando estructura...', 0.5);
+        this.sections = segmentStructure({
+            beatTimes: this.beatTimes,
+            downbeats: this.downbeats,
+            energyMap: this.energyMap,
+            features: this.spectralFeatures,
+            duration: this.duration
+        });
+
+        onStep?.('Detectando melodía...', 1);
+        this._detectMelodyOnsets();
+    }
+
+    /**
+     * Tempo + beat tracking on the spectral flux (see tempoTracker.js).
+     * beatTimes follows tempo changes; bpm is the song-wide estimate.
+     */
+    _trackTempo() {
+        const tempo = trackTempo(this.spectralFeatures.flux, this.spectralFeatures.hop);
+
+        this.bpm = tempo.bpm;
+        this.beatTimes = tempo.beatTimes;
+        this.tempoCurve = tempo.tempoCurve;
+        this.downbeats = tempo.downbeats;
+        this.beatsPerBar = tempo.beatsPerBar;
+        this.tempoConfidence = tempo.confidence;
+
+        // No usable pulse (ambient, silence): fall back to a rigid grid so the
+        // level generator still has beats to place walls on
+        if (this.beatTimes.length < 8) {
+            const beatInterval = 60 / this.bpm;
+            this.beatTimes = [];
+            for (let t = 0; t < this.duration; t += beatInterval) this.beatTimes.push(t);
+            this.tempoCurve = [];
+            this.downbeats = this.beatTimes.filter((_, i) => i % 4 === 0);
+            this.beatsPerBar = 4;
+            this.tempoConfidence = 0;
+        }
+    }
+
+    /**
+     * Pre-analysis: detect melodic note onsets via spectral flux in the 250 Hz – 6 kHz range.
+     * Produces this.melodyOnsets = [{time, intensity}]
+     */
+    _detectMelodyOnsets() {
+        this.melodyOnsets = [];
+        const melodyFlux = this.spectralFeatures?.melodyFlux;
+        if (!melodyFlux || melodyFlux.length < 3) return;
+
+        // Scale to 0-1 so the absolute silence floor below is song-independent
+        let maxFlux = 1e-9;
+        for (let i = 0; i < melodyFlux.length; i++) maxFlux = Math.max(maxFlux, melodyFlux[i]);
+        const flux = [];
+        for (let i = 1; i < melodyFlux.length; i++) {
+            flux.push({ time: this.energyMap[i].time, value: melodyFlux[i] / maxFlux });
+        }
+
+        // Adaptive threshold: local mean over ~200ms window (8 frames at 25ms hop)
+        const halfWin = 4;
+        const thresholdFactor = 1.8; // onset must be this many times the local average
+        const minCooldown = 0.08;    // minimum 80ms between onsets
+        let lastOnsetTime = -1;
+
+        for (let i = halfWin; i < flux.length - halfWin; i++) {
+            let localSum = 0;
+            for (let j = i - halfWin; j <= i + halfWin; j++) {
+                localSum += flux[j].value;
+            }
+            const localMean = localSum / (halfWin * 2 + 1);
+
+            // Must be a local peak and above adaptive threshold
+            if (flux[i].value > localMean * thresholdFactor &&
+                flux[i].value > flux[i - 1].value &&
+                flux[i].value > flux[i + 1].value &&
+                flux[i].value > 0.05 && // absolute minimum to reject silence
+                flux[i].time - lastOnsetTime > minCooldown) {
+
+                lastOnsetTime = flux[i].time;
+                this.melodyOnsets.push({
+                    time: flux[i].time,
+                    intensity: flux[i].value // will be normalized below
+                });
+            }
+        }
+
+        // Normalize intensities to 0-1
+        if (this.melodyOnsets.length > 0) {
+            const maxIntensity = Math.max(...this.melodyOnsets.map(o => o.intensity), 0.001);
+            for (const o of this.melodyOnsets) {
+                o.intensity /= maxIntensity;
+            }
+        }
+    }
+
+    /**
+     * Use a chart's tempo map instead of the analyzed one: the map has one
+     * point per beat, so it doubles as the beat list.
+     * @param {{bpm, beatsPerBar, map: Array<{time, bpm}>, downbeats: number[]}} tempo
+     */
+    applyTempoMap(tempo) {
+        this.bpm = tempo.bpm;
+        this.beatsPerBar = tempo.beatsPerBar;
+        if (tempo.map.length > 1) {
+            this.tempoCurve = tempo.map.map(p => ({ ...p }));
+            this.beatTimes = tempo.map.map(p => p.time);
+        }
+        if (tempo.downbeats.length > 0) this.downbeats = [...tempo.downbeats];
+    }
+
+    /**
+     * Local tempo at `time`, falling back to the song-wide estimate
+     */
+    getBpmAt(time) {
+        const curve = this.tempoCurve;
+        if (curve.length === 0) return this.bpm;
+        if (time <= curve[0].time) return curve[0].bpm;
+
+        // Binary search for the last point at or before `time`
+        let lo = 0, hi = curve.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (curve[mid].time <= time) lo = mid;
+            else hi = mid - 1;
+        }
+        return curve[lo].bpm;
+    }
+
+    getBeatIntervalAt(time) {
+        return 60 / this.getBpmAt(time);
+    }
+
+    /**
+     * Index into this.sections of the section playing at `time` (-1 before analysis)
+     */
+    getSectionIndexAt(time) {
+        for (let i = this.sections.length - 1; i >= 0; i--) {
+            if (this.sections[i].start <= time) return i;
+        }
+        return this.sections.length > 0 ? 0 : -1;
+    }
+
+    getSectionAt(time) {
+        return this.sections[this.getSectionIndexAt(time)] || null;
+    }
+
+    getEnergyAt(time) {
+        if (this.energyMap.length === 0) return { bass: 0, mid: 0, treble: 0, total: 0 };
+        const idx = Math.floor(time / this.frameHop);
+        if (idx >= 0 && idx < this.energyMap.length) {
+            return this.energyMap[idx];
+        }
+        return this.energyMap[this.energyMap.length - 1];
+    }
+
+    /**
+     * Sidecar object for the server cache. The spectral features are left out:
+     * only the analysis uses them. Energy frames are [time, bass, mid, treble, total].
+     */
+    toSidecar() {
+        return {
+            format: ANALYSIS_FORMAT,
+            version: ANALYSIS_VERSION,
+            fingerprint: this.fingerprint,
+            duration: round(this.duration),
+            bpm: round(this.bpm, 2),
+            frameHop: this.frameHop,
+            beatsPerBar: this.beatsPerBar,
+            tempoConfidence: round(this.tempoConfidence, 3),
+            beatTimes: this.beatTimes.map(t => round(t)),
+            tempoCurve: this.tempoCurve.map(p => ({ time: round(p.time), bpm: round(p.bpm, 2) })),
+            downbeats: this.downbeats.map(t => round(t)),
+            sections: this.sections.map(s => ({
+                ...s, start: round(s.start), end: round(s.end), energy: round(s.energy, 3), intensity: round(s.intensity, 3)
+            })),
+            melodyOnsets: this.melodyOnsets.map(o => ({ time: round(o.time), intensity: round(o.intensity, 3) })),
+            energy: this.energyMap.map(e => [round(e.time), round(e.bass), round(e.mid), round(e.treble), round(e.total)])
+        };
+    }
+
+    /**
+     * Take the analysis from a sidecar (see toSidecar()) instead of running it.
+     * Duration and fingerprint stay those of the decoded audio; the caller
+     * checks the sidecar was made from it first.
+     * @throws {AnalysisError} when the sidecar is of another format or version
+     */
+    loadSidecar(data) {
+        if (data?.format !== ANALYSIS_FORMAT || data.version !== ANALYSIS_VERSION) {
+            throw new AnalysisError(`Análisis en caché no compatible (versión ${data?.version}).`);
+        }
+        const lists = ['beatTimes', 'tempoCurve', 'downbeats', 'sections', 'melodyOnsets', 'energy'];
+        const missing = lists.find(key => !Array.isArray(data[key]));
+        if (missing || typeof data.fingerprint !== 'string' || !Number.isFinite(data.bpm) || !(data.frameHop > 0)) {
+            throw new AnalysisError(`Análisis en caché incompleto${missing ? ` (falta "${missing}")` : ''}.`);
+        }
+
+        this.bpm = data.bpm;
+        this.frameHop = data.frameHop;
+        this.beatsPerBar = data.beatsPerBar;
+        this.tempoConfidence = data.tempoConfidence;
+        this.beatTimes = data.beatTimes;
+        this.tempoCurve = data.tempoCurve;
+        this.downbeats = data.downbeats;
+        this.sections = data.sections;
+        this.melodyOnsets = data.melodyOnsets;
+        this.energyMap = data.energy.map(([time, bass, mid, treble, total]) => ({ time, bass, mid, treble, total }));
+        this.spectralFeatures = null;
+    }
+}
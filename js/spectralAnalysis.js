@@ -0,0 +1,234 @@
+/**
+ * spectralAnalysis.js — Offline STFT analysis of a whole song
+ *
+ * Pure function of the PCM samples: runs in the analysis worker, on the main
+ * thread as a fallback, and in Node.
+ */
+import { FFT, hannWindow, nextPowerOfTwo } from './fft.js';
+
+export const ANALYSIS_HOP = 0.025; // seconds, nominal: the real hop is a whole number of samples (features.hop)
+
+// Band edges in Hz
+const BASS_MAX = 250;
+const MID_MAX = 4000;
+const MELODY_MIN = 250;
+const MELODY_MAX = 6000;
+const CHROMA_MIN = 55;    // A1
+const CHROMA_MAX = 5000;
+const MEL_BANDS = 26;
+const NO_BAND = -2;
+export const CHROMA_BINS = 12;
+export const MFCC_COEFFS = 12; // c1..c12; c0 (loudness) is left out, energyMap has it
+
+/**
+ * Mix an AudioBuffer-like object down to a single Float32Array
+ */
+export function mixToMono(buffer) {
+    const mono = new Float32Array(buffer.length);
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const data = buffer.getChannelData(c);
+        for (let i = 0; i < mono.length; i++) mono[i] += data[i];
+    }
+    if (buffer.numberOfChannels > 1) {
+        const scale = 1 / buffer.numberOfChannels;
+        for (let i = 0; i < mono.length; i++) mono[i] *= scale;
+    }
+    return mono;
+}
+
+/**
+ * Short-time Fourier analysis.
+ * @param {Float32Array} samples - mono PCM
+ * @param {number} sampleRate
+ * @returns {{energyMap: Array<{time, bass, mid, treble, total}>, features: object}}
+ *   energyMap values are normalized to 0-1 per band. features holds one value
+ *   per frame (same indexing as energyMap) in typed arrays:
+ *     flux       — positive log-spectral flux over the whole spectrum (onset strength)
+ *     melodyFlux — same, restricted to the 250 Hz – 6 kHz melodic range
+ *     bassFlux   — same, below 250 Hz (kick drums)
+ *     centroid   — spectral centroid in Hz (brightness)
+ *     rms        — frame loudness before normalization
+ *     chroma     — CHROMA_BINS values per frame (pitch-class energy), flattened
+ *     mfcc       — MFCC_COEFFS values per frame (timbre), flattened
+ */
+export function analyzeSpectrum(samples, sampleRate, onProgress) {
+    // Whole samples per frame, so the real hop is only close to ANALYSIS_HOP
+    // (25.011 ms at 44.1 kHz): frame times all come from features.hop
+    const hopSize = Math.round(sampleRate * ANALYSIS_HOP);
+    const hop = hopSize / sampleRate;
+    const fftSize = nextPowerOfTwo(sampleRate * 0.046); // ~46 ms → 2048 at 44.1/48 kHz
+    const frameCount = Math.max(0, Math.floor((samples.length - fftSize) / hopSize) + 1);
+    const binCount = fftSize / 2;
+    const binHz = sampleRate / fftSize;
+
+    const fft = new FFT(fftSize);
+    const window = hannWindow(fftSize);
+    const re = new Float64Array(fftSize);
+    const im = new Float64Array(fftSize);
+    let logMag = new Float32Array(binCount);
+    let prevLogMag = new Float32Array(binCount);
+
+    const bassEnd = Math.max(1, Math.round(BASS_MAX / binHz));
+    const midEnd = Math.round(MID_MAX / binHz);
+    const melodyStart = Math.round(MELODY_MIN / binHz);
+    const melodyEnd = Math.min(binCount, Math.round(MELODY_MAX / binHz));
+
+    const chromaOfBin = chromaMap(binCount, binHz);
+    const mel = melMap(binCount, binHz, sampleRate);
+    const melEnergy = new Float64Array(MEL_BANDS);
+
+    const energyMap = new Array(frameCount);
+    const features = {
+        hop, // seconds per frame
+        fftSize,
+        flux: new Float32Array(frameCount),
+        melodyFlux: new Float32Array(frameCount),
+        bassFlux: new Float32Array(frameCount),
+        centroid: new Float32Array(frameCount),
+        rms: new Float32Array(frameCount),
+        chroma: new Float32Array(frameCount * CHROMA_BINS),
+        mfcc: new Float32Array(frameCount * MFCC_COEFFS)
+    };
+
+    let maxBass = 1e-9, maxMid = 1e-9, maxTreble = 1e-9, maxTotal = 1e-9;
+
+    for (let f = 0; f < frameCount; f++) {
+        const offset = f * hopSize;
+
+        let sumSq = 0;
+        for (let i = 0; i < fftSize; i++) {
+            const x = samples[offset + i];
+            sumSq += x * x;
+            re[i] = x * window[i];
+            im[i] = 0;
+        }
+        fft.forward(re, im);
+
+        let bass = 0, mid = 0, treble = 0;
+        let weighted = 0, magSum = 0;
+        let flux = 0, melodyFlux = 0, bassFlux = 0;
+        const chromaOffset = f * CHROMA_BINS;
+        melEnergy.fill(0);
+
+        for (let k = 1; k < binCount; k++) {
+            const power = re[k] * re[k] + im[k] * im[k];
+            const mag = Math.sqrt(power);
+
+            if (k < bassEnd) bass += power;
+            else if (k < midEnd) mid += power;
+            else treble += power;
+
+            weighted += mag * k * binHz;
+            magSum += mag;
+
+            const pitchClass = chromaOfBin[k];
+            if (pitchClass >= 0) features.chroma[chromaOffset + pitchClass] += power;
+
+            // Each bin feeds the two triangular mel filters it sits between
+            const band = mel.band[k];
+            if (band !== NO_BAND) {
+                if (band >= 0) melEnergy[band] += power * (1 - mel.weight[k]);
+                if (band + 1 < MEL_BANDS) melEnergy[band + 1] += power * mel.weight[k];
+            }
+
+            // Log compression keeps quiet passages from being drowned by loud ones
+            logMag[k] = Math.log1p(100 * mag);
+            const rise = logMag[k] - prevLogMag[k];
+            if (rise > 0) {
+                flux += rise;
+                if (k >= melodyStart && k < melodyEnd) melodyFlux += rise;
+                if (k < bassEnd) bassFlux += rise;
+            }
+        }
+
+        // Swap spectra buffers instead of copying
+        const tmp = prevLogMag;
+        prevLogMag = logMag;
+        logMag = tmp;
+
+        const entry = {
+            time: f * hop,
+            bass: Math.sqrt(bass),
+            mid: Math.sqrt(mid),
+            treble: Math.sqrt(treble),
+            total: Math.sqrt(bass + mid + treble)
+        };
+        energyMap[f] = entry;
+
+        if (entry.bass > maxBass) maxBass = entry.bass;
+        if (entry.mid > maxMid) maxMid = entry.mid;
+        if (entry.treble > maxTreble) maxTreble = entry.treble;
+        if (entry.total > maxTotal) maxTotal = entry.total;
+
+        // The first frame has no predecessor — its "flux" would be the whole spectrum
+        features.flux[f] = f === 0 ? 0 : flux;
+        features.melodyFlux[f] = f === 0 ? 0 : melodyFlux;
+        features.bassFlux[f] = f === 0 ? 0 : bassFlux;
+        features.centroid[f] = magSum > 0 ? weighted / magSum : 0;
+        features.rms[f] = Math.sqrt(sumSq / fftSize);
+        melCepstrum(melEnergy, features.mfcc, f * MFCC_COEFFS);
+
+        if (onProgress && f % 500 === 0) onProgress(f / frameCount);
+    }
+
+    // Normalize energy values to 0-1 range
+    for (const e of energyMap) {
+        e.total /= maxTotal;
+        e.bass /= maxBass;
+        e.mid /= maxMid;
+        e.treble /= maxTreble;
+    }
+
+    return { energyMap, features };
+}
+
+/**
+ * Pitch class (0 = C) of every FFT bin in the chroma range, -1 elsewhere
+ */
+function chromaMap(binCount, binHz) {
+    const map = new Int8Array(binCount).fill(-1);
+    for (let k = 1; k < binCount; k++) {
+        const freq = k * binHz;
+        if (freq < CHROMA_MIN || freq > CHROMA_MAX) continue;
+        const midi = Math.round(12 * Math.log2(freq / 440) + 69);
+        map[k] = ((midi % 12) + 12) % 12;
+    }
+    return map;
+}
+
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+
+/**
+ * Position of every FFT bin between mel filter centers: bin k lies between
+ * filter band[k] and band[k] + 1, weight[k] of the way to the latter.
+ * band -1 is the ramp into the first filter; NO_BAND marks bins outside all filters.
+ */
+function melMap(binCount, binHz, sampleRate) {
+    const band = new Int16Array(binCount).fill(NO_BAND);
+    const weight = new Float32Array(binCount);
+    const minMel = hzToMel(30);
+    const maxMel = hzToMel(Math.min(8000, sampleRate / 2));
+    const step = (maxMel - minMel) / (MEL_BANDS + 1);
+
+    for (let k = 1; k < binCount; k++) {
+        // Filter i is centered at minMel + (i + 1) * step
+        const pos = (hzToMel(k * binHz) - minMel) / step - 1;
+        if (pos < -1 || pos >= MEL_BANDS) continue;
+        band[k] = Math.floor(pos);
+        weight[k] = pos - band[k];
+    }
+    return { band, weight };
+}
+
+/**
+ * DCT-II of the log mel energies, keeping coefficients 1..MFCC_COEFFS
+ */
+function melCepstrum(melEnergy, out, offset) {
+    for (let c = 1; c <= MFCC_COEFFS; c++) {
+        let sum = 0;
+        for (let b = 0; b < MEL_BANDS; b++) {
+            sum += Math.log(melEnergy[b] + 1e-10) * Math.cos(Math.PI * c * (b + 0.5) / MEL_BANDS);
+        }
+        out[offset + c - 1] = sum;
+    }
+}
@@ -0,0 +1,282 @@
+/**
+ * structureAnalysis.js — Song structure segmentation (intro/verse/chorus/drop/breakdown/outro)
+ *
+ * Beat-synchronous chroma + MFCC vectors → self-similarity matrix → Foote
+ * novelty for boundaries → similar sections share a group → labels from
+ * energy and position. Pure: runs in the browser and in Node.
+ */
+import { CHROMA_BINS, MFCC_COEFFS } from './spectralAnalysis.js';
+
+export const SECTION_LABELS = ['intro', 'verse', 'chorus', 'drop', 'breakdown', 'outro'];
+
+const KERNEL_BEATS = 8;        // half-width of the novelty kernel
+const MIN_SECTION_BEATS = 16;
+const SECONDS_PER_SECTION = 15; // upper bound on section count: duration / this
+const SAME_GROUP_SIMILARITY = 0.85;
+
+/**
+ * @param {object} analysis
+ * @param {number[]} analysis.beatTimes
+ * @param {number[]} analysis.downbeats
+ * @param {Array<{time, bass, total}>} analysis.energyMap
+ * @param {object} analysis.features - from analyzeSpectrum()
+ * @param {number} analysis.duration
+ * @returns {Array<{start, end, label, group, energy, intensity}>} contiguous sections
+ *   covering [0, duration]. group: sections with the same number sound alike.
+ *   intensity: 0-1 rank of the section energy within the song.
+ */
+export function segmentStructure({ beatTimes, downbeats, energyMap, features, duration }) {
+    const whole = [{ start: 0, end: duration, label: 'verse', group: 0, energy: 0.5, intensity: 0.5 }];
+    if (beatTimes.length < MIN_SECTION_BEATS * 2 || energyMap.length === 0) return whole;
+
+    const beats = beatSyncFeatures(beatTimes, energyMap, features, duration);
+    const similarity = selfSimilarity(beats.vectors);
+    const novelty = combinedNovelty(similarity, beats.energy);
+    const boundaries = pickBoundaries(novelty, beatTimes, downbeats, duration);
+
+    // Boundaries are beat indices; section i spans [boundaries[i], boundaries[i+1])
+    const sections = [];
+    for (let i = 0; i < boundaries.length - 1; i++) {
+        const from = boundaries[i], to = boundaries[i + 1];
+        sections.push({
+            start: i === 0 ? 0 : beatTimes[from],
+            end: i === boundaries.length - 2 ? duration : beatTimes[to],
+            fromBeat: from,
+            toBeat: to,
+            vector: meanVector(beats.vectors, from, to),
+            energy: mean(beats.energy, from, to),
+            bass: mean(beats.bass, from, to)
+        });
+    }
+
+    assignGroups(sections);
+    assignLabels(sections);
+
+    return sections.map(({ start, end, label, group, energy, intensity }) => ({
+        start, end, label, group, energy, intensity
+    }));
+}
+
+/**
+ * Average frame features over each beat. Vectors are half chroma (key/harmony),
+ * half MFCC (timbre/instrumentation), each scaled to unit length.
+ */
+function beatSyncFeatures(beatTimes, energyMap, features, duration) {
+    const hop = features.hop;
+    const frameCount = energyMap.length;
+    const count = beatTimes.length;
+    const chroma = [], mfcc = [], energy = new Float32Array(count), bass = new Float32Array(count);
+
+    for (let b = 0; b < count; b++) {
+        const from = Math.min(frameCount - 1, Math.floor(beatTimes[b] / hop));
+        const endTime = b + 1 < count ? beatTimes[b + 1] : duration;
+        const to = Math.max(from + 1, Math.min(frameCount, Math.floor(endTime / hop)));
+
+        const c = new Float32Array(CHROMA_BINS);
+        const m = new Float32Array(MFCC_COEFFS);
+        for (let f = from; f < to; f++) {
+            for (let i = 0; i < CHROMA_BINS; i++) c[i] += features.chroma[f * CHROMA_BINS + i];
+            for (let i = 0; i < MFCC_COEFFS; i++) m[i] += features.mfcc[f * MFCC_COEFFS + i];
+            energy[b] += energyMap[f].total;
+            bass[b] += energyMap[f].bass;
+        }
+        const n = to - from;
+        for (let i = 0; i < MFCC_COEFFS; i++) m[i] /= n;
+        energy[b] /= n;
+        bass[b] /= n;
+
+        chroma.push(unit(c));
+        mfcc.push(m);
+    }
+
+    // Z-score MFCCs across the song so no coefficient dominates the distance
+    for (let i = 0; i < MFCC_COEFFS; i++) {
+        let sum = 0, sq = 0;
+        for (const m of mfcc) { sum += m[i]; sq += m[i] * m[i]; }
+        const avg = sum / count;
+        const std = Math.sqrt(Math.max(1e-9, sq / count - avg * avg));
+        for (const m of mfcc) m[i] = (m[i] - avg) / std;
+    }
+
+    const vectors = chroma.map((c, b) => {
+        const m = unit(mfcc[b]);
+        const v = new Float32Array(CHROMA_BINS + MFCC_COEFFS);
+        for (let i = 0; i < CHROMA_BINS; i++) v[i] = c[i] * Math.SQRT1_2;
+        for (let i = 0; i < MFCC_COEFFS; i++) v[CHROMA_BINS + i] = m[i] * Math.SQRT1_2;
+        return v;
+    });
+
+    return { vectors, energy, bass };
+}
+
+function selfSimilarity(vectors) {
+    const n = vectors.length;
+    const s = new Float32Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = i; j < n; j++) {
+            const v = dot(vectors[i], vectors[j]);
+            s[i * n + j] = v;
+            s[j * n + i] = v;
+        }
+    }
+    return { data: s, size: n };
+}
+
+/**
+ * Foote checkerboard novelty on the self-similarity matrix plus the jump in
+ * energy across each beat (drops and breakdowns are mostly loudness changes).
+ */
+function combinedNovelty(similarity, energy) {
+    const n = similarity.size;
+    const L = KERNEL_BEATS;
+    const novelty = new Float32Array(n);
+    const energyJump = new Float32Array(n);
+
+    for (let i = L; i < n - L; i++) {
+        let sum = 0;
+        for (let a = -L; a < L; a++) {
+            for (let b = -L; b < L; b++) {
+                const sign = (a < 0) === (b < 0) ? 1 : -1;
+                // Gaussian taper keeps the kernel focused on the candidate boundary
+                const taper = Math.exp(-((a + 0.5) ** 2 + (b + 0.5) ** 2) / (2 * (L / 2) ** 2));
+                sum += sign * taper * similarity.data[(i + a) * n + (i + b)];
+            }
+        }
+        novelty[i] = Math.max(0, sum);
+        energyJump[i] = Math.abs(mean(energy, i, i + L) - mean(energy, i - L, i));
+    }
+
+    const a = normalizeMax(novelty);
+    const b = normalizeMax(energyJump);
+    return a.map((v, i) => v + b[i]);
+}
+
+/**
+ * Novelty peaks → boundary beat indices (always including 0 and the beat count),
+ * snapped to a nearby downbeat so sections start on bar lines.
+ */
+function pickBoundaries(novelty, beatTimes, downbeats, duration) {
+    const n = novelty.length;
+    const candidates = [];
+    for (let i = 1; i < n - 1; i++) {
+        let isPeak = true;
+        for (let j = Math.max(0, i - KERNEL_BEATS); j <= Math.min(n - 1, i + KERNEL_BEATS); j++) {
+            if (novelty[j] > novelty[i]) { isPeak = false; break; }
+        }
+        if (isPeak && novelty[i] > 0) candidates.push(i);
+    }
+
+    const avg = mean(novelty, 0, n);
+    const maxSections = Math.max(2, Math.round(duration / SECONDS_PER_SECTION));
+    candidates.sort((a, b) => novelty[b] - novelty[a]);
+
+    const downbeatIndex = new Set(downbeats.map(t => beatTimes.indexOf(t)).filter(i => i >= 0));
+    const snap = (i) => {
+        for (let d = 0; d <= 2; d++) {
+            if (downbeatIndex.has(i - d)) return i - d;
+            if (downbeatIndex.has(i + d)) return i + d;
+        }
+        return i;
+    };
+
+    const chosen = [0, n];
+    for (const c of candidates) {
+        if (chosen.length - 1 >= maxSections) break;
+        if (novelty[c] < avg * 1.5) break;
+        const b = snap(c);
+        if (chosen.every(x => Math.abs(x - b) >= MIN_SECTION_BEATS)) chosen.push(b);
+    }
+    return chosen.sort((a, b) => a - b);
+}
+
+/**
+ * Sections whose mean vectors are close (and at a similar loudness) share a group
+ */
+function assignGroups(sections) {
+    let nextGroup = 0;
+    for (let i = 0; i < sections.length; i++) {
+        const s = sections[i];
+        let best = -1, bestSimilarity = SAME_GROUP_SIMILARITY;
+        for (let j = 0; j < i; j++) {
+            const other = sections[j];
+            const similarity = dot(s.vector, other.vector);
+            const loudnessRatio = Math.min(s.energy, other.energy) / Math.max(s.energy, other.energy, 1e-9);
+            if (similarity > bestSimilarity && loudnessRatio > 0.75) {
+                bestSimilarity = similarity;
+                best = other.group;
+            }
+        }
+        s.group = best >= 0 ? best : nextGroup++;
+    }
+}
+
+function assignLabels(sections) {
+    const energies = sections.map(s => s.energy);
+    const songMean = energies.reduce((a, b) => a + b, 0) / energies.length;
+    const sorted = [...energies].sort((a, b) => a - b);
+    const last = sections.length - 1;
+
+    // Group repetitions: a loud part that comes back is a chorus
+    const groupCount = new Map();
+    for (const s of sections) groupCount.set(s.group, (groupCount.get(s.group) || 0) + 1);
+
+    sections.forEach((s, i) => {
+        s.intensity = sections.length > 1 ? sorted.indexOf(s.energy) / (sections.length - 1) : 0.5;
+        const loud = s.energy > songMean * 1.1;
+        const quiet = s.energy < songMean * 0.75;
+        const prev = sections[i - 1];
+
+        if (i === 0 && !loud && sections.length > 2) {
+            s.label = 'intro';
+        } else if (i === last && !loud && sections.length > 2) {
+            s.label = 'outro';
+        } else if (quiet) {
+            s.label = 'breakdown';
+        } else if (loud && prev && s.energy > prev.energy * 1.35 && s.bass >= prev.bass) {
+            // Sudden bass-heavy jump after something quieter
+            s.label = 'drop';
+        } else if (loud || (groupCount.get(s.group) > 1 && s.energy >= songMean)) {
+            s.label = 'chorus';
+        } else {
+            s.label = 'verse';
+        }
+    });
+}
+
+// ---- Vector helpers ----
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+function unit(v) {
+    const norm = Math.sqrt(dot(v, v)) || 1;
+    const out = new Float32Array(v.length);
+    for (let i = 0; i < v.length; i++) out[i] = v[i] / norm;
+    return out;
+}
+
+function meanVector(vectors, from, to) {
+    const out = new Float32Array(vectors[0].length);
+    for (let b = from; b < to; b++) {
+        for (let i = 0; i < out.length; i++) out[i] += vectors[b][i];
+    }
+    return unit(out);
+}
+
+function mean(values, from, to) {
+    from = Math.max(0, from);
+    to = Math.min(values.length, to);
+    if (to <= from) return 0;
+    let sum = 0;
+    for (let i = from; i < to; i++) sum += values[i];
+    return sum / (to - from);
+}
+
+function normalizeMax(values) {
+    let max = 0;
+    for (const v of values) max = Math.max(max, v);
+    return Array.from(values, v => (max > 0 ? v / max : 0));
+}
@@ -0,0 +1,290 @@
+/**
+ * tempoTracker.js — Tempo estimation and beat tracking from an onset envelope
+ *
+ * Autocorrelation + comb filter picks the tempo (globally and in sliding
+ * windows), then dynamic programming places beats that follow the local
+ * tempo instead of a rigid grid. Pure: runs in the browser and in Node.
+ */
+
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PRIOR_BPM = 120;        // tempo prior center (log-Gaussian)
+const PRIOR_OCTAVES = 1.0;    // prior width
+const LOCAL_WINDOW = 8;       // seconds per local tempo estimate
+const LOCAL_HOP = 2;          // seconds between local estimates
+const LOCAL_OCTAVES = 0.35;   // how far local tempo may stray from the global one
+const TIGHTNESS = 100;        // DP penalty for deviating from the local period
+const COMB_HARMONICS = 4;
+
+/**
+ * @param {Float32Array|number[]} onsetStrength - one value per analysis frame
+ * @param {number} hop - seconds per frame
+ * @returns {{bpm: number, beatTimes: number[], tempoCurve: Array<{time, bpm}>,
+ *            downbeats: number[], beatsPerBar: number, confidence: number}}
+ */
+export function trackTempo(onsetStrength, hop) {
+    const envelope = normalizeEnvelope(onsetStrength, hop);
+    const empty = { bpm: PRIOR_BPM, beatTimes: [], tempoCurve: [], downbeats: [], beatsPerBar: 4, confidence: 0 };
+    if (envelope.length < Math.ceil(4 / hop)) return empty;
+
+    const minLag = Math.floor(60 / MAX_BPM / hop);
+    const maxLag = Math.ceil(60 / MIN_BPM / hop);
+
+    // Global tempo over the whole song
+    const globalAc = autocorrelate(envelope, 0, envelope.length, maxLag * COMB_HARMONICS);
+    const globalPeriod = bestPeriod(globalAc, minLag, maxLag, PRIOR_BPM, PRIOR_OCTAVES, hop);
+    if (!globalPeriod) return empty;
+    const globalBpm = 60 / (globalPeriod * hop);
+
+    // Local tempo in sliding windows, pulled towards the global tempo
+    const windowFrames = Math.round(LOCAL_WINDOW / hop);
+    const hopFrames = Math.round(LOCAL_HOP / hop);
+    const localPeriods = [];
+    for (let start = 0; start < envelope.length; start += hopFrames) {
+        const from = Math.max(0, start - windowFrames / 2);
+        const to = Math.min(envelope.length, start + windowFrames / 2);
+        const ac = autocorrelate(envelope, from, to, maxLag * COMB_HARMONICS);
+        const period = bestPeriod(ac, minLag, maxLag, globalBpm, LOCAL_OCTAVES, hop);
+        localPeriods.push(period || globalPeriod);
+    }
+    const smoothed = medianFilter(localPeriods, 5);
+
+    // Per-frame period by linear interpolation between window centers
+    const periodAt = new Float32Array(envelope.length);
+    for (let i = 0; i < envelope.length; i++) {
+        const pos = i / hopFrames;
+        const a = Math.min(smoothed.length - 1, Math.floor(pos));
+        const b = Math.min(smoothed.length - 1, a + 1);
+        const frac = pos - a;
+        periodAt[i] = smoothed[a] * (1 - frac) + smoothed[b] * frac;
+    }
+
+    const beatFrames = trackBeats(envelope, periodAt);
+    const beatTimes = beatFrames.map(f => f * hop);
+
+    const tempoCurve = buildTempoCurve(beatTimes);
+    const { downbeats, beatsPerBar } = findDownbeats(envelope, beatFrames, hop);
+
+    return {
+        bpm: Math.round(globalBpm),
+        beatTimes,
+        tempoCurve,
+        downbeats,
+        beatsPerBar,
+        confidence: beatConfidence(envelope, beatFrames)
+    };
+}
+
+/**
+ * Remove the slow-moving loudness trend, half-wave rectify and scale to unit std
+ */
+function normalizeEnvelope(onsetStrength, hop) {
+    const n = onsetStrength.length;
+    const half = Math.max(1, Math.round(0.5 / hop)); // 1 s moving average
+    const out = new Float32Array(n);
+
+    let sum = 0, count = 0;
+    for (let i = 0; i < Math.min(n, half); i++) { sum += onsetStrength[i]; count++; }
+    for (let i = 0; i < n; i++) {
+        if (i + half < n) { sum += onsetStrength[i + half]; count++; }
+        if (i - half - 1 >= 0) { sum -= onsetStrength[i - half - 1]; count--; }
+        out[i] = Math.max(0, onsetStrength[i] - sum / count);
+    }
+
+    let sq = 0;
+    for (let i = 0; i < n; i++) sq += out[i] * out[i];
+    const std = Math.sqrt(sq / Math.max(1, n)) || 1;
+    for (let i = 0; i < n; i++) out[i] /= std;
+    return out;
+}
+
+function autocorrelate(envelope, from, to, maxLag) {
+    const ac = new Float32Array(maxLag + 1);
+    for (let lag = 1; lag <= maxLag; lag++) {
+        let sum = 0;
+        for (let i = from + lag; i < to; i++) sum += envelope[i] * envelope[i - lag];
+        ac[lag] = sum / Math.max(1, to - from - lag);
+    }
+    return ac;
+}
+
+/**
+ * Comb filter over the autocorrelation (a period also shows up at its
+ * multiples), weighted by a log-Gaussian tempo prior.
+ * @returns {number} period in frames (fractional), or 0 when there is no pulse
+ */
+function bestPeriod(ac, minLag, maxLag, centerBpm, octaves, hop) {
+    const score = new Float32Array(maxLag + 2);
+    let best = 0, bestScore = 0;
+
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        let comb = 0;
+        for (let k = 1; k <= COMB_HARMONICS; k++) {
+            const l = lag * k;
+            if (l >= ac.length) break;
+            comb += ac[l] / k;
+        }
+        const bpm = 60 / (lag * hop);
+        const octaveDistance = Math.log2(bpm / centerBpm) / octaves;
+        score[lag] = comb * Math.exp(-0.5 * octaveDistance * octaveDistance);
+        if (score[lag] > bestScore) {
+            bestScore = score[lag];
+            best = lag;
+        }
+    }
+    if (best === 0) return 0;
+
+    // Parabolic interpolation for sub-frame precision
+    if (best > minLag && best < maxLag) {
+        const a = score[best - 1], b = score[best], c = score[best + 1];
+        const denom = a - 2 * b + c;
+        if (denom < 0) return best + 0.5 * (a - c) / denom;
+    }
+    return best;
+}
+
+function medianFilter(values, size) {
+    const half = Math.floor(size / 2);
+    return values.map((_, i) => {
+        const window = values.slice(Math.max(0, i - half), i + half + 1).sort((a, b) => a - b);
+        return window[Math.floor(window.length / 2)];
+    });
+}
+
+/**
+ * Dynamic-programming beat tracker (Ellis 2007) with a time-varying period:
+ * each beat is the best trade-off between onset strength and spacing close
+ * to the local period.
+ */
+function trackBeats(envelope, periodAt) {
+    const n = envelope.length;
+    const score = new Float32Array(n);
+    const backlink = new Int32Array(n).fill(-1);
+
+    for (let i = 0; i < n; i++) {
+        const period = periodAt[i];
+        const from = Math.max(0, Math.round(i - 2 * period));
+        const to = Math.round(i - period / 2);
+
+        let best = 0, bestPrev = -1;
+        for (let p = from; p <= to; p++) {
+            const ratio = Math.log((i - p) / period);
+            const candidate = score[p] - TIGHTNESS * ratio * ratio;
+            if (bestPrev === -1 || candidate > best) {
+                best = candidate;
+                bestPrev = p;
+            }
+        }
+
+        if (bestPrev !== -1 && best > 0) {
+            score[i] = envelope[i] + best;
+            backlink[i] = bestPrev;
+        } else {
+            score[i] = envelope[i];
+        }
+    }
+
+    // The last beat is the best-scoring frame within one period of the end
+    const lastPeriod = Math.round(periodAt[n - 1]);
+    let last = n - 1;
+    for (let i = Math.max(0, n - lastPeriod); i < n; i++) {
+        if (score[i] > score[last]) last = i;
+    }
+
+    const beats = [];
+    for (let i = last; i >= 0; i = backlink[i]) beats.push(i);
+    beats.reverse();
+
+    return trimSilentEdges(envelope, beats);
+}
+
+/**
+ * The DP happily keeps ticking through silent intros/outros; drop beats at the
+ * edges whose surroundings carry no onsets.
+ */
+function trimSilentEdges(envelope, beats) {
+    const local = (frame) => {
+        let max = 0;
+        for (let i = Math.max(0, frame - 2); i <= Math.min(envelope.length - 1, frame + 2); i++) {
+            max = Math.max(max, envelope[i]);
+        }
+        return max;
+    };
+    const threshold = 0.25;
+    let start = 0, end = beats.length;
+    while (start < end && local(beats[start]) < threshold) start++;
+    while (end > start && local(beats[end - 1]) < threshold) end--;
+    return beats.slice(start, end);
+}
+
+/**
+ * Tempo at each beat from the median of the surrounding beat intervals
+ */
+function buildTempoCurve(beatTimes) {
+    const curve = [];
+    if (beatTimes.length < 2) return curve;
+
+    const intervals = [];
+    for (let i = 1; i < beatTimes.length; i++) intervals.push(beatTimes[i] - beatTimes[i - 1]);
+
+    for (let i = 0; i < beatTimes.length; i++) {
+        const around = intervals.slice(Math.max(0, i - 4), Math.min(intervals.length, i + 4));
+        around.sort((a, b) => a - b);
+        const median = around[Math.floor(around.length / 2)];
+        curve.push({ time: beatTimes[i], bpm: 60 / median });
+    }
+    return curve;
+}
+
+/**
+ * Pick meter (3 or 4) and bar phase: the beats carrying the most onset energy
+ * are taken as downbeats.
+ */
+function findDownbeats(envelope, beatFrames, hop) {
+    if (beatFrames.length < 8) {
+        return { downbeats: beatFrames.filter((_, i) => i % 4 === 0).map(f => f * hop), beatsPerBar: 4 };
+    }
+
+    const strength = beatFrames.map(f => envelope[f]);
+    let best = { meter: 4, phase: 0, contrast: -Infinity };
+
+    for (const meter of [4, 3]) {
+        const sums = new Array(meter).fill(0);
+        const counts = new Array(meter).fill(0);
+        strength.forEach((s, i) => { sums[i % meter] += s; counts[i % meter]++; });
+        const means = sums.map((s, i) => s / Math.max(1, counts[i]));
+        const mean = means.reduce((a, b) => a + b, 0) / meter;
+        const phase = means.indexOf(Math.max(...means));
+        // Slight preference for 4/4, by far the most common meter
+        const contrast = (means[phase] / (mean || 1)) * (meter === 4 ? 1.1 : 1);
+        if (contrast > best.contrast) best = { meter, phase, contrast };
+    }
+
+    const downbeats = [];
+    for (let i = best.phase; i < beatFrames.length; i += best.meter) {
+        downbeats.push(beatFrames[i] * hop);
+    }
+    return { downbeats, beatsPerBar: best.meter };
+}
+
+/**
+ * 0-1: how much stronger the onsets on the tracked beats are than average
+ */
+function beatConfidence(envelope, beatFrames) {
+    if (beatFrames.length < 4) return 0;
+    let onBeats = 0;
+    for (const f of beatFrames) {
+        let max = 0;
+        for (let i = Math.max(0, f - 1); i <= Math.min(envelope.length - 1, f + 1); i++) {
+            max = Math.max(max, envelope[i]);
+        }
+        onBeats += max;
+    }
+    onBeats /= beatFrames.length;
+
+    let overall = 0;
+    for (let i = 0; i < envelope.length; i++) overall += envelope[i];
+    overall /= envelope.length;
+
+    return Math.max(0, Math.min(1, 1 - Math.exp(-(onBeats - overall))));
+}
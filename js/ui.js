@@ -1,6 +1,13 @@
 /**
  * ui.js — DOM-based UI controller
  */
+import { formatSeed } from './random.js';
+import { PracticeTimeline, formatSongTime } from './practiceTimeline.js';
+import { GAME_ACTIONS, ACTION_LABELS, keyName, buttonName } from './input.js';
+import { SAFE_MODE } from './settings.js';
+
+// Interactive elements reachable with the arrow keys or a gamepad
+const FOCUSABLE = 'button, input:not([type="file"]):not([hidden]), a[href], [tabindex]:not([tabindex="-1"])';
 
 export class UI {
     constructor() {
@@ -10,6 +17,9 @@ export class UI {
             this.loadingScreen = document.getElementById('loading-screen');
             this.hud = document.getElementById('hud');
             this.gameoverScreen = document.getElementById('gameover-screen');
+            this.pauseScreen = document.getElementById('pause-screen');
+            this.practiceScreen = document.getElementById('practice-screen');
+            this.settingsScreen = document.getElementById('settings-screen');
 
             // Loading elements
             this.loadingBar = document.getElementById('loading-bar');
@@ -18,13 +28,63 @@ export class UI {
             // HUD elements
             this.hudTime = document.getElementById('hud-time');
             this.hudBpm = document.getElementById('hud-bpm');
+            this.hudDifficulty = document.getElementById('hud-difficulty');
             this.hudBestTime = document.getElementById('hud-best-time');
+            this.btnPause = document.getElementById('btn-pause');
+
+            // Pause elements
+            this.pauseMenu = document.getElementById('pause-menu');
+            this.pauseCountdown = document.getElementById('pause-countdown');
+            this.btnResume = document.getElementById('btn-resume');
+            this.btnPauseRestart = document.getElementById('btn-pause-restart');
+            this.btnPauseQuit = document.getElementById('btn-pause-quit');
+            this.pauseHint = document.getElementById('pause-hint');
+
+            // Settings
+            this.btnSettings = document.getElementById('btn-settings');
+            this.settingMusicVolume = document.getElementById('setting-music-volume');
+            this.settingMusicVolumeValue = document.getElementById('setting-music-volume-value');
+            this.settingSfxVolume = document.getElementById('setting-sfx-volume');
+            this.settingSfxVolumeValue = document.getElementById('setting-sfx-volume-value');
+            this.settingQuality = document.getElementById('setting-quality');
+            this.settingColorScheme = document.getElementById('setting-color-scheme');
+            this.settingToggles = document.querySelectorAll('[data-setting]'); // settings screen and the menu's safe mode
+            this.photosensitivityNote = document.getElementById('photosensitivity-note');
+            this.bindingsGrid = document.getElementById('bindings');
+            this.btnResetBindings = document.getElementById('btn-reset-bindings');
+            this.btnSettingsBack = document.getElementById('btn-settings-back');
+            this.latencyAudio = document.getElementById('latency-audio');
+            this.latencyVisual = document.getElementById('latency-visual');
+            this.calibrationPad = document.getElementById('calibration-pad');
+            this.calibrationStatus = document.getElementById('calibration-status');
+            this.btnCalibrateAudio = document.getElementById('btn-calibrate-audio');
+            this.btnCalibrateVisual = document.getElementById('btn-calibrate-visual');
+            this.btnResetLatency = document.getElementById('btn-reset-latency');
 
             // Game over elements
             this.gameoverTime = document.getElementById('gameover-time');
             this.gameoverBestContainer = document.getElementById('gameover-best-container');
             this.gameoverBest = document.getElementById('gameover-best');
             this.gameoverNewRecord = document.getElementById('gameover-new-record');
+            this.gameoverDifficulty = document.getElementById('gameover-difficulty');
+            this.gameoverSeed = document.getElementById('gameover-seed');
+            this.gameoverSeedValue = document.getElementById('gameover-seed-value');
+            this.leaderboardList = document.getElementById('leaderboard-list');
+            this.leaderboardMe = document.getElementById('leaderboard-me');
+
+            // Difficulty selector
+            this.difficultySelect = document.getElementById('difficulty-select');
+
+            // Practice mode
+            this.btnPracticeToggle = document.getElementById('btn-practice-toggle');
+            this.practiceSong = document.getElementById('practice-song');
+            this.practiceSelection = document.getElementById('practice-selection');
+            this.practiceSpeeds = document.getElementById('practice-speeds');
+            this.btnPracticeStart = document.getElementById('btn-practice-start');
+            this.btnPracticeBack = document.getElementById('btn-practice-back');
+            const timelineCanvas = document.getElementById('practice-timeline');
+            this.practiceTimeline = timelineCanvas ? new PracticeTimeline(timelineCanvas) : null;
+            this.practiceRate = 1;
 
             // Upload zone
             this.uploadZone = document.getElementById('upload-zone');
@@ -40,6 +100,25 @@ export class UI {
             this.btnContinue = document.getElementById('btn-continue');
             this.btnFullscreen = document.getElementById('btn-fullscreen');
 
+            // Replays
+            this.btnLoadReplay = document.getElementById('btn-load-replay');
+            this.replayInput = document.getElementById('replay-input');
+            this.replayStatus = document.getElementById('replay-status');
+            this.replayControls = document.getElementById('replay-controls');
+            this.replayScrubber = document.getElementById('replay-scrubber');
+            this.replayClock = document.getElementById('replay-clock');
+            this.replaySpeeds = document.getElementById('replay-speeds');
+            this.btnReplayExit = document.getElementById('btn-replay-exit');
+            this.gameoverReplayButtons = document.getElementById('gameover-replay-buttons');
+            this.btnWatchReplay = document.getElementById('btn-watch-replay');
+            this.btnSaveReplay = document.getElementById('btn-save-replay');
+
+            // Charts
+            this.btnLoadChart = document.getElementById('btn-load-chart');
+            this.chartInput = document.getElementById('chart-input');
+            this.chartStatus = document.getElementById('chart-status');
+            this.btnExportChart = document.getElementById('btn-export-chart');
+
             // Song library
             this.songLibrary = document.getElementById('song-library');
             this.songList = document.getElementById('song-list');
@@ -61,12 +140,19 @@ export class UI {
             this.communityUploaderName = document.getElementById('community-uploader-name');
             this.communityUploadError = document.getElementById('community-upload-error');
             this.communitySongList = document.getElementById('community-song-list');
+            this.communitySearch = document.getElementById('community-search');
+            this.communitySort = document.getElementById('community-sort');
+            this.communityEmpty = document.getElementById('community-empty');
+            this.btnCommunityMore = document.getElementById('btn-community-more');
+            this.communityQuery = { q: '', sort: 'recent', page: 1 };
+            this.communityRequest = 0; // only the latest search may render
+            this.communitySearchTimer = null;
 
             console.log("[UI] All DOM elements queried.");
 
             // Callbacks
             this.onFileSelected = null;
-            this.onSongSelected = null; // called with (url, title)
+            this.onSongSelected = null; // called with (song), an entry of GET /api/songs
             this.onYoutubeSelected = null; // called with (youtubeUrl)
             this.onRetry = null;
             this.onNewSong = null;
@@ -74,6 +160,22 @@ export class UI {
             this.onLoginWithGoogle = null;
             this.onLogout = null;
             this.onCommunityUpload = null; // (file, title)
+            this.onReplayFileSelected = null; // (file)
+            this.onWatchReplay = null;
+            this.onSaveReplay = null;
+            this.onReplaySeek = null; // (audioTime)
+            this.onReplaySpeed = null; // (rate)
+            this.onReplayExit = null;
+            this.onChartFileSelected = null; // (file)
+            this.onExportChart = null;
+            this.onOpenSettings = null;
+            this.onSettingChanged = null; // (key, value), see settings.js
+            this.onCloseSettings = null;
+            this.onRebind = null; // (action, 'key'|'button', slot)
+            this.onResetBindings = null;
+            this.onCalibrate = null; // ('audio'|'visual')
+            this.onCalibrationTap = null; // (performance.now() time of the tap)
+            this.onResetLatency = null;
 
             this._setupEvents();
             this._loadSongLibrary();
@@ -83,70 +185,141 @@ export class UI {
         }
     }
 
+    /**
+     * GET /api/songs with these query parameters
+     * @returns {Promise<{songs: object[], total: number, page: number, limit: number, pages: number}>}
+     */
+    async _fetchSongs(params) {
+        const res = await fetch(`/api/songs?${new URLSearchParams(params)}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+    }
+
     async _loadSongLibrary() {
         try {
-            const res = await fetch('songs/songs.json');
-            if (!res.ok) return;
-            const songs = await res.json();
-
-            // Filter out placeholder entries
-            const valid = songs.filter(s => s.file && s.file !== 'ejemplo.mp3');
-            if (valid.length === 0) return;
+            const official = await this._fetchSongs({ community: 'false', sort: 'title', limit: 100 });
 
             // Show library section
             this.songLibrary.style.display = '';
 
-            // Separate into official and community
-            const officialSongs = valid.filter(s => !s.community);
-            const communitySongs = valid.filter(s => s.community);
-
-            // Render official songs
             if (this.songList) {
                 this.songList.innerHTML = '';
-                for (const song of officialSongs) {
-                    const item = this._createSongItemDOM(song);
-                    this.songList.appendChild(item);
+                for (const song of official.songs) {
+                    this.songList.appendChild(this._createSongItemDOM(song));
                 }
             }
+        } catch (e) {
+            // No song server (static hosting) — just hide the library
+            console.error("Error loading song library:", e);
+            return;
+        }
+        await this._loadCommunitySongs();
+    }
 
-            // Render community songs
-            if (this.communitySongList) {
-                this.communitySongList.innerHTML = '';
-                for (const song of communitySongs) {
-                    const item = this._createSongItemDOM(song);
-                    this.communitySongList.appendChild(item);
-                }
-            }
+    /**
+     * Community songs for the current search and order; `more` appends the next page
+     */
+    async _loadCommunitySongs(more = false) {
+        if (!this.communitySongList) return;
+        this.communityQuery.page = more ? this.communityQuery.page + 1 : 1;
+        const request = ++this.communityRequest;
 
+        let result;
+        try {
+            result = await this._fetchSongs({ community: 'true', ...this.communityQuery });
         } catch (e) {
-            // No songs.json found or invalid — just hide the library
-            console.error("Error loading song library:", e);
+            console.error("Error loading community songs:", e);
+            return;
+        }
+        if (request !== this.communityRequest) return; // a newer search already went out
+
+        if (!more) this.communitySongList.innerHTML = '';
+        for (const song of result.songs) {
+            this.communitySongList.appendChild(this._createSongItemDOM(song));
         }
+        this.communityEmpty.hidden = result.total > 0;
+        this.btnCommunityMore.classList.toggle('btn-hidden', result.page >= result.pages);
     }
 
     _createSongItemDOM(song) {
         const item = document.createElement('div');
         item.className = 'song-item';
-        const isCommunity = song.community ? '<span class="community-badge" style="font-size: 0.7em; background: rgba(0, 240, 255, 0.2); padding: 2px 6px; border-radius: 10px; margin-left: 8px; color: var(--cyan);">Comunidad</span>' : '';
-        item.innerHTML = `
-            <div class="song-icon">🎵</div>
-            <div class="song-info">
-                <div class="song-title">${song.title || song.file} ${isCommunity}</div>
-                <div class="song-artist">${song.artist || 'Desconocido'}</div>
-            </div>
-        `;
-        item.addEventListener('click', () => {
-            const url = `songs/${song.file}`;
-            this.onSongSelected?.(url, song.title || song.file);
-        });
+
+        const icon = document.createElement('div');
+        icon.className = 'song-icon';
+        icon.textContent = '🎵';
+
+        const info = document.createElement('div');
+        info.className = 'song-info';
+        const title = document.createElement('div');
+        title.className = 'song-title';
+        title.textContent = song.title;
+        if (song.community) {
+            const badge = document.createElement('span');
+            badge.className = 'community-badge';
+            badge.style.cssText = 'font-size: 0.7em; background: rgba(0, 240, 255, 0.2); padding: 2px 6px; border-radius: 10px; margin-left: 8px; color: var(--cyan);';
+            badge.textContent = 'Comunidad';
+            title.appendChild(badge);
+        }
+        const artist = document.createElement('div');
+        artist.className = 'song-artist';
+        artist.textContent = song.artist || (song.uploaderName ? `Subida por ${song.uploaderName}` : 'Desconocido');
+
+        // BPM and duration appear once the server has analysed the song
+        const meta = document.createElement('div');
+        meta.className = 'song-meta';
+        const details = [];
+        if (song.bpm) details.push(`${Math.round(song.bpm)} BPM`);
+        if (song.duration) details.push(formatSongTime(song.duration).replace(/\.\d$/, ''));
+        details.push(`▶ ${song.plays}`);
+        meta.textContent = details.join(' · ');
+
+        info.append(title, artist, meta);
+        item.append(icon, info);
+        item.addEventListener('click', () => this.onSongSelected?.(song));
+        this._makeActivatable(item);
         return item;
     }
 
+    /**
+     * Let a clickable non-button element take focus and respond to Enter / Space
+     */
+    _makeActivatable(el) {
+        el.tabIndex = 0;
+        el.setAttribute('role', 'button');
+        el.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                el.click();
+            }
+        });
+    }
+
     _setupEvents() {
+        // Community library: search as you type, order, next page
+        this.communitySearch.addEventListener('input', () => {
+            clearTimeout(this.communitySearchTimer);
+            this.communitySearchTimer = setTimeout(() => {
+                this.communityQuery.q = this.communitySearch.value.trim();
+                this._loadCommunitySongs();
+            }, 250);
+        });
+        for (const b of this.communitySort.querySelectorAll('.settings-option')) {
+            b.addEventListener('click', () => {
+                for (const other of this.communitySort.querySelectorAll('.settings-option')) {
+                    other.classList.toggle('active', other === b);
+                }
+                this.communityQuery.sort = b.dataset.sort;
+                this._loadCommunitySongs();
+            });
+        }
+        this.btnCommunityMore.addEventListener('click', () => this._loadCommunitySongs(true));
+
         // Upload zone click
         this.uploadZone.addEventListener('click', () => {
             this.audioInput.click();
         });
+        this._makeActivatable(this.uploadZone);
 
         // File input change
         this.audioInput.addEventListener('change', (e) => {
@@ -196,6 +369,143 @@ export class UI {
         this.btnNewSong.addEventListener('click', () => this.onNewSong?.());
         this.btnContinue.addEventListener('click', () => this.onContinue?.());
 
+        // Pause
+        if (this.btnPause) this.btnPause.addEventListener('click', () => this.onPause?.());
+        if (this.btnResume) this.btnResume.addEventListener('click', () => this.onResume?.());
+        if (this.btnPauseRestart) this.btnPauseRestart.addEventListener('click', () => this.onRetry?.());
+        if (this.btnPauseQuit) this.btnPauseQuit.addEventListener('click', () => this.onNewSong?.());
+
+        // Replays
+        if (this.btnLoadReplay) {
+            this.btnLoadReplay.addEventListener('click', () => this.replayInput.click());
+            this.replayInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) this.onReplayFileSelected?.(file);
+                this.replayInput.value = '';
+            });
+        }
+        if (this.btnWatchReplay) this.btnWatchReplay.addEventListener('click', () => this.onWatchReplay?.());
+        if (this.btnSaveReplay) this.btnSaveReplay.addEventListener('click', () => this.onSaveReplay?.());
+        if (this.replayScrubber) {
+            this.isScrubbing = false;
+            this.replayScrubber.addEventListener('pointerdown', () => { this.isScrubbing = true; });
+            this.replayScrubber.addEventListener('change', () => { this.isScrubbing = false; });
+            this.replayScrubber.addEventListener('input', () => {
+                this.onReplaySeek?.(parseFloat(this.replayScrubber.value));
+            });
+        }
+        if (this.replaySpeeds) {
+            this.replaySpeeds.addEventListener('click', (e) => {
+                const button = e.target.closest('.replay-speed');
+                if (!button) return;
+                this._setActiveReplaySpeed(button);
+                this.onReplaySpeed?.(parseFloat(button.dataset.rate));
+            });
+        }
+        if (this.btnReplayExit) this.btnReplayExit.addEventListener('click', () => this.onReplayExit?.());
+
+        // Difficulty
+        if (this.difficultySelect) {
+            this.difficultySelect.addEventListener('click', (e) => {
+                const button = e.target.closest('.difficulty-option');
+                if (!button) return;
+                this.setDifficulty(button.dataset.difficulty);
+                this.onDifficultySelected?.(button.dataset.difficulty);
+            });
+        }
+
+        // Practice
+        if (this.btnPracticeToggle) {
+            this.btnPracticeToggle.addEventListener('click', () => {
+                const enabled = !this.btnPracticeToggle.classList.contains('active');
+                this.setPracticeMode(enabled);
+                this.onPracticeModeChanged?.(enabled);
+            });
+        }
+        if (this.practiceTimeline) {
+            this.practiceTimeline.onChange = (selection) => this._showPracticeSelection(selection);
+            this.practiceSpeeds.addEventListener('click', (e) => {
+                const button = e.target.closest('.practice-speed');
+                if (!button) return;
+                this.practiceRate = parseFloat(button.dataset.rate);
+                for (const b of this.practiceSpeeds.querySelectorAll('.practice-speed')) {
+                    b.classList.toggle('active', b === button);
+                }
+            });
+            this.btnPracticeStart.addEventListener('click', () => {
+                const { start, end } = this.practiceTimeline.selection;
+                this.onPracticeStart?.({ start, end, rate: this.practiceRate });
+            });
+            this.btnPracticeBack.addEventListener('click', () => this.onNewSong?.());
+        }
+
+        // Charts
+        if (this.btnLoadChart) {
+            this.btnLoadChart.addEventListener('click', () => this.chartInput.click());
+            this.chartInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) this.onChartFileSelected?.(file);
+                this.chartInput.value = '';
+            });
+        }
+        if (this.btnExportChart) this.btnExportChart.addEventListener('click', () => this.onExportChart?.());
+
+        // Settings
+        if (this.settingsScreen) {
+            this.btnSettings.addEventListener('click', () => this.onOpenSettings?.());
+            this.btnSettingsBack.addEventListener('click', () => this.onCloseSettings?.());
+            this.btnResetBindings.addEventListener('click', () => this.onResetBindings?.());
+            this.settingMusicVolume.addEventListener('input', () => {
+                this.onSettingChanged?.('musicVolume', Number(this.settingMusicVolume.value) / 100);
+            });
+            this.settingSfxVolume.addEventListener('input', () => {
+                this.onSettingChanged?.('sfxVolume', Number(this.settingSfxVolume.value) / 100);
+            });
+            for (const b of this.settingQuality.querySelectorAll('.settings-option')) {
+                b.addEventListener('click', () => this.onSettingChanged?.('quality', b.dataset.quality));
+            }
+            for (const b of this.settingColorScheme.querySelectorAll('.settings-option')) {
+                b.addEventListener('click', () => this.onSettingChanged?.('colorScheme', b.dataset.scheme));
+            }
+            for (const b of this.settingToggles) {
+                b.addEventListener('click', () => {
+                    this.onSettingChanged?.(b.dataset.setting, b.getAttribute('aria-pressed') !== 'true');
+                });
+            }
+            this.bindingsGrid.addEventListener('click', (e) => {
+                const slot = e.target.closest('.binding-slot');
+                if (slot) this.onRebind?.(slot.dataset.action, slot.dataset.device, Number(slot.dataset.slot));
+            });
+        }
+
+        // Latency calibration: taps on the pad (pointer, Space or Enter) during a test
+        if (this.calibrationPad) {
+            this.btnCalibrateAudio.addEventListener('click', () => this.onCalibrate?.('audio'));
+            this.btnCalibrateVisual.addEventListener('click', () => this.onCalibrate?.('visual'));
+            this.btnResetLatency.addEventListener('click', () => this.onResetLatency?.());
+            this.calibrationPad.addEventListener('pointerdown', (e) => {
+                if (!this.calibrationPad.classList.contains('running')) return;
+                e.preventDefault();
+                this.onCalibrationTap?.(e.timeStamp);
+            });
+            this.calibrationPad.addEventListener('keydown', (e) => {
+                if (e.key !== ' ' && e.key !== 'Enter') return;
+                e.preventDefault();
+                if (!e.repeat && this.calibrationPad.classList.contains('running')) this.onCalibrationTap?.(e.timeStamp);
+            });
+        }
+
+        // Copy level seed so it can be shared
+        if (this.gameoverSeed) {
+            this.gameoverSeed.addEventListener('click', () => {
+                const seed = this.gameoverSeedValue.textContent;
+                navigator.clipboard?.writeText(seed).then(() => {
+                    this.gameoverSeed.classList.add('copied');
+                    setTimeout(() => this.gameoverSeed.classList.remove('copied'), 1200);
+                }).catch(e => console.warn('Could not copy seed:', e));
+            });
+        }
+
         // Fullscreen logic
         if (this.btnFullscreen) {
             this.btnFullscreen.addEventListener('click', () => {
@@ -257,12 +567,17 @@ export class UI {
         this.loadingScreen.classList.remove('active');
         this.hud.classList.remove('active');
         this.gameoverScreen.classList.remove('active');
+        this.pauseScreen?.classList.remove('active');
+        this.practiceScreen?.classList.remove('active');
+        this.settingsScreen?.classList.remove('active');
 
         switch (name) {
             case 'menu': this.menuScreen.classList.add('active'); break;
             case 'loading': this.loadingScreen.classList.add('active'); break;
             case 'hud': this.hud.classList.add('active'); break;
             case 'gameover': this.gameoverScreen.classList.add('active'); break;
+            case 'practice': this.practiceScreen?.classList.add('active'); break;
+            case 'settings': this.settingsScreen?.classList.add('active'); break;
         }
 
         // Only show auth/user-profile section on menu screen
@@ -323,8 +638,423 @@ export class UI {
         }
     }
 
-    showGameOver(time, bestTime, isNewBest, isVictory = false) {
+    setHudDifficulty(label) {
+        if (this.hudDifficulty) this.hudDifficulty.textContent = label;
+    }
+
+    /**
+     * Highlight the menu's difficulty button for a tier id
+     */
+    setDifficulty(id) {
+        if (!this.difficultySelect) return;
+        for (const b of this.difficultySelect.querySelectorAll('.difficulty-option')) {
+            b.classList.toggle('active', b.dataset.difficulty === id);
+        }
+    }
+
+    setPracticeMode(enabled) {
+        if (!this.btnPracticeToggle) return;
+        this.btnPracticeToggle.classList.toggle('active', enabled);
+        this.btnPracticeToggle.setAttribute('aria-pressed', String(enabled));
+    }
+
+    /**
+     * Practice setup: song timeline to pick the start point or loop
+     * @param {string} title
+     * @param {{duration, energyMap, sections, downbeats}} song
+     */
+    showPracticeSetup(title, song) {
+        if (!this.practiceTimeline) return;
+        this.practiceSong.textContent = title;
+        this.practiceTimeline.setSong(song);
+        this._showPracticeSelection(this.practiceTimeline.selection);
+        this.showScreen('practice');
+    }
+
+    _showPracticeSelection({ start, end }) {
+        this.practiceSelection.textContent = end === null
+            ? `Empieza en ${formatSongTime(start)} · arrastra para repetir un tramo`
+            : `Bucle ${formatSongTime(start)} – ${formatSongTime(end)}`;
+    }
+
+    showReplayStatus(message, isError = false) {
+        if (!this.replayStatus) return;
+        this.replayStatus.textContent = message;
+        this.replayStatus.classList.toggle('error', isError);
+    }
+
+    showChartStatus(message, isError = false) {
+        if (!this.chartStatus) return;
+        this.chartStatus.textContent = message;
+        this.chartStatus.classList.toggle('error', isError);
+    }
+
+    /**
+     * Reflect the current options in the settings screen and the menu
+     * @param {object} settings - as chosen, see DEFAULT_SETTINGS
+     * @param {object} active - in effect; options safe mode forces are shown locked
+     */
+    showSettings(settings, active = settings) {
+        if (!this.settingsScreen) return;
+        this.settingMusicVolume.value = Math.round(settings.musicVolume * 100);
+        this.settingMusicVolumeValue.textContent = `${this.settingMusicVolume.value}%`;
+        this.settingSfxVolume.value = Math.round(settings.sfxVolume * 100);
+        this.settingSfxVolumeValue.textContent = `${this.settingSfxVolume.value}%`;
+        for (const b of this.settingQuality.querySelectorAll('.settings-option')) {
+            b.classList.toggle('active', b.dataset.quality === settings.quality);
+        }
+        for (const b of this.settingColorScheme.querySelectorAll('.settings-option')) {
+            b.classList.toggle('active', b.dataset.scheme === settings.colorScheme);
+        }
+        for (const b of this.settingToggles) {
+            const key = b.dataset.setting;
+            b.setAttribute('aria-pressed', String(Boolean(active[key])));
+            b.disabled = settings.safeMode && key in SAFE_MODE;
+        }
+        if (this.photosensitivityNote) {
+            this.photosensitivityNote.textContent = settings.safeMode
+                ? 'Modo seguro activado: destellos limitados, movimiento reducido y muros de un solo color.'
+                : 'Aviso: el juego tiene destellos, colores que cambian y movimiento rápido al ritmo de la música. El modo seguro los suaviza.';
+        }
+    }
+
+    /**
+     * Fill the controls grid: per action, two keyboard slots and two gamepad
+     * slots. Also keeps the pause hints in step with the pause binding.
+     * @param {Object<string, {keys: string[], buttons: number[]}>} bindings
+     */
+    showBindings(bindings) {
+        if (!this.bindingsGrid) return;
+        this.bindingsGrid.innerHTML = '';
+        const header = (text, span) => {
+            const el = document.createElement('span');
+            el.className = 'binding-header';
+            el.style.gridColumn = `span ${span}`;
+            el.textContent = text;
+            this.bindingsGrid.appendChild(el);
+        };
+        header('', 1);
+        header('TECLADO', 2);
+        header('MANDO', 2);
+
+        for (const action of GAME_ACTIONS) {
+            const label = document.createElement('span');
+            label.className = 'binding-action';
+            label.textContent = ACTION_LABELS[action];
+            this.bindingsGrid.appendChild(label);
+
+            for (const device of ['key', 'button']) {
+                const values = device === 'key' ? bindings[action].keys : bindings[action].buttons;
+                for (let slot = 0; slot < 2; slot++) {
+                    const value = values[slot];
+                    const button = document.createElement('button');
+                    button.className = 'binding-slot';
+                    button.dataset.action = action;
+                    button.dataset.device = device;
+                    // An empty slot always fills the first free position
+                    button.dataset.slot = String(Math.min(slot, values.length));
+                    button.classList.toggle('empty', value === undefined);
+                    button.textContent = value === undefined ? '—'
+                        : device === 'key' ? keyName(value) : buttonName(value);
+                    this.bindingsGrid.appendChild(button);
+                }
+            }
+        }
+
+        const pauseKeys = bindings.pause.keys.map(keyName).join(' / ');
+        if (this.pauseHint) this.pauseHint.textContent = pauseKeys ? `${pauseKeys} para reanudar` : '';
+        if (this.btnPause) this.btnPause.title = pauseKeys ? `Pausa (${pauseKeys})` : 'Pausa';
+    }
+
+    /**
+     * Mark the slot waiting for a key or gamepad button
+     */
+    showBindingCapture(action, device, slot) {
+        const selector = `.binding-slot[data-action="${action}"][data-device="${device}"][data-slot="${slot}"]`;
+        const button = this.bindingsGrid?.querySelector(selector);
+        if (!button) return;
+        button.classList.add('capturing');
+        button.textContent = device === 'key' ? 'Pulsa una tecla…' : 'Pulsa un botón…';
+    }
+
+    /**
+     * @param {{audio: number|null, visual: number|null}} latency - seconds, null = not measured
+     * @param {number} reported - output latency the browser reports, used until both are measured
+     */
+    showLatency(latency, reported) {
+        if (!this.latencyAudio) return;
+        const ms = (seconds) => `${Math.round(seconds * 1000)} ms`;
+        // A lone measurement still includes the input lag, so it waits for the other
+        const pending = (latency.audio === null) !== (latency.visual === null) ? ' (sin aplicar)' : '';
+        this.latencyAudio.textContent = latency.audio === null ? `${ms(reported)} (auto)` : ms(latency.audio) + pending;
+        this.latencyVisual.textContent = latency.visual === null ? '—' : ms(latency.visual) + pending;
+    }
+
+    /**
+     * Turn the pad into the tap target for a running test
+     * @param {'audio'|'visual'} kind
+     */
+    startCalibrationView(kind) {
+        if (!this.calibrationPad) return;
+        this.calibrationPad.classList.remove('error');
+        this.calibrationPad.classList.add('running');
+        this.calibrationStatus.textContent = kind === 'audio'
+            ? 'Pulsa con cada clic…'
+            : 'Pulsa con cada destello…';
+        this.calibrationPad.focus();
+    }
+
+    showCalibrationProgress(beat, total) {
+        if (!this.calibrationPad) return;
+        this.calibrationStatus.textContent = beat === 0 ? 'Preparado…' : `${beat} / ${total}`;
+    }
+
+    setCalibrationFlash(on) {
+        this.calibrationPad?.classList.toggle('flash', on);
+    }
+
+    endCalibrationView(message, isError = false) {
+        if (!this.calibrationPad) return;
+        this.calibrationPad.classList.remove('running', 'flash');
+        this.calibrationPad.classList.toggle('error', isError);
+        this.calibrationStatus.textContent = message;
+    }
+
+    /**
+     * The overlay that currently takes input: an open modal or the pause
+     * menu before the screen underneath
+     */
+    _activeScreen() {
+        if (this.communityModal?.classList.contains('active')) return this.communityModal;
+        if (this.pauseScreen?.classList.contains('active')) return this.pauseScreen;
+        return [this.menuScreen, this.settingsScreen, this.practiceScreen, this.gameoverScreen, this.hud]
+            .find(screen => screen?.classList.contains('active')) ?? null;
+    }
+
+    _focusables(screen) {
+        return [...screen.querySelectorAll(FOCUSABLE)].filter(el =>
+            !el.disabled && el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden');
+    }
+
+    _focus(el) {
+        document.querySelector('.nav-focus')?.classList.remove('nav-focus');
+        el.focus();
+        el.classList.add('nav-focus');
+        el.addEventListener('blur', () => el.classList.remove('nav-focus'), { once: true });
+    }
+
+    /**
+     * Move focus to the nearest control in a direction on the active screen.
+     * @param {'up'|'down'|'left'|'right'} direction
+     * @returns {boolean} true if focus moved
+     */
+    navigate(direction) {
+        const screen = this._activeScreen();
+        if (!screen) return false;
+        const candidates = this._focusables(screen);
+        if (candidates.length === 0) return false;
+
+        const current = document.activeElement;
+        if (!current || !screen.contains(current) || !candidates.includes(current)) {
+            this._focus(candidates[0]);
+            return true;
+        }
+
+        // Sliders take left / right themselves (the keyboard already does this natively)
+        if (current.type === 'range' && (direction === 'left' || direction === 'right')) {
+            if (direction === 'left') current.stepDown();
+            else current.stepUp();
+            current.dispatchEvent(new Event('input', { bubbles: true }));
+            return true;
+        }
+
+        const from = current.getBoundingClientRect();
+        const fromX = from.left + from.width / 2;
+        const fromY = from.top + from.height / 2;
+        const axis = direction === 'left' || direction === 'right' ? 'x' : 'y';
+        const sign = direction === 'left' || direction === 'up' ? -1 : 1;
+
+        // Nearest control ahead, favoring ones in line with the current one
+        let best = null;
+        let bestScore = Infinity;
+        for (const el of candidates) {
+            if (el === current) continue;
+            const rect = el.getBoundingClientRect();
+            const dx = rect.left + rect.width / 2 - fromX;
+            const dy = rect.top + rect.height / 2 - fromY;
+            const along = (axis === 'x' ? dx : dy) * sign;
+            const across = Math.abs(axis === 'x' ? dy : dx);
+            if (along <= 1) continue;
+            const score = along + across * 2;
+            if (score < bestScore) {
+                best = el;
+                bestScore = score;
+            }
+        }
+        if (!best) return false;
+        this._focus(best);
+        return true;
+    }
+
+    /**
+     * Click the focused control on the active screen (gamepad confirm);
+     * with nothing focused yet, focus the first control instead
+     */
+    activate() {
+        const screen = this._activeScreen();
+        const current = document.activeElement;
+        if (screen && current && screen.contains(current) && current !== screen) {
+            current.click();
+        } else {
+            this.navigate('down');
+        }
+    }
+
+    setReplayAvailable(available) {
+        if (this.gameoverReplayButtons) {
+            this.btnWatchReplay.style.display = available ? '' : 'none';
+            this.btnSaveReplay.style.display = available ? '' : 'none';
+        }
+    }
+
+    /**
+     * Pause overlay on top of the HUD, with its menu
+     */
+    showPause() {
+        if (!this.pauseScreen) return;
+        this.pauseMenu.classList.remove('hidden');
+        this.pauseCountdown.classList.add('hidden');
+        this.pauseCountdown.textContent = '';
+        this.pauseScreen.classList.add('active');
+    }
+
+    /**
+     * Swap the pause menu for the resume countdown, showing `count`
+     */
+    showResumeCountdown(count) {
+        if (!this.pauseScreen) return;
+        this.pauseMenu.classList.add('hidden');
+        this.pauseCountdown.classList.remove('hidden');
+        if (this.pauseCountdown.textContent !== String(count)) {
+            this.pauseCountdown.textContent = count;
+            // Restart the tick animation on every number
+            this.pauseCountdown.classList.remove('tick');
+            void this.pauseCountdown.offsetWidth;
+            this.pauseCountdown.classList.add('tick');
+        }
+    }
+
+    hidePause() {
+        this.pauseScreen?.classList.remove('active');
+    }
+
+    /**
+     * Show the playback bar for a replay spanning [startTime, endTime] of audio
+     */
+    showReplayControls(startTime, endTime) {
+        if (!this.replayControls) return;
+        this.replayScrubber.min = startTime;
+        this.replayScrubber.max = endTime;
+        this.replayScrubber.value = startTime;
+        this._setActiveReplaySpeed(this.replaySpeeds.querySelector('[data-rate="1"]'));
+        this.replayControls.classList.remove('hidden');
+    }
+
+    hideReplayControls() {
+        if (this.replayControls) this.replayControls.classList.add('hidden');
+    }
+
+    updateReplayControls(audioTime, startTime) {
+        if (!this.replayControls) return;
+        // Don't fight the user while they drag the scrubber
+        if (!this.isScrubbing) {
+            this.replayScrubber.value = audioTime;
+        }
+        this.replayClock.textContent = `${Math.max(0, audioTime - startTime).toFixed(2)}s`;
+    }
+
+    _setActiveReplaySpeed(button) {
+        for (const b of this.replaySpeeds.querySelectorAll('.replay-speed')) {
+            b.classList.toggle('active', b === button);
+        }
+    }
+
+    /**
+     * Offer `text` as a file download
+     */
+    downloadFile(filename, text, type = 'application/json') {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    showLeaderboardLoading() {
+        this.showLeaderboardMessage('Cargando ranking...');
+    }
+
+    showLeaderboardMessage(message) {
+        if (!this.leaderboardList) return;
+        this.leaderboardList.innerHTML = '';
+        this.leaderboardMe.textContent = message;
+    }
+
+    /**
+     * Render the global top table for the current song
+     * @param {{entries: Array, me: {rank, time}|null}|null} board
+     * @param {boolean} isSignedIn
+     */
+    showLeaderboard(board, isSignedIn) {
+        if (!this.leaderboardList) return;
+        this.leaderboardList.innerHTML = '';
+
+        if (!board) {
+            this.leaderboardMe.textContent = 'Ranking no disponible.';
+            return;
+        }
+
+        if (board.entries.length === 0) {
+            this.leaderboardMe.textContent = isSignedIn ? '¡Sé el primero en el ranking!' : 'Nadie en el ranking todavía.';
+        }
+
+        board.entries.forEach((entry, i) => {
+            const row = document.createElement('li');
+            row.className = 'leaderboard-row' + (entry.isMe ? ' is-me' : '');
+
+            const rank = document.createElement('span');
+            rank.className = 'leaderboard-rank';
+            rank.textContent = `#${i + 1}`;
+            const name = document.createElement('span');
+            name.className = 'leaderboard-name';
+            name.textContent = entry.name; // user-provided — never innerHTML
+            const value = document.createElement('span');
+            value.className = 'leaderboard-time';
+            value.textContent = `${entry.time.toFixed(2)}s${entry.victory ? ' ★' : ''}`;
+
+            row.append(rank, name, value);
+            this.leaderboardList.appendChild(row);
+        });
+
+        if (board.entries.length > 0) {
+            if (board.me) {
+                this.leaderboardMe.textContent = `Tu posición: #${board.me.rank} (${board.me.time.toFixed(2)}s)`;
+            } else {
+                this.leaderboardMe.textContent = isSignedIn ? '' : 'Inicia sesión para entrar en el ranking.';
+            }
+        }
+    }
+
+    showGameOver(time, bestTime, isNewBest, isVictory = false, seed, difficultyLabel = '') {
         this.gameoverTime.textContent = `${time.toFixed(2)}s`;
+        if (this.gameoverDifficulty) this.gameoverDifficulty.textContent = difficultyLabel;
+
+        if (this.gameoverSeedValue && seed !== undefined) {
+            this.gameoverSeedValue.textContent = formatSeed(seed);
+        }
 
         if (bestTime !== undefined) {
             this.gameoverBest.textContent = `${bestTime.toFixed(2)}s`;
@@ -1,11 +1,8 @@
 /**
- * walls.js — Wall obstacle system with hexagonal arc segments
+ * walls.js — Wall obstacle system: one straight segment per closed side of the arena polygon
  */
 import * as THREE from 'three';
-
-const TWO_PI = Math.PI * 2;
-const HEX_SIDES = 6;
-const SIDE_ANGLE = TWO_PI / HEX_SIDES;
+import { DEFAULT_SIDES, sideAngles, wallRadiusAt, WALL_SPAWN_RADIUS, WALL_DESPAWN_RADIUS } from './collision.js';
 
 export class WallSystem {
     constructor(scene) {
@@ -16,52 +13,73 @@ export class WallSystem {
 
         // Settings
         this.baseSpeed = 6; // units per second (inward speed)
-        this.spawnRadius = 20; // where walls spawn
-        this.despawnRadius = 1.2; // where walls get removed
+        this.spawnRadius = WALL_SPAWN_RADIUS; // where walls spawn
+        this.despawnRadius = WALL_DESPAWN_RADIUS; // where walls get removed
         this.wallThickness = 0.4;
 
-        // Shared outline material
+        // Fill brightness relative to the wall color; below 1 keeps walls under the bloom threshold
+        this.fillBrightness = 0.6;
+
+        // Shared outline material, see setStyle()
         this.outlineMat = new THREE.LineBasicMaterial({
-            color: 0xff0000, // Rojo vivo
+            color: 0xffffff,
             transparent: true,
-            opacity: 0.6,  // Full opacidad para que brille al máximo
+            opacity: 0.8,
             linewidth: 3   // Más gruesa
         });
     }
 
+    /**
+     * Fill brightness and edge of the walls
+     * @param {{fill: number, outline: number, outlineOpacity: number}} style -
+     *   e.g. Renderer3D.getWallStyle()
+     */
+    setStyle(style) {
+        this.fillBrightness = style.fill;
+        this.outlineMat.color.set(style.outline);
+        this.outlineMat.opacity = style.outlineOpacity;
+    }
+
     /**
      * Spawn a wall pattern
-     * @param {number[]} gaps - Array of side indices (0-5) that are OPEN (gaps)
-     * @param {object} options - { speed, color, thickness }
+     * @param {number[]} gaps - Array of side indices (0 to sides-1) that are OPEN (gaps)
+     * @param {object} options - { speed, color, thickness, spawnTime, sides }
+     *   spawnTime: audio time at which the wall is at spawnRadius. Walls are
+     *   positioned from audio time, so this also rebuilds walls mid-flight.
+     *   sides: side count of the arena the pattern was made for (default 6)
      */
     spawnPattern(gaps, options = {}) {
         const speed = options.speed || this.baseSpeed;
         const color = options.color || 0x00f0ff;
         const thickness = options.thickness || this.wallThickness;
+        const spawnTime = options.spawnTime ?? 0;
+        const sides = options.sides || DEFAULT_SIDES;
+        const radius = this.spawnRadius;
 
-        for (let side = 0; side < HEX_SIDES; side++) {
+        for (let side = 0; side < sides; side++) {
             if (gaps.includes(side)) continue; // This side is a gap
 
-            const wall = this._createWall(side, this.spawnRadius, color, thickness);
-            wall.userData = {
+            const { angleStart, angleEnd } = sideAngles(side, sides);
+            const wall = this._createWall(angleStart, angleEnd, radius, color, thickness);
+            Object.assign(wall.userData, {
                 side,
-                radius: this.spawnRadius,
+                radius,
                 speed,
-                angleStart: side * SIDE_ANGLE - Math.PI / 6,
-                angleEnd: (side + 1) * SIDE_ANGLE - Math.PI / 6,
+                spawnTime,
+                renderedRadius: radius,
+                angleStart,
+                angleEnd,
                 thickness,
                 active: true
-            };
+            });
 
             this.walls.push(wall);
             this.wallGroup.add(wall);
         }
     }
 
-    _createWall(side, radius, color, thickness) {
+    _createWall(angleStart, angleEnd, radius, color, thickness) {
         // Create an arc segment
-        const angleStart = side * SIDE_ANGLE - Math.PI / 6;
-        const angleEnd = (side + 1) * SIDE_ANGLE - Math.PI / 6;
         const segments = 1;
 
         const shape = new THREE.Shape();
@@ -88,8 +106,7 @@ export class WallSystem {
         shape.closePath();
 
         const geometry = new THREE.ShapeGeometry(shape);
-        // Dim color so walls stay below bloom threshold
-        const brightColor = new THREE.Color(color).multiplyScalar(3.2);
+        const brightColor = new THREE.Color(color).multiplyScalar(this.fillBrightness);
         const material = new THREE.MeshBasicMaterial({
             color: brightColor,
             transparent: true,
@@ -99,7 +116,7 @@ export class WallSystem {
 
         const mesh = new THREE.Mesh(geometry, material);
 
-        // White outline
+        // Outline, kept on the wall's mesh data so it follows the wall
         const outlinePoints = this._getOutlinePoints(angleStart, angleEnd, radius, thickness);
         const outlineGeo = new THREE.BufferGeometry().setFromPoints(outlinePoints);
         const outline = new THREE.LineLoop(outlineGeo, this.outlineMat);
@@ -139,18 +156,42 @@ export class WallSystem {
         return points;
     }
 
-    update(dt, audioData) {
+    /**
+     * Rebuild the walls in flight at `audioTime`: every event that has spawned
+     * by then and hasn't yet passed the center, positioned for that time.
+     * @param {number} audioTime
+     * @param {object[]} events - level events ({gaps, speed, thickness, spawnTime, sides}),
+     *   e.g. the ones LevelGenerator.seek() reports as already spawned
+     * @param {number} color
+     */
+    seek(audioTime, events, color) {
+        this.clear();
+        for (const event of events) {
+            if (event.spawnTime > audioTime) continue;
+            if (wallRadiusAt(event.speed, event.spawnTime, audioTime) < this.despawnRadius) continue;
+            this.spawnPattern(event.gaps, {
+                speed: event.speed,
+                color,
+                thickness: event.thickness,
+                spawnTime: event.spawnTime,
+                sides: event.sides
+            });
+        }
+        this.setTime(audioTime);
+    }
+
+    /**
+     * Position every wall for an audio time. Only updates the simulation state;
+     * call render() to rebuild the meshes.
+     */
+    setTime(audioTime) {
         for (let i = this.walls.length - 1; i >= 0; i--) {
-            const wall = this.walls[i];
-            const data = wall.userData;
+            const data = this.walls[i].userData;
 
             if (!data.active) continue;
 
-            // Move wall inward
-            data.radius -= data.speed * dt;
-
-            // Rebuild geometry at new radius
-            this._updateWallGeometry(wall, data);
+            // Radius is a pure function of time — no per-frame integration
+            data.radius = wallRadiusAt(data.speed, data.spawnTime, audioTime);
 
             // Check if past center
             if (data.radius < this.despawnRadius) {
@@ -159,6 +200,19 @@ export class WallSystem {
         }
     }
 
+    /**
+     * Position walls for `audioTime` and rebuild the geometry of the ones that moved
+     */
+    render(audioTime) {
+        this.setTime(audioTime);
+        for (const wall of this.walls) {
+            const data = wall.userData;
+            if (data.renderedRadius === data.radius) continue;
+            this._updateWallGeometry(wall, data);
+            data.renderedRadius = data.radius;
+        }
+    }
+
     _updateWallGeometry(wall, data) {
         // Dispose old geometry
         wall.geometry.dispose();
@@ -232,8 +286,7 @@ export class WallSystem {
     }
 
     setColor(color) {
-        // Multiplier set to 3.2 to match bright walls creation
-        const brightColor = new THREE.Color(color).multiplyScalar(0.6);
+        const brightColor = new THREE.Color(color).multiplyScalar(this.fillBrightness);
         for (const wall of this.walls) {
             wall.material.color.copy(brightColor);
         }
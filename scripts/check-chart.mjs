@@ -0,0 +1,58 @@
+/**
+ * check-chart.mjs — Validate .hexchart files headless: format and passability
+ *
+ * Usage: npm run check-chart -- <file.hexchart> [--repair]
+ *   --repair writes <file>.repaired.hexchart with impossible walls opened or dropped.
+ * Exits with 1 when a chart is invalid or impossible.
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseChart, serializeChart } from '../js/chart.js';
+import { solveLevel, repairLevel } from '../js/levelValidator.js';
+
+const args = process.argv.slice(2);
+const repair = args.includes('--repair');
+const files = args.filter(a => !a.startsWith('--'));
+
+if (files.length === 0) {
+    console.error('Uso: npm run check-chart -- <archivo.hexchart> [--repair]');
+    process.exit(1);
+}
+
+let failed = false;
+for (const file of files) {
+    let chart;
+    try {
+        chart = parseChart(await readFile(file, 'utf8'));
+    } catch (error) {
+        console.error(`${file}: ${error.message}`);
+        failed = true;
+        continue;
+    }
+
+    const result = solveLevel(chart.events);
+    const reaction = result.minReaction
+        ? `reacción mínima ${result.minReaction.seconds.toFixed(3)}s (a los ${result.minReaction.time.toFixed(2)}s)`
+        : 'sin muros';
+    if (result.passable) {
+        console.log(`${file}: superable, ${chart.events.length} muros, ${reaction}`);
+        continue;
+    }
+
+    console.error(`${file}: imposible a los ${result.failTime.toFixed(2)}s, ${reaction}`);
+    failed = true;
+
+    if (repair) {
+        const repaired = repairLevel(chart.events);
+        for (const fix of repaired.fixes) {
+            const action = fix.action === 'opened' ? `abierto el lado ${fix.side}` : 'muro eliminado';
+            console.log(`  ${fix.time.toFixed(2)}s: ${action}`);
+        }
+        const out = file.replace(/\.hexchart$/, '') + '.repaired.hexchart';
+        // Side counts come from the chart's cues, not from each event
+        const events = repaired.events.map(({ sides, ...event }) => event);
+        await writeFile(out, serializeChart({ ...chart, events }));
+        console.log(`  Guardado en ${out}`);
+    }
+}
+
+process.exit(failed ? 1 : 0);
@@ -8,7 +8,15 @@ const express = require('express');
 const cors = require('cors');
 const youtubedl = require('youtube-dl-exec');
 const UAParser = require('ua-parser-js');
+const path = require('path');
 require('dotenv').config();
+const { createVerifierFromEnv, requireAuth } = require('./server/firebaseAuth');
+const { createLeaderboardRouter } = require('./server/leaderboard');
+const { createLeaderboardStoreFromEnv } = require('./server/leaderboardStore');
+const { createAnalysisCacheFromEnv, createAnalysisRouter } = require('./server/songAnalysis');
+const { SongStore, LIBRARY_LOG, summarizeAnalysis } = require('./server/songStore');
+const { createSongsRouter, publicSong } = require('./server/songs');
+const { createStaticRouter } = require('./server/staticFiles');
 
 const app = express();
 // Pterodactyl uses process.env.SERVER_PORT mostly, but we keep PORT as fallback
@@ -70,8 +78,9 @@ app.use((req, res, next) => {
     next();
 });
 
-// Serve static files from the current directory (the frontend)
-app.use(express.static(__dirname));
+// Serve static files from the current directory (the frontend), except the
+// library log: it lists the uid of every uploader
+app.use(createStaticRouter(__dirname, [path.join(__dirname, 'songs', LIBRARY_LOG)]));
 
 // Health check endpoint (for the API)
 app.get('/', (req, res) => {
@@ -128,7 +137,6 @@ app.get('/yt', async (req, res) => {
 
 // Configure Multer for community song uploads
 const fs = require('fs');
-const path = require('path');
 const multer = require('multer');
 
 // Create the songs directory if it doesn't exist just in case
@@ -137,6 +145,25 @@ if (!fs.existsSync(songsDir)) {
     fs.mkdirSync(songsDir, { recursive: true });
 }
 
+// Song library: official songs from songs.json plus community uploads (/api/songs)
+const songStore = new SongStore({ songsDir });
+app.use(createSongsRouter({ store: songStore }));
+
+// Analysis and generated levels of the library songs, built once on the server.
+// Duration, BPM and a summary go into the library entry.
+const analysisCache = createAnalysisCacheFromEnv(songsDir, {
+    onAnalyzed: (file, sidecar) => {
+        const song = songStore.findByFile(file);
+        if (!song) return;
+        songStore.update(song.id, {
+            duration: sidecar.duration,
+            bpm: sidecar.bpm,
+            analysis: summarizeAnalysis(sidecar)
+        }).catch(() => {});
+    }
+});
+app.use(createAnalysisRouter(analysisCache));
+
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
         cb(null, songsDir);
@@ -166,15 +193,20 @@ const upload = multer({
     }
 });
 
+// Firebase ID token verification (Google public keys, or a local test keypair)
+const authVerifier = createVerifierFromEnv();
+
 // Community audio upload endpoint
-app.post('/upload-community', upload.single('audioFile'), (req, res) => {
+// The token is verified before multer runs, so unauthenticated requests never touch the disk.
+app.post('/upload-community', requireAuth(authVerifier), upload.single('audioFile'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No se ha subido ningún archivo.' });
         }
 
         const title = req.body.title || 'Canción sin título';
-        const artist = req.body.artist || 'Comunidad';
+        // Uploader identity comes from the verified token, never from the form body
+        const artist = req.user.name || 'Comunidad';
         const filename = req.file.filename;
 
         // Construct the new song entry
@@ -182,31 +214,20 @@ app.post('/upload-community', upload.single('audioFile'), (req, res) => {
             title: title,
             file: filename,
             artist: artist,
+            uploaderUid: req.user.uid,
+            uploaderName: req.user.name,
             community: true,
             uploadTime: new Date().toISOString()
         };
 
-        // Read and update songs.json
-        const songsJsonPath = path.join(songsDir, 'songs.json');
-        let songsData = [];
-
-        if (fs.existsSync(songsJsonPath)) {
-            const rawData = fs.readFileSync(songsJsonPath, 'utf8');
-            try {
-                songsData = JSON.parse(rawData);
-            } catch (e) {
-                console.warn('songs.json estaba corrupto o vacío, creando uno nuevo.');
-            }
-        }
-
-        songsData.push(newSongInfo);
-
-        fs.writeFileSync(songsJsonPath, JSON.stringify(songsData, null, 4), 'utf8');
+        // The store queues its writes, so simultaneous uploads are all kept
+        const song = await songStore.add(newSongInfo);
+        analysisCache.analyze(filename, title).catch(() => {});
 
         res.json({
             success: true,
             message: 'Canción subida correctamente.',
-            song: newSongInfo
+            song: publicSong(song)
         });
 
     } catch (error) {
@@ -215,8 +236,28 @@ app.post('/upload-community', upload.single('audioFile'), (req, res) => {
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`===========================================`);
-    console.log(`🎵 HexBeat YouTube Proxy (yt-dlp) corriendo en el puerto ${PORT}`);
-    console.log(`===========================================`);
+// Global per-song leaderboard (Firestore, or in-memory with LEADERBOARD_STORE=memory).
+// Set up as a startup step, so a bad configuration stops the server like an
+// unreachable store does.
+async function openLeaderboard() {
+    const store = createLeaderboardStoreFromEnv();
+    await store.check();
+    app.use(createLeaderboardRouter({
+        store,
+        verifier: authVerifier
+    }));
+}
+
+// The library is loaded and the leaderboard reachable before the server takes requests.
+// A missing ffmpeg only turns server-side analysis off (see analysisCache.check()).
+Promise.all([songStore.open(), openLeaderboard(), analysisCache.check()]).then(() => {
+    app.listen(PORT, () => {
+        console.log(`===========================================`);
+        console.log(`🎵 HexBeat YouTube Proxy (yt-dlp) corriendo en el puerto ${PORT}`);
+        console.log(`===========================================`);
+        analysisCache.analyzeLibrary(songStore.all());
+    });
+}).catch((error) => {
+    console.error('No se pudo arrancar el servidor:', error.message);
+    process.exit(1);
 });
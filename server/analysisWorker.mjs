@@ -0,0 +1,84 @@
+/**
+ * analysisWorker.mjs — Analyses one song off the server's main thread
+ *
+ * Decodes the file with ffmpeg and runs the game's own analysis and level
+ * generator on it (js/songAnalysis.js, js/levelGenerator.js), so the result
+ * is what the browser would have computed. Started by server/songAnalysis.js.
+ *
+ * In (workerData): { audioPath, title, ffmpegPath }
+ * Out: { type: 'done', sidecar } or { type: 'error', message }
+ */
+import { parentPort, workerData } from 'node:worker_threads';
+import { spawn } from 'node:child_process';
+import { computeFingerprint } from '../js/fingerprint.js';
+import { analyzeSpectrum } from '../js/spectralAnalysis.js';
+import { SongAnalysis } from '../js/songAnalysis.js';
+import { LevelGenerator, deriveLevelSeed, GENERATOR_VERSION } from '../js/levelGenerator.js';
+import { DIFFICULTIES } from '../js/difficulty.js';
+import { buildChart } from '../js/chart.js';
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * Decode to mono 32-bit float PCM
+ * @returns {Promise<Float32Array>}
+ */
+function decode(audioPath, ffmpegPath) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(ffmpegPath, [
+            '-v', 'error', '-i', audioPath, '-f', 'f32le', '-ac', '1', '-ar', String(SAMPLE_RATE), 'pipe:1'
+        ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+        const chunks = [];
+        let errors = '';
+        ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+        ffmpeg.stderr.on('data', (chunk) => { errors += chunk; });
+        ffmpeg.on('error', (error) => reject(new Error(`No se pudo ejecutar ffmpeg (${error.message})`)));
+        ffmpeg.on('close', (code) => {
+            if (code !== 0) {
+                reject(new Error(`ffmpeg terminó con código ${code}: ${errors.trim().slice(0, 300)}`));
+                return;
+            }
+            const pcm = Buffer.concat(chunks);
+            // Copy into an aligned buffer: Buffer.concat may return a view at any offset
+            const samples = new Float32Array(pcm.length >> 2);
+            new Uint8Array(samples.buffer).set(pcm.subarray(0, samples.length * 4));
+            resolve(samples);
+        });
+    });
+}
+
+async function analyze({ audioPath, title, ffmpegPath }) {
+    const samples = await decode(audioPath, ffmpegPath);
+    if (samples.length === 0) throw new Error('El archivo no contiene audio.');
+
+    // AudioBuffer stand-in for the fingerprint
+    const buffer = {
+        sampleRate: SAMPLE_RATE,
+        length: samples.length,
+        duration: samples.length / SAMPLE_RATE,
+        numberOfChannels: 1,
+        getChannelData: () => samples
+    };
+
+    const song = new SongAnalysis();
+    song.duration = buffer.duration;
+    song.fingerprint = computeFingerprint(buffer);
+    song.analyze(analyzeSpectrum(samples, SAMPLE_RATE));
+
+    // The level of every difficulty, exactly as generate() builds it in the browser
+    const charts = {};
+    for (const difficulty of Object.keys(DIFFICULTIES)) {
+        const levelGen = new LevelGenerator();
+        levelGen.generate(song, deriveLevelSeed(song.fingerprint, difficulty), difficulty);
+        charts[difficulty] = buildChart({ songId: song.fingerprint, title, audio: song, levelGen });
+    }
+
+    return { ...song.toSidecar(), generatorVersion: GENERATOR_VERSION, charts };
+}
+
+try {
+    parentPort.postMessage({ type: 'done', sidecar: await analyze(workerData) });
+} catch (error) {
+    parentPort.postMessage({ type: 'error', message: error.message });
+}
@@ -0,0 +1,200 @@
+/**
+ * firebaseAuth.js — Firebase ID token verification (RS256 JWT) without the Admin SDK
+ *
+ * Tokens are checked against Google's public signing certificates, which are
+ * fetched once and cached for as long as Google's Cache-Control header allows.
+ * For local testing the keys can be swapped for your own keypair, either with
+ * verifier.setKeys({ kid: pem }) or the FIREBASE_AUTH_KEYS_FILE env variable.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const GOOGLE_KEYS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+const CLOCK_SKEW_SECONDS = 60;
+
+class AuthError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = 401;
+    }
+}
+
+function base64UrlDecode(segment) {
+    return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function parseJsonSegment(segment, what) {
+    try {
+        return JSON.parse(base64UrlDecode(segment).toString('utf8'));
+    } catch (e) {
+        throw new AuthError(`Token mal formado (${what}).`);
+    }
+}
+
+class FirebaseTokenVerifier {
+    /**
+     * @param {object} options
+     * @param {string} options.projectId - Firebase project id (aud / iss claims)
+     * @param {string} [options.keysUrl] - Where to fetch the signing certificates
+     * @param {function} [options.now] - Clock in ms, overridable for tests
+     */
+    constructor({ projectId, keysUrl = GOOGLE_KEYS_URL, now = Date.now } = {}) {
+        this.projectId = projectId;
+        this.keysUrl = keysUrl;
+        this.now = now;
+
+        // kid -> KeyObject
+        this.keys = null;
+        this.keysExpireAt = 0;
+        this._pendingFetch = null;
+    }
+
+    /**
+     * Replace the key set, e.g. with a local test keypair.
+     * @param {Object<string, string>} pemByKid - certificate or public key PEMs
+     * @param {number} [ttlMs] - How long to keep them; Infinity never refetches
+     */
+    setKeys(pemByKid, ttlMs = Infinity) {
+        const keys = new Map();
+        for (const [kid, pem] of Object.entries(pemByKid)) {
+            keys.set(kid, crypto.createPublicKey(pem));
+        }
+        this.keys = keys;
+        this.keysExpireAt = this.now() + ttlMs;
+    }
+
+    async getKeys() {
+        if (this.keys && this.now() < this.keysExpireAt) return this.keys;
+
+        // Share a single in-flight request between concurrent verifications
+        if (!this._pendingFetch) {
+            this._pendingFetch = this._fetchKeys().finally(() => {
+                this._pendingFetch = null;
+            });
+        }
+        await this._pendingFetch;
+        return this.keys;
+    }
+
+    async _fetchKeys() {
+        const response = await fetch(this.keysUrl);
+        if (!response.ok) {
+            throw new Error(`No se pudieron obtener las claves públicas de Google (HTTP ${response.status})`);
+        }
+
+        const cacheControl = response.headers.get('cache-control') || '';
+        const maxAge = /max-age=(\d+)/.exec(cacheControl);
+        const ttlMs = maxAge ? parseInt(maxAge[1], 10) * 1000 : 60 * 60 * 1000;
+
+        this.setKeys(await response.json(), ttlMs);
+    }
+
+    /**
+     * Verify a Firebase ID token and return its claims.
+     * @param {string} idToken
+     * @returns {Promise<object>} decoded payload (uid is in `sub`)
+     * @throws {AuthError}
+     */
+    async verify(idToken) {
+        if (!this.projectId) {
+            throw new Error('FIREBASE_PROJECT_ID no está configurado en el servidor.');
+        }
+        if (typeof idToken !== 'string' || !idToken) {
+            throw new AuthError('Falta el token de autenticación.');
+        }
+
+        const parts = idToken.split('.');
+        if (parts.length !== 3) throw new AuthError('Token mal formado.');
+
+        const header = parseJsonSegment(parts[0], 'cabecera');
+        const payload = parseJsonSegment(parts[1], 'contenido');
+
+        if (header.alg !== 'RS256') throw new AuthError('Algoritmo de firma no válido.');
+
+        const keys = await this.getKeys();
+        const key = keys.get(header.kid);
+        if (!key) throw new AuthError('Token firmado con una clave desconocida.');
+
+        const signatureValid = crypto.verify(
+            'RSA-SHA256',
+            Buffer.from(`${parts[0]}.${parts[1]}`),
+            key,
+            base64UrlDecode(parts[2])
+        );
+        if (!signatureValid) throw new AuthError('Firma del token no válida.');
+
+        const nowSeconds = Math.floor(this.now() / 1000);
+        if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < nowSeconds) {
+            throw new AuthError('El token ha caducado.');
+        }
+        if (typeof payload.iat !== 'number' || payload.iat - CLOCK_SKEW_SECONDS > nowSeconds) {
+            throw new AuthError('Token emitido en el futuro.');
+        }
+        if (typeof payload.auth_time === 'number' && payload.auth_time - CLOCK_SKEW_SECONDS > nowSeconds) {
+            throw new AuthError('Token con fecha de autenticación no válida.');
+        }
+        if (payload.aud !== this.projectId) {
+            throw new AuthError('Token emitido para otro proyecto.');
+        }
+        if (payload.iss !== `https://securetoken.google.com/${this.projectId}`) {
+            throw new AuthError('Emisor del token no válido.');
+        }
+        if (typeof payload.sub !== 'string' || !payload.sub || payload.sub.length > 128) {
+            throw new AuthError('Token sin usuario.');
+        }
+
+        return payload;
+    }
+}
+
+/**
+ * Build the verifier from environment variables.
+ * FIREBASE_AUTH_KEYS_FILE points to a JSON file of { kid: pem } used instead of Google's keys.
+ */
+function createVerifierFromEnv(env = process.env) {
+    const verifier = new FirebaseTokenVerifier({ projectId: env.FIREBASE_PROJECT_ID });
+
+    if (env.FIREBASE_AUTH_KEYS_FILE) {
+        const pemByKid = JSON.parse(fs.readFileSync(env.FIREBASE_AUTH_KEYS_FILE, 'utf8'));
+        verifier.setKeys(pemByKid);
+        console.warn(`[auth] Usando claves de prueba locales de ${env.FIREBASE_AUTH_KEYS_FILE}`);
+    }
+
+    return verifier;
+}
+
+/**
+ * Express middleware: requires `Authorization: Bearer <idToken>` and sets
+ * req.user = { uid, name, email } from the verified claims.
+ */
+function requireAuth(verifier) {
+    return async (req, res, next) => {
+        const header = req.headers.authorization || '';
+        const match = /^Bearer\s+(.+)$/i.exec(header);
+
+        try {
+            const claims = await verifier.verify(match ? match[1].trim() : '');
+            req.user = {
+                uid: claims.sub,
+                name: claims.name || null,
+                email: claims.email || null
+            };
+            next();
+        } catch (error) {
+            if (error instanceof AuthError) {
+                return res.status(401).json({ error: error.message });
+            }
+            console.error('Error verificando el token de Firebase:', error);
+            res.status(503).json({ error: 'No se pudo verificar la sesión. Inténtalo de nuevo.' });
+        }
+    };
+}
+
+module.exports = {
+    AuthError,
+    FirebaseTokenVerifier,
+    createVerifierFromEnv,
+    requireAuth
+};
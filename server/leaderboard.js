@@ -0,0 +1,168 @@
+/**
+ * leaderboard.js — Global per-song leaderboard API
+ *
+ * Runs are only accepted through a server-issued ticket: the client opens a run
+ * when the song starts and closes it when the player dies or clears the song.
+ * The only check on the claimed survival time is that it can't exceed the
+ * wall-clock time the ticket has been open (plus a little latency). That stops
+ * a time being posted straight from the console, but not a client that keeps a
+ * ticket open and then posts any time up to its age: the server never sees
+ * the run itself. Tickets live in this process and are lost on restart.
+ *
+ *   POST /api/leaderboard/runs              { songId, difficulty } → { runId }
+ *   POST /api/leaderboard/runs/:runId/finish { time, victory }     → { improved, rank, entry }
+ *   GET  /api/leaderboard/:songId?difficulty=normal&limit=10       → { entries, me }
+ *
+ * Each difficulty tier has its own board. `normal` uses the bare song id so
+ * boards from before tiers existed stay where they were.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { AuthError, requireAuth } = require('./firebaseAuth');
+
+const MAX_RUN_SECONDS = 60 * 60;        // longest song we accept a time for
+const TICKET_TTL_MS = (MAX_RUN_SECONDS + 5 * 60) * 1000;
+const CLOCK_TOLERANCE_SECONDS = 3;      // request latency between run start and ticket
+const MAX_OPEN_TICKETS_PER_USER = 5;
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const DIFFICULTIES = ['easy', 'normal', 'hard', 'hyper']; // must match js/difficulty.js
+const DEFAULT_DIFFICULTY = 'normal';
+
+function isValidSongId(songId) {
+    return typeof songId === 'string' && songId.length > 0 && songId.length <= 200;
+}
+
+/**
+ * Store key of the board for a song and tier, or null for an unknown tier
+ */
+function boardId(songId, difficulty = DEFAULT_DIFFICULTY) {
+    if (!DIFFICULTIES.includes(difficulty)) return null;
+    return difficulty === DEFAULT_DIFFICULTY ? songId : `${songId}:${difficulty}`;
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.store - MemoryLeaderboardStore | FirestoreLeaderboardStore
+ * @param {FirebaseTokenVerifier} deps.verifier
+ * @param {function} [deps.now] - Clock in ms, overridable for tests
+ */
+function createLeaderboardRouter({ store, verifier, now = Date.now }) {
+    const router = express.Router();
+    const tickets = new Map(); // runId -> { uid, board, startedAt }
+
+    router.use(express.json({ limit: '4kb' }));
+
+    function pruneTickets(uid) {
+        const cutoff = now() - TICKET_TTL_MS;
+        const open = [];
+        for (const [runId, ticket] of tickets) {
+            if (ticket.startedAt < cutoff) tickets.delete(runId);
+            else if (ticket.uid === uid) open.push(runId);
+        }
+        // Oldest first in insertion order — drop the excess
+        while (open.length >= MAX_OPEN_TICKETS_PER_USER) {
+            tickets.delete(open.shift());
+        }
+    }
+
+    router.post('/api/leaderboard/runs', requireAuth(verifier), (req, res) => {
+        const { songId, difficulty } = req.body || {};
+        if (!isValidSongId(songId)) {
+            return res.status(400).json({ error: 'Identificador de canción no válido.' });
+        }
+        const board = boardId(songId, difficulty);
+        if (!board) {
+            return res.status(400).json({ error: 'Dificultad no válida.' });
+        }
+
+        pruneTickets(req.user.uid);
+        const runId = crypto.randomUUID();
+        tickets.set(runId, { uid: req.user.uid, board, startedAt: now() });
+        res.json({ runId });
+    });
+
+    router.post('/api/leaderboard/runs/:runId/finish', requireAuth(verifier), async (req, res) => {
+        let ticket = tickets.get(req.params.runId);
+        if (ticket && now() - ticket.startedAt > TICKET_TTL_MS) {
+            tickets.delete(req.params.runId);
+            ticket = null;
+        }
+        if (!ticket || ticket.uid !== req.user.uid) {
+            return res.status(404).json({ error: 'Partida no encontrada o ya enviada.' });
+        }
+
+        const time = Number(req.body?.time);
+        const elapsed = (now() - ticket.startedAt) / 1000;
+
+        if (!Number.isFinite(time) || time <= 0 || time > MAX_RUN_SECONDS) {
+            return res.status(400).json({ error: 'Tiempo de partida no válido.' });
+        }
+        if (time > elapsed + CLOCK_TOLERANCE_SECONDS) {
+            tickets.delete(req.params.runId);
+            return res.status(422).json({ error: 'El tiempo enviado no cuadra con la duración de la partida.' });
+        }
+
+        // One submission per ticket
+        tickets.delete(req.params.runId);
+
+        try {
+            const name = req.user.name || 'Anónimo';
+            const rounded = Math.round(time * 100) / 100;
+            const result = await store.submit(ticket.board, {
+                uid: req.user.uid,
+                name,
+                time: rounded,
+                victory: req.body?.victory === true
+            });
+            const ranking = await store.rankOf(ticket.board, req.user.uid);
+            res.json({ improved: result.improved, rank: ranking?.rank ?? null, entry: ranking?.entry ?? result.entry });
+        } catch (error) {
+            console.error('Error guardando la partida en el ranking:', error);
+            res.status(500).json({ error: 'No se pudo guardar la partida.' });
+        }
+    });
+
+    router.get('/api/leaderboard/:songId', async (req, res) => {
+        const songId = req.params.songId;
+        if (!isValidSongId(songId)) {
+            return res.status(400).json({ error: 'Identificador de canción no válido.' });
+        }
+        const difficulty = req.query.difficulty || DEFAULT_DIFFICULTY;
+        const board = boardId(songId, difficulty);
+        if (!board) {
+            return res.status(400).json({ error: 'Dificultad no válida.' });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+        // Authentication is optional here: it only adds the caller's own rank
+        let uid = null;
+        const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+        if (match) {
+            try {
+                uid = (await verifier.verify(match[1].trim())).sub;
+            } catch (error) {
+                if (!(error instanceof AuthError)) console.warn('[leaderboard] Verificación opcional fallida:', error.message);
+            }
+        }
+
+        try {
+            const entries = await store.top(board, limit);
+            const me = uid ? await store.rankOf(board, uid) : null;
+            res.json({
+                songId,
+                difficulty,
+                entries: entries.map(e => ({ name: e.name, time: e.time, victory: e.victory, isMe: e.uid === uid })),
+                me: me ? { rank: me.rank, time: me.entry.time } : null
+            });
+        } catch (error) {
+            console.error('Error leyendo el ranking:', error);
+            res.status(500).json({ error: 'No se pudo cargar el ranking.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createLeaderboardRouter };
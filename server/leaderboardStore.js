@@ -0,0 +1,176 @@
+/**
+ * leaderboardStore.js — Per-song leaderboard persistence
+ *
+ * Two interchangeable backends with the same async API:
+ *   - FirestoreLeaderboardStore: firebase-admin (honors FIRESTORE_EMULATOR_HOST)
+ *   - MemoryLeaderboardStore: in-process stand-in for local runs and tests
+ *
+ * Each user keeps a single entry per song holding their best time. The memory
+ * store loses everything on restart, so it is only used when asked for.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Firestore document ids can't contain '/' and song ids are arbitrary strings,
+ * so songs are keyed by a hash and the original id is stored alongside.
+ */
+function songDocId(songId) {
+    return 'song_' + crypto.createHash('sha1').update(songId).digest('hex');
+}
+
+function isBetter(time, previous) {
+    return !previous || time > previous.time;
+}
+
+class LeaderboardStoreError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LeaderboardStoreError';
+    }
+}
+
+class MemoryLeaderboardStore {
+    constructor() {
+        // songId -> Map(uid -> entry)
+        this.songs = new Map();
+    }
+
+    async check() {}
+
+    async submit(songId, { uid, name, time, victory }) {
+        if (!this.songs.has(songId)) this.songs.set(songId, new Map());
+        const runs = this.songs.get(songId);
+        const previous = runs.get(uid);
+
+        if (!isBetter(time, previous)) {
+            return { improved: false, entry: previous };
+        }
+
+        const entry = { uid, name, time, victory: !!victory, updatedAt: new Date().toISOString() };
+        runs.set(uid, entry);
+        return { improved: true, entry };
+    }
+
+    async top(songId, count) {
+        const runs = this.songs.get(songId);
+        if (!runs) return [];
+        return [...runs.values()]
+            .sort((a, b) => b.time - a.time)
+            .slice(0, count);
+    }
+
+    async rankOf(songId, uid) {
+        const runs = this.songs.get(songId);
+        const entry = runs?.get(uid);
+        if (!entry) return null;
+
+        let ahead = 0;
+        for (const other of runs.values()) {
+            if (other.time > entry.time) ahead++;
+        }
+        return { rank: ahead + 1, entry };
+    }
+}
+
+class FirestoreLeaderboardStore {
+    /**
+     * @param {FirebaseFirestore.Firestore} firestore - from firebase-admin
+     */
+    constructor(firestore) {
+        this.db = firestore;
+        this.FieldValue = require('firebase-admin/firestore').FieldValue;
+    }
+
+    /**
+     * One read, so bad credentials or an unreachable project show at startup
+     * instead of on the first score
+     * @throws {LeaderboardStoreError}
+     */
+    async check() {
+        try {
+            await this.db.collection('leaderboards').limit(1).get();
+        } catch (error) {
+            throw new LeaderboardStoreError(`Firestore no responde: ${error.message}`);
+        }
+    }
+
+    _runs(songId) {
+        return this.db.collection('leaderboards').doc(songDocId(songId)).collection('runs');
+    }
+
+    async submit(songId, { uid, name, time, victory }) {
+        const songRef = this.db.collection('leaderboards').doc(songDocId(songId));
+        const runRef = this._runs(songId).doc(uid);
+
+        return this.db.runTransaction(async (tx) => {
+            const snapshot = await tx.get(runRef);
+            const previous = snapshot.exists ? snapshot.data() : null;
+
+            if (!isBetter(time, previous)) {
+                return { improved: false, entry: previous };
+            }
+
+            const entry = { uid, name, time, victory: !!victory };
+            tx.set(songRef, { songId }, { merge: true });
+            tx.set(runRef, { ...entry, updatedAt: this.FieldValue.serverTimestamp() });
+            return { improved: true, entry };
+        });
+    }
+
+    async top(songId, count) {
+        const snapshot = await this._runs(songId).orderBy('time', 'desc').limit(count).get();
+        return snapshot.docs.map(doc => this._toEntry(doc.data()));
+    }
+
+    async rankOf(songId, uid) {
+        const snapshot = await this._runs(songId).doc(uid).get();
+        if (!snapshot.exists) return null;
+
+        const entry = this._toEntry(snapshot.data());
+        const ahead = await this._runs(songId).where('time', '>', entry.time).count().get();
+        return { rank: ahead.data().count + 1, entry };
+    }
+
+    _toEntry(data) {
+        return {
+            uid: data.uid,
+            name: data.name,
+            time: data.time,
+            victory: !!data.victory,
+            updatedAt: data.updatedAt?.toDate?.().toISOString() ?? null
+        };
+    }
+}
+
+/**
+ * LEADERBOARD_STORE=memory picks the in-memory store, for development and
+ * tests. Otherwise Firestore is used through firebase-admin with application
+ * default credentials (or the emulator when FIRESTORE_EMULATOR_HOST is set);
+ * call check() on the result before serving.
+ * @throws {LeaderboardStoreError} when firebase-admin can't be loaded or set up
+ */
+function createLeaderboardStoreFromEnv(env = process.env) {
+    if (env.LEADERBOARD_STORE === 'memory') {
+        console.warn('[leaderboard] Usando almacenamiento en memoria (los récords se pierden al reiniciar).');
+        return new MemoryLeaderboardStore();
+    }
+
+    try {
+        const { initializeApp, getApps } = require('firebase-admin/app');
+        const { getFirestore } = require('firebase-admin/firestore');
+        const app = getApps()[0] || initializeApp({ projectId: env.FIREBASE_PROJECT_ID });
+        return new FirestoreLeaderboardStore(getFirestore(app));
+    } catch (error) {
+        throw new LeaderboardStoreError(
+            `Firestore no disponible (${error.message}). Configura sus credenciales o usa LEADERBOARD_STORE=memory en desarrollo.`
+        );
+    }
+}
+
+module.exports = {
+    LeaderboardStoreError,
+    MemoryLeaderboardStore,
+    FirestoreLeaderboardStore,
+    createLeaderboardStoreFromEnv
+};
@@ -0,0 +1,292 @@
+/**
+ * songAnalysis.js — Server-side analysis cache for library and community songs
+ *
+ * Each song of the library is decoded and analysed once, in a worker thread
+ * (analysisWorker.mjs) running the same code as the browser, and the result
+ * is kept as a sidecar JSON in songs/analysis/: energy map, beats, tempo,
+ * sections, melody onsets and the generated chart of every difficulty. The
+ * client loads it next to the audio and skips its own analysis.
+ *
+ *   GET /api/analysis/:file → sidecar (200), { status: 'pending' } (202) while
+ *                             it is being built, { error } (404 / 500), or
+ *                             { error } (503) when the server can't analyse
+ *
+ * A sidecar is rebuilt when the audio file changes (size or modification
+ * time) or the analysis or generator version moves on. It also records the
+ * SHA-256 of the file's bytes: the client hashes what it downloaded and only
+ * uses the sidecar for those exact bytes, and only when the fingerprint it
+ * computes itself matches the sidecar's, which its levels are seeded from.
+ *
+ * Decoding needs ffmpeg (FFMPEG_PATH, default `ffmpeg` on the PATH); check()
+ * looks for it at startup, and without it clients analyse songs themselves.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { Worker } = require('worker_threads');
+const express = require('express');
+
+const AUDIO_EXTENSIONS = /\.(mp3|ogg|wav|flac)$/i;
+const RETRY_AFTER_SECONDS = 30;
+
+// Versions live in the shared ES modules; the sidecar must match both
+let versions = null;
+function sharedVersions() {
+    versions ??= Promise.all([
+        import('../js/songAnalysis.js'),
+        import('../js/levelGenerator.js')
+    ]).then(([analysis, generator]) => ({
+        format: analysis.ANALYSIS_FORMAT,
+        analysis: analysis.ANALYSIS_VERSION,
+        generator: generator.GENERATOR_VERSION
+    }));
+    return versions;
+}
+
+class AnalysisUnavailableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AnalysisUnavailableError';
+    }
+}
+
+class SongAnalysisCache {
+    /**
+     * @param {object} options
+     * @param {string} options.songsDir - where the audio files and songs.json live
+     * @param {string} [options.cacheDir] - sidecar directory, songs/analysis by default
+     * @param {string} [options.ffmpegPath]
+     * @param {(file: string, sidecar: object) => void} [options.onAnalyzed] - with
+     *   every sidecar analyze() returns, cached or new
+     * @param {(audioPath: string, title: string) => Promise<object>} [options.runAnalysis] -
+     *   builds a sidecar; the analysis worker by default, overridable for tests
+     */
+    constructor({
+        songsDir, cacheDir = path.join(songsDir, 'analysis'), ffmpegPath = 'ffmpeg', onAnalyzed = null, runAnalysis = null
+    }) {
+        this.songsDir = songsDir;
+        this.cacheDir = cacheDir;
+        this.ffmpegPath = ffmpegPath;
+        this.onAnalyzed = onAnalyzed;
+        this.runAnalysis = runAnalysis ?? ((audioPath, title) => this._runWorker(audioPath, title));
+        this.available = true; // until check() finds no ffmpeg
+        this.pending = new Map(); // file -> Promise of the sidecar
+        this.failed = new Map(); // file -> { stamp, message }, not retried until the file changes
+        this.queue = Promise.resolve(); // one analysis at a time: each one keeps a core busy
+        fs.mkdirSync(cacheDir, { recursive: true });
+    }
+
+    /**
+     * Look for ffmpeg. Without it nothing new is analysed: existing sidecars
+     * are still served and everything else gets a 503.
+     * @returns {Promise<boolean>} whether analyses can run
+     */
+    check() {
+        return new Promise((resolve) => {
+            let settled = false;
+            const done = (problem) => {
+                if (settled) return;
+                settled = true;
+                this.available = !problem;
+                if (problem) {
+                    console.warn(`[analysis] ffmpeg (${this.ffmpegPath}) ${problem}: las canciones se analizarán en el navegador.`);
+                }
+                resolve(this.available);
+            };
+            const ffmpeg = spawn(this.ffmpegPath, ['-version'], { stdio: 'ignore' });
+            ffmpeg.once('error', (error) => done(`no se pudo ejecutar (${error.message})`));
+            ffmpeg.once('close', (code) => done(code === 0 ? null : `terminó con código ${code}`));
+        });
+    }
+
+    /**
+     * Whether `file` names an audio file in the songs directory (never a path)
+     */
+    isSong(file) {
+        return typeof file === 'string' && path.basename(file) === file && AUDIO_EXTENSIONS.test(file) &&
+            fs.existsSync(path.join(this.songsDir, file));
+    }
+
+    _sidecarPath(file) {
+        return path.join(this.cacheDir, `${file}.json`);
+    }
+
+    /**
+     * Size and modification time: a sidecar belongs to this exact file
+     */
+    async _stamp(file) {
+        const stat = await fs.promises.stat(path.join(this.songsDir, file));
+        return { size: stat.size, mtimeMs: Math.round(stat.mtimeMs) };
+    }
+
+    /**
+     * SHA-256 of the file's bytes, hex
+     */
+    async _hash(file) {
+        const hash = crypto.createHash('sha256');
+        for await (const chunk of fs.createReadStream(path.join(this.songsDir, file))) hash.update(chunk);
+        return hash.digest('hex');
+    }
+
+    /**
+     * The cached sidecar if it is up to date, otherwise null
+     */
+    async get(file) {
+        let sidecar;
+        try {
+            sidecar = JSON.parse(await fs.promises.readFile(this._sidecarPath(file), 'utf8'));
+        } catch (error) {
+            return null; // missing or half-written
+        }
+        const versions = await sharedVersions();
+        const stamp = await this._stamp(file);
+        const fresh = sidecar.format === versions.format &&
+            sidecar.version === versions.analysis &&
+            sidecar.generatorVersion === versions.generator &&
+            typeof sidecar.source?.sha256 === 'string' &&
+            sidecar.source.size === stamp.size &&
+            sidecar.source?.mtimeMs === stamp.mtimeMs;
+        return fresh ? sidecar : null;
+    }
+
+    /**
+     * Error of the last analysis of this version of the file, or null
+     */
+    async failure(file) {
+        const failed = this.failed.get(file);
+        if (!failed) return null;
+        const stamp = await this._stamp(file);
+        return failed.stamp.size === stamp.size && failed.stamp.mtimeMs === stamp.mtimeMs ? failed.message : null;
+    }
+
+    /**
+     * Analyse a song unless its sidecar is up to date. Requests for a song
+     * already queued share the same run.
+     * @returns {Promise<object>} the sidecar
+     */
+    analyze(file, title = '') {
+        if (this.pending.has(file)) return this.pending.get(file);
+
+        const run = this.queue.then(async () => {
+            const cached = await this.get(file);
+            if (cached) {
+                this.onAnalyzed?.(file, cached);
+                return cached;
+            }
+
+            if (!this.available) throw new AnalysisUnavailableError('ffmpeg no está disponible en el servidor.');
+
+            const stamp = await this._stamp(file);
+            const started = Date.now();
+            console.log(`[analysis] Analizando ${file}...`);
+            try {
+                const sha256 = await this._hash(file);
+                const sidecar = {
+                    ...await this.runAnalysis(path.join(this.songsDir, file), title),
+                    source: { file, ...stamp, sha256 },
+                    createdAt: new Date().toISOString()
+                };
+                await this._write(file, sidecar);
+                this.failed.delete(file);
+                this.onAnalyzed?.(file, sidecar);
+                console.log(`[analysis] ${file} listo en ${((Date.now() - started) / 1000).toFixed(1)} s`);
+                return sidecar;
+            } catch (error) {
+                this.failed.set(file, { stamp, message: error.message });
+                console.error(`[analysis] Error analizando ${file}:`, error.message);
+                throw error;
+            }
+        });
+        const settled = run.finally(() => this.pending.delete(file));
+        this.pending.set(file, settled);
+        this.queue = settled.catch(() => {});
+        return settled;
+    }
+
+    /**
+     * Queue every song of the library; failures are only logged
+     * @param {Array<{file: string, title: string}>} songs
+     */
+    analyzeLibrary(songs) {
+        if (!this.available) return;
+        for (const song of songs) {
+            if (this.isSong(song.file)) this.analyze(song.file, song.title).catch(() => {});
+        }
+    }
+
+    _runWorker(audioPath, title) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(path.join(__dirname, 'analysisWorker.mjs'), {
+                workerData: { audioPath, title, ffmpegPath: this.ffmpegPath }
+            });
+            let settled = false;
+            worker.once('message', (msg) => {
+                settled = true;
+                if (msg.type === 'done') resolve(msg.sidecar);
+                else reject(new Error(msg.message));
+            });
+            worker.once('error', (error) => {
+                settled = true;
+                reject(error);
+            });
+            worker.once('exit', (code) => {
+                if (!settled) reject(new Error(`El análisis terminó sin resultado (código ${code}).`));
+            });
+        });
+    }
+
+    /**
+     * Write through a temporary file so readers never see half a sidecar
+     */
+    async _write(file, sidecar) {
+        const target = this._sidecarPath(file);
+        const temp = `${target}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(sidecar), 'utf8');
+        await fs.promises.rename(temp, target);
+    }
+}
+
+/**
+ * @param {SongAnalysisCache} cache
+ */
+function createAnalysisRouter(cache) {
+    const router = express.Router();
+
+    router.get('/api/analysis/:file', async (req, res) => {
+        const file = req.params.file;
+        if (!cache.isSong(file)) {
+            return res.status(404).json({ error: 'Canción no encontrada.' });
+        }
+
+        try {
+            const sidecar = await cache.get(file);
+            if (sidecar) return res.json(sidecar);
+
+            const failure = await cache.failure(file);
+            if (failure) return res.status(500).json({ error: `No se pudo analizar la canción: ${failure}` });
+            if (!cache.available) {
+                return res.status(503).json({ error: 'El servidor no puede analizar canciones (falta ffmpeg).' });
+            }
+
+            // Built in the background; the client analyses this time and gets it next time
+            cache.analyze(file).catch(() => {});
+            res.status(202).set('Retry-After', String(RETRY_AFTER_SECONDS)).json({ status: 'pending' });
+        } catch (error) {
+            console.error('Error leyendo el análisis:', error);
+            res.status(500).json({ error: 'No se pudo leer el análisis de la canción.' });
+        }
+    });
+
+    return router;
+}
+
+/**
+ * Cache for the songs directory, configured from FFMPEG_PATH
+ */
+function createAnalysisCacheFromEnv(songsDir, options = {}, env = process.env) {
+    return new SongAnalysisCache({ ...options, songsDir, ffmpegPath: env.FFMPEG_PATH || 'ffmpeg' });
+}
+
+module.exports = { SongAnalysisCache, AnalysisUnavailableError, createAnalysisRouter, createAnalysisCacheFromEnv };
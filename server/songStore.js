@@ -0,0 +1,260 @@
+/**
+ * songStore.js — Song library persistence: an append-only JSON log behind a write queue
+ *
+ * Every change is one JSON line appended to songs/library.jsonl:
+ *   { op: 'add', song }            a new song (or a song's full state, after compaction)
+ *   { op: 'update', id, fields }   metadata, e.g. the analysis summary
+ *   { op: 'play', id }             one more play
+ * The library is the replay of the log. Writes go through a single queue, so
+ * concurrent uploads never interleave or drop entries; a line cut short by a
+ * crash is skipped on load. Once the log is much longer than the library it is
+ * rewritten into a temporary file and swapped in with rename(). A change only
+ * shows in the library once its line is on disk, so the library never has
+ * a song a restart would lose, and compaction writes out exactly the log.
+ *
+ * songs/songs.json stays the hand-edited list of official songs: entries it
+ * has that the log doesn't know are imported when the store opens.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const LIBRARY_LOG = 'library.jsonl';
+const COMPACT_RATIO = 4; // log lines per song before compacting
+const COMPACT_MIN_LINES = 200;
+
+const TEXT_SORTS = ['title', 'artist'];
+const SONG_SORTS = [...TEXT_SORTS, 'plays', 'bpm', 'duration', 'recent'];
+
+/**
+ * Stable id of the song stored as `file`: file names are unique in songs/
+ */
+function songIdForFile(file) {
+    return crypto.createHash('sha1').update(file).digest('hex').slice(0, 12);
+}
+
+/**
+ * Replay one log record into `songs` (id -> song)
+ */
+function applyRecord(songs, record) {
+    if (record.op === 'add') {
+        songs.set(record.song.id, { ...record.song });
+        return;
+    }
+    const song = songs.get(record.id);
+    if (!song) return;
+    if (record.op === 'update') Object.assign(song, record.fields);
+    else if (record.op === 'play') song.plays++;
+}
+
+/**
+ * Lowercase without accents, for search
+ */
+function fold(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function compare(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function sortValue(song, sort) {
+    switch (sort) {
+        case 'title': return fold(song.title);
+        case 'artist': return fold(song.artist);
+        case 'plays': return song.plays;
+        case 'bpm': return song.bpm ?? -1;
+        case 'duration': return song.duration ?? -1;
+        case 'recent': return Date.parse(song.uploadTime) || 0;
+        default: return 0;
+    }
+}
+
+class SongStore {
+    /**
+     * @param {object} options
+     * @param {string} options.songsDir - audio files, songs.json and the log
+     * @param {string} [options.logPath] - songs/library.jsonl by default. Not
+     *   for clients: server.js keeps it out of the static files.
+     */
+    constructor({ songsDir, logPath = path.join(songsDir, LIBRARY_LOG) }) {
+        this.songsDir = songsDir;
+        this.logPath = logPath;
+        this.songs = new Map(); // id -> song
+        this.logLines = 0;
+        this.queue = Promise.resolve(); // serializes appends and compaction
+    }
+
+    /**
+     * Replay the log and import songs.json entries it doesn't have yet
+     */
+    async open() {
+        let text = '';
+        try {
+            text = await fs.promises.readFile(this.logPath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                applyRecord(this.songs, JSON.parse(line));
+                this.logLines++;
+            } catch (error) {
+                console.warn('[songs] Línea del registro ignorada:', error.message);
+            }
+        }
+
+        let official = [];
+        try {
+            official = JSON.parse(await fs.promises.readFile(path.join(this.songsDir, 'songs.json'), 'utf8'));
+        } catch (error) {
+            console.warn('[songs] No se pudo leer songs.json:', error.message);
+        }
+        for (const entry of Array.isArray(official) ? official : []) {
+            if (!entry?.file || entry.file === 'ejemplo.mp3') continue; // placeholder entry
+            if (!this.songs.has(songIdForFile(entry.file))) await this.add(entry);
+        }
+        return this;
+    }
+
+    /**
+     * Append a change to the log, then apply it, in queue order. Rejects
+     * without changing the library when the line can't be written.
+     */
+    _commit(record) {
+        const write = this.queue.then(async () => {
+            await fs.promises.appendFile(this.logPath, JSON.stringify(record) + '\n', 'utf8');
+            applyRecord(this.songs, record);
+            this.logLines++;
+            if (this.logLines > COMPACT_MIN_LINES && this.logLines > this.songs.size * COMPACT_RATIO) {
+                // The change is saved either way; a longer log is retried next time
+                await this._compact().catch((error) => console.error('[songs] Error compactando la biblioteca:', error));
+            }
+        });
+        this.queue = write.catch((error) => console.error('[songs] Error guardando la biblioteca:', error));
+        return write;
+    }
+
+    /**
+     * Rewrite the log as one 'add' per song. Runs in the queue, so the library
+     * holds exactly what the log does: records still waiting are appended after.
+     */
+    async _compact() {
+        const temp = `${this.logPath}.${process.pid}.tmp`;
+        const lines = [...this.songs.values()].map(song => JSON.stringify({ op: 'add', song }) + '\n');
+        await fs.promises.writeFile(temp, lines.join(''), 'utf8');
+        await fs.promises.rename(temp, this.logPath);
+        this.logLines = lines.length;
+    }
+
+    /**
+     * Add a song stored as `fields.file`
+     * @returns {Promise<object>} the stored song
+     */
+    async add(fields) {
+        const song = {
+            id: songIdForFile(fields.file),
+            title: fields.title || fields.file,
+            artist: fields.artist || '',
+            file: fields.file,
+            chart: fields.chart || null,
+            community: !!fields.community,
+            uploaderUid: fields.uploaderUid || null,
+            uploaderName: fields.uploaderName || null,
+            uploadTime: fields.uploadTime || new Date().toISOString(),
+            duration: null,
+            bpm: null,
+            analysis: null, // summary, see summarizeAnalysis()
+            plays: 0
+        };
+        await this._commit({ op: 'add', song });
+        return this.get(song.id);
+    }
+
+    /**
+     * Change some fields; nothing is written when they already hold these values
+     */
+    async update(id, fields) {
+        const song = this.songs.get(id);
+        if (!song) return null;
+        const changed = Object.keys(fields).some(key => JSON.stringify(song[key]) !== JSON.stringify(fields[key]));
+        if (changed) await this._commit({ op: 'update', id, fields });
+        return this.get(id);
+    }
+
+    async recordPlay(id) {
+        const song = this.songs.get(id);
+        if (!song) return null;
+        await this._commit({ op: 'play', id });
+        return this.get(id);
+    }
+
+    get(id) {
+        return this.songs.get(id) || null;
+    }
+
+    findByFile(file) {
+        return this.get(songIdForFile(file));
+    }
+
+    all() {
+        return [...this.songs.values()];
+    }
+
+    /**
+     * Search, filter, sort and paginate
+     * @param {object} query
+     * @param {string} [query.q] - words that must all appear in the title or artist
+     * @param {boolean} [query.community] - only community (true) or official (false) songs
+     * @param {string} [query.sort] - title | artist | plays | bpm | duration | recent
+     * @param {'asc'|'desc'} [query.order] - default: A-Z for text, highest first for numbers
+     * @param {number} [query.page] - from 1
+     * @param {number} [query.limit]
+     * @returns {{songs: object[], total: number}}
+     */
+    list({ q = '', community, sort = 'title', order, page = 1, limit = 20 } = {}) {
+        const words = fold(q).split(/\s+/).filter(Boolean);
+        let songs = this.all().filter(song => {
+            if (community !== undefined && song.community !== community) return false;
+            const text = fold(`${song.title} ${song.artist}`);
+            return words.every(word => text.includes(word));
+        });
+
+        const direction = (order ?? (TEXT_SORTS.includes(sort) ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+        songs.sort((a, b) => {
+            const x = sortValue(a, sort), y = sortValue(b, sort);
+            if (x < y) return -direction;
+            if (x > y) return direction;
+            // Ties by title, then id: a consistent order so pages never repeat or skip a song
+            return compare(fold(a.title), fold(b.title)) || compare(a.id, b.id);
+        });
+
+        const total = songs.length;
+        songs = songs.slice((page - 1) * limit, page * limit);
+        return { songs, total };
+    }
+}
+
+/**
+ * Short description of a song analysis sidecar (see server/songAnalysis.js)
+ * for the song list
+ */
+function summarizeAnalysis(sidecar) {
+    const energy = sidecar.energy.length > 0
+        ? sidecar.energy.reduce((sum, frame) => sum + frame[4], 0) / sidecar.energy.length
+        : 0;
+    const walls = {};
+    for (const [difficulty, chart] of Object.entries(sidecar.charts || {})) walls[difficulty] = chart.events.length;
+    return {
+        fingerprint: sidecar.fingerprint,
+        tempoConfidence: sidecar.tempoConfidence,
+        beats: sidecar.beatTimes.length,
+        sections: sidecar.sections.map(s => s.label),
+        energy: Math.round(energy * 1000) / 1000,
+        walls
+    };
+}
+
+module.exports = { SongStore, songIdForFile, summarizeAnalysis, SONG_SORTS, LIBRARY_LOG };
@@ -0,0 +1,117 @@
+/**
+ * songs.js — Song library API
+ *
+ *   GET  /api/songs?q=&community=true&sort=plays&order=desc&page=1&limit=20
+ *                               → { songs, total, page, limit, pages }
+ *   GET  /api/songs/:id         → song
+ *   POST /api/songs/:id/plays   → { plays }
+ *
+ * Songs are identified by a stable id (see songIdForFile()). Each one carries
+ * links to its audio, chart and analysis, its duration and BPM and a summary
+ * of the server's analysis once it is ready (null until then).
+ */
+
+const express = require('express');
+const { SONG_SORTS } = require('./songStore');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_QUERY_LENGTH = 100;
+const PLAY_COOLDOWN_MS = 60 * 1000; // one play per song and address in this time
+const MAX_TRACKED_PLAYS = 10000;
+
+/**
+ * What clients see of a stored song: no uploader uid, links instead of file names
+ */
+function publicSong(song) {
+    const file = encodeURIComponent(song.file);
+    return {
+        id: song.id,
+        title: song.title,
+        artist: song.artist,
+        community: song.community,
+        uploaderName: song.uploaderName,
+        uploadTime: song.uploadTime,
+        duration: song.duration,
+        bpm: song.bpm,
+        plays: song.plays,
+        analysis: song.analysis,
+        audioUrl: `songs/${file}`,
+        chartUrl: song.chart ? `songs/${encodeURIComponent(song.chart)}` : null,
+        analysisUrl: `/api/analysis/${file}`
+    };
+}
+
+/**
+ * @param {object} deps
+ * @param {SongStore} deps.store
+ * @param {function} [deps.now] - Clock in ms, overridable for tests
+ */
+function createSongsRouter({ store, now = Date.now }) {
+    const router = express.Router();
+    const recentPlays = new Map(); // `${ip}:${id}` -> time of the last counted play
+
+    router.get('/api/songs', (req, res) => {
+        const { q = '', community, sort = 'title', order } = req.query;
+        if (typeof q !== 'string' || q.length > MAX_QUERY_LENGTH) {
+            return res.status(400).json({ error: 'Búsqueda no válida.' });
+        }
+        if (!SONG_SORTS.includes(sort)) {
+            return res.status(400).json({ error: `Orden no válido; usa ${SONG_SORTS.join(', ')}.` });
+        }
+        if (order !== undefined && order !== 'asc' && order !== 'desc') {
+            return res.status(400).json({ error: 'El sentido del orden debe ser asc o desc.' });
+        }
+        if (community !== undefined && community !== 'true' && community !== 'false') {
+            return res.status(400).json({ error: 'El filtro community debe ser true o false.' });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        const { songs, total } = store.list({
+            q,
+            community: community === undefined ? undefined : community === 'true',
+            sort,
+            order,
+            page,
+            limit
+        });
+        res.json({ songs: songs.map(publicSong), total, page, limit, pages: Math.ceil(total / limit) });
+    });
+
+    router.get('/api/songs/:id', (req, res) => {
+        const song = store.get(req.params.id);
+        if (!song) return res.status(404).json({ error: 'Canción no encontrada.' });
+        res.json(publicSong(song));
+    });
+
+    router.post('/api/songs/:id/plays', async (req, res) => {
+        const song = store.get(req.params.id);
+        if (!song) return res.status(404).json({ error: 'Canción no encontrada.' });
+
+        // Reloading the same song over and over counts once
+        const key = `${req.ip}:${song.id}`;
+        const last = recentPlays.get(key);
+        if (last !== undefined && now() - last < PLAY_COOLDOWN_MS) {
+            return res.json({ plays: song.plays });
+        }
+        if (recentPlays.size >= MAX_TRACKED_PLAYS) {
+            const cutoff = now() - PLAY_COOLDOWN_MS;
+            for (const [k, time] of recentPlays) if (time < cutoff) recentPlays.delete(k);
+            if (recentPlays.size >= MAX_TRACKED_PLAYS) recentPlays.clear();
+        }
+        recentPlays.set(key, now());
+
+        try {
+            await store.recordPlay(song.id);
+            res.json({ plays: song.plays });
+        } catch (error) {
+            console.error('Error guardando la reproducción:', error);
+            res.status(500).json({ error: 'No se pudo registrar la reproducción.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createSongsRouter, publicSong };
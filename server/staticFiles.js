@@ -0,0 +1,38 @@
+/**
+ * staticFiles.js — The frontend, served straight from the project directory
+ *
+ * That directory also holds files only the server may read, such as the song
+ * library log with every uploader's uid (songStore.js). Requests that resolve
+ * to one of them, or to a temporary copy next to it, get a 404 before
+ * express.static sees them.
+ */
+
+const path = require('path');
+const express = require('express');
+
+/**
+ * @param {string} rootDir
+ * @param {string[]} privateFiles - absolute paths under rootDir
+ */
+function createStaticRouter(rootDir, privateFiles) {
+    const router = express.Router();
+    // Compared without case: the disk may not tell "Library.JSONL" apart
+    const hidden = privateFiles.map(file => path.resolve(file).toLowerCase());
+
+    router.use((req, res, next) => {
+        let requested;
+        try {
+            requested = path.join(path.resolve(rootDir), decodeURIComponent(req.path)).toLowerCase();
+        } catch (error) {
+            return next(); // malformed escape: express.static answers it
+        }
+        if (hidden.some(file => requested === file || requested.startsWith(`${file}.`))) {
+            return res.status(404).send('Not Found');
+        }
+        next();
+    });
+    router.use(express.static(rootDir));
+    return router;
+}
+
+module.exports = { createStaticRouter };
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { AudioManager } from '../js/audio.js';
+import { computeFingerprint } from '../js/fingerprint.js';
+import { audioBuffer, renderSignal, synthAnalysis } from './fixtures.mjs';
+
+function withLatency(latency, reported = { baseLatency: 0.01, outputLatency: 0.03 }) {
+    const audio = new AudioManager();
+    audio.ctx = reported;
+    audio.setLatency(latency);
+    return audio;
+}
+
+test('uncalibrated, the clock trails by the latency the browser reports', () => {
+    assert.ok(Math.abs(withLatency({ audio: null, visual: null }).outputOffset - 0.04) < 1e-9);
+});
+
+test('a single tap test is not applied, since it includes the input lag', () => {
+    assert.ok(Math.abs(withLatency({ audio: 0.25, visual: null }).outputOffset - 0.04) < 1e-9);
+    assert.ok(Math.abs(withLatency({ audio: null, visual: 0.1 }).outputOffset - 0.04) < 1e-9);
+});
+
+test('with both tests the clock trails by their difference', () => {
+    assert.ok(Math.abs(withLatency({ audio: 0.25, visual: 0.1 }).outputOffset - 0.15) < 1e-9);
+});
+
+// One song as each side decodes it: the browser at 48 kHz stereo, the server through ffmpeg at 44.1 kHz mono
+const SECONDS = 65;
+const browserSamples = renderSignal(48000, SECONDS);
+const browserDecode = () => audioBuffer([browserSamples, browserSamples], 48000);
+const serverFingerprint = computeFingerprint(audioBuffer([renderSignal(44100, SECONDS)], 44100));
+
+/**
+ * A manager that decodes any bytes to the song and skips its own analysis
+ */
+function loader() {
+    const audio = new AudioManager();
+    audio.ctx = { decodeAudioData: async () => browserDecode() };
+    audio.analyzed = false;
+    audio._analyzeSpectrum = async () => null;
+    audio.analyze = () => { audio.analyzed = true; };
+    return audio;
+}
+
+function serverSidecar(bytes, fingerprint = serverFingerprint) {
+    const sidecar = synthAnalysis({ fingerprint }).toSidecar();
+    return { ...sidecar, source: { file: 'a.mp3', sha256: crypto.createHash('sha256').update(bytes).digest('hex') } };
+}
+
+const bytes = Buffer.from('the downloaded song');
+
+test('a song has the same id with and without the server analysis', async () => {
+    const alone = loader();
+    assert.equal(await alone.loadFile(new Blob([bytes])), false);
+
+    const cached = loader();
+    assert.equal(await cached.loadFile(new Blob([bytes]), null, serverSidecar(bytes)), true);
+    assert.equal(cached.analyzed, false);
+    assert.equal(cached.bpm, 128);
+    assert.equal(cached.fingerprint, alone.fingerprint);
+    assert.equal(cached.fingerprint, serverFingerprint);
+});
+
+test('a server analysis whose fingerprint differs is not used', async () => {
+    const audio = loader();
+    assert.equal(await audio.loadFile(new Blob([bytes]), null, serverSidecar(bytes, 'fp2-0000000000000000')), false);
+    assert.equal(audio.fingerprint, serverFingerprint);
+    assert.equal(audio.analyzed, true);
+});
+
+test('the server analysis of other bytes is ignored', async () => {
+    const audio = loader();
+    const sidecar = serverSidecar(Buffer.from('another version of the song'));
+    assert.equal(await audio.loadFile(new Blob([bytes]), null, sidecar), false);
+    assert.equal(audio.analyzed, true);
+
+    const { source, ...unstamped } = sidecar;
+    const again = loader();
+    assert.equal(await again.loadFile(new Blob([Buffer.from(source.file)]), null, unstamped), false);
+});
+
+test('the resume count-in lands the next beat of the song where the count goes on', () => {
+    // 120 BPM: beats every 0.5 s
+    const audio = Object.assign(new AudioManager(), synthAnalysis({ bpm: 120 }));
+    const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+    // Paused 0.2 s before a beat: three counts, the music back 0.2 s before the third ends
+    let countIn = audio.countInAt(10.3, 3);
+    assert.ok(near(countIn.interval, 0.5));
+    assert.ok(near(countIn.duration, 1.3));
+
+    // Paused right on a beat: the next one is a whole beat away
+    countIn = audio.countInAt(10, 3);
+    assert.ok(near(countIn.duration, 1));
+
+    // At half speed every count takes twice as long in real time
+    audio.playbackRate = 0.5;
+    countIn = audio.countInAt(10.3, 3);
+    assert.ok(near(countIn.interval, 1));
+    assert.ok(near(countIn.duration, 2.6));
+});
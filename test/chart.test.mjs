@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildChart, serializeChart, parseChart, validateChart, ChartError, CHART_FORMAT, CHART_VERSION } from '../js/chart.js';
+import { LevelGenerator } from '../js/levelGenerator.js';
+import { synthAnalysis } from './fixtures.mjs';
+
+function generatedChart(seed = 77, difficulty = 'hard') {
+    const song = synthAnalysis();
+    const levelGen = new LevelGenerator();
+    levelGen.generate(song, seed, difficulty);
+    // The analysis carries the same tempo fields the AudioManager exposes
+    return { levelGen, chart: buildChart({ songId: song.fingerprint, title: 'Prueba', audio: song, levelGen }) };
+}
+
+test('a built chart parses back to the same level', () => {
+    const { chart } = generatedChart();
+    assert.equal(chart.format, CHART_FORMAT);
+    assert.equal(chart.version, CHART_VERSION);
+    assert.ok(chart.events.length > 0);
+
+    const parsed = parseChart(serializeChart(chart));
+    const { events, ...rest } = parsed;
+    const { events: builtEvents, ...builtRest } = chart;
+    assert.deepEqual(rest, builtRest);
+    assert.deepEqual(events.map(({ sides, ...e }) => e), builtEvents);
+    for (const event of events) assert.ok(Number.isInteger(event.sides));
+});
+
+test('a parsed chart saved again parses to the same chart', () => {
+    const parsed = parseChart(serializeChart(generatedChart().chart));
+    assert.deepEqual(parseChart(serializeChart(parsed)), parsed);
+});
+
+test('a loaded chart plays the same walls as the generated level', () => {
+    const { levelGen, chart } = generatedChart();
+    const loaded = new LevelGenerator();
+    loaded.loadGenerated(parseChart(serializeChart(chart)));
+    assert.equal(loaded.seed, levelGen.seed);
+    assert.equal(loaded.difficulty.id, 'hard');
+    assert.equal(loaded.events.length, levelGen.events.length);
+    const gaps = (gen) => gen.events.map(e => [...e.gaps].sort((a, b) => a - b)).sort();
+    assert.deepEqual(gaps(loaded), gaps(levelGen));
+});
+
+test('a hand-edited chart gets its own seed', () => {
+    const { levelGen, chart } = generatedChart();
+    const edited = parseChart(serializeChart({ ...chart, events: chart.events.slice(1) }));
+    const loaded = new LevelGenerator();
+    loaded.loadChart(edited);
+    assert.notEqual(loaded.seed, levelGen.seed);
+    assert.equal(loaded.chart, edited);
+});
+
+test('invalid charts name the offending field', () => {
+    const { chart } = generatedChart();
+    const wall = chart.events[0];
+    const cases = [
+        [{ ...chart, format: 'other' }, /format/],
+        [{ ...chart, version: 2 }, /2/],
+        [{ ...chart, songId: '' }, /songId/],
+        [{ ...chart, difficulty: 'insane' }, /difficulty/],
+        [{ ...chart, difficulty: 'toString' }, /difficulty/],
+        [{ ...chart, events: [{ ...wall, gaps: [] }] }, /events\[0\]\.gaps/],
+        [{ ...chart, events: [{ ...wall, gaps: [0, 1, 2, 3, 4, 5] }] }, /events\[0\]\.gaps/],
+        [{ ...chart, events: [{ ...wall, gaps: [1, 1] }] }, /events\[0\]\.gaps/],
+        [{ ...chart, events: [{ ...wall, time: chart.duration + 1 }] }, /events\[0\]\.time/],
+        [{ ...chart, cues: [{ time: 0, type: 'strobe' }] }, /cues\[0\]\.type/]
+    ];
+    for (const [data, field] of cases) {
+        assert.throws(() => validateChart(data), (error) => error instanceof ChartError && field.test(error.message));
+    }
+    assert.throws(() => parseChart('{'), ChartError);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    MIN_SIDES, MAX_SIDES, TWO_PI, PLAYER_ORBIT_RADIUS,
+    sideAngle, sideAngles, polygonCorners, hitsWall, lethalInnerRadius
+} from '../js/collision.js';
+import { patternCandidates, patternRings } from '../js/patterns.js';
+import { LevelGenerator } from '../js/levelGenerator.js';
+import { synthAnalysis } from './fixtures.mjs';
+
+const SIDE_COUNTS = [];
+for (let sides = MIN_SIDES; sides <= MAX_SIDES; sides++) SIDE_COUNTS.push(sides);
+
+const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+test('sides tile the circle and the polygon corners sit on their edges', () => {
+    for (const sides of SIDE_COUNTS) {
+        assert.ok(close(sideAngles(0, sides).angleStart, -sideAngle(sides) / 2));
+        for (let side = 1; side < sides; side++) {
+            assert.ok(close(sideAngles(side, sides).angleStart, sideAngles(side - 1, sides).angleEnd));
+        }
+        assert.ok(close(sideAngles(sides - 1, sides).angleEnd - sideAngles(0, sides).angleStart, TWO_PI));
+
+        const corners = polygonCorners(sides, 3);
+        assert.equal(corners.length, sides + 1);
+        assert.ok(close(corners[0].x, corners[sides].x) && close(corners[0].y, corners[sides].y));
+        for (let side = 0; side < sides; side++) {
+            const { angleStart } = sideAngles(side, sides);
+            assert.ok(close(Math.atan2(corners[side].y, corners[side].x), Math.atan2(Math.sin(angleStart), Math.cos(angleStart))));
+            assert.ok(close(Math.hypot(corners[side].x, corners[side].y), 3));
+        }
+    }
+});
+
+test('a wall reaching the player hits on its own side only, whatever the side count', () => {
+    for (const sides of SIDE_COUNTS) {
+        const half = sideAngle(sides) / 2;
+        // Front face on the player's orbit, measured at the middle of the side
+        const inner = PLAYER_ORBIT_RADIUS / Math.cos(half);
+        for (let side = 0; side < sides; side++) {
+            const { angleStart, angleEnd } = sideAngles(side, sides);
+            const middle = side * sideAngle(sides);
+            assert.ok(hitsWall(middle, angleStart, angleEnd, inner, inner + 0.3), `${sides} sides, side ${side}`);
+            assert.ok(!hitsWall(middle + sideAngle(sides), angleStart, angleEnd, inner, inner + 0.3), `${sides} sides, side ${side}`);
+        }
+    }
+});
+
+test('no wall outside the lethal radius range can touch the player', () => {
+    for (const sides of SIDE_COUNTS) {
+        const { min, max } = lethalInnerRadius(sides);
+        assert.ok(min < PLAYER_ORBIT_RADIUS && max > PLAYER_ORBIT_RADIUS);
+        const { angleStart, angleEnd } = sideAngles(0, sides);
+        for (let a = angleStart; a <= angleEnd; a += sideAngle(sides) / 50) {
+            assert.ok(!hitsWall(a, angleStart, angleEnd, max + 0.01, max + 0.31), `${sides} sides, far`);
+            assert.ok(!hitsWall(a, angleStart, angleEnd, min - 0.01, min + 0.04), `${sides} sides, past`);
+        }
+    }
+});
+
+test('pattern candidates never close or open every side of any arena', () => {
+    for (const sides of SIDE_COUNTS) {
+        for (const mood of ['calm', 'low', 'medium', 'high', 'spiral']) {
+            for (const pattern of patternCandidates(mood, 5, 0.5, sides)) {
+                for (const { gaps } of patternRings(pattern.id, 1, 1, sides)) {
+                    assert.ok(gaps.length > 0 && gaps.length < sides, `${pattern.id} on ${sides} sides`);
+                    assert.ok(gaps.every(g => g >= 0 && g < sides), `${pattern.id} on ${sides} sides`);
+                }
+            }
+        }
+    }
+});
+
+test('levels that change the side count keep every wall inside its arena', () => {
+    const levelGen = new LevelGenerator();
+    levelGen.generate(synthAnalysis(), 2, 'hyper');
+    const cues = levelGen.cues.filter(c => c.type === 'sides');
+    assert.ok(cues.length > 0);
+    assert.ok(cues.every(c => c.sides >= MIN_SIDES && c.sides <= MAX_SIDES));
+    for (const event of levelGen.events) {
+        assert.equal(event.sides, levelGen.getSidesAt(event.time));
+        assert.ok(event.gaps.length > 0 && event.gaps.length < event.sides);
+        assert.ok(event.gaps.every(g => g >= 0 && g < event.sides));
+    }
+    assert.equal(levelGen.validation.passable, true);
+});
@@ -0,0 +1,46 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DIFFICULTIES, DEFAULT_DIFFICULTY, getDifficulty, loadDifficultyChoice, saveDifficultyChoice } from '../js/difficulty.js';
+
+const ORDER = ['easy', 'normal', 'hard', 'hyper'];
+
+beforeEach(() => {
+    const items = new Map();
+    globalThis.localStorage = {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value))
+    };
+});
+
+test('every tier is found by its own id', () => {
+    assert.deepEqual(Object.keys(DIFFICULTIES), ORDER);
+    for (const id of ORDER) assert.equal(getDifficulty(id).id, id);
+});
+
+test('unknown ids fall back to the default tier', () => {
+    for (const id of [undefined, null, '', 'insane', 'toString', 'constructor', '__proto__']) {
+        assert.equal(getDifficulty(id), DIFFICULTIES[DEFAULT_DIFFICULTY], String(id));
+    }
+});
+
+test('each tier is at least as hard as the one before it', () => {
+    for (let i = 1; i < ORDER.length; i++) {
+        const easier = DIFFICULTIES[ORDER[i - 1]];
+        const harder = DIFFICULTIES[ORDER[i]];
+        assert.ok(harder.baseSpeed > easier.baseSpeed, harder.id);
+        assert.ok(harder.maxRating > easier.maxRating, harder.id);
+        assert.ok(harder.density >= easier.density, harder.id);
+        assert.ok(harder.minGaps <= easier.minGaps, harder.id);
+        assert.ok(harder.energy.high < easier.energy.high, harder.id);
+        assert.ok(harder.rotation.speed > easier.rotation.speed, harder.id);
+        assert.ok(harder.rotation.maxInterval <= easier.rotation.maxInterval, harder.id);
+    }
+});
+
+test('the chosen tier is remembered, and a bad saved id gives the default', () => {
+    assert.equal(loadDifficultyChoice(), DEFAULT_DIFFICULTY);
+    saveDifficultyChoice('hyper');
+    assert.equal(loadDifficultyChoice(), 'hyper');
+    saveDifficultyChoice('hasOwnProperty');
+    assert.equal(loadDifficultyChoice(), DEFAULT_DIFFICULTY);
+});
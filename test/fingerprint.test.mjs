@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeFingerprint, FINGERPRINT_VERSION } from '../js/fingerprint.js';
+import { audioBuffer, renderSignal } from './fixtures.mjs';
+
+const SECONDS = 70; // the fingerprint looks at the first minute after the onset
+
+const fingerprint = (sampleRate, options) => computeFingerprint(audioBuffer([renderSignal(sampleRate, SECONDS, options)], sampleRate));
+const reference = fingerprint(44100);
+
+test('fingerprints look like fp<version>-<16 hex digits>', () => {
+    assert.match(reference, new RegExp(`^fp${FINGERPRINT_VERSION}-[0-9a-f]{16}$`));
+});
+
+test('the same audio decoded at 44.1 and 48 kHz gets the same id', () => {
+    assert.equal(fingerprint(48000), reference);
+});
+
+test('a decoder offset of a millisecond or two does not change the id', () => {
+    assert.equal(fingerprint(44100, { lead: 0.501 }), reference);
+    assert.equal(fingerprint(48000, { lead: 0.4987 }), reference);
+});
+
+test('gain, channel layout and trailing padding do not change the id', () => {
+    assert.equal(fingerprint(44100, { gain: 0.7 }), reference);
+
+    const left = renderSignal(48000, SECONDS);
+    const right = left.map(v => v * 0.5);
+    assert.equal(computeFingerprint(audioBuffer([left, right], 48000)), reference);
+
+    const padded = new Float32Array(Math.round((SECONDS + 0.05) * 44100));
+    padded.set(renderSignal(44100, SECONDS));
+    assert.equal(computeFingerprint(audioBuffer([padded], 44100)), reference);
+});
+
+test('another song gets another id', () => {
+    assert.notEqual(fingerprint(44100, { levels: [0.8, 0.1, 0.6, 0.2, 0.5, 0.35] }), reference);
+    assert.notEqual(fingerprint(44100, { levels: [0.5] }), reference);
+});
+
+test('silence has an id too', () => {
+    assert.match(computeFingerprint(audioBuffer([new Float32Array(44100 * 5)], 44100)), /^fp\d+-[0-9a-f]{16}$/);
+});
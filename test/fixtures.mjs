@@ -0,0 +1,90 @@
+/**
+ * fixtures.mjs — Synthetic songs for the tests
+ */
+import { SongAnalysis } from '../js/songAnalysis.js';
+import { ANALYSIS_HOP } from '../js/spectralAnalysis.js';
+
+/**
+ * A finished analysis without running it: a steady beat grid, an energy map
+ * that swells every bar and four sections
+ * @returns {SongAnalysis}
+ */
+export function synthAnalysis({ duration = 90, bpm = 128, fingerprint = 'fp-test' } = {}) {
+    const song = new SongAnalysis();
+    const beat = 60 / bpm;
+    song.duration = duration;
+    song.fingerprint = fingerprint;
+    song.bpm = bpm;
+    song.tempoConfidence = 0.9;
+    for (let t = 0; t < duration; t += beat) song.beatTimes.push(t);
+    song.downbeats = song.beatTimes.filter((_, i) => i % 4 === 0);
+    song.tempoCurve = song.beatTimes.map(time => ({ time, bpm }));
+
+    for (let t = 0; t < duration; t += ANALYSIS_HOP) {
+        const phase = (t % (beat * 4)) / (beat * 4);
+        const swell = 0.3 + 0.5 * Math.sin(Math.PI * phase) ** 2;
+        song.energyMap.push({ time: t, bass: swell, mid: swell * 0.8, treble: swell * 0.5, total: swell });
+    }
+
+    const labels = ['intro', 'verse', 'chorus', 'outro'];
+    const length = duration / labels.length;
+    song.sections = labels.map((label, i) => ({
+        start: i * length, end: (i + 1) * length, label, group: i, energy: 0.5, intensity: 0.3 + 0.2 * i
+    }));
+    song.melodyOnsets = song.beatTimes.filter((_, i) => i % 2 === 1).map(time => ({ time, intensity: 0.6 }));
+    return song;
+}
+
+/**
+ * Decoded-audio stand-in (the AudioBuffer fields the game reads)
+ */
+export function audioBuffer(channels, sampleRate) {
+    return {
+        sampleRate,
+        numberOfChannels: channels.length,
+        length: channels[0].length,
+        duration: channels[0].length / sampleRate,
+        getChannelData: (c) => channels[c]
+    };
+}
+
+/**
+ * A song as a continuous function of time: kick and hats on a 120 BPM grid
+ * over a chord whose loudness follows `levels` bar by bar, after `lead`
+ * seconds of silence. Sampling it at different rates is an ideal resampler.
+ */
+export function synthSignal(time, { lead = 0.5, levels = [0.2, 0.5, 0.35, 0.8, 0.1, 0.6] } = {}) {
+    const t = time - lead;
+    if (t < 0) return 0;
+    const beat = 0.5;
+    const sinceBeat = t % beat;
+    const sinceOffbeat = (t + beat / 2) % beat;
+    const attack = (x) => 1 - Math.exp(-x * 800);
+    const kick = Math.sin(2 * Math.PI * 55 * sinceBeat) * Math.exp(-sinceBeat * 18);
+    const hat = Math.sin(2 * Math.PI * 6000 * t) * attack(sinceOffbeat) * Math.exp(-sinceOffbeat * 60) * 0.2;
+    const level = levels[Math.floor(t / (beat * 4)) % levels.length];
+    const chord = level * 0.3 * (Math.sin(2 * Math.PI * 220 * t) + Math.sin(2 * Math.PI * 277 * t) + Math.sin(2 * Math.PI * 330 * t));
+    return Math.max(-1, Math.min(1, (kick + hat + chord) * attack(t) * 0.5));
+}
+
+/**
+ * synthSignal() rendered at `sampleRate`, `seconds` long
+ */
+export function renderSignal(sampleRate, seconds, { gain = 1, ...song } = {}) {
+    const samples = new Float32Array(Math.round(seconds * sampleRate));
+    for (let i = 0; i < samples.length; i++) samples[i] = synthSignal(i / sampleRate, song) * gain;
+    return samples;
+}
+
+/**
+ * Serve an express app on a free local port
+ * @returns {Promise<{url: string, close: () => Promise<void>}>}
+ */
+export function listen(app) {
+    return new Promise((resolve) => {
+        const server = app.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FlashLimiter, SAMPLE_WIDTH, SAMPLE_HEIGHT } from '../js/flashLimiter.js';
+
+const DT = 1 / 60;
+const BLACK = [0, 0, 0];
+const WHITE = [255, 255, 255];
+
+/**
+ * A sampled frame filled with `color`, or with it only in the top-left
+ * region (8 × 6 pixels of the 4 × 3 grid) and black elsewhere
+ */
+function frame(color, { topLeftOnly = false } = {}) {
+    const pixels = new Uint8ClampedArray(SAMPLE_WIDTH * SAMPLE_HEIGHT * 4);
+    for (let y = 0; y < SAMPLE_HEIGHT; y++) {
+        for (let x = 0; x < SAMPLE_WIDTH; x++) {
+            const inside = !topLeftOnly || (x < SAMPLE_WIDTH / 4 && y < SAMPLE_HEIGHT / 3);
+            pixels.set(inside ? color : BLACK, (y * SAMPLE_WIDTH + x) * 4);
+            pixels[(y * SAMPLE_WIDTH + x) * 4 + 3] = 255;
+        }
+    }
+    return pixels;
+}
+
+// The frames are handed straight through as the pixel source
+function limiter() {
+    return new FlashLimiter(source => source);
+}
+
+/**
+ * Feed `seconds` of frames at 60 fps, switching between a and b every
+ * `period` frames; returns the limiter's scale after each frame
+ */
+function play(flashLimiter, a, b, period, seconds) {
+    const scales = [];
+    for (let i = 0; i < Math.round(seconds / DT); i++) {
+        scales.push(flashLimiter.measure(Math.floor(i / period) % 2 === 0 ? a : b, DT));
+    }
+    return scales;
+}
+
+test('a steady frame never counts as flashing', () => {
+    const flashLimiter = limiter();
+    const scales = play(flashLimiter, frame(WHITE), frame(WHITE), 1, 2);
+    assert.ok(scales.every(s => s === 1));
+    assert.equal(flashLimiter.flashRate, 0);
+});
+
+test('fast black/white flashing is counted and damped down to the minimum', () => {
+    const flashLimiter = limiter();
+    // 10 changes a second: 5 flashes
+    const scales = play(flashLimiter, frame(BLACK), frame(WHITE), 6, 2);
+    assert.equal(flashLimiter.flashRate, 5);
+    assert.ok(scales[30] < 1);
+    assert.ok(Math.abs(scales.at(-1) - 0.1) < 1e-9);
+});
+
+test('one flash a second only trips the strict limiter', () => {
+    const normal = limiter();
+    assert.ok(play(normal, frame(BLACK), frame(WHITE), 30, 3).every(s => s === 1));
+    assert.equal(normal.flashRate, 1);
+
+    const strict = limiter();
+    strict.setEnabled(true, true);
+    assert.ok(play(strict, frame(BLACK), frame(WHITE), 30, 3).at(-1) < 1);
+});
+
+test('small luminance changes and changes between two bright states are not flashes', () => {
+    // About 3.5% luminance apart
+    const dim = limiter();
+    play(dim, frame([120, 120, 120]), frame([130, 130, 130]), 2, 2);
+    assert.equal(dim.flashRate, 0);
+    assert.equal(dim.scale, 1);
+
+    // 0.85 against 1: a big change, but the darker state is above 0.8
+    const bright = limiter();
+    play(bright, frame([237, 237, 237]), frame(WHITE), 2, 2);
+    assert.equal(bright.flashRate, 0);
+    assert.equal(bright.scale, 1);
+});
+
+test('saturated red flashes count even with little luminance change', () => {
+    const flashLimiter = limiter();
+    // Dark red: under 3% luminance, but well over the red threshold
+    play(flashLimiter, frame(BLACK), frame([100, 0, 0]), 6, 2);
+    assert.equal(flashLimiter.flashRate, 5);
+    assert.ok(flashLimiter.scale < 1);
+});
+
+test('a flash in one region is enough', () => {
+    const flashLimiter = limiter();
+    play(flashLimiter, frame(BLACK), frame(WHITE, { topLeftOnly: true }), 6, 2);
+    assert.equal(flashLimiter.flashRate, 5);
+    assert.ok(flashLimiter.scale < 1);
+});
+
+test('the effects come back slowly once the flashing stops', () => {
+    const flashLimiter = limiter();
+    play(flashLimiter, frame(BLACK), frame(WHITE), 6, 2);
+    const calm = play(flashLimiter, frame(BLACK), frame(BLACK), 1, 4);
+    assert.ok(calm[90] < 0.6);
+    assert.equal(calm.at(-1), 1);
+    assert.equal(flashLimiter.flashRate, 0);
+});
+
+test('disabled, it reads no frames and leaves the effects alone', () => {
+    const flashLimiter = new FlashLimiter(() => assert.fail('frame read while disabled'));
+    flashLimiter.setEnabled(false);
+    assert.equal(flashLimiter.measure(null, DT), 1);
+    assert.equal(flashLimiter.flashRate, 0);
+});
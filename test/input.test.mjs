@@ -0,0 +1,153 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { InputManager, DEFAULT_BINDINGS, loadBindings, keyName, buttonName } from '../js/input.js';
+
+let items, pads;
+
+beforeEach(() => {
+    items = new Map();
+    globalThis.localStorage = {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value))
+    };
+    globalThis.window = Object.assign(new EventTarget(), { innerWidth: 800 });
+    pads = [];
+    Object.defineProperty(globalThis, 'navigator', {
+        value: { getGamepads: () => pads },
+        configurable: true,
+        writable: true
+    });
+});
+
+function key(type, code, extra = {}) {
+    globalThis.window.dispatchEvent(Object.assign(new Event(type), { code, ...extra }));
+}
+
+/** One standard gamepad with `pressed` buttons down and the left stick at (x, y) */
+function pad(pressed = [], x = 0, y = 0) {
+    pads = [{ buttons: Array.from({ length: 16 }, (_, i) => ({ pressed: pressed.includes(i) })), axes: [x, y, 0, 0] }];
+}
+
+/** Every action emitted, in order */
+function record(input) {
+    const seen = [];
+    for (const action of ['left', 'right', 'continue', 'pause', 'up', 'down', 'menuLeft', 'menuRight', 'confirm', 'back']) {
+        input.on(action, () => seen.push(action));
+    }
+    return seen;
+}
+
+test('missing or malformed saved bindings fall back to the defaults per action', () => {
+    items.set('hexbeat_bindings', JSON.stringify({
+        left: { keys: ['KeyQ', 7, 'KeyZ', 'KeyX'], buttons: [2, 'x', 1.5] },
+        right: { keys: 'KeyE', buttons: [] },
+        pause: null
+    }));
+    const bindings = loadBindings();
+    assert.deepEqual(bindings.left, { keys: ['KeyQ', 'KeyZ'], buttons: [2] });
+    assert.deepEqual(bindings.right, DEFAULT_BINDINGS.right);
+    assert.deepEqual(bindings.continue, DEFAULT_BINDINGS.continue);
+    assert.deepEqual(bindings.pause, DEFAULT_BINDINGS.pause);
+
+    items.set('hexbeat_bindings', '{oops');
+    assert.deepEqual(loadBindings(), DEFAULT_BINDINGS);
+});
+
+test('a key taken by another action moves to the new one, and bindings are saved', () => {
+    const input = new InputManager();
+    input.setBinding('continue', 'key', 1, 'KeyA');
+    assert.deepEqual(input.bindings.continue.keys, ['KeyW', 'KeyA']);
+    assert.deepEqual(input.bindings.left.keys, ['ArrowLeft']);
+
+    input.setBinding('continue', 'key', 0, null);
+    assert.deepEqual(input.bindings.continue.keys, ['KeyA']);
+    input.setBinding('pause', 'button', 0, 3);
+    assert.deepEqual(input.bindings.pause.buttons, [3]);
+    assert.deepEqual(input.bindings.continue.buttons, []);
+    assert.deepEqual(loadBindings(), input.bindings);
+
+    input.resetBindings();
+    assert.deepEqual(loadBindings(), DEFAULT_BINDINGS);
+    // The defaults themselves are never edited in place
+    input.setBinding('left', 'key', 0, 'KeyQ');
+    assert.deepEqual(DEFAULT_BINDINGS.left.keys, ['ArrowLeft', 'KeyA']);
+});
+
+test('keys emit their actions once per press and steer while held', () => {
+    const input = new InputManager();
+    const seen = record(input);
+
+    key('keydown', 'KeyA');
+    key('keydown', 'KeyA', { repeat: true });
+    assert.equal(input.isHeld('left'), true);
+    key('keyup', 'KeyA');
+    assert.equal(input.isHeld('left'), false);
+
+    // Arrows are both a steering binding and menu navigation
+    key('keydown', 'ArrowRight');
+    key('keydown', 'KeyW');
+    key('keydown', 'Escape');
+    assert.deepEqual(seen, ['left', 'right', 'menuRight', 'continue', 'pause', 'back']);
+
+    // Focus lost: nothing stays held
+    globalThis.window.dispatchEvent(new Event('blur'));
+    assert.equal(input.isHeld('right'), false);
+});
+
+test('gamepad buttons and the stick emit on the press, not while held', () => {
+    const input = new InputManager();
+    const seen = record(input);
+
+    pad([3]);
+    input.poll();
+    input.poll();
+    pad([14, 0]);
+    input.poll();
+    assert.equal(input.isHeld('left'), true);
+    assert.deepEqual(seen, ['continue', 'confirm', 'left', 'menuLeft']);
+
+    seen.length = 0;
+    pad([], 0.2, 0);
+    input.poll();
+    assert.equal(input.isHeld('right'), false);
+    pad([], 0.9, 0);
+    input.poll();
+    input.poll();
+    assert.equal(input.isHeld('right'), true);
+    assert.deepEqual(seen, ['menuRight']);
+});
+
+test('rebinding takes the next key or button; Esc cancels and Backspace clears', async () => {
+    const input = new InputManager();
+    const seen = record(input);
+
+    let next = input.captureNext('key');
+    key('keydown', 'KeyJ');
+    assert.equal(await next, 'KeyJ');
+
+    next = input.captureNext('key');
+    key('keydown', 'Escape');
+    assert.equal(await next, undefined);
+
+    next = input.captureNext('button');
+    key('keydown', 'KeyJ'); // keys don't count while waiting for a button
+    key('keydown', 'Backspace');
+    assert.equal(await next, null);
+
+    next = input.captureNext('button');
+    pad([7]);
+    input.poll();
+    assert.equal(await next, 7);
+
+    // Nothing captured reached the game
+    assert.deepEqual(seen, []);
+});
+
+test('keys and buttons get readable names', () => {
+    assert.equal(keyName('KeyW'), 'W');
+    assert.equal(keyName('Digit3'), '3');
+    assert.equal(keyName('ArrowLeft'), '←');
+    assert.equal(keyName('Numpad5'), 'Numpad5');
+    assert.equal(buttonName(3), 'Y');
+    assert.equal(buttonName(20), 'Botón 20');
+});
@@ -0,0 +1,151 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createLeaderboardRouter } from '../server/leaderboard.js';
+import { MemoryLeaderboardStore, createLeaderboardStoreFromEnv } from '../server/leaderboardStore.js';
+import { AuthError } from '../server/firebaseAuth.js';
+import { listen } from './fixtures.mjs';
+
+// Tokens are "uid" or "uid:Name"
+const verifier = {
+    async verify(token) {
+        if (!token) throw new AuthError('Falta el token de autenticación.');
+        const [sub, name = null] = token.split(':');
+        return { sub, name };
+    }
+};
+
+let clock, server, store;
+
+beforeEach(async () => {
+    clock = 1_000_000;
+    store = new MemoryLeaderboardStore();
+    const app = express();
+    app.use(createLeaderboardRouter({ store, verifier, now: () => clock }));
+    server = await listen(app);
+});
+
+afterEach(() => server.close());
+
+async function call(method, path, { token, body } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const res = await fetch(server.url + path, { method, headers, body: body && JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+}
+
+async function openRun(token, songId = 'fp2-song', difficulty = 'normal') {
+    const { status, body } = await call('POST', '/api/leaderboard/runs', { token, body: { songId, difficulty } });
+    assert.equal(status, 200);
+    return body.runId;
+}
+
+function finish(token, runId, time, victory = false) {
+    return call('POST', `/api/leaderboard/runs/${runId}/finish`, { token, body: { time, victory } });
+}
+
+test('opening a run needs a signed-in player and a valid song and tier', async () => {
+    assert.equal((await call('POST', '/api/leaderboard/runs', { body: { songId: 'fp2-song' } })).status, 401);
+    assert.equal((await call('POST', '/api/leaderboard/runs', { token: 'ana', body: { songId: '' } })).status, 400);
+    assert.equal((await call('POST', '/api/leaderboard/runs', {
+        token: 'ana', body: { songId: 'fp2-song', difficulty: 'insane' }
+    })).status, 400);
+});
+
+test('a time can not be longer than the ticket has been open', async () => {
+    const runId = await openRun('ana');
+    clock += 30_000;
+    const res = await finish('ana', runId, 40);
+    assert.equal(res.status, 422);
+    // The ticket is spent either way
+    assert.equal((await finish('ana', runId, 20)).status, 404);
+});
+
+test('request latency is tolerated', async () => {
+    const runId = await openRun('ana');
+    clock += 30_000;
+    assert.equal((await finish('ana', runId, 32.5)).status, 200);
+});
+
+test('each ticket takes one time, from its own player', async () => {
+    const runId = await openRun('ana');
+    clock += 60_000;
+    assert.equal((await finish('bob', runId, 10)).status, 404);
+    assert.equal((await finish('ana', runId, 10)).status, 200);
+    assert.equal((await finish('ana', runId, 10)).status, 404);
+    assert.equal((await finish('ana', 'made-up', 10)).status, 404);
+});
+
+test('tickets expire', async () => {
+    const runId = await openRun('ana');
+    clock += 2 * 60 * 60 * 1000;
+    assert.equal((await finish('ana', runId, 10)).status, 404);
+});
+
+test('a player keeps at most five open tickets, dropping the oldest', async () => {
+    const runs = [];
+    for (let i = 0; i < 6; i++) runs.push(await openRun('ana'));
+    clock += 60_000;
+    assert.equal((await finish('ana', runs[0], 10)).status, 404);
+    for (const runId of runs.slice(1)) assert.equal((await finish('ana', runId, 10)).status, 200);
+    // Other players' tickets don't count against the cap
+    const bobRun = await openRun('bob');
+    for (let i = 0; i < 5; i++) await openRun('ana');
+    clock += 60_000;
+    assert.equal((await finish('bob', bobRun, 10)).status, 200);
+});
+
+test('only a better time replaces the best one', async () => {
+    let runId = await openRun('ana:Ana');
+    clock += 60_000;
+    let res = await finish('ana:Ana', runId, 30.456);
+    assert.equal(res.body.improved, true);
+    assert.equal(res.body.entry.time, 30.46);
+    assert.equal(res.body.rank, 1);
+
+    runId = await openRun('ana:Ana');
+    clock += 60_000;
+    res = await finish('ana:Ana', runId, 20);
+    assert.equal(res.body.improved, false);
+    assert.equal(res.body.entry.time, 30.46);
+
+    runId = await openRun('ana:Ana');
+    clock += 60_000;
+    res = await finish('ana:Ana', runId, 45, true);
+    assert.equal(res.body.improved, true);
+    assert.equal(res.body.entry.time, 45);
+    assert.equal(res.body.entry.victory, true);
+});
+
+test('boards rank players by their best time, per song and tier', async () => {
+    const times = { ana: 30, bob: 50, eva: 40 };
+    for (const [uid, time] of Object.entries(times)) {
+        const runId = await openRun(`${uid}:${uid.toUpperCase()}`);
+        clock += 60_000;
+        await finish(`${uid}:${uid.toUpperCase()}`, runId, time);
+    }
+    const hardRun = await openRun('ana', 'fp2-song', 'hard');
+    clock += 60_000;
+    await finish('ana', hardRun, 55);
+
+    const board = await call('GET', '/api/leaderboard/fp2-song', { token: 'eva' });
+    assert.equal(board.status, 200);
+    assert.deepEqual(board.body.entries.map(e => [e.name, e.time, e.isMe]), [
+        ['BOB', 50, false], ['EVA', 40, true], ['ANA', 30, false]
+    ]);
+    assert.deepEqual(board.body.me, { rank: 2, time: 40 });
+
+    const limited = await call('GET', '/api/leaderboard/fp2-song?limit=1');
+    assert.deepEqual(limited.body.entries.map(e => e.name), ['BOB']);
+    assert.equal(limited.body.me, null);
+
+    const hard = await call('GET', '/api/leaderboard/fp2-song?difficulty=hard', { token: 'ana' });
+    assert.deepEqual(hard.body.entries.map(e => e.time), [55]);
+    assert.deepEqual(hard.body.me, { rank: 1, time: 55 });
+
+    assert.equal((await call('GET', '/api/leaderboard/fp2-song?difficulty=insane')).status, 400);
+});
+
+test('the memory store is only used when asked for', () => {
+    assert.ok(createLeaderboardStoreFromEnv({ LEADERBOARD_STORE: 'memory' }) instanceof MemoryLeaderboardStore);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LevelGenerator, deriveLevelSeed, GENERATOR_VERSION } from '../js/levelGenerator.js';
+import { synthAnalysis } from './fixtures.mjs';
+
+function generate(seed, difficulty = 'normal') {
+    const levelGen = new LevelGenerator();
+    levelGen.generate(synthAnalysis(), seed, difficulty);
+    return levelGen;
+}
+
+test('the same song and seed always give the same level', () => {
+    const a = generate(1234);
+    const b = generate(1234);
+    assert.ok(a.events.length > 0);
+    assert.deepEqual(a.events, b.events);
+    assert.deepEqual(a.cues, b.cues);
+    assert.deepEqual(a.rotationEvents, b.rotationEvents);
+});
+
+test('another seed gives another level', () => {
+    assert.notDeepEqual(generate(1).events, generate(2).events);
+});
+
+test('level seeds depend on the fingerprint, the generator version and the tier', () => {
+    const seed = deriveLevelSeed('fp2-abc');
+    assert.equal(seed, deriveLevelSeed('fp2-abc', 'normal'));
+    assert.notEqual(seed, deriveLevelSeed('fp2-abd'));
+    assert.notEqual(seed, deriveLevelSeed('fp2-abc', 'hard'));
+    assert.ok(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32);
+    assert.equal(typeof GENERATOR_VERSION, 'number');
+});
+
+test('the tier shapes the level: easy keeps two gaps open and places fewer walls', () => {
+    const easy = generate(5, 'easy');
+    const normal = generate(5, 'normal');
+    assert.equal(easy.difficulty.id, 'easy');
+    assert.ok(easy.events.every(e => e.gaps.length >= 2));
+    assert.ok(easy.events.length < normal.events.length);
+    assert.ok(generate(5, 'hyper').events.length >= normal.events.length);
+});
+
+test('rotation changes and camera cues land on downbeats within the tier limits', () => {
+    const song = synthAnalysis();
+    const downbeats = new Set(song.downbeats);
+    for (const id of ['easy', 'hyper']) {
+        const levelGen = generate(3, id);
+        const { speed, minInterval, burst } = levelGen.difficulty.rotation;
+        const rotation = levelGen.rotationEvents;
+        assert.deepEqual(rotation[0], { time: 0, speed });
+        for (let i = 1; i < rotation.length; i++) {
+            assert.ok(downbeats.has(rotation[i].time), `${id} rotation at ${rotation[i].time}`);
+            assert.ok([speed, speed * burst].includes(Math.abs(rotation[i].speed)), id);
+            // Direction flips never come closer than half the tier's interval
+            if (Math.sign(rotation[i].speed) !== Math.sign(rotation[i - 1].speed)) {
+                const lastFlip = rotation.slice(0, i).findLast((r, j) => j === 0 || Math.sign(r.speed) !== Math.sign(rotation[j - 1].speed));
+                assert.ok(rotation[i].time - lastFlip.time >= minInterval / 2, id);
+            }
+        }
+        for (const cue of levelGen.cues.filter(c => c.type === 'camera' || c.type === 'pulse')) {
+            assert.ok(downbeats.has(cue.time), `${id} ${cue.type} at ${cue.time}`);
+        }
+    }
+});
+
+test('each new section moves the camera, tilting the other way each time', () => {
+    const levelGen = generate(3);
+    const camera = levelGen.cues.filter(c => c.type === 'camera');
+    assert.deepEqual(camera.map(c => c.time), [22.5, 45, 67.5]);
+    for (let i = 1; i < camera.length; i++) assert.equal(Math.sign(camera[i].tilt), -Math.sign(camera[i - 1].tilt));
+});
+
+test('an energy lift speeds the spin up for a bar', () => {
+    const song = synthAnalysis();
+    // Everything after 30 s twice as loud: the first bar there is a lift
+    for (const frame of song.energyMap) {
+        if (frame.time >= 30) for (const band of ['bass', 'mid', 'treble', 'total']) frame[band] = Math.min(1, frame[band] * 2);
+    }
+    const levelGen = new LevelGenerator();
+    levelGen.generate(song, 3, 'normal');
+    const { speed, burst } = levelGen.difficulty.rotation;
+    assert.ok(Math.abs(Math.abs(levelGen.getRotationAt(30.5)) - speed * burst) < 1e-9);
+    assert.equal(Math.abs(levelGen.getRotationAt(33)), speed);
+    assert.ok(levelGen.cues.some(c => c.type === 'camera' && c.time === 30 && c.tilt === 0));
+});
+
+test('getRotationAt gives the latest scripted speed', () => {
+    const levelGen = new LevelGenerator();
+    levelGen.rotationEvents = [{ time: 0, speed: 0.3 }, { time: 10, speed: -0.3 }];
+    assert.equal(levelGen.getRotationAt(5), 0.3);
+    assert.equal(levelGen.getRotationAt(10), -0.3);
+    levelGen.rotationEvents = [];
+    assert.equal(levelGen.getRotationAt(5), null);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solveLevel, repairLevel, minimumReaction } from '../js/levelValidator.js';
+import { LevelGenerator } from '../js/levelGenerator.js';
+import { synthAnalysis } from './fixtures.mjs';
+
+const wall = (time, gaps) => ({ time, gaps, speed: 8, thickness: 0.3 });
+
+// Gaps on opposite sides 50 ms apart: half a turn takes ~0.5 s
+const impossible = [wall(2, [0]), wall(2.05, [3])];
+// The same walls a second apart, then one sharing the gap
+const passable = [wall(2, [0]), wall(3, [3]), wall(3.5, [3, 4])];
+
+test('the solver finds an impossible wall pair', () => {
+    const result = solveLevel(impossible);
+    assert.equal(result.passable, false);
+    assert.ok(result.failTime > 1 && result.failTime < 2.1, `failTime ${result.failTime}`);
+    assert.ok(minimumReaction(impossible).seconds < 0);
+});
+
+test('the solver passes a level with time to turn', () => {
+    const result = solveLevel(passable);
+    assert.equal(result.passable, true);
+    assert.equal(result.failTime, null);
+    assert.ok(result.minReaction.seconds > 0);
+});
+
+test('repair opens the wall that closed the way and leaves the input alone', () => {
+    const before = structuredClone(impossible);
+    const result = repairLevel(impossible);
+    assert.equal(result.passable, true);
+    assert.ok(result.repaired + result.dropped > 0);
+    assert.equal(result.fixes.length, result.repaired + result.dropped);
+    assert.equal(solveLevel(result.events).passable, true);
+    assert.deepEqual(impossible, before);
+});
+
+test('repair leaves a passable level untouched', () => {
+    const result = repairLevel(passable);
+    assert.equal(result.passable, true);
+    assert.equal(result.repaired, 0);
+    assert.equal(result.dropped, 0);
+    assert.deepEqual(result.fixes, []);
+    assert.deepEqual(result.events, passable);
+});
+
+test('minimum reaction counts no turn when the gaps line up', () => {
+    const aligned = minimumReaction([wall(2, [1]), wall(2.5, [1])]);
+    const opposite = minimumReaction([wall(2, [1]), wall(2.5, [4])]);
+    assert.ok(Math.abs(aligned.seconds - 0.5) < 1e-9, `aligned ${aligned.seconds}`);
+    assert.ok(opposite.seconds < aligned.seconds);
+    assert.equal(opposite.time, 2.5);
+    assert.equal(minimumReaction([wall(2, [1])]), null);
+});
+
+test('generated levels come out passable', () => {
+    const levelGen = new LevelGenerator();
+    levelGen.generate(synthAnalysis(), 99, 'hyper');
+    assert.equal(levelGen.validation.passable, true);
+    assert.equal(solveLevel(levelGen.events).passable, true);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PATTERNS, patternRings, patternSpacing, patternCandidates } from '../js/patterns.js';
+
+const IDS = Object.keys(PATTERNS);
+
+test('every pattern starts on its beat and gives each ring open and closed sides', () => {
+    for (const id of IDS) {
+        const rings = patternRings(id, 0);
+        assert.equal(rings[0].beat, 0, id);
+        for (let i = 0; i < rings.length; i++) {
+            const { beat, gaps } = rings[i];
+            if (i > 0) assert.ok(beat > rings[i - 1].beat, id);
+            assert.ok(gaps.length > 0 && gaps.length < 6, id);
+            assert.ok(gaps.every(g => Number.isInteger(g) && g >= 0 && g < 6), id);
+        }
+    }
+});
+
+test('consecutive rings of a sequence share an open side, either way round', () => {
+    for (const id of IDS) {
+        for (const dir of [1, -1]) {
+            const rings = patternRings(id, 4, dir);
+            for (let i = 1; i < rings.length; i++) {
+                assert.ok(rings[i].gaps.some(g => rings[i - 1].gaps.includes(g)), `${id} ${dir} ring ${i}`);
+            }
+        }
+    }
+});
+
+test('starting side rotates a pattern and dir mirrors the ones that turn', () => {
+    const sorted = (gaps) => [...gaps].sort((a, b) => a - b);
+    for (const id of IDS) {
+        const base = patternRings(id, 0);
+        const rotated = patternRings(id, 2);
+        base.forEach((ring, i) => {
+            assert.deepEqual(sorted(rotated[i].gaps), sorted(ring.gaps.map(g => (g + 2) % 6)), id);
+        });
+    }
+    for (const id of ['spiral', 'mirror', 'barrage', 'zigzag', 'doubleSpiral']) {
+        const mirrored = patternRings(id, 0, -1);
+        patternRings(id, 0).forEach((ring, i) => {
+            assert.deepEqual(sorted(mirrored[i].gaps), sorted(ring.gaps.map(g => (6 - g) % 6)), id);
+        });
+    }
+});
+
+test('spacing is the closest pair of rings, Infinity for single rings', () => {
+    assert.equal(patternSpacing('single'), Infinity);
+    assert.equal(patternSpacing('spiral'), 0.5);
+    assert.equal(patternSpacing('barrage'), 1);
+});
+
+test('candidates follow the mood, the rating limit and the time to react', () => {
+    const ids = (...args) => patternCandidates(...args).map(p => p.id);
+
+    for (const p of patternCandidates('high', 3, 0.5)) {
+        assert.ok(p.moods.includes('high') && p.rating <= 3, p.id);
+    }
+    assert.ok(ids('calm', 5, 0.5).every(id => PATTERNS[id].moods.includes('calm')));
+    assert.ok(!ids('spiral', 4, 0.5).includes('doubleSpiral'));
+    assert.ok(ids('spiral', 5, 0.5).includes('doubleSpiral'));
+
+    // At 240 BPM half a beat is 0.125 s: enough for a tunnel, not for a spiral
+    assert.ok(ids('spiral', 5, 0.25).includes('tunnel'));
+    assert.ok(!ids('spiral', 5, 0.25).includes('spiral'));
+    assert.ok(ids('spiral', 5, 0.5).includes('spiral'));
+});
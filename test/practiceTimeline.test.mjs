@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PracticeTimeline, formatSongTime } from '../js/practiceTimeline.js';
+import { synthAnalysis } from './fixtures.mjs';
+
+// 600 px wide, one pixel per 0.15 s of a 90 s song
+const WIDTH = 600;
+
+/** Canvas stand-in: pointer events, a fixed box and a 2D context that draws nothing */
+function canvas() {
+    const target = new EventTarget();
+    return Object.assign(target, {
+        width: WIDTH,
+        height: 80,
+        getContext: () => new Proxy({}, { get: () => () => {}, set: () => true }),
+        getBoundingClientRect: () => ({ left: 100, width: WIDTH }),
+        setPointerCapture: () => {}
+    });
+}
+
+function pointer(timeline, type, seconds) {
+    const clientX = 100 + (seconds / timeline.song.duration) * WIDTH;
+    timeline.canvas.dispatchEvent(Object.assign(new Event(type), { clientX, pointerId: 1 }));
+}
+
+function setup() {
+    const song = synthAnalysis({ duration: 90, bpm: 128 });
+    const timeline = new PracticeTimeline(canvas());
+    timeline.setSong(song);
+    const changes = [];
+    timeline.onChange = (selection) => changes.push(selection);
+    return { song, timeline, changes };
+}
+
+test('a click picks the bar line nearest to it as the start', () => {
+    const { song, timeline, changes } = setup();
+    pointer(timeline, 'pointerdown', 30.8);
+    pointer(timeline, 'pointerup', 30.8);
+    // Bars are 1.875 s long at 128 BPM: 30.8 s is nearest to the one at 30
+    assert.ok(song.downbeats.includes(30));
+    assert.deepEqual(timeline.selection, { start: 30, end: null });
+    assert.deepEqual(changes.at(-1), timeline.selection);
+});
+
+test('a drag either way picks a loop between bar lines', () => {
+    const { timeline, changes } = setup();
+    pointer(timeline, 'pointerdown', 45.3);
+    pointer(timeline, 'pointermove', 40);
+    pointer(timeline, 'pointerup', 37.6);
+    assert.deepEqual(timeline.selection, { start: 37.5, end: 45 });
+    assert.ok(changes.length >= 3);
+
+    // Moving without a press changes nothing
+    pointer(timeline, 'pointermove', 60);
+    assert.deepEqual(timeline.selection, { start: 37.5, end: 45 });
+});
+
+test('a drag within one bar is a click, and a new song clears the selection', () => {
+    const { song, timeline } = setup();
+    pointer(timeline, 'pointerdown', 30.2);
+    pointer(timeline, 'pointerup', 30.6);
+    assert.deepEqual(timeline.selection, { start: 30, end: null });
+
+    timeline.setSong(song);
+    assert.deepEqual(timeline.selection, { start: 0, end: null });
+});
+
+test('song times read as m:ss.s', () => {
+    assert.equal(formatSongTime(0), '0:00.0');
+    assert.equal(formatSongTime(5.04), '0:05.0');
+    assert.equal(formatSongTime(75.3), '1:15.3');
+    assert.equal(formatSongTime(59.96), '1:00.0');
+});
@@ -0,0 +1,60 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileRecordId, loadBestTime, saveBestTime, songRecordId } from '../js/records.js';
+
+beforeEach(() => {
+    const items = new Map();
+    globalThis.localStorage = {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+});
+
+test('best times are kept per song and difficulty', () => {
+    saveBestTime(songRecordId('fp2-a', 'hard'), 42.5);
+    assert.equal(loadBestTime(songRecordId('fp2-a', 'hard')), 42.5);
+    assert.equal(loadBestTime(songRecordId('fp2-a', 'normal')), 0);
+    assert.equal(loadBestTime(songRecordId('fp2-b', 'hard')), 0);
+});
+
+test('a record from before difficulty tiers moves to the normal tier', () => {
+    localStorage.setItem('hexbeat_best_fp2-a', '30');
+    assert.equal(loadBestTime(songRecordId('fp2-a', 'normal'), 'fp2-a'), 30);
+    assert.equal(localStorage.getItem('hexbeat_best_fp2-a'), null);
+    assert.equal(loadBestTime(songRecordId('fp2-a', 'normal')), 30);
+});
+
+test('a record already saved under the new id wins over the legacy one', () => {
+    saveBestTime(songRecordId('fp2-a', 'normal'), 50);
+    localStorage.setItem('hexbeat_best_fp2-a', '30');
+    assert.equal(loadBestTime(songRecordId('fp2-a', 'normal'), 'fp2-a'), 50);
+});
+
+test('a record saved under a file name moves to the song once', () => {
+    localStorage.setItem('hexbeat_best_Circuit Carousel.mp3', '64.2');
+    const legacy = fileRecordId('Circuit Carousel.mp3');
+    assert.equal(loadBestTime(songRecordId('fp2-a', 'normal'), 'fp2-a', legacy), 64.2);
+    assert.equal(localStorage.getItem('hexbeat_best_Circuit Carousel.mp3'), null);
+
+    // Another song loaded under the same name later finds nothing to take
+    assert.equal(loadBestTime(songRecordId('fp2-b', 'normal'), 'fp2-b', legacy), 0);
+    assert.equal(loadBestTime(songRecordId('fp2-a', 'normal'), 'fp2-a', legacy), 64.2);
+});
+
+test('the fingerprint record wins over the file-name one', () => {
+    localStorage.setItem('hexbeat_best_fp2-a', '30');
+    localStorage.setItem('hexbeat_best_song.mp3', '90');
+    assert.equal(loadBestTime(songRecordId('fp2-a', 'normal'), 'fp2-a', fileRecordId('song.mp3')), 30);
+    assert.equal(localStorage.getItem('hexbeat_best_song.mp3'), '90');
+});
+
+test('records under generic names are never migrated', () => {
+    localStorage.setItem('hexbeat_best_YouTube Audio.mp3', '80');
+    localStorage.setItem('hexbeat_best_Canción sin título', '70');
+    for (const name of ['YouTube Audio.mp3', 'Canción sin título', '']) {
+        assert.equal(fileRecordId(name), null);
+        assert.equal(loadBestTime(songRecordId('fp2-a', 'normal'), 'fp2-a', fileRecordId(name)), 0);
+    }
+    assert.equal(localStorage.getItem('hexbeat_best_YouTube Audio.mp3'), '80');
+});
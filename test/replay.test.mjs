@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ReplayRecorder, ReplayPlayback, ReplayError, parseReplay, serializeReplay, REPLAY_FORMAT, REPLAY_VERSION
+} from '../js/replay.js';
+import { GENERATOR_VERSION } from '../js/levelGenerator.js';
+
+const META = {
+    songId: 'fp2-0123456789abcdef', seed: 42, difficulty: 'hard',
+    startTime: 12.5, stepRate: 240, startAngle: Math.PI / 2, moveSpeed: 5
+};
+
+// Held keys per step: right for steps 10-49, nothing, then left from 100 to the end
+const held = (step) => ({ left: step >= 100, right: step >= 10 && step < 50 });
+
+function record(steps = 300) {
+    const recorder = new ReplayRecorder();
+    recorder.start(META);
+    for (let step = 0; step < steps; step++) {
+        const { left, right } = held(step);
+        recorder.sample(step, left, right);
+    }
+    return recorder.finish(steps, false);
+}
+
+test('a replay stores only the input changes, as step deltas', () => {
+    const replay = record();
+    assert.equal(replay.format, REPLAY_FORMAT);
+    assert.equal(replay.version, REPLAY_VERSION);
+    assert.equal(replay.generatorVersion, GENERATOR_VERSION);
+    assert.deepEqual(replay.inputs, [10, 2, 40, 0, 50, 1]);
+    assert.equal(replay.steps, 300);
+    assert.equal(replay.endTime, 12.5 + 300 / 240);
+});
+
+test('a cancelled recording builds nothing', () => {
+    const recorder = new ReplayRecorder();
+    recorder.start(META);
+    recorder.sample(0, true, false);
+    recorder.cancel();
+    assert.equal(recorder.finish(10, false), null);
+});
+
+test('a replay survives serialization', () => {
+    const replay = record();
+    assert.deepEqual(parseReplay(serializeReplay(replay)), replay);
+});
+
+test('playback gives back the input of every step', () => {
+    const playback = new ReplayPlayback(parseReplay(serializeReplay(record())));
+    for (let step = 0; step < 300; step++) {
+        assert.deepEqual(playback.inputAtStep(step), held(step), `step ${step}`);
+    }
+    assert.equal(playback.totalSteps, 300);
+});
+
+test('playback angles follow the step-by-step movement exactly', () => {
+    const playback = new ReplayPlayback(record());
+    let angle = META.startAngle;
+    for (let step = 0; step < 300; step++) {
+        const { left, right } = held(step);
+        angle += ((left ? 1 : 0) - (right ? 1 : 0)) * META.moveSpeed * (1 / META.stepRate);
+    }
+    assert.equal(playback.angleAtStep(300), angle);
+    assert.equal(playback.angleAtStep(0), META.startAngle);
+});
+
+test('broken or foreign files are rejected with a ReplayError', () => {
+    const valid = record();
+    const cases = [
+        'not json',
+        JSON.stringify({ ...valid, format: 'other' }),
+        JSON.stringify({ ...valid, version: REPLAY_VERSION + 1 }),
+        JSON.stringify({ ...valid, seed: undefined }),
+        JSON.stringify({ ...valid, songId: '' }),
+        JSON.stringify({ ...valid, inputs: [1, 2, 3] }),
+        JSON.stringify({ ...valid, inputs: [1.5, 2] }),
+        JSON.stringify({ ...valid, difficulty: undefined }),
+        JSON.stringify({ ...valid, difficulty: 'insane' }),
+        JSON.stringify({ ...valid, difficulty: 'constructor' }),
+        JSON.stringify({ ...valid, steps: -1 }),
+        JSON.stringify({ ...valid, stepRate: 0 })
+    ];
+    for (const text of cases) assert.throws(() => parseReplay(text), ReplayError, text.slice(0, 80));
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canContinue, keepsRecord, rankedSongId, unrankedReason } from '../js/runRules.js';
+
+const run = (overrides = {}) => ({ songId: 'fp2-a', chart: false, practice: false, continued: false, ...overrides });
+
+test('a normal run is ranked and keeps its record', () => {
+    assert.equal(rankedSongId(run()), 'fp2-a');
+    assert.equal(unrankedReason(run()), null);
+    assert.equal(keepsRecord(run()), true);
+});
+
+test('a continued run is unranked and never sets the best time', () => {
+    const continued = run({ continued: true });
+    assert.equal(rankedSongId(continued), null);
+    assert.match(unrankedReason(continued), /continuada/);
+    assert.equal(keepsRecord(continued), false);
+});
+
+test('charts are unranked but still keep local records; practice keeps neither', () => {
+    assert.equal(rankedSongId(run({ chart: true })), null);
+    assert.equal(keepsRecord(run({ chart: true })), true);
+    assert.equal(rankedSongId(run({ practice: true })), null);
+    assert.equal(keepsRecord(run({ practice: true })), false);
+});
+
+test('only a death can be continued', () => {
+    assert.equal(canContinue(run(), 42.5), true);
+    assert.equal(canContinue(run(), 0), true);
+    // Cleared song: the death time is cleared with it
+    assert.equal(canContinue(run(), null), false);
+    assert.equal(canContinue(run({ practice: true }), 42.5), false);
+    // A continued run that dies again can be continued again, still unranked
+    assert.equal(canContinue(run({ continued: true }), 80), true);
+});
@@ -0,0 +1,100 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { COLOR_SCHEME_LABELS, DEFAULT_SETTINGS, QUALITY_PRESETS, SAFE_MODE, loadSettings, saveSettings, updateSetting, effectiveSettings } from '../js/settings.js';
+
+let items;
+
+beforeEach(() => {
+    items = new Map();
+    globalThis.localStorage = {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value))
+    };
+});
+
+afterEach(() => {
+    delete globalThis.matchMedia;
+});
+
+test('without saved settings the defaults apply and reduced motion follows the system', () => {
+    assert.deepEqual(loadSettings(), DEFAULT_SETTINGS);
+
+    globalThis.matchMedia = (query) => ({ matches: query === '(prefers-reduced-motion: reduce)' });
+    assert.equal(loadSettings().reducedMotion, true);
+});
+
+test('settings survive a save and load, and a saved choice beats the system preference', () => {
+    globalThis.matchMedia = () => ({ matches: true });
+    const settings = { ...DEFAULT_SETTINGS, musicVolume: 0.4, quality: 'low', screenShake: false, reducedMotion: false };
+    saveSettings(settings);
+    assert.deepEqual(loadSettings(), settings);
+});
+
+test('invalid saved values fall back to the default one by one', () => {
+    items.set('hexbeat_settings', JSON.stringify({
+        musicVolume: 'loud',
+        sfxVolume: 0.25,
+        quality: 'ultra',
+        screenShake: 'no',
+        chromaticAberration: false,
+        unknown: 1
+    }));
+    const settings = loadSettings();
+    assert.equal(settings.musicVolume, DEFAULT_SETTINGS.musicVolume);
+    assert.equal(settings.sfxVolume, 0.25);
+    assert.equal(settings.quality, DEFAULT_SETTINGS.quality);
+    assert.equal(settings.screenShake, DEFAULT_SETTINGS.screenShake);
+    assert.equal(settings.chromaticAberration, false);
+    assert.equal('unknown' in settings, false);
+});
+
+test('a corrupt entry loads the defaults', () => {
+    items.set('hexbeat_settings', '{not json');
+    assert.deepEqual(loadSettings(), DEFAULT_SETTINGS);
+    items.set('hexbeat_settings', 'null');
+    assert.deepEqual(loadSettings(), DEFAULT_SETTINGS);
+});
+
+test('updateSetting clamps volumes, ignores invalid values and leaves the original alone', () => {
+    const settings = { ...DEFAULT_SETTINGS };
+    assert.equal(updateSetting(settings, 'musicVolume', 1.5).musicVolume, 1);
+    assert.equal(updateSetting(settings, 'sfxVolume', -0.2).sfxVolume, 0);
+    assert.equal(updateSetting(settings, 'sfxVolume', NaN), settings);
+    assert.equal(updateSetting(settings, 'quality', 'toString'), settings);
+    assert.equal(updateSetting(settings, 'nope', true), settings);
+
+    for (const quality of Object.keys(QUALITY_PRESETS)) {
+        assert.equal(updateSetting(settings, 'quality', quality).quality, quality);
+    }
+    assert.deepEqual(settings, DEFAULT_SETTINGS);
+});
+
+test('without safe mode the saved settings are the ones in effect', () => {
+    const settings = { ...DEFAULT_SETTINGS, screenShake: false };
+    assert.equal(effectiveSettings(settings), settings);
+});
+
+test('safe mode forces its options on whatever their saved value, and keeps them', () => {
+    const settings = { ...DEFAULT_SETTINGS, safeMode: true, screenShake: true, reducedMotion: false, flashLimiter: false, musicVolume: 0.3 };
+    const active = effectiveSettings(settings);
+    assert.deepEqual(active, { ...settings, ...SAFE_MODE });
+    assert.equal(active.musicVolume, 0.3);
+    // Turning safe mode off brings the player's own choices back
+    assert.equal(settings.screenShake, true);
+    assert.equal(effectiveSettings(updateSetting(settings, 'safeMode', false)).flashLimiter, false);
+});
+
+test('color schemes are limited to the known ones and high contrast is a plain switch', () => {
+    const settings = { ...DEFAULT_SETTINGS };
+    for (const scheme of Object.keys(COLOR_SCHEME_LABELS)) {
+        assert.equal(updateSetting(settings, 'colorScheme', scheme).colorScheme, scheme);
+    }
+    assert.equal(updateSetting(settings, 'colorScheme', 'sepia'), settings);
+    assert.equal(updateSetting(settings, 'highContrast', true).highContrast, true);
+    assert.equal(updateSetting(settings, 'highContrast', 1), settings);
+
+    items.set('hexbeat_settings', JSON.stringify({ colorScheme: 'tritanopia', highContrast: true }));
+    assert.deepEqual(loadSettings(), { ...DEFAULT_SETTINGS, colorScheme: 'tritanopia', highContrast: true });
+    items.set('hexbeat_settings', JSON.stringify({ colorScheme: 'sepia', highContrast: 'yes' }));
+    assert.deepEqual(loadSettings(), DEFAULT_SETTINGS);
+});
@@ -0,0 +1,207 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import { SongAnalysisCache, createAnalysisRouter } from '../server/songAnalysis.js';
+import { ANALYSIS_FORMAT, ANALYSIS_VERSION } from '../js/songAnalysis.js';
+import { GENERATOR_VERSION } from '../js/levelGenerator.js';
+import { listen } from './fixtures.mjs';
+
+let songsDir, runs, cache, logs;
+
+// What the analysis worker returns, minus the lists the cache never reads
+const fakeSidecar = (audioPath) => ({
+    format: ANALYSIS_FORMAT, version: ANALYSIS_VERSION, generatorVersion: GENERATOR_VERSION,
+    fingerprint: `fp2-${path.basename(audioPath)}`
+});
+
+/**
+ * Analysis runner whose runs finish when the test says so
+ */
+function controlledRunner() {
+    const runner = (audioPath) => new Promise((resolve, reject) => {
+        runner.active++;
+        runner.maxActive = Math.max(runner.maxActive, runner.active);
+        runs.push({ file: path.basename(audioPath), resolve, reject });
+    }).finally(() => runner.active--);
+    runner.active = 0;
+    runner.maxActive = 0;
+    return runner;
+}
+
+// Runs wait for the previous one in the queue: give them a few turns to start
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+beforeEach(async () => {
+    songsDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'hexbeat-analysis-'));
+    await fs.promises.writeFile(path.join(songsDir, 'a.mp3'), 'audio a');
+    await fs.promises.writeFile(path.join(songsDir, 'b.mp3'), 'audio b');
+    runs = [];
+    logs = { log: console.log, error: console.error, warn: console.warn };
+    console.log = console.error = console.warn = () => {};
+});
+
+afterEach(async () => {
+    Object.assign(console, logs);
+    await fs.promises.rm(songsDir, { recursive: true, force: true });
+});
+
+function newCache(options = {}) {
+    cache = new SongAnalysisCache({ songsDir, runAnalysis: controlledRunner(), ...options });
+    return cache;
+}
+
+async function finishRun(sidecar = null) {
+    await settle();
+    const run = runs.shift();
+    run.resolve(sidecar ?? fakeSidecar(run.file));
+    await settle();
+}
+
+test('analyses run one at a time and requests for the same song share a run', async () => {
+    const runner = controlledRunner();
+    newCache({ runAnalysis: runner });
+    const first = cache.analyze('a.mp3');
+    assert.equal(cache.analyze('a.mp3'), first);
+    const second = cache.analyze('b.mp3');
+
+    await settle();
+    assert.deepEqual(runs.map(r => r.file), ['a.mp3']);
+    await finishRun();
+    assert.deepEqual(runs.map(r => r.file), ['b.mp3']);
+    await finishRun();
+
+    assert.equal((await first).fingerprint, 'fp2-a.mp3');
+    assert.equal((await second).fingerprint, 'fp2-b.mp3');
+    assert.equal(runner.maxActive, 1);
+    assert.equal(cache.pending.size, 0);
+});
+
+test('a sidecar records the file and the hash of its bytes, and is reused', async () => {
+    const analyzed = [];
+    newCache({ onAnalyzed: (file) => analyzed.push(file) });
+    const sidecarPromise = cache.analyze('a.mp3');
+    await finishRun();
+    const sidecar = await sidecarPromise;
+
+    const sha256 = crypto.createHash('sha256').update('audio a').digest('hex');
+    assert.equal(sidecar.source.file, 'a.mp3');
+    assert.equal(sidecar.source.size, 7);
+    assert.equal(sidecar.source.sha256, sha256);
+    assert.deepEqual(await cache.get('a.mp3'), sidecar);
+
+    // Cached: no second run, but onAnalyzed still hears about it
+    assert.deepEqual(await cache.analyze('a.mp3'), sidecar);
+    assert.equal(runs.length, 0);
+    assert.deepEqual(analyzed, ['a.mp3', 'a.mp3']);
+});
+
+test('a sidecar goes stale when the file or the versions change', async () => {
+    newCache();
+    const analysis = cache.analyze('a.mp3');
+    await finishRun();
+    const sidecar = await analysis;
+    const audioPath = path.join(songsDir, 'a.mp3');
+    const sidecarPath = path.join(songsDir, 'analysis', 'a.mp3.json');
+
+    // Same size, another modification time
+    const later = new Date(Date.now() + 60_000);
+    await fs.promises.utimes(audioPath, later, later);
+    assert.equal(await cache.get('a.mp3'), null);
+    const { mtimeMs } = await fs.promises.stat(audioPath);
+    await fs.promises.writeFile(sidecarPath, JSON.stringify({ ...sidecar, source: { ...sidecar.source, mtimeMs: Math.round(mtimeMs) } }));
+    assert.ok(await cache.get('a.mp3'));
+
+    // Other size
+    await fs.promises.writeFile(audioPath, 'other audio a');
+    await fs.promises.utimes(audioPath, later, later);
+    assert.equal(await cache.get('a.mp3'), null);
+
+    // Right stamps, old analysis or generator, or no content hash (sidecars from before it)
+    const stat = await fs.promises.stat(audioPath);
+    const source = { ...sidecar.source, size: stat.size, mtimeMs: Math.round(stat.mtimeMs) };
+    for (const stale of [{ version: ANALYSIS_VERSION - 1 }, { generatorVersion: GENERATOR_VERSION - 1 }, { source: { ...source, sha256: undefined } }]) {
+        await fs.promises.writeFile(sidecarPath, JSON.stringify({ ...sidecar, source, ...stale }));
+        assert.equal(await cache.get('a.mp3'), null, JSON.stringify(stale));
+    }
+    await fs.promises.writeFile(sidecarPath, '{"format":');
+    assert.equal(await cache.get('a.mp3'), null);
+});
+
+test('a failed analysis is remembered until the file changes', async () => {
+    newCache();
+    const analysis = cache.analyze('a.mp3');
+    await settle();
+    runs.shift().reject(new Error('archivo dañado'));
+    await assert.rejects(analysis, /archivo dañado/);
+    assert.equal(await cache.failure('a.mp3'), 'archivo dañado');
+
+    await fs.promises.writeFile(path.join(songsDir, 'a.mp3'), 'fixed audio a');
+    assert.equal(await cache.failure('a.mp3'), null);
+});
+
+test('check() turns analysis off when ffmpeg cannot run', async () => {
+    newCache({ ffmpegPath: path.join(songsDir, 'no-ffmpeg') });
+    assert.equal(await cache.check(), false);
+    assert.equal(cache.available, false);
+    await assert.rejects(cache.analyze('a.mp3'), { name: 'AnalysisUnavailableError' });
+    cache.analyzeLibrary([{ file: 'b.mp3', title: 'B' }]);
+    await settle();
+    assert.equal(runs.length, 0);
+});
+
+test('check() accepts an ffmpeg that runs', { skip: process.platform === 'win32' }, async () => {
+    newCache({ ffmpegPath: 'true' });
+    assert.equal(await cache.check(), true);
+    assert.equal(cache.available, true);
+});
+
+test('the route answers 404, 202, 200, 500 and 503', async () => {
+    newCache();
+    const app = express();
+    app.use(createAnalysisRouter(cache));
+    const server = await listen(app);
+    const get = async (file) => {
+        const res = await fetch(`${server.url}/api/analysis/${encodeURIComponent(file)}`);
+        return { status: res.status, retryAfter: res.headers.get('retry-after'), body: await res.json() };
+    };
+
+    try {
+        assert.equal((await get('missing.mp3')).status, 404);
+        assert.equal((await get('../package.json')).status, 404);
+        await fs.promises.writeFile(path.join(songsDir, 'notes.txt'), 'x');
+        assert.equal((await get('notes.txt')).status, 404);
+
+        // First request starts the analysis in the background
+        const pending = await get('a.mp3');
+        assert.equal(pending.status, 202);
+        assert.deepEqual(pending.body, { status: 'pending' });
+        assert.equal(pending.retryAfter, '30');
+        await finishRun();
+
+        const done = await get('a.mp3');
+        assert.equal(done.status, 200);
+        assert.equal(done.body.fingerprint, 'fp2-a.mp3');
+        assert.equal(done.body.source.sha256, crypto.createHash('sha256').update('audio a').digest('hex'));
+
+        assert.equal((await get('b.mp3')).status, 202);
+        await settle();
+        runs.shift().reject(new Error('archivo dañado'));
+        await settle();
+        const failed = await get('b.mp3');
+        assert.equal(failed.status, 500);
+        assert.match(failed.body.error, /archivo dañado/);
+
+        // Without ffmpeg: what is cached is still served, the rest is 503
+        cache.available = false;
+        await fs.promises.writeFile(path.join(songsDir, 'c.mp3'), 'audio c');
+        assert.equal((await get('a.mp3')).status, 200);
+        assert.equal((await get('c.mp3')).status, 503);
+        assert.equal(runs.length, 0);
+    } finally {
+        await server.close();
+    }
+});
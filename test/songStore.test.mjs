@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { SongStore } from '../server/songStore.js';
+
+async function withSongsDir(run) {
+    const songsDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'hexbeat-songs-'));
+    try {
+        await run(songsDir);
+    } finally {
+        await fs.promises.rm(songsDir, { recursive: true, force: true });
+    }
+}
+
+const quiet = (run) => async () => {
+    const warn = console.warn;
+    console.warn = () => {}; // no songs.json in the temp dir
+    try {
+        await run();
+    } finally {
+        console.warn = warn;
+    }
+};
+
+test('concurrent plays survive compaction and reload with the right count', quiet(() => withSongsDir(async (songsDir) => {
+    const store = await new SongStore({ songsDir }).open();
+    const song = await store.add({ file: 'a.mp3', title: 'A' });
+    await store.add({ file: 'b.mp3', title: 'B' });
+
+    await Promise.all(Array.from({ length: 250 }, () => store.recordPlay(song.id)));
+    assert.equal(store.get(song.id).plays, 250);
+
+    // The log was compacted on the way, while plays were still queued
+    const lines = (await fs.promises.readFile(store.logPath, 'utf8')).trim().split('\n');
+    assert.ok(lines.length < 252, `${lines.length} log lines`);
+
+    const reloaded = await new SongStore({ songsDir }).open();
+    assert.equal(reloaded.get(song.id).plays, 250);
+    assert.equal(reloaded.findByFile('b.mp3').plays, 0);
+})));
+
+test('updates and adds made during compaction are kept', quiet(() => withSongsDir(async (songsDir) => {
+    const store = await new SongStore({ songsDir }).open();
+    const song = await store.add({ file: 'a.mp3', title: 'A' });
+    const writes = Array.from({ length: 230 }, () => store.recordPlay(song.id));
+    writes.push(store.update(song.id, { bpm: 128 }), store.add({ file: 'c.mp3', title: 'C' }));
+    await Promise.all(writes);
+
+    const reloaded = await new SongStore({ songsDir }).open();
+    assert.deepEqual(reloaded.all(), store.all());
+    assert.equal(reloaded.get(song.id).bpm, 128);
+})));
+
+test('a line cut short by a crash is skipped on load', quiet(() => withSongsDir(async (songsDir) => {
+    const store = await new SongStore({ songsDir }).open();
+    const song = await store.add({ file: 'a.mp3', title: 'A' });
+    await store.recordPlay(song.id);
+    await fs.promises.appendFile(store.logPath, '{"op":"play","id":"', 'utf8');
+
+    const reloaded = await new SongStore({ songsDir }).open();
+    assert.equal(reloaded.get(song.id).plays, 1);
+})));
+
+test('songs that tie on the sort key come out in a consistent order', quiet(() => withSongsDir(async (songsDir) => {
+    const store = await new SongStore({ songsDir }).open();
+    for (const file of ['x.mp3', 'y.mp3', 'z.mp3', 'w.mp3']) await store.add({ file, title: 'Igual' });
+
+    const ids = (order) => store.list({ sort: 'title', order }).songs.map(s => s.id);
+    const sorted = store.all().map(s => s.id).sort();
+    assert.deepEqual(ids('asc'), sorted);
+    assert.deepEqual(ids('desc'), sorted);
+    assert.deepEqual(store.list({ sort: 'plays', limit: 2, page: 2 }).songs.map(s => s.id), sorted.slice(2));
+})));
+
+test('a change that cannot be written never shows in the library', quiet(() => withSongsDir(async (songsDir) => {
+    const store = await new SongStore({ songsDir }).open();
+    const song = await store.add({ file: 'a.mp3', title: 'A' });
+    const error = console.error;
+    console.error = () => {}; // the queue logs each failed write
+
+    try {
+        // Nowhere to append to
+        store.logPath = path.join(songsDir, 'missing', 'library.jsonl');
+        await assert.rejects(store.add({ file: 'b.mp3', title: 'B' }), { code: 'ENOENT' });
+        await assert.rejects(store.recordPlay(song.id), { code: 'ENOENT' });
+        await assert.rejects(store.update(song.id, { bpm: 90 }), { code: 'ENOENT' });
+    } finally {
+        console.error = error;
+    }
+    assert.equal(store.findByFile('b.mp3'), null);
+    assert.equal(store.get(song.id).plays, 0);
+    assert.equal(store.get(song.id).bpm, null);
+
+    // The queue goes on once the disk is back
+    store.logPath = path.join(songsDir, 'library.jsonl');
+    assert.equal((await store.recordPlay(song.id)).plays, 1);
+    assert.equal((await new SongStore({ songsDir }).open()).get(song.id).plays, 1);
+})));
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FFT, hannWindow, nextPowerOfTwo } from '../js/fft.js';
+import { analyzeSpectrum, ANALYSIS_HOP } from '../js/spectralAnalysis.js';
+import { trackTempo } from '../js/tempoTracker.js';
+import { SongAnalysis } from '../js/songAnalysis.js';
+import { renderSignal } from './fixtures.mjs';
+
+const RATE = 44100;
+
+test('the FFT matches a direct DFT', () => {
+    const n = 64;
+    const re = new Float64Array(n), im = new Float64Array(n);
+    for (let i = 0; i < n; i++) re[i] = Math.sin(i * 0.7) + 0.3 * Math.cos(i * 2.1) + (i % 5 === 0 ? 1 : 0);
+    const input = [...re];
+    new FFT(n).forward(re, im);
+
+    for (let k = 0; k < n; k++) {
+        let sr = 0, si = 0;
+        for (let i = 0; i < n; i++) {
+            sr += input[i] * Math.cos(-2 * Math.PI * k * i / n);
+            si += input[i] * Math.sin(-2 * Math.PI * k * i / n);
+        }
+        assert.ok(Math.abs(re[k] - sr) < 1e-9 && Math.abs(im[k] - si) < 1e-9, `bin ${k}`);
+    }
+    assert.throws(() => new FFT(48));
+    assert.equal(nextPowerOfTwo(2029), 2048);
+    assert.equal(hannWindow(8)[0], 0);
+});
+
+test('frames are a whole number of samples apart and timed by that hop', () => {
+    const { energyMap, features } = analyzeSpectrum(renderSignal(RATE, 5), RATE);
+    assert.equal(features.hop, Math.round(RATE * ANALYSIS_HOP) / RATE);
+    assert.notEqual(features.hop, ANALYSIS_HOP);
+    assert.equal(energyMap.length, features.flux.length);
+    energyMap.forEach((frame, f) => assert.equal(frame.time, f * features.hop));
+});
+
+test('band energies, centroid and flux follow the content', () => {
+    // One second of 80 Hz, then one of 8 kHz
+    const samples = Float32Array.from({ length: RATE * 2 }, (_, i) => Math.sin(2 * Math.PI * (i < RATE ? 80 : 8000) * i / RATE));
+    const { energyMap, features } = analyzeSpectrum(samples, RATE);
+    const at = (time) => Math.round(time / features.hop);
+    const low = at(0.5), high = at(1.5);
+
+    // Bands are normalized to their own loudest frame
+    assert.ok(energyMap[low].bass > 0.9 && energyMap[high].bass < 0.1);
+    assert.ok(energyMap[high].treble > 0.9 && energyMap[low].treble < 0.1);
+    assert.ok(Math.abs(features.centroid[low] - 80) < 10, `centroid ${features.centroid[low]}`);
+    assert.ok(Math.abs(features.centroid[high] - 8000) < 10, `centroid ${features.centroid[high]}`);
+
+    // The strongest onset is the switch
+    const peak = features.flux.indexOf(Math.max(...features.flux));
+    assert.ok(Math.abs(peak * features.hop - 1) < 0.05, `flux peak at ${peak * features.hop}`);
+});
+
+test('beats stay on the clicks to the end of a long song at 44.1 kHz', () => {
+    // Kicks every 0.5 s from 0.5 s on (see synthSignal)
+    const seconds = 180;
+    const { features } = analyzeSpectrum(renderSignal(RATE, seconds), RATE);
+    const tempo = trackTempo(features.flux, features.hop);
+    assert.equal(tempo.bpm, 120);
+
+    const lastBeats = tempo.beatTimes.filter(t => t > seconds - 20);
+    assert.ok(lastBeats.length > 30);
+    for (const time of lastBeats) {
+        const click = 0.5 * Math.round(time / 0.5 + 0.5 * features.hop / 0.5);
+        // A beat lands on the frame whose window first takes in the click: up to one hop before it
+        const early = click - time;
+        assert.ok(early > -0.003 && early < features.hop + 0.003, `beat ${time.toFixed(3)} vs click ${click}`);
+    }
+    for (const downbeat of tempo.downbeats.filter(t => t > seconds - 20)) {
+        assert.ok(tempo.beatTimes.includes(downbeat));
+    }
+});
+
+test('energy lookups index frames by the real hop, also from a sidecar', () => {
+    const seconds = 120;
+    const song = new SongAnalysis();
+    song.duration = seconds;
+    song.fingerprint = 'fp-test';
+    song.analyze(analyzeSpectrum(renderSignal(RATE, seconds), RATE));
+    assert.equal(song.frameHop, Math.round(RATE * ANALYSIS_HOP) / RATE);
+
+    const loaded = new SongAnalysis();
+    loaded.loadSidecar(JSON.parse(JSON.stringify(song.toSidecar())));
+    assert.equal(loaded.frameHop, song.frameHop);
+
+    for (const time of [0.01, 60.004, seconds - 3.3, seconds - 1.0001]) {
+        for (const analysis of [song, loaded]) {
+            const frame = analysis.getEnergyAt(time);
+            assert.ok(frame.time <= time + 1e-4 && time < frame.time + song.frameHop + 1e-4, `${time} → frame at ${frame.time}`);
+        }
+    }
+});
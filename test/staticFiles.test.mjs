@@ -0,0 +1,63 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import { createStaticRouter } from '../server/staticFiles.js';
+import { LIBRARY_LOG } from '../server/songStore.js';
+import { listen } from './fixtures.mjs';
+
+let rootDir, server;
+
+before(async () => {
+    rootDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'hexbeat-static-'));
+    await fs.promises.mkdir(path.join(rootDir, 'songs'));
+    await fs.promises.writeFile(path.join(rootDir, 'index.html'), '<h1>HexBeat</h1>');
+    await fs.promises.writeFile(path.join(rootDir, 'songs', 'a.mp3'), 'audio');
+    await fs.promises.writeFile(path.join(rootDir, 'songs', LIBRARY_LOG), '{"op":"add","song":{"uploaderUid":"secret"}}\n');
+    await fs.promises.writeFile(path.join(rootDir, 'songs', `${LIBRARY_LOG}.123.tmp`), '{"uploaderUid":"secret"}\n');
+
+    const app = express();
+    app.use(createStaticRouter(rootDir, [path.join(rootDir, 'songs', LIBRARY_LOG)]));
+    server = await listen(app);
+});
+
+after(async () => {
+    await server.close();
+    await fs.promises.rm(rootDir, { recursive: true, force: true });
+});
+
+// Raw request, so the path reaches the server exactly as written
+function get(requestPath) {
+    return new Promise((resolve, reject) => {
+        http.get(server.url + requestPath, (res) => {
+            let body = '';
+            res.on('data', (chunk) => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        }).on('error', reject);
+    });
+}
+
+test('the frontend and the songs are served', async () => {
+    assert.equal((await get('/index.html')).status, 200);
+    assert.equal((await get('/songs/a.mp3')).body, 'audio');
+});
+
+test('the library log is never served, however the path is written', async () => {
+    for (const requestPath of [
+        `/songs/${LIBRARY_LOG}`,
+        `/songs/${LIBRARY_LOG}.123.tmp`,
+        '/songs/%6Cibrary.jsonl',
+        '/songs/LIBRARY.JSONL',
+        '/songs//library.jsonl',
+        '/songs/./library.jsonl',
+        '/songs/x/../library.jsonl',
+        '/songs%2Flibrary.jsonl'
+    ]) {
+        const res = await get(requestPath);
+        assert.notEqual(res.status, 200, requestPath);
+        assert.doesNotMatch(res.body, /secret/, requestPath);
+    }
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { segmentStructure, SECTION_LABELS } from '../js/structureAnalysis.js';
+import { CHROMA_BINS, MFCC_COEFFS } from '../js/spectralAnalysis.js';
+import { SeededRandom } from '../js/random.js';
+import { LevelGenerator } from '../js/levelGenerator.js';
+import { synthAnalysis } from './fixtures.mjs';
+
+const BEAT = 0.5;
+const HOP = 1103 / 44100;
+
+/**
+ * Analysis input for a song made of blocks of beats. Each block sounds like
+ * `part` ('A': C major chord and one timbre, 'B': G major and another) at a
+ * fixed loudness, with a little noise on top.
+ */
+function song(blocks) {
+    const beatTimes = [];
+    const starts = [];
+    for (const { beats } of blocks) {
+        starts.push(beatTimes.length * BEAT);
+        for (let i = 0; i < beats; i++) beatTimes.push(beatTimes.length * BEAT);
+    }
+    const duration = beatTimes.length * BEAT;
+    const frames = Math.floor(duration / HOP);
+    const chroma = new Float32Array(frames * CHROMA_BINS);
+    const mfcc = new Float32Array(frames * MFCC_COEFFS);
+    const energyMap = [];
+    const rng = new SeededRandom(1);
+
+    for (let f = 0; f < frames; f++) {
+        const time = f * HOP;
+        const { part, level } = blocks[starts.findLastIndex(start => start <= time)];
+        for (const note of part === 'A' ? [0, 4, 7] : [7, 11, 2]) chroma[f * CHROMA_BINS + note] = 1;
+        for (let i = 0; i < CHROMA_BINS; i++) chroma[f * CHROMA_BINS + i] += rng.next() * 0.1;
+        for (let i = 0; i < MFCC_COEFFS; i++) {
+            mfcc[f * MFCC_COEFFS + i] = (part === 'A' ? Math.sin(i) : Math.cos(i * 1.7)) * 5 + rng.next();
+        }
+        energyMap.push({ time, bass: level, total: level });
+    }
+
+    return {
+        beatTimes,
+        downbeats: beatTimes.filter((_, i) => i % 4 === 0),
+        energyMap,
+        features: { hop: HOP, chroma, mfcc },
+        duration
+    };
+}
+
+// Quiet intro, verse, loud chorus, verse, loud chorus, quiet outro
+const POP_SONG = [
+    { part: 'A', beats: 32, level: 0.2 },
+    { part: 'A', beats: 64, level: 0.4 },
+    { part: 'B', beats: 64, level: 0.8 },
+    { part: 'A', beats: 64, level: 0.4 },
+    { part: 'B', beats: 64, level: 0.8 },
+    { part: 'A', beats: 32, level: 0.2 }
+];
+
+test('sections start where the song changes and cover it end to end', () => {
+    const sections = segmentStructure(song(POP_SONG));
+    assert.deepEqual(sections.map(s => s.start), [0, 16, 48, 80, 112, 144]);
+    for (let i = 1; i < sections.length; i++) assert.equal(sections[i].start, sections[i - 1].end);
+    assert.equal(sections.at(-1).end, 160);
+});
+
+test('parts that come back share a group, and loudness orders the intensity', () => {
+    const sections = segmentStructure(song(POP_SONG));
+    const [intro, verse, chorus, verse2, chorus2, outro] = sections;
+    assert.equal(verse2.group, verse.group);
+    assert.equal(chorus2.group, chorus.group);
+    assert.notEqual(chorus.group, verse.group);
+    // Same chords as the verse, but much quieter
+    assert.notEqual(intro.group, verse.group);
+    assert.equal(outro.group, intro.group);
+
+    assert.ok(sections.every(s => s.intensity >= 0 && s.intensity <= 1));
+    assert.ok(Math.min(chorus.intensity, chorus2.intensity) > Math.max(verse.intensity, verse2.intensity));
+    assert.ok(Math.max(intro.intensity, outro.intensity) < Math.min(verse.intensity, verse2.intensity));
+});
+
+test('labels follow energy and position', () => {
+    const labels = segmentStructure(song(POP_SONG)).map(s => s.label);
+    assert.ok(labels.every(label => SECTION_LABELS.includes(label)));
+    assert.equal(labels[0], 'intro');
+    assert.equal(labels.at(-1), 'outro');
+    assert.equal(labels[1], 'verse');
+    assert.equal(labels[3], 'verse');
+    // Bass-heavy jumps after a verse
+    assert.ok(['drop', 'chorus'].includes(labels[2]));
+    assert.equal(labels[4], labels[2]);
+});
+
+test('a song too short to split is one section', () => {
+    const input = song([{ part: 'A', beats: 20, level: 0.5 }]);
+    assert.deepEqual(segmentStructure(input), [
+        { start: 0, end: input.duration, label: 'verse', group: 0, energy: 0.5, intensity: 0.5 }
+    ]);
+});
+
+test('the level follows the sections: one palette per group, from each section start', () => {
+    const analysis = synthAnalysis();
+    const levelGen = new LevelGenerator();
+    levelGen.generate(analysis, 4, 'normal');
+    const palettes = levelGen.cues.filter(c => c.type === 'palette');
+    assert.deepEqual(palettes.map(c => [c.time, c.palette]), analysis.sections.map(s => [s.start, s.group]));
+});